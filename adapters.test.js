@@ -0,0 +1,194 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+// The adapter files share helpers through the global scope, as in the extension.
+Object.assign(global, require('./adapters/adapters.js'));
+const { amazonAdapter } = require('./adapters/amazon.js');
+const { yelpAdapter } = require('./adapters/yelp.js');
+const { ebayAdapter } = require('./adapters/ebay.js');
+const { bestBuyAdapter } = require('./adapters/bestbuy.js');
+Object.assign(global, { amazonAdapter, yelpAdapter, ebayAdapter, bestBuyAdapter });
+
+const { matchSitePage } = require('./adapters/adapters.js');
+
+/**
+ * Parses an HTML body into a document.
+ *
+ * @param {string} body - The body HTML.
+ * @returns {Document} The parsed document.
+ */
+function parse(body) {
+    return new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`).window.document;
+}
+
+test('Matches review and product pages of every site', () => {
+    const cases = [
+        ['https://www.amazon.com/product-reviews/B0DLNYJ3YR', 'amazon', 'review', 'B0DLNYJ3YR'],
+        ['https://www.amazon.com/Some-Product/dp/B0DLNYJ3YR/', 'amazon', 'product', 'B0DLNYJ3YR'],
+        ['https://www.amazon.de/-/en/product-reviews/B0DLNYJ3YR?pageNumber=2', 'amazon', 'review', 'B0DLNYJ3YR'],
+        ['https://www.amazon.in/dp/B0DLNYJ3YR', 'amazon', 'product', 'B0DLNYJ3YR'],
+        ['https://www.yelp.com/biz/joes-pizza-new-york', 'yelp', 'review', 'joes-pizza-new-york'],
+        ['https://www.ebay.com/urw/product-reviews/19034058591', 'ebay', 'review', '19034058591'],
+        ['https://www.bestbuy.com/site/reviews/sony-headphones/6505727', 'bestbuy', 'review', '6505727'],
+        ['https://www.bestbuy.com/site/sony-headphones/6505727.p?skuId=6505727', 'bestbuy', 'product', '6505727']
+    ];
+    for (const [url, site, type, itemId] of cases) {
+        const match = matchSitePage(url);
+        expect({ site: match.adapter.id, type: match.type, itemId: match.itemId }).toEqual({ site, type, itemId });
+    }
+    expect(matchSitePage('https://www.ebay.com/itm/256123456789')).toBeNull();
+    expect(matchSitePage('https://www.google.com')).toBeNull();
+});
+
+test('Amazon adapter parses review metadata and the total review count', () => {
+    const doc = parse(`
+        <div data-hook="cr-filter-info-review-rating-count">1,234 total ratings, 321 with reviews</div>
+        <div id="R2XYZ" data-hook="review">
+            <span class="a-profile-name">Jane D.</span>
+            <a data-hook="review-title" href="#">
+                <i data-hook="review-star-rating"><span class="a-icon-alt">4.0 out of 5 stars</span></i>
+                <span class="a-letter-space"></span>
+                <span>Solid, but runs small</span>
+            </a>
+            <span data-hook="review-date">Reviewed in the United States on January 5, 2024</span>
+            <a data-hook="format-strip">Size: Large Color:   Blue</a>
+            <span data-hook="avp-badge">Verified Purchase</span>
+            <span data-hook="review-body"><span>  Comfortable, order a size up.  </span></span>
+            <span data-hook="helpful-vote-statement">1,204 people found this helpful</span>
+        </div>
+        <div data-hook="review"><span data-hook="review-body"><span>Meh.</span></span>
+            <span data-hook="helpful-vote-statement">One person found this helpful</span></div>
+        <div data-hook="review"><span data-hook="review-body"><span>  </span></span></div>`);
+
+    const [full, minimal, ...rest] = amazonAdapter.parseReviews(doc);
+
+    expect(full).toEqual({
+        id: 'R2XYZ',
+        rating: 4,
+        title: 'Solid, but runs small',
+        author: 'Jane D.',
+        date: 'January 5, 2024',
+        country: 'United States',
+        verified: true,
+        helpfulVotes: 1204,
+        variant: 'Size: Large Color: Blue',
+        text: 'Comfortable, order a size up.'
+    });
+    expect(minimal).toMatchObject({ id: null, rating: null, verified: false, helpfulVotes: 1, text: 'Meh.' });
+    expect(rest).toEqual([]);
+    expect(amazonAdapter.parseTotalReviewCount(doc)).toBe(321);
+});
+
+test('Yelp adapter parses reviews', () => {
+    const doc = parse(`
+        <a href="#reviews">(1,234 reviews)</a>
+        <section aria-label="Recommended Reviews"><ul><li>
+            <a href="/user_details?userid=1"><img src="a.png"></a>
+            <a href="/user_details?userid=1">Sam K.</a>
+            <div role="img" aria-label="5 star rating"></div>
+            <span>Mar 3, 2024</span>
+            <p class="comment__09f24"><span lang="en">Best slice in town.</span></p>
+            <button aria-label="Useful (3)"><span>Useful 3</span></button>
+        </li></ul></section>`);
+
+    expect(yelpAdapter.parseReviews(doc)).toEqual([{
+        id: null, rating: 5, title: '', author: 'Sam K.', date: 'Mar 3, 2024', country: '',
+        verified: false, helpfulVotes: 3, variant: '', text: 'Best slice in town.'
+    }]);
+    expect(yelpAdapter.parseTotalReviewCount(doc)).toBe(1234);
+});
+
+test('eBay adapter parses reviews', () => {
+    const doc = parse(`
+        <span class="ebay-reviews-count">345 product ratings</span>
+        <div class="ebay-review-section" data-review-id="987">
+            <div class="star-rating" aria-label="4 out of 5 stars"></div>
+            <h3 class="review-item-title">Good value</h3>
+            <a class="review-item-author">buyer_1</a>
+            <span class="review-item-date">Feb 10, 2024</span>
+            <p class="review-item-content">Works fine.</p>
+            <span class="rvw-val">Verified purchase: Yes</span>
+            <span class="positive-h-c">7</span>
+        </div>`);
+
+    expect(ebayAdapter.parseReviews(doc)).toEqual([{
+        id: '987', rating: 4, title: 'Good value', author: 'buyer_1', date: 'Feb 10, 2024', country: '',
+        verified: true, helpfulVotes: 7, variant: '', text: 'Works fine.'
+    }]);
+    expect(ebayAdapter.parseTotalReviewCount(doc)).toBe(345);
+});
+
+test('Best Buy adapter parses reviews', () => {
+    const doc = parse(`
+        <span class="c-total-reviews">(2,001 Reviews)</span>
+        <ul><li class="review-item" id="review-id-42">
+            <div class="c-ratings-reviews"><p class="visually-hidden">Rated 2 out of 5 stars</p></div>
+            <h4 class="review-title">Too loud</h4>
+            <div class="ugc-author"><strong>TechFan</strong></div>
+            <time class="submission-date" title="Apr 1, 2024 9:00 AM">2 months ago</time>
+            <div class="ugc-review-body"><p>Fan noise is constant.</p></div>
+            <span>Verified Purchase</span>
+            <button data-track="Helpful">Helpful (12)</button>
+        </li></ul>`);
+
+    expect(bestBuyAdapter.parseReviews(doc)).toEqual([{
+        id: 'review-id-42', rating: 2, title: 'Too loud', author: 'TechFan', date: 'Apr 1, 2024 9:00 AM', country: '',
+        verified: true, helpfulVotes: 12, variant: '', text: 'Fan noise is constant.'
+    }]);
+    expect(bestBuyAdapter.parseTotalReviewCount(doc)).toBe(2001);
+});
+
+test('Amazon adapter parses localized review layouts', () => {
+    const review = (rating, date, helpful) => `
+        <div data-hook="review">
+            <i data-hook="review-star-rating"><span class="a-icon-alt">${rating}</span></i>
+            <span data-hook="review-date">${date}</span>
+            <span data-hook="review-body"><span>Text</span></span>
+            <span data-hook="helpful-vote-statement">${helpful}</span>
+        </div>`;
+    const doc = parse(`
+        <div data-hook="cr-filter-info-review-rating-count">1\u202f234 évaluations globales, 1\u202f021 avec avis</div>
+        ${review('4,0 von 5 Sternen', 'Rezension aus Deutschland vom 5. Januar 2024', 'Eine Person fand diese Informationen hilfreich')}
+        ${review('3,0 sur 5 étoiles', 'Commenté en France le 5 janvier 2024', '12 personnes ont trouvé cela utile')}
+        ${review('5つ星のうち2.0', '2024年1月5日に日本でレビュー済み', '3人のお客様がこれが役に立ったと考えています')}
+        ${review('5.0 de 5 estrellas', 'Calificado en México el 5 de enero de 2024', '')}`);
+
+    const reviews = amazonAdapter.parseReviews(doc).map(({ rating, country, date, helpfulVotes }) => ({ rating, country, date, helpfulVotes }));
+
+    expect(reviews).toEqual([
+        { rating: 4, country: 'Deutschland', date: '5. Januar 2024', helpfulVotes: 1 },
+        { rating: 3, country: 'France', date: '5 janvier 2024', helpfulVotes: 12 },
+        { rating: 2, country: '日本', date: '2024年1月5日', helpfulVotes: 3 },
+        { rating: 5, country: 'México', date: '5 de enero de 2024', helpfulVotes: 0 }
+    ]);
+    expect(amazonAdapter.parseTotalReviewCount(doc)).toBe(1021);
+});
+
+test('Amazon adapter reads the top reviews, histogram and "Customers say" from a product page', () => {
+    const doc = parse(`
+        <span data-hook="rating-out-of-text">4.5 out of 5</span>
+        <span data-hook="total-review-count">12,345 global ratings</span>
+        <table id="histogramTable">
+            <tr><td>5 star</td><td><div class="bar"></div></td><td>70%</td></tr>
+            <tr><td>4 star</td><td><div class="bar"></div></td><td>20%</td></tr>
+            <tr><td>1 star</td><td><div class="bar"></div></td><td>10%</td></tr>
+        </table>
+        <div id="product-summary"><p><span>Customers like the sound quality   but mention short battery life.</span></p></div>
+        <div data-hook="cr-insights-widget-aspects"><button aria-label="Sound quality">Sound quality</button><button>Battery life</button></div>
+        <div id="cm-cr-dp-review-list">
+            <div id="R1" data-hook="review">
+                <span data-hook="review-body"><div data-hook="review-collapsed"><span>Great sound.</span></div></span>
+            </div>
+        </div>`);
+
+    const { reviews, insights } = amazonAdapter.parseProductPage(doc);
+
+    expect(reviews.map(review => [review.id, review.text])).toEqual([['R1', 'Great sound.']]);
+    expect(insights).toEqual({
+        averageRating: 4.5,
+        totalRatings: 12345,
+        histogram: { 5: 70, 4: 20, 1: 10 },
+        customersSay: 'Customers like the sound quality but mention short battery life.',
+        aspects: ['Sound quality', 'Battery life']
+    });
+});
@@ -0,0 +1,141 @@
+// adapters/adapters.js
+
+/**
+ * A site adapter describes one review site. Adapters are plain objects with:
+ *  - id, name: identifier and display name of the site.
+ *  - matchers.review / matchers.product: URL regexes whose first group captures the item ID.
+ *  - getReviewsUrl(itemId, url): URL of the reviews page for a product page; only needed by adapters
+ *    with product matchers.
+ *  - pagination: { param, perPage, offset } where the param holds the page number, or the
+ *    index of the first review when offset is true.
+ *  - parseReviews(doc): structured reviews found in a reviews page document.
+ *  - parseTotalReviewCount(doc): number of written reviews, or null if unknown.
+ *  - parseProductPage(doc) (optional): { reviews, insights } read from a product page, for sites
+ *    whose product pages show reviews that can be summarized right away.
+ *  - starFilter (optional): { param, values } where the param limits a reviews page to a star rating
+ *    group, and values maps the groups of REVIEW_SEGMENTS ('positive', 'critical') to its value.
+ *  - parseHistogram(doc) (optional): percentage of ratings keyed by star count, read from a product
+ *    or reviews page.
+ *
+ * The adapter objects are defined in their own files (amazon.js, yelp.js, ...) which must be
+ * loaded together with this one.
+ */
+
+/**
+ * Returns the trimmed text content of the first element matching the selector.
+ *
+ * @param {ParentNode} root - The element or document to search in.
+ * @param {string} selector - CSS selector of the element.
+ * @returns {string} The trimmed text, or an empty string if there is no match.
+ */
+function textOf(root, selector) {
+  const element = root.querySelector(selector);
+  return element && element.textContent ? element.textContent.trim() : '';
+}
+
+/**
+ * Returns an attribute of the first element matching the selector.
+ *
+ * @param {ParentNode} root - The element or document to search in.
+ * @param {string} selector - CSS selector of the element.
+ * @param {string} attribute - Name of the attribute to read.
+ * @returns {string} The attribute value, or an empty string if there is no match.
+ */
+function attrOf(root, selector, attribute) {
+  const element = root.querySelector(selector);
+  return element ? (element.getAttribute(attribute) || '').trim() : '';
+}
+
+/**
+ * Parses the first number of a text, accepting "," or "." as the decimal separator.
+ *
+ * @param {string} text - Text containing a number (e.g. "4,0 out of 5 stars").
+ * @returns {number|null} The parsed number, or null if there is none.
+ */
+function parseNumber(text) {
+  const match = text.match(/\d+(?:[.,]\d+)?/);
+  return match ? parseFloat(match[0].replace(',', '.')) : null;
+}
+
+/**
+ * Parses a count that may contain thousands separators (e.g. "1,234 reviews", "1.234" or "1 234").
+ *
+ * @param {string} text - Text containing the count.
+ * @returns {number|null} The count, or null if there is none.
+ */
+function parseCount(text) {
+  const match = text.match(/\d(?:[\d,.\u00a0\u202f]*\d)?/);
+  return match ? parseInt(match[0].replace(/[,.\u00a0\u202f]/g, ''), 10) : null;
+}
+
+/**
+ * Runs a review parser over every review element of a document, keeping reviews that have text.
+ *
+ * @param {Document} doc - The reviews page document.
+ * @param {string} selector - CSS selector of a single review element.
+ * @param {function(Element): Object} parseReview - Parses one review element into a structured review.
+ * @returns {Object[]} Array of structured reviews.
+ */
+function collectReviews(doc, selector, parseReview) {
+  const reviews = [];
+  doc.querySelectorAll(selector).forEach(element => {
+    const review = parseReview(element);
+    if (review.text) {
+      reviews.push(review);
+    }
+  });
+  return reviews;
+}
+
+/**
+ * Returns every supported site adapter.
+ *
+ * @returns {Object[]} The site adapters, Amazon first.
+ */
+function getSiteAdapters() {
+  return [amazonAdapter, yelpAdapter, ebayAdapter, bestBuyAdapter];
+}
+
+/**
+ * Returns the site adapter with the given ID.
+ *
+ * @param {string} id - The adapter ID (e.g. 'amazon').
+ * @returns {Object|null} The adapter, or null if there is none with that ID.
+ */
+function getSiteAdapter(id) {
+  return getSiteAdapters().find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * Finds the adapter and page type matching a URL.
+ *
+ * @param {string} url - The URL to analyze.
+ * @returns {{adapter: Object, type: string, itemId: string}|null} The match ('review' or 'product' page), or null if no adapter matches.
+ */
+function matchSitePage(url) {
+  for (const adapter of getSiteAdapters()) {
+    for (const type of ['review', 'product']) {
+      for (const regex of adapter.matchers[type]) {
+        const match = url.match(regex);
+        if (match) {
+          return { adapter, type, itemId: match[1] };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    textOf,
+    attrOf,
+    parseNumber,
+    parseCount,
+    collectReviews,
+    getSiteAdapters,
+    getSiteAdapter,
+    matchSitePage
+  };
+}
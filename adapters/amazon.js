@@ -0,0 +1,193 @@
+// adapters/amazon.js
+
+// Supported Amazon marketplaces, keyed by host.
+const AMAZON_MARKETPLACES = {
+  'www.amazon.com': { country: 'United States', language: 'en' },
+  'www.amazon.co.uk': { country: 'United Kingdom', language: 'en' },
+  'www.amazon.de': { country: 'Germany', language: 'de' },
+  'www.amazon.fr': { country: 'France', language: 'fr' },
+  'www.amazon.co.jp': { country: 'Japan', language: 'ja' },
+  'www.amazon.in': { country: 'India', language: 'en' },
+  'www.amazon.ca': { country: 'Canada', language: 'en' },
+  'www.amazon.com.mx': { country: 'Mexico', language: 'es' }
+};
+const AMAZON_DOMAIN_PATTERN = 'www\\.amazon\\.(?:com|co\\.uk|de|fr|co\\.jp|in|ca|com\\.mx)';
+
+// Localized review date lines, e.g. "Reviewed in the United States on January 5, 2024".
+const AMAZON_REVIEW_DATE_PATTERNS = [
+  { regex: /^Reviewed in (?:the )?(.+?) on (.+)$/, country: 1, date: 2 },
+  { regex: /^Rezension aus (?:der |dem )?(.+?) vom (.+)$/, country: 1, date: 2 },
+  { regex: /^Commenté (?:en |au |aux )(.+?) le (.+)$/, country: 1, date: 2 },
+  { regex: /^Calificado en (.+?) el (.+)$/, country: 1, date: 2 },
+  { regex: /^(.+?)に(.+?)でレビュー済み$/, country: 2, date: 1 }
+];
+
+/**
+ * Returns the Amazon marketplace of a URL.
+ *
+ * @param {string} url - The URL to analyze.
+ * @returns {{host: string, country: string, language: string}|null} The marketplace, or null if the URL is not on a supported marketplace.
+ */
+function getAmazonMarketplace(url) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+  return AMAZON_MARKETPLACES[host] ? { host, ...AMAZON_MARKETPLACES[host] } : null;
+}
+
+/**
+ * Splits a localized review date line into the country and the date.
+ *
+ * @param {string} dateText - The review date line.
+ * @returns {{country: string, date: string}} The country (empty if not found) and the date text.
+ */
+function parseAmazonReviewDate(dateText) {
+  for (const pattern of AMAZON_REVIEW_DATE_PATTERNS) {
+    const match = dateText.match(pattern.regex);
+    if (match) {
+      return { country: match[pattern.country], date: match[pattern.date] };
+    }
+  }
+  return { country: '', date: dateText };
+}
+
+/**
+ * Parses a localized star rating such as "4.0 out of 5 stars", "4,0 von 5 Sternen" or "5つ星のうち4.0".
+ *
+ * @param {string} ratingText - The star rating text.
+ * @returns {number|null} The rating, or null if there is none.
+ */
+function parseAmazonRating(ratingText) {
+  // The Japanese layout puts the scale ("5 stars") before the rating.
+  const japaneseMatch = ratingText.match(/のうち\s*(\d+(?:[.,]\d+)?)/);
+  return parseNumber(japaneseMatch ? japaneseMatch[1] : ratingText);
+}
+
+/**
+ * Parses a single Amazon review element into a structured review object.
+ *
+ * @param {Element} element - A [data-hook="review"] element.
+ * @returns {{id: string|null, rating: number|null, title: string, author: string, date: string,
+ *   country: string, verified: boolean, helpfulVotes: number, variant: string, text: string}} The review.
+ */
+function parseAmazonReview(element) {
+  // The title link also contains the star icon, so its own text is in the last plain span.
+  const titleElement = element.querySelector('[data-hook="review-title"]');
+  let title = '';
+  if (titleElement) {
+    const titleSpans = titleElement.querySelectorAll('span:not([class])');
+    title = (titleSpans.length ? titleSpans[titleSpans.length - 1].textContent : titleElement.textContent).trim();
+  }
+
+  const { country, date } = parseAmazonReviewDate(textOf(element, '[data-hook="review-date"]'));
+
+  // e.g. "12 people found this helpful" or "One person found this helpful"; the
+  // localized single-vote statements have no digits either.
+  const helpfulText = textOf(element, '[data-hook="helpful-vote-statement"]');
+  const helpfulVotes = helpfulText ? (parseCount(helpfulText) || 1) : 0;
+
+  const ratingText = textOf(element, '[data-hook="review-star-rating"], [data-hook="cmps-review-star-rating"]');
+
+  return {
+    id: element.id || null,
+    rating: ratingText ? parseAmazonRating(ratingText) : null,
+    title,
+    author: textOf(element, '.a-profile-name'),
+    date,
+    country,
+    verified: !!element.querySelector('[data-hook="avp-badge"], [data-hook="avp-badge-linkless"]'),
+    helpfulVotes,
+    variant: textOf(element, '[data-hook="format-strip"], [data-hook="format-strip-linkless"]').replace(/\s+/g, ' '),
+    // Product pages wrap the text in a collapsible "Read more" container.
+    text: textOf(element, '[data-hook="review-body"] > span, [data-hook="review-body"] [data-hook="review-collapsed"] > span')
+  };
+}
+
+/**
+ * Reads the total number of written reviews from the filter info line
+ * (e.g. "1,234 total ratings, 321 with reviews" or "1.234 Sternebewertungen, 321 mit Rezensionen").
+ *
+ * @param {Document} doc - The review page document.
+ * @returns {number|null} The number of written reviews, or null if it cannot be found.
+ */
+function parseAmazonTotalReviewCount(doc) {
+  const infoText = textOf(doc, '[data-hook="cr-filter-info-review-rating-count"]');
+  const numbers = (infoText.match(/\d(?:[\d,.\u00a0\u202f]*\d)?/g) || []).map(parseCount);
+  // The last number is the count of reviews with text; the first is the count of ratings.
+  return numbers.length ? numbers[numbers.length - 1] : null;
+}
+
+/**
+ * Reads the star rating histogram of a product or reviews page (e.g. "5 star 62%").
+ *
+ * @param {Document} doc - The page document.
+ * @returns {Object<number, number>} Percentage of ratings keyed by star count, empty if there is no histogram.
+ */
+function parseAmazonHistogram(doc) {
+  const histogram = {};
+  doc.querySelectorAll('#histogramTable tr, #histogramTable li').forEach(row => {
+    const rowText = row.textContent.replace(/\s+/g, ' ');
+    const starMatch = rowText.match(/[1-5]/);
+    const percentMatch = rowText.match(/(\d+)\s*%/);
+    if (starMatch && percentMatch && !(starMatch[0] in histogram)) {
+      histogram[starMatch[0]] = parseInt(percentMatch[1], 10);
+    }
+  });
+  return histogram;
+}
+
+/**
+ * Reads what a product page shows about its reviews: the top reviews, the rating histogram,
+ * the average rating and the AI-generated "Customers say" block.
+ *
+ * @param {Document} doc - The product (/dp/) page document.
+ * @returns {{reviews: Object[], insights: {averageRating: number|null, totalRatings: number|null,
+ *   histogram: Object<number, number>, customersSay: string, aspects: string[]}}} The top reviews and the product insights.
+ */
+function parseAmazonProductPage(doc) {
+  const averageText = textOf(doc, '[data-hook="rating-out-of-text"]');
+  const totalText = textOf(doc, '[data-hook="total-review-count"]');
+  const aspects = Array.from(doc.querySelectorAll('[data-hook="cr-insights-widget-aspects"] button, #cr-product-insights-cards button'))
+    .map(button => (button.getAttribute('aria-label') || button.textContent).trim())
+    .filter(Boolean);
+
+  return {
+    reviews: collectReviews(doc, '#cm-cr-dp-review-list [data-hook="review"], #cm-cr-global-review-list [data-hook="review"]', parseAmazonReview),
+    insights: {
+      averageRating: averageText ? parseAmazonRating(averageText) : null,
+      totalRatings: totalText ? parseCount(totalText) : null,
+      histogram: parseAmazonHistogram(doc),
+      customersSay: textOf(doc, '#product-summary p, [data-hook="cr-insights-widget-summary"]').replace(/\s+/g, ' '),
+      aspects
+    }
+  };
+}
+
+const amazonAdapter = {
+  id: 'amazon',
+  name: 'Amazon',
+  matchers: {
+    review: [new RegExp(`^https://${AMAZON_DOMAIN_PATTERN}/(?:.*/)?product-reviews/([A-Z0-9]{10})`)],
+    product: [new RegExp(`^https://${AMAZON_DOMAIN_PATTERN}/(?:.*/)?dp/([A-Z0-9]{10})`)]
+  },
+  // Keep the user on the marketplace they are browsing; default to amazon.com.
+  getReviewsUrl: (asin, url) => {
+    const marketplace = getAmazonMarketplace(url || '');
+    return `https://${marketplace ? marketplace.host : 'www.amazon.com'}/product-reviews/${asin}`;
+  },
+  pagination: { param: 'pageNumber', perPage: 10, offset: false },
+  // "critical" also includes 3 star reviews; they are left out of both groups after the crawl.
+  starFilter: { param: 'filterByStar', values: { positive: 'positive', critical: 'critical' } },
+  parseReviews: (doc) => collectReviews(doc, '[data-hook="review"]', parseAmazonReview),
+  parseTotalReviewCount: parseAmazonTotalReviewCount,
+  parseProductPage: parseAmazonProductPage,
+  parseHistogram: parseAmazonHistogram
+};
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AMAZON_MARKETPLACES, amazonAdapter, getAmazonMarketplace };
+}
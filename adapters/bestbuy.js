@@ -0,0 +1,49 @@
+// adapters/bestbuy.js
+
+/**
+ * Parses a single Best Buy review into a structured review object.
+ *
+ * @param {Element} element - A li.review-item element.
+ * @returns {Object} The structured review (see parseAmazonReview for the shape).
+ */
+function parseBestBuyReview(element) {
+  // e.g. "Rated 4 out of 5 stars"
+  const ratingText = textOf(element, '.c-ratings-reviews .visually-hidden, .c-ratings-reviews-v4 .visually-hidden');
+  // e.g. "Helpful (12)"
+  const helpfulText = textOf(element, 'button[data-track="Helpful"]');
+
+  return {
+    id: element.getAttribute('data-review-id') || element.id || null,
+    rating: ratingText ? parseNumber(ratingText) : null,
+    title: textOf(element, '.review-title'),
+    author: textOf(element, '.ugc-author strong'),
+    date: attrOf(element, 'time.submission-date', 'title') || textOf(element, 'time.submission-date'),
+    country: '',
+    verified: /verified purchase/i.test(element.textContent),
+    helpfulVotes: parseCount(helpfulText) || 0,
+    variant: '',
+    text: textOf(element, '.ugc-review-body')
+  };
+}
+
+const bestBuyAdapter = {
+  id: 'bestbuy',
+  name: 'Best Buy',
+  matchers: {
+    review: [/^https:\/\/www\.bestbuy\.com\/site\/reviews\/[^/]+\/(\d+)/],
+    product: [/^https:\/\/www\.bestbuy\.com\/site\/[^/]+\/(\d+)\.p/]
+  },
+  getReviewsUrl: (skuId, url) => {
+    const slugMatch = (url || '').match(/\/site\/([^/]+)\/\d+\.p/);
+    return `https://www.bestbuy.com/site/reviews/${slugMatch ? slugMatch[1] : 'product'}/${skuId}`;
+  },
+  pagination: { param: 'page', perPage: 20, offset: false },
+  parseReviews: (doc) => collectReviews(doc, 'li.review-item', parseBestBuyReview),
+  // e.g. "(1,234 Reviews)"
+  parseTotalReviewCount: (doc) => parseCount(textOf(doc, '.c-total-reviews'))
+};
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { bestBuyAdapter };
+}
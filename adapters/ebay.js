@@ -0,0 +1,45 @@
+// adapters/ebay.js
+
+/**
+ * Parses a single eBay product review into a structured review object.
+ *
+ * @param {Element} element - A .ebay-review-section element.
+ * @returns {Object} The structured review (see parseAmazonReview for the shape).
+ */
+function parseEbayReview(element) {
+  // e.g. aria-label="4 out of 5 stars"
+  const ratingLabel = attrOf(element, '.star-rating', 'aria-label');
+  // e.g. "Verified purchase: Yes"
+  const verifiedText = textOf(element, '.rvw-val');
+
+  return {
+    id: element.getAttribute('data-review-id') || null,
+    rating: ratingLabel ? parseNumber(ratingLabel) : null,
+    title: textOf(element, '.review-item-title'),
+    author: textOf(element, '.review-item-author'),
+    date: textOf(element, '.review-item-date'),
+    country: '',
+    verified: /yes/i.test(verifiedText),
+    helpfulVotes: parseCount(textOf(element, '.positive-h-c')) || 0,
+    variant: '',
+    text: textOf(element, '.review-item-content')
+  };
+}
+
+const ebayAdapter = {
+  id: 'ebay',
+  name: 'eBay',
+  matchers: {
+    review: [/^https:\/\/www\.ebay\.com\/urw\/(?:[^/]+\/)?product-reviews\/(\d+)/],
+    // Item pages are not matched: reviews are keyed by the catalog product ID, which item URLs do not contain.
+    product: []
+  },
+  pagination: { param: 'pgn', perPage: 10, offset: false },
+  parseReviews: (doc) => collectReviews(doc, '.ebay-review-section', parseEbayReview),
+  parseTotalReviewCount: (doc) => parseCount(textOf(doc, '.ebay-reviews-count'))
+};
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ebayAdapter };
+}
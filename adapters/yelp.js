@@ -0,0 +1,58 @@
+// adapters/yelp.js
+
+const YELP_DATE_REGEX = /^[A-Z][a-z]{2} \d{1,2}, \d{4}$/;
+
+/**
+ * Parses a single Yelp review list item into a structured review object.
+ * Yelp's class names are generated, so the selectors rely on attributes and text patterns.
+ *
+ * @param {Element} element - A review <li> of the "Recommended Reviews" section.
+ * @returns {Object} The structured review (see parseAmazonReview for the shape).
+ */
+function parseYelpReview(element) {
+  // e.g. aria-label="4 star rating"
+  const ratingLabel = attrOf(element, '[role="img"][aria-label$="star rating"]', 'aria-label');
+  const dateElement = Array.from(element.querySelectorAll('span'))
+    .find(span => YELP_DATE_REGEX.test(span.textContent.trim()));
+  // The avatar and the name both link to the profile; only the name link has text.
+  const authorLink = Array.from(element.querySelectorAll('a[href^="/user_details"]'))
+    .find(link => link.textContent.trim());
+  // e.g. "Useful 3"
+  const usefulText = textOf(element, 'button[aria-label^="Useful"]');
+
+  return {
+    id: element.getAttribute('data-review-id') || null,
+    rating: ratingLabel ? parseNumber(ratingLabel) : null,
+    title: '',
+    author: authorLink ? authorLink.textContent.trim() : '',
+    date: dateElement ? dateElement.textContent.trim() : '',
+    country: '',
+    verified: false,
+    helpfulVotes: usefulText ? (parseCount(usefulText) || 0) : 0,
+    variant: '',
+    text: textOf(element, 'p[class*="comment"] span[lang]')
+  };
+}
+
+const yelpAdapter = {
+  id: 'yelp',
+  name: 'Yelp',
+  matchers: {
+    // Business pages list the reviews inline, so they are treated as review pages.
+    review: [/^https:\/\/www\.yelp\.com\/biz\/([^/?#]+)/],
+    product: []
+  },
+  getReviewsUrl: (alias) => `https://www.yelp.com/biz/${alias}`,
+  pagination: { param: 'start', perPage: 10, offset: true },
+  parseReviews: (doc) => collectReviews(doc, '#reviews ul > li, section[aria-label="Recommended Reviews"] ul > li', parseYelpReview),
+  // e.g. "(1,234 reviews)"
+  parseTotalReviewCount: (doc) => {
+    const countText = textOf(doc, 'a[href="#reviews"]');
+    return /review/i.test(countText) ? parseCount(countText) : null;
+  }
+};
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { yelpAdapter };
+}
@@ -0,0 +1,771 @@
+// background.js
+
+// The service worker shares the site adapters and the LLM, summary, settings and cache code with the popup.
+if (typeof importScripts === 'function') {
+    importScripts(
+        'adapters/adapters.js', 'adapters/amazon.js', 'adapters/yelp.js', 'adapters/ebay.js', 'adapters/bestbuy.js',
+        'providers.js', 'summary.js', 'settings.js', 'cache.js', 'chat.js', 'trust.js', 'offline.js', 'usage.js'
+    );
+}
+
+// Constants
+const SUMMARY_JOB_STORAGE_PREFIX = 'summaryJob:';
+// Badge of the extension icon per job status; it is cleared once the popup has shown the result.
+const SUMMARY_JOB_BADGES = {
+    summarizing: { text: '…', color: '#757575' },
+    done: { text: '✓', color: '#2e7d32' },
+    error: { text: '!', color: '#c62828' }
+};
+const CONTEXT_MENU_ID = 'summarizeReviews';
+
+// Jobs by tab ID. Each job holds the reviews loaded from the tab and the state of their summary.
+const summaryJobs = new Map();
+// Abort controllers of the running summaries, by tab ID.
+const summaryAbortControllers = new Map();
+// Review loads in flight, by tab ID and crawl type, so that a reopened popup joins a running crawl.
+const reviewLoads = new Map();
+// The tab whose popup was opened with the "open Q&A" shortcut, until the popup asks for its job.
+let chatRequestTabId = null;
+
+/**
+ * Returns the job of a tab. Jobs are also kept in session storage, so they outlive the service worker
+ * being stopped while idle; a job that was still running when that happened is reported as interrupted.
+ *
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<Object|null>} A promise that resolves to the job, or null if the tab has none.
+ */
+async function getSummaryJob(tabId) {
+    if (summaryJobs.has(tabId)) {
+        return summaryJobs.get(tabId);
+    }
+    const storageKey = SUMMARY_JOB_STORAGE_PREFIX + tabId;
+    try {
+        const result = await chrome.storage.session.get(storageKey);
+        const job = result[storageKey];
+        if (!job) {
+            return null;
+        }
+        if (job.status === 'summarizing') {
+            job.status = 'error';
+            job.error = { name: 'Error', message: 'The summary was interrupted. Please try again.' };
+        }
+        summaryJobs.set(tabId, job);
+        return job;
+    } catch (error) {
+        console.error("Error retrieving summary job from storage:", error);
+        return null;
+    }
+}
+
+/**
+ * Sends the state of a job to the popup, and to the panel on the page if the results are shown there.
+ * The popup may be closed and the page may have no content script, so delivery failures are ignored.
+ *
+ * @param {Object} job - The job.
+ * @returns {void}
+ */
+function notifySummaryJob(job) {
+    try {
+        Promise.resolve(chrome.runtime.sendMessage({ action: 'summaryJobUpdate', job })).catch(() => {});
+        if (job.view === 'panel') {
+            Promise.resolve(chrome.tabs.sendMessage(job.tabId, { action: 'showSummaryPanel', job })).catch(() => {});
+        }
+    } catch (error) {
+        console.log("Could not report summary job:", error.message);
+    }
+}
+
+/**
+ * Updates the job of a tab, creating it if needed, and reports the new state to the popup.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {Object} changes - The job fields to change.
+ * @param {boolean} [persist=true] - Whether to save the job to session storage. Progress updates only
+ *   need to reach an open popup, so they are not saved.
+ * @returns {Promise<Object>} A promise that resolves to the updated job.
+ */
+async function updateSummaryJob(tabId, changes, persist = true) {
+    // Merge synchronously when the job is in memory, so that concurrent updates cannot overwrite each other.
+    const current = summaryJobs.get(tabId) || await getSummaryJob(tabId) || { tabId, status: 'idle' };
+    const job = { ...current, ...changes, updatedAt: Date.now() };
+    summaryJobs.set(tabId, job);
+    if (persist) {
+        try {
+            await chrome.storage.session.set({ [SUMMARY_JOB_STORAGE_PREFIX + tabId]: job });
+        } catch (error) {
+            console.error("Error saving summary job:", error);
+        }
+    }
+    notifySummaryJob(job);
+    return job;
+}
+
+/**
+ * Removes the job of a tab, stopping its summary if it is still running.
+ *
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<void>} A promise that resolves once the job is removed.
+ */
+async function removeSummaryJob(tabId) {
+    const abortController = summaryAbortControllers.get(tabId);
+    summaryAbortControllers.delete(tabId);
+    abortController?.abort();
+    summaryJobs.delete(tabId);
+    setSummaryBadge(tabId, null);
+    try {
+        await chrome.storage.session.remove(SUMMARY_JOB_STORAGE_PREFIX + tabId);
+    } catch (error) {
+        console.error("Error removing summary job:", error);
+    }
+}
+
+/**
+ * Shows the status of a tab's summary on the extension icon: running, ready or failed.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {string|null} status - The job status, or null to clear the badge.
+ * @returns {void}
+ */
+function setSummaryBadge(tabId, status) {
+    const badge = SUMMARY_JOB_BADGES[status];
+    // Setting the badge of a closed tab fails, which does not matter.
+    Promise.resolve(chrome.action.setBadgeText({ tabId, text: badge ? badge.text : '' })).catch(() => {});
+    if (badge) {
+        Promise.resolve(chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color })).catch(() => {});
+    }
+}
+
+/**
+ * Loads the reviews of a tab through its content script and stores them in the tab's job.
+ * A load that is already running for the tab is joined instead of crawling the pages again.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {Object} [options={}] - Load options.
+ * @param {boolean} [options.fullCrawl=false] - On product pages, crawl the product's reviews pages.
+ * @param {number} [options.maxPages] - Maximum number of review pages to crawl.
+ * @param {number} [options.delayMs] - Delay between page fetches.
+ * @param {Object|null} [options.page=null] - The page the reviews are loaded from (see window.currentPage in popup.js).
+ * @returns {Promise<{reviews?: Object[], insights?: Object, error?: string}>} A promise that resolves to the
+ *   response of the content script, or to an error if it could not be reached.
+ */
+function loadReviewsForTab(tabId, { fullCrawl = false, maxPages, delayMs, page = null } = {}) {
+    const loadKey = `${tabId}:${fullCrawl}`;
+    if (reviewLoads.has(loadKey)) {
+        return reviewLoads.get(loadKey);
+    }
+
+    const load = (async () => {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { action: 'getReviews', fullCrawl, maxPages, delayMs });
+            if (response && response.reviews && response.reviews.length > 0) {
+                const current = await getSummaryJob(tabId);
+                await updateSummaryJob(tabId, {
+                    // A running summary keeps going with the reviews it was started with.
+                    ...(summaryAbortControllers.has(tabId) ? {} : { status: 'idle', summary: null, error: null }),
+                    page: page || current?.page || null,
+                    reviews: response.reviews,
+                    // Crawled reviews pages have no insights, so keep the ones read from the product page.
+                    insights: response.insights || current?.insights || null
+                });
+            }
+            return response;
+        } catch (error) {
+            console.error("Error loading reviews from the tab:", error);
+            return { error: error.message };
+        } finally {
+            reviewLoads.delete(loadKey);
+        }
+    })();
+    reviewLoads.set(loadKey, load);
+    return load;
+}
+
+/**
+ * Converts an error to a plain object that can be sent to the popup and the page. Error instances do not
+ * survive messaging, so the popup tells the error types apart by name.
+ *
+ * @param {Error} error - The error.
+ * @param {Object} provider - The LLM provider the error comes from.
+ * @returns {{name: string, message: string, description: string, responseText?: string}} The error details,
+ *   with a description for the user (see describeLlmError).
+ */
+function serializeJobError(error, provider) {
+    const details = { name: error.name, message: error.message, description: describeLlmError(error, provider) };
+    if (error.responseText !== undefined) {
+        details.responseText = error.responseText;
+    }
+    return details;
+}
+
+/**
+ * Collects the reviews of each star rating group for the segmented analysis. On sites whose reviews can
+ * be filtered by star rating, each group is crawled from the tab with that filter, so the groups are not
+ * limited to the reviews already loaded; otherwise, or if a crawl fails, the given reviews are split by rating.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {Object[]} reviews - The reviews loaded from the tab.
+ * @param {Object|null} page - The page the reviews come from.
+ * @param {AbortSignal} signal - Stops loading the reviews.
+ * @returns {Promise<{segments: Object<string, Object[]>, histogram: Object<number, number>|null}>} A promise that
+ *   resolves to the reviews of each group (see splitReviewsBySegment) and the rating histogram read with them.
+ */
+async function loadReviewSegments(tabId, reviews, page, signal) {
+    const segments = splitReviewsBySegment(reviews);
+    const adapter = page ? getSiteAdapter(page.site) : null;
+    let histogram = null;
+    if (!adapter || !adapter.starFilter) {
+        return { segments, histogram };
+    }
+
+    const crawlSettings = await getCrawlSettings();
+    for (const segment of REVIEW_SEGMENTS) {
+        signal.throwIfAborted();
+        await updateSummaryJob(tabId, { statusText: `Loading the ${segment.ratings.join(' and ')} star reviews...` }, false);
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, {
+                action: 'getReviews',
+                starFilter: segment.id,
+                maxPages: crawlSettings.maxReviewPages,
+                delayMs: crawlSettings.pageDelayMs
+            });
+            if (response && response.reviews && response.reviews.length > 0) {
+                segments[segment.id] = splitReviewsBySegment(response.reviews)[segment.id];
+                histogram = histogram || response.histogram || null;
+            } else if (response && response.error) {
+                console.error(`Error loading the ${segment.id} reviews:`, response.error);
+            }
+        } catch (error) {
+            console.error(`Error loading the ${segment.id} reviews from the tab:`, error);
+        }
+    }
+    signal.throwIfAborted();
+    return { segments, histogram };
+}
+
+/**
+ * Checks whether a summary that failed with an error can fall back to a local summary (see summarizeReviewsLocally):
+ * errors of the provider's API, such as a missing or rejected key, an exhausted quota or no network, and
+ * summaries blocked by a spending cap. A response the summary cannot be read from is shown as an error instead, with the response.
+ *
+ * @param {Error} error - The error.
+ * @returns {boolean} True if a local summary should be shown instead.
+ */
+function canFallBackToLocalSummary(error) {
+    return error instanceof LlmApiError || error instanceof BudgetExceededError;
+}
+
+/**
+ * Checks the estimated cost of a summary against the spending caps (see checkBudget).
+ *
+ * @param {Object} options - The summary to check.
+ * @param {Object[]} options.reviews - The reviews of a plain summary.
+ * @param {Object<string, Object[]>|null} options.segments - The reviews of each star rating group of a segmented summary.
+ * @param {Object|null} options.insights - Product insights read from a product page.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {Object} options.summarySettings - The summary preferences.
+ * @returns {Promise<{blocked: boolean, message: string}|null>} A promise that resolves to the result of checkBudget.
+ */
+async function checkSummaryBudget({ reviews, segments, insights, llmSettings, summarySettings }) {
+    const groups = segments
+        ? REVIEW_SEGMENTS.map(segment => ({ reviews: segments[segment.id], focus: segment.focus }))
+        : [{ reviews, focus: '' }];
+    const cost = groups
+        .filter(group => group.reviews.length > 0)
+        .map(group => getUsageCost(llmSettings, estimateSummaryUsage({ ...group, insights, llmSettings, summarySettings })))
+        .reduce((total, groupCost) => total === null || groupCost === null ? null : total + groupCost, 0);
+    return checkBudget(cost, await getBudgetSettings(), getUsageTotals(await getUsageLog()));
+}
+
+/**
+ * Summarizes reviews for a tab. The summary runs in the service worker, so it continues when the popup
+ * is closed; its progress and result are kept in the tab's job and the badge shows when it is ready.
+ * A summary already running for the tab is stopped first.
+ * A segmented summary summarizes what fans (4 and 5 stars) and critics (1 and 2 stars) say separately
+ * (see summarizeReviewSegments), with the reviews of each group loaded by loadReviewSegments. Segmented
+ * summaries are not cached, as the cache and the history hold one summary per review set.
+ * With the excludeFlaggedReviews setting, the reviews flagged by analyzeReviewTrust are left out of the
+ * summary; the job's reviews are then the reviews the summary covers, and its excludedReviewCount how many were left out.
+ * A local summary is made on the device without the model (see summarizeReviewsLocally), either when asked
+ * for or when the model cannot be reached (see canFallBackToLocalSummary); the job's fallbackError then
+ * tells why, and its localNote describes the summary for the user. Local summaries are not cached either,
+ * so that the next summary asks the model again.
+ * The tokens of every request are added to the usage log (see recordUsage) and their total is kept in the job's usage.
+ * A summary whose estimated cost would exceed a spending cap is made locally if the cap blocks requests;
+ * otherwise it is made as usual, with the job's budgetNote as the warning.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {Object} options - Summary options.
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {Object|null} [options.insights=null] - Product insights read from a product page.
+ * @param {Object|null} [options.page=null] - The page the reviews come from; summaries are only cached for known pages.
+ * @param {boolean} [options.bypassCache=false] - Summarize again even if the review set has a cached summary.
+ * @param {boolean} [options.segmented=false] - Summarize the star rating groups separately.
+ * @param {boolean} [options.local=false] - Make a quick local summary without the model.
+ * @returns {Promise<Object|null>} A promise that resolves to the finished job, or to the current job if this
+ *   summary was replaced by a new one.
+ */
+async function startSummaryJob(tabId, { reviews, insights = null, page = null, bypassCache = false, segmented = false, local = false }) {
+    const previousController = summaryAbortControllers.get(tabId);
+    const abortController = new AbortController();
+    summaryAbortControllers.set(tabId, abortController);
+    previousController?.abort();
+    setSummaryBadge(tabId, 'summarizing');
+
+    const summarySettings = await getSummarySettings();
+    let excludedReviewCount = 0;
+    // The reviews of a segmented summary are filtered once the star rating groups are loaded.
+    if (summarySettings.excludeFlaggedReviews && !segmented) {
+        ({ reviews, excludedCount: excludedReviewCount } = excludeFlaggedReviews(reviews));
+        console.log(`Leaving out ${excludedReviewCount} flagged reviews.`);
+    }
+    await updateSummaryJob(tabId, {
+        status: 'summarizing',
+        statusText: 'Summarization started...',
+        view: summarySettings.resultsView,
+        page, reviews, insights,
+        summary: null,
+        excludedReviewCount,
+        fallbackError: null,
+        localNote: null,
+        usage: null,
+        budgetNote: null,
+        error: null
+    });
+
+    const { llmSettings, provider, apiKey, locked } = await getSelectedProvider();
+    try {
+        let segments = null;
+        if (segmented) {
+            let histogram;
+            ({ segments, histogram } = await loadReviewSegments(tabId, reviews, page, abortController.signal));
+            if (summarySettings.excludeFlaggedReviews) {
+                const result = excludeFlaggedReviews(REVIEW_SEGMENTS.flatMap(segment => segments[segment.id]));
+                segments = splitReviewsBySegment(result.reviews);
+                excludedReviewCount = result.excludedCount;
+                console.log(`Leaving out ${excludedReviewCount} flagged reviews.`);
+            }
+            if (REVIEW_SEGMENTS.every(segment => segments[segment.id].length === 0)) {
+                setSummaryBadge(tabId, 'error');
+                return await updateSummaryJob(tabId, {
+                    status: 'error',
+                    error: { name: 'Error', message: 'There are no 1 or 2 star and no 4 or 5 star reviews to compare.' }
+                });
+            }
+            if (histogram && Object.keys(histogram).length > 0 && !Object.keys(insights?.histogram || {}).length) {
+                insights = { ...insights, histogram };
+            }
+        }
+        let usage = null;
+        // Adds the tokens of each request to the usage log and to the usage of the job.
+        const onUsage = async (requestUsage) => {
+            const cost = await recordUsage(llmSettings, requestUsage);
+            usage = {
+                inputTokens: (usage?.inputTokens || 0) + requestUsage.inputTokens,
+                outputTokens: (usage?.outputTokens || 0) + requestUsage.outputTokens,
+                cost: usage?.cost === null || cost === null ? null : (usage?.cost || 0) + cost,
+                estimated: !!usage?.estimated || requestUsage.estimated
+            };
+        };
+        // Summarizes the reviews, or each group of a segmented summary, with the given summarizer.
+        const summarize = async (summarizer) => {
+            const options = {
+                insights,
+                llmSettings,
+                apiKey,
+                summarySettings,
+                onProgress: (statusText) => updateSummaryJob(tabId, { statusText }, false),
+                onUsage,
+                signal: abortController.signal
+            };
+            if (segmented) {
+                return summarizeReviewSegments({ ...options, segments, summarize: summarizer });
+            }
+            return { reviews, summary: await summarizer({ ...options, reviews }) };
+        };
+
+        let fallbackError = null;
+        let budgetNote = null;
+        if (!local) {
+            try {
+                // A cached summary needs no request, so it is shown even without a usable API key.
+                if (page && !bypassCache && !segmented) {
+                    const cached = await getCachedSummary(page.marketplace, page.itemId, hashReviews(reviews));
+                    if (cached) {
+                        console.log("Using cached summary from", new Date(cached.createdAt).toLocaleString());
+                        setSummaryBadge(tabId, 'done');
+                        return await updateSummaryJob(tabId, { status: 'done', reviews, insights, summary: cached.summary, createdAt: cached.createdAt });
+                    }
+                }
+
+                if (!apiKey && (provider.requiresKey || locked)) {
+                    throw new LlmApiError(locked
+                        ? `The ${provider.name} API key is locked. Please unlock it with your passphrase in the popup.`
+                        : `${provider.name} API key not set. Please add it in the settings.`);
+                }
+
+                const budgetCheck = await checkSummaryBudget({ reviews, segments, insights, llmSettings, summarySettings });
+                if (budgetCheck?.blocked) {
+                    throw new BudgetExceededError(budgetCheck.message);
+                }
+                if (budgetCheck) {
+                    console.warn("Spending cap exceeded:", budgetCheck.message);
+                    budgetNote = `Warning: ${budgetCheck.message}`;
+                }
+
+                if (segmented) {
+                    console.log(`Summarizing ${REVIEW_SEGMENTS.map(segment => `${segments[segment.id].length} ${segment.id}`).join(' and ')} reviews with ${provider.name}...`);
+                } else {
+                    console.log(`Summarizing ${reviews.length} reviews with ${provider.name}...`);
+                }
+                // Each progress message also keeps the service worker alive while the response streams in.
+                const result = await summarize(summarizeReviews);
+                console.log("Summary finished.");
+                if (page && !segmented) {
+                    await saveSummaryToCache({ ...page, reviews, insights, summary: result.summary });
+                }
+                setSummaryBadge(tabId, 'done');
+                return await updateSummaryJob(tabId, {
+                    status: 'done', reviews: result.reviews, insights, summary: result.summary, excludedReviewCount, usage, budgetNote, createdAt: Date.now()
+                });
+            } catch (error) {
+                if (isAbortError(error) || !canFallBackToLocalSummary(error)) {
+                    throw error;
+                }
+                console.error(`Error calling ${provider.name} API, falling back to a local summary:`, error);
+                fallbackError = serializeJobError(error, provider);
+            }
+        }
+
+        console.log("Summarizing the reviews locally...");
+        await updateSummaryJob(tabId, { statusText: 'Making a quick local summary...' }, false);
+        const result = await summarize(summarizeReviewsLocally);
+        const summary = segmented ? { ...result.summary, local: true } : result.summary;
+        setSummaryBadge(tabId, 'done');
+        return await updateSummaryJob(tabId, {
+            status: 'done', reviews: result.reviews, insights, summary, excludedReviewCount, fallbackError,
+            localNote: describeLocalSummary(fallbackError), usage, budgetNote, createdAt: Date.now()
+        });
+    } catch (error) {
+        if (isAbortError(error)) {
+            if (summaryAbortControllers.get(tabId) !== abortController) {
+                // Replaced by a new summary, or the job was removed.
+                return summaryJobs.get(tabId) || null;
+            }
+            console.log("Summarization stopped.");
+            setSummaryBadge(tabId, null);
+            return await updateSummaryJob(tabId, { status: 'stopped' });
+        }
+        console.error(`Error calling ${provider.name} API:`, error);
+        setSummaryBadge(tabId, 'error');
+        return await updateSummaryJob(tabId, { status: 'error', error: serializeJobError(error, provider) });
+    } finally {
+        if (summaryAbortControllers.get(tabId) === abortController) {
+            summaryAbortControllers.delete(tabId);
+        }
+    }
+}
+
+/**
+ * Stops the summary running for a tab, if any.
+ *
+ * @param {number} tabId - The tab ID.
+ * @returns {void}
+ */
+function stopSummaryJob(tabId) {
+    summaryAbortControllers.get(tabId)?.abort();
+}
+
+/**
+ * Describes the page open in a tab the way the popup does (see window.currentPage in popup.js).
+ *
+ * @param {Object} tab - The tab.
+ * @returns {{site: string, marketplace: string, itemId: string, url: string, title: string}|null} The page,
+ *   or null if it is not a supported product or reviews page.
+ */
+function getTabPage(tab) {
+    const match = tab.url ? matchSitePage(tab.url) : null;
+    if (!match) {
+        return null;
+    }
+    return {
+        site: match.adapter.id,
+        marketplace: new URL(tab.url).host,
+        itemId: match.itemId,
+        url: tab.url,
+        title: tab.title || match.itemId
+    };
+}
+
+/**
+ * Loads the reviews of a tab and summarizes them without the popup, for the keyboard shortcuts and the
+ * context menu. The badge shows the progress, and the popup shows the summary when it is opened.
+ *
+ * @param {Object} tab - The tab.
+ * @param {Object} [options={}] - Summary options.
+ * @param {boolean} [options.bypassCache=false] - Summarize again even if the reviews have a cached summary.
+ * @returns {Promise<Object|null>} A promise that resolves to the finished job, or null if the tab is not
+ *   on a supported page.
+ */
+async function summarizeTab(tab, { bypassCache = false } = {}) {
+    const page = getTabPage(tab);
+    if (!page) {
+        console.log("Not a supported product or reviews page:", tab.url);
+        return null;
+    }
+    setSummaryBadge(tab.id, 'summarizing');
+    const crawlSettings = await getCrawlSettings();
+    const response = await loadReviewsForTab(tab.id, {
+        page,
+        maxPages: crawlSettings.maxReviewPages,
+        delayMs: crawlSettings.pageDelayMs
+    });
+    if (!response || !response.reviews || response.reviews.length === 0) {
+        console.error("No reviews to summarize:", response?.error);
+        setSummaryBadge(tab.id, 'error');
+        return await updateSummaryJob(tab.id, {
+            status: 'error',
+            page,
+            error: { name: 'Error', message: response?.error || 'No reviews found to summarize.' }
+        });
+    }
+    return startSummaryJob(tab.id, { reviews: response.reviews, insights: response.insights || null, page, bypassCache });
+}
+
+/**
+ * Opens the popup of a tab with the question box focused.
+ *
+ * @param {Object} tab - The tab.
+ * @returns {Promise<void>} A promise that resolves once the popup is opened.
+ */
+async function openQuestionsPopup(tab) {
+    chatRequestTabId = tab.id;
+    try {
+        await chrome.action.openPopup();
+    } catch (error) {
+        chatRequestTabId = null;
+        console.error("Could not open the popup:", error);
+    }
+}
+
+/**
+ * Shows the summary of a tab in the panel on the page, summarizing the tab first if it has no summary yet.
+ *
+ * @param {Object} tab - The tab.
+ * @param {{openChat?: boolean}} [options={}] - Set openChat to focus the question box of the panel.
+ * @returns {Promise<Object|null>} A promise that resolves to the job shown.
+ */
+async function openSummaryPanel(tab, { openChat = false } = {}) {
+    const job = await getSummaryJob(tab.id);
+    if (job && job.status === 'done') {
+        await chrome.tabs.sendMessage(tab.id, { action: 'showSummaryPanel', job, openChat });
+        return job;
+    }
+    return summarizeTab(tab);
+}
+
+/**
+ * Answers the questions the panel on a page asks about the reviews of its tab's job. Answers are
+ * streamed back over the port; closing the port stops the answer. A question whose estimated cost would
+ * exceed a spending cap is refused if the cap blocks requests, and otherwise answered with a warning.
+ *
+ * @param {Object} port - The port opened by the panel (see askPanelQuestion in panel.js).
+ * @returns {void}
+ */
+function handleQuestionPort(port) {
+    const abortController = new AbortController();
+    port.onDisconnect.addListener(() => abortController.abort());
+    port.onMessage.addListener(async ({ question, history }) => {
+        const job = await getSummaryJob(port.sender.tab.id);
+        const { llmSettings, provider, apiKey, locked } = await getSelectedProvider();
+        if (!job || !job.reviews) {
+            port.postMessage({ error: 'Error: There are no reviews to ask about. Please summarize them again.' });
+            return;
+        }
+        if (!apiKey && (provider.requiresKey || locked)) {
+            port.postMessage({ error: `Error: ${provider.name} API key not available.` });
+            return;
+        }
+        const budgetCheck = await checkRequestBudget(llmSettings, estimateChatUsage({
+            question, history, reviews: job.reviews, insights: job.insights, llmSettings
+        }));
+        if (budgetCheck?.blocked) {
+            port.postMessage({ error: `Error: ${budgetCheck.message}` });
+            return;
+        }
+        if (budgetCheck) {
+            port.postMessage({ budgetNote: `Warning: ${budgetCheck.message}` });
+        }
+        try {
+            const answer = await askAboutReviews({
+                question,
+                history,
+                reviews: job.reviews,
+                insights: job.insights,
+                llmSettings,
+                apiKey,
+                onText: (text) => port.postMessage({ text }),
+                onUsage: (usage) => recordUsage(llmSettings, usage),
+                signal: abortController.signal
+            });
+            port.postMessage({ done: true, answer });
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error(`Error calling ${provider.name} API:`, error);
+                port.postMessage({ error: describeLlmError(error, provider) });
+            }
+        }
+    });
+}
+
+/**
+ * Runs a keyboard shortcut (see "commands" in manifest.json) on the active tab.
+ *
+ * @param {string} command - The command name.
+ * @param {Object} tab - The active tab.
+ * @returns {Promise<Object|null|void>} A promise that resolves once the command is handled.
+ */
+async function handleCommand(command, tab) {
+    console.log("Keyboard shortcut:", command);
+    switch (command) {
+        case 'summarize-reviews':
+            return summarizeTab(tab);
+        case 'rerun-summary':
+            return summarizeTab(tab, { bypassCache: true });
+        case 'ask-question': {
+            const { resultsView } = await getSummarySettings();
+            return resultsView === 'panel' ? openSummaryPanel(tab, { openChat: true }) : openQuestionsPopup(tab);
+        }
+    }
+}
+
+/**
+ * Returns the URL patterns of the Amazon product and reviews pages, on which the context menu is shown.
+ *
+ * @returns {string[]} The match patterns.
+ */
+function getAmazonPageUrlPatterns() {
+    return Object.keys(AMAZON_MARKETPLACES).flatMap(host => [
+        `https://${host}/dp/*`,
+        `https://${host}/*/dp/*`,
+        `https://${host}/product-reviews/*`,
+        `https://${host}/*/product-reviews/*`
+    ]);
+}
+
+/**
+ * Creates the "Summarize reviews" context menu item of Amazon product and reviews pages.
+ *
+ * @returns {void}
+ */
+function createContextMenu() {
+    // Menu items outlive extension updates, so remove the old one first.
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_ID,
+            title: 'Summarize reviews',
+            contexts: ['page'],
+            documentUrlPatterns: getAmazonPageUrlPatterns()
+        });
+    });
+}
+
+/**
+ * Listener for messages from the popup and from the panel on the page.
+ * - "getReviews" loads the reviews of a tab (see loadReviewsForTab) and responds with them.
+ * - "startSummary" starts summarizing reviews for a tab (see startSummaryJob).
+ * - "stopSummary" stops the summary running for a tab.
+ * - "getSummaryJob" responds with the job of a tab, so a reopened popup can show it, and whether the popup
+ *   was opened to ask a question.
+ * - "summaryShown" clears the badge once the popup or the panel has shown the result of a summary.
+ * - "recordUsage" adds the usage of a request made by the popup to the usage log and "clearUsage" clears
+ *   the log, so that the service worker is the only page writing it (see recordUsage).
+ *
+ * @param {Object} message - The message object received, expected to have "action" and "tabId" properties;
+ *   messages from the panel have no "tabId", as they come from the tab itself.
+ * @param {Object} sender - The sender of the message.
+ * @param {function} sendResponse - Function used to send the response back.
+ * @returns {boolean} True if the response is sent asynchronously.
+ */
+function handleBackgroundMessage(message, sender, sendResponse) {
+    // Messages from the panel on a page come from the tab itself.
+    const { action, tabId = sender.tab?.id } = message;
+    switch (action) {
+        case 'getReviews':
+            loadReviewsForTab(tabId, message).then(sendResponse);
+            return true;
+        case 'startSummary':
+            startSummaryJob(tabId, message);
+            sendResponse({ started: true });
+            return false;
+        case 'stopSummary':
+            stopSummaryJob(tabId);
+            sendResponse({ stopped: true });
+            return false;
+        case 'getSummaryJob': {
+            const openChat = chatRequestTabId === tabId;
+            chatRequestTabId = null;
+            getSummaryJob(tabId).then(job => sendResponse({ job, openChat }));
+            return true;
+        }
+        case 'summaryShown':
+            setSummaryBadge(tabId, null);
+            return false;
+        case 'recordUsage':
+            recordUsage(message.llmSettings, message.usage).then(cost => sendResponse({ cost }));
+            return true;
+        case 'clearUsage':
+            clearUsageLog().then(() => sendResponse({ cleared: true }));
+            return true;
+        default:
+            return false;
+    }
+}
+
+// Main Execution
+installLogRedaction();
+
+chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+
+chrome.runtime.onInstalled.addListener(createContextMenu);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_ID) {
+        summarizeTab(tab);
+    }
+});
+
+chrome.commands.onCommand.addListener(handleCommand);
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name === 'reviewQuestion') {
+        handleQuestionPort(port);
+    }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    removeSummaryJob(tabId);
+});
+
+// Drop a tab's job when it navigates to another page; changes of the URL fragment keep it.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (!changeInfo.url) return;
+    const job = await getSummaryJob(tabId);
+    if (job && job.page && job.page.url.split('#')[0] !== changeInfo.url.split('#')[0]) {
+        removeSummaryJob(tabId);
+    }
+});
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSummaryJob,
+        loadReviewsForTab,
+        startSummaryJob,
+        stopSummaryJob,
+        summarizeTab,
+        handleCommand,
+        handleQuestionPort,
+        getAmazonPageUrlPatterns,
+        handleBackgroundMessage
+    };
+}
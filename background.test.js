@@ -0,0 +1,479 @@
+const { test, expect } = require('@playwright/test');
+
+// The service worker imports these scripts with importScripts, so expose them as globals the same way.
+Object.assign(
+    global,
+    require('./adapters/adapters.js'),
+    require('./adapters/amazon.js'),
+    require('./adapters/yelp.js'),
+    require('./adapters/ebay.js'),
+    require('./adapters/bestbuy.js'),
+    require('./providers.js'),
+    require('./summary.js'),
+    require('./settings.js'),
+    require('./cache.js'),
+    require('./chat.js'),
+    require('./trust.js'),
+    require('./offline.js'),
+    require('./usage.js')
+);
+
+const SUMMARY = { pros: [{ point: 'Solid build', mentions: 1, reviews: [1] }], cons: [], verdict: 'Good.', confidence: 0.9 };
+
+let store, sessionStore, badges, messages;
+
+/**
+ * Creates a fetch stub that streams a summary in the OpenAI format.
+ *
+ * @param {Object} summary - The summary JSON to stream.
+ * @param {Object|null} [usage=null] - The usage to report at the end of the stream, in the OpenAI format.
+ * @returns {function(): Promise<Object>} The fetch stub.
+ */
+function streamingFetch(summary, usage = null) {
+    return () => {
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    const chunk = { choices: [{ delta: { content: JSON.stringify(summary) } }] };
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+                    if (usage) {
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [], usage })}\n\n`));
+                    }
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    controller.close();
+                }
+            })
+        });
+    };
+}
+
+/**
+ * Before each test, stub the chrome APIs used by the service worker with in-memory stores.
+ */
+test.beforeEach(() => {
+    store = { openaiApiKey: 'sk-test' };
+    sessionStore = {};
+    badges = {};
+    messages = [];
+    global.chrome = {
+        runtime: {
+            onMessage: { addListener: () => {} },
+            onInstalled: { addListener: () => {} },
+            onConnect: { addListener: () => {} },
+            sendMessage: (message) => {
+                messages.push(message);
+                return Promise.resolve();
+            }
+        },
+        tabs: {
+            onRemoved: { addListener: () => {} },
+            onUpdated: { addListener: () => {} }
+        },
+        contextMenus: {
+            onClicked: { addListener: () => {} }
+        },
+        commands: {
+            onCommand: { addListener: () => {} }
+        },
+        action: {
+            setBadgeText: ({ tabId, text }) => Promise.resolve(badges[tabId] = text),
+            setBadgeBackgroundColor: () => Promise.resolve()
+        },
+        storage: {
+            local: {
+                // Like chrome.storage, an object of defaults returns the stored values of its keys or else the defaults.
+                get: (key) => Promise.resolve(typeof key === 'string'
+                    ? { [key]: store[key] }
+                    : Object.fromEntries(Object.entries(key).map(([name, value]) => [name, store[name] ?? value]))),
+                set: (items) => Promise.resolve(Object.assign(store, items))
+            },
+            session: {
+                get: (key) => Promise.resolve({ [key]: sessionStore[key] }),
+                set: (items) => Promise.resolve(Object.assign(sessionStore, items)),
+                remove: (key) => Promise.resolve(delete sessionStore[key])
+            }
+        }
+    };
+});
+
+test.afterEach(() => {
+    global.chrome = undefined;
+    global.fetch = undefined;
+});
+
+test('summarizes in the background, keeps the job per tab and shows the badge', async () => {
+    const { startSummaryJob, getSummaryJob, handleBackgroundMessage } = require('./background.js');
+    global.fetch = streamingFetch(SUMMARY);
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+    const page = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/dp/B0DLNYJ3YR' };
+
+    const job = await startSummaryJob(101, { reviews, page });
+
+    expect(job).toMatchObject({ tabId: 101, status: 'done', summary: SUMMARY, reviews });
+    expect(await getSummaryJob(101)).toBe(job);
+    expect(await getSummaryJob(102)).toBeNull();
+    expect(sessionStore['summaryJob:101'].status).toBe('done');
+    expect(store.summaryCache).toBeDefined();
+    expect(badges[101]).toBe('✓');
+
+    const statuses = messages.filter(message => message.action === 'summaryJobUpdate').map(message => message.job.status);
+    expect(statuses[0]).toBe('summarizing');
+    expect(statuses[statuses.length - 1]).toBe('done');
+
+    handleBackgroundMessage({ action: 'summaryShown', tabId: 101 }, {}, () => {});
+    expect(badges[101]).toBe('');
+
+    // A cached summary is shown without an API key rather than a local summary.
+    delete store.openaiApiKey;
+    const cached = await startSummaryJob(102, { reviews, page });
+    expect(cached).toMatchObject({ status: 'done', summary: SUMMARY, createdAt: Object.values(store.summaryCache)[0].createdAt });
+    expect(cached.localNote).toBeNull();
+});
+
+test('reports errors and stops running summaries', async () => {
+    const { startSummaryJob, stopSummaryJob } = require('./background.js');
+    const reviews = [{ rating: 5, text: 'Solid build.' }];
+
+    global.fetch = streamingFetch('Not a summary');
+    const failed = await startSummaryJob(103, { reviews });
+    expect(failed.status).toBe('error');
+    expect(failed.error.name).toBe('SummaryValidationError');
+    expect(badges[103]).toBe('!');
+
+    // The response starts streaming and then stalls until the summary is stopped.
+    global.fetch = (url, init) => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"{\\"pros\\""}}]}\n\n'));
+                init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+            }
+        })
+    });
+    messages.length = 0;
+    const running = startSummaryJob(103, { reviews });
+    await expect.poll(() => messages.some(message => /characters received/.test(message.job?.statusText))).toBe(true);
+    stopSummaryJob(103);
+    expect((await running).status).toBe('stopped');
+    expect(badges[103]).toBe('');
+    // The tokens streamed before the stop are logged like those of the failed summary.
+    expect(Object.values(store.usageLog.days)[0].requests).toBe(2);
+});
+
+test('falls back to a local summary when the model cannot be used, and makes one when asked', async () => {
+    const { startSummaryJob } = require('./background.js');
+    const reviews = [
+        { rating: 5, text: 'The battery life is amazing.' },
+        { rating: 4, text: 'Battery life is great for a full day.' },
+        { rating: 1, text: 'Terrible battery life, it dies by noon.' }
+    ];
+    let fetched = 0;
+    global.fetch = () => {
+        fetched++;
+        return Promise.resolve({
+            ok: false, status: 401, statusText: 'Unauthorized',
+            headers: { get: () => null },
+            json: () => Promise.resolve({ error: { message: 'Incorrect API key provided' } })
+        });
+    };
+    const page = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/dp/B0DLNYJ3YR' };
+
+    const fallback = await startSummaryJob(108, { reviews, page });
+    expect(fallback).toMatchObject({ status: 'done', reviews, fallbackError: { name: 'InvalidApiKeyError' } });
+    expect(fallback.summary.local).toBe(true);
+    expect(fallback.summary.pros[0]).toMatchObject({ mentions: 2, reviews: [1, 2] });
+    expect(fallback.localNote).toBe('Error: OpenAI rejected the API key. Please check it in the settings. ' +
+        'Showing a quick local summary made on this device instead; it is only approximate.');
+    expect(badges[108]).toBe('✓');
+    expect(store.summaryCache).toBeUndefined();
+
+    delete store.openaiApiKey;
+    const local = await startSummaryJob(108, { reviews, page, local: true });
+    expect(local).toMatchObject({ status: 'done', fallbackError: null, localNote: 'Quick local summary made on this device without the model; it is only approximate.' });
+    expect(fetched).toBe(1);
+
+    const segmented = await startSummaryJob(108, { reviews, segmented: true });
+    expect(segmented.fallbackError.message).toBe('OpenAI API key not set. Please add it in the settings.');
+    expect(segmented.summary.local).toBe(true);
+    expect(segmented.summary.segments.map(segment => segment.summary?.local)).toEqual([true, true]);
+});
+
+test('records the token usage of summaries and keeps them within the spending caps', async () => {
+    const { startSummaryJob, handleBackgroundMessage } = require('./background.js');
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+    const fetchSummary = streamingFetch(SUMMARY, { prompt_tokens: 10000, completion_tokens: 1000 });
+    let fetched = 0;
+    global.fetch = (...args) => {
+        fetched++;
+        return fetchSummary(...args);
+    };
+
+    const job = await startSummaryJob(109, { reviews });
+    expect(job.usage).toEqual({ inputTokens: 10000, outputTokens: 1000, cost: 0.035, estimated: false });
+    expect(job.budgetNote).toBeNull();
+    expect(Object.values(store.usageLog.days)).toEqual([{ requests: 1, inputTokens: 10000, outputTokens: 1000, cost: 0.035, unpricedRequests: 0 }]);
+    expect(Object.values(store.usageLog.months)).toEqual(Object.values(store.usageLog.days));
+
+    // With $0.035 spent, the next summary (at least 1500 output tokens at $10 per million) would exceed a 4 cent cap.
+    store.budgetSettings = { dailyCap: 0.04, overCapAction: 'warn' };
+    const warned = await startSummaryJob(109, { reviews });
+    expect(warned.summary).toEqual(SUMMARY);
+    expect(warned.budgetNote).toMatch(/^Warning: This request \(about \$0\.01\d\) would exceed your daily spending cap of \$0\.040; \$0\.035 was spent today\.$/);
+    expect(fetched).toBe(2);
+
+    store.budgetSettings = { dailyCap: 0.04, overCapAction: 'block' };
+    const blocked = await startSummaryJob(109, { reviews });
+    expect(blocked).toMatchObject({ status: 'done', fallbackError: { name: 'BudgetExceededError' }, budgetNote: null, usage: null });
+    expect(blocked.summary.local).toBe(true);
+    expect(blocked.localNote).toMatch(/^Error: This request .* Showing a quick local summary/);
+    expect(fetched).toBe(2);
+    expect(Object.values(store.usageLog.days)[0].requests).toBe(2);
+
+    // The popup sends the usage of its own requests to the service worker, which keeps the log.
+    const responses = [];
+    const llmSettings = await getLlmSettings();
+    handleBackgroundMessage({ action: 'recordUsage', llmSettings, usage: { inputTokens: 1000, outputTokens: 100 } }, {}, (response) => responses.push(response));
+    handleBackgroundMessage({ action: 'recordUsage', llmSettings, usage: { inputTokens: 1000, outputTokens: 100 } }, {}, (response) => responses.push(response));
+    await expect.poll(() => responses).toEqual([{ cost: 0.0035 }, { cost: 0.0035 }]);
+    expect(Object.values(store.usageLog.days)[0].requests).toBe(4);
+});
+
+test('loads reviews through the content script and joins a load already running', async () => {
+    const { loadReviewsForTab, handleBackgroundMessage } = require('./background.js');
+    const requests = [];
+    let respond;
+    global.chrome.tabs.sendMessage = (tabId, message) => {
+        requests.push({ tabId, message });
+        return new Promise(resolve => { respond = resolve; });
+    };
+
+    const first = loadReviewsForTab(104, { maxPages: 3, delayMs: 500 });
+    let joined;
+    handleBackgroundMessage({ action: 'getReviews', tabId: 104 }, {}, (response) => { joined = response; });
+    respond({ reviews: [{ id: 'R1', text: 'Great.' }] });
+
+    expect(await first).toEqual({ reviews: [{ id: 'R1', text: 'Great.' }] });
+    await expect.poll(() => joined).toEqual({ reviews: [{ id: 'R1', text: 'Great.' }] });
+    expect(requests).toEqual([{ tabId: 104, message: { action: 'getReviews', fullCrawl: false, maxPages: 3, delayMs: 500 } }]);
+    expect(sessionStore['summaryJob:104']).toMatchObject({ status: 'idle', reviews: [{ id: 'R1', text: 'Great.' }] });
+
+    global.chrome.tabs.sendMessage = () => Promise.reject(new Error('Could not establish connection. Receiving end does not exist.'));
+    expect(await loadReviewsForTab(105)).toEqual({ error: 'Could not establish connection. Receiving end does not exist.' });
+});
+
+test('restores jobs after the service worker restarts and marks running ones as interrupted', async () => {
+    const { getSummaryJob } = require('./background.js');
+    sessionStore['summaryJob:106'] = { tabId: 106, status: 'done', summary: SUMMARY, reviews: [] };
+    sessionStore['summaryJob:107'] = { tabId: 107, status: 'summarizing', reviews: [] };
+
+    expect((await getSummaryJob(106)).summary).toEqual(SUMMARY);
+    const interrupted = await getSummaryJob(107);
+    expect(interrupted.status).toBe('error');
+    expect(interrupted.error.message).toContain('interrupted');
+});
+
+test('summarizes the current tab from the keyboard shortcuts', async () => {
+    const { handleCommand } = require('./background.js');
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+    const requests = [];
+    global.chrome.tabs.sendMessage = (tabId, message) => {
+        requests.push(message);
+        return Promise.resolve({ reviews });
+    };
+    let fetches = 0;
+    const fetchSummary = streamingFetch(SUMMARY);
+    global.fetch = (...args) => {
+        fetches++;
+        return fetchSummary(...args);
+    };
+    const tab = { id: 108, url: 'https://www.amazon.com/product-reviews/B0DLNYJ3YR', title: 'Headphones' };
+
+    const job = await handleCommand('summarize-reviews', tab);
+    expect(job).toMatchObject({ status: 'done', summary: SUMMARY, page: { site: 'amazon', itemId: 'B0DLNYJ3YR', title: 'Headphones' } });
+    expect(requests[0]).toEqual({ action: 'getReviews', fullCrawl: false, maxPages: 10, delayMs: 1000 });
+    expect(badges[108]).toBe('✓');
+
+    await handleCommand('summarize-reviews', tab);
+    expect(fetches).toBe(1); // The same reviews reuse the cached summary.
+    await handleCommand('rerun-summary', tab);
+    expect(fetches).toBe(2);
+
+    expect(await handleCommand('summarize-reviews', { id: 109, url: 'https://example.com/' })).toBeNull();
+    expect(requests).toHaveLength(3);
+});
+
+test('opens the popup for a question and lists the Amazon pages of the context menu', async () => {
+    const { handleCommand, handleBackgroundMessage, getAmazonPageUrlPatterns } = require('./background.js');
+    let opened = 0;
+    global.chrome.action.openPopup = () => Promise.resolve(opened++);
+
+    await handleCommand('ask-question', { id: 110, url: 'https://www.amazon.com/dp/B0DLNYJ3YR' });
+    expect(opened).toBe(1);
+
+    const responses = [];
+    handleBackgroundMessage({ action: 'getSummaryJob', tabId: 110 }, {}, (response) => responses.push(response));
+    handleBackgroundMessage({ action: 'getSummaryJob', tabId: 110 }, {}, (response) => responses.push(response));
+    await expect.poll(() => responses.length).toBe(2);
+    expect(responses.map(response => response.openChat)).toEqual([true, false]);
+
+    const patterns = getAmazonPageUrlPatterns();
+    expect(patterns).toContain('https://www.amazon.de/dp/*');
+    expect(patterns).toContain('https://www.amazon.co.jp/*/product-reviews/*');
+    expect(patterns).not.toContain('https://www.yelp.com/biz/*');
+});
+
+test('shows jobs in the panel on the page when results are shown there', async () => {
+    const { startSummaryJob, handleCommand } = require('./background.js');
+    store.summarySettings = { resultsView: 'panel' };
+    const panelMessages = [];
+    global.chrome.tabs.sendMessage = (tabId, message) => {
+        panelMessages.push({ tabId, message });
+        return Promise.resolve();
+    };
+    global.fetch = streamingFetch(SUMMARY);
+
+    await startSummaryJob(111, { reviews: [{ id: 'R1', rating: 5, text: 'Solid build.' }] });
+
+    const statuses = panelMessages.map(({ message }) => message.job.status);
+    expect(panelMessages.every(({ tabId, message }) => tabId === 111 && message.action === 'showSummaryPanel')).toBe(true);
+    expect(statuses[0]).toBe('summarizing');
+    expect(statuses[statuses.length - 1]).toBe('done');
+
+    panelMessages.length = 0;
+    await handleCommand('ask-question', { id: 111, url: 'https://www.amazon.com/dp/B0DLNYJ3YR' });
+    expect(panelMessages).toHaveLength(1);
+    expect(panelMessages[0].message).toMatchObject({ action: 'showSummaryPanel', openChat: true, job: { status: 'done' } });
+});
+
+test('answers the questions of the panel over a port', async () => {
+    const { startSummaryJob, handleQuestionPort } = require('./background.js');
+    global.fetch = streamingFetch(SUMMARY);
+    await startSummaryJob(112, { reviews: [{ id: 'R1', rating: 5, text: 'Solid build.' }] });
+
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    ['It is solid ', '[Review 1].'].forEach(content => {
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+                    });
+                    controller.close();
+                }
+            })
+        });
+    };
+    const posted = [];
+    let onMessage;
+    handleQuestionPort({
+        sender: { tab: { id: 112 } },
+        postMessage: (message) => posted.push(message),
+        onMessage: { addListener: (listener) => { onMessage = listener; } },
+        onDisconnect: { addListener: () => {} }
+    });
+
+    await onMessage({ question: 'Is it sturdy?', history: [] });
+
+    expect(requests[0].messages[0].content).toContain('Solid build.');
+    expect(posted).toEqual([{ text: 'It is solid ' }, { text: 'It is solid [Review 1].' }, { done: true, answer: 'It is solid [Review 1].' }]);
+
+    posted.length = 0;
+    handleQuestionPort({
+        sender: { tab: { id: 113 } },
+        postMessage: (message) => posted.push(message),
+        onMessage: { addListener: (listener) => { onMessage = listener; } },
+        onDisconnect: { addListener: () => {} }
+    });
+    await onMessage({ question: 'Is it sturdy?', history: [] });
+    expect(posted[0].error).toContain('no reviews');
+});
+
+test('refuses or warns about panel questions over a spending cap', async () => {
+    const { startSummaryJob, handleQuestionPort } = require('./background.js');
+    global.fetch = streamingFetch(SUMMARY);
+    await startSummaryJob(114, { reviews: [{ id: 'R1', rating: 5, text: 'Solid build.' }] });
+    let fetched = 0;
+    global.fetch = (...args) => {
+        fetched++;
+        return streamingFetch('Yes [Review 1].')(...args);
+    };
+    const posted = [];
+    let onMessage;
+    handleQuestionPort({
+        sender: { tab: { id: 114 } },
+        postMessage: (message) => posted.push(message),
+        onMessage: { addListener: (listener) => { onMessage = listener; } },
+        onDisconnect: { addListener: () => {} }
+    });
+
+    // The answer is counted at the 1500 max tokens of gpt-4o, so the question exceeds a tenth of a cent.
+    store.budgetSettings = { dailyCap: 0.001, overCapAction: 'block' };
+    await onMessage({ question: 'Is it sturdy?', history: [] });
+    expect(posted).toEqual([{ error: expect.stringMatching(/^Error: This request \(about \$0\.01\d\) would exceed your daily spending cap of \$0\.001;/) }]);
+    expect(fetched).toBe(0);
+
+    posted.length = 0;
+    store.budgetSettings = { dailyCap: 0.001, overCapAction: 'warn' };
+    await onMessage({ question: 'Is it sturdy?', history: [] });
+    expect(posted[0].budgetNote).toMatch(/^Warning: This request .* would exceed your daily spending cap/);
+    expect(posted[posted.length - 1]).toEqual({ done: true, answer: '"Yes [Review 1]."' });
+    expect(fetched).toBe(1);
+});
+
+test('loads and summarizes the fans and critics separately from star filtered reviews', async () => {
+    const { startSummaryJob } = require('./background.js');
+    const requests = [];
+    const summaries = [
+        { pros: [{ point: 'Bright screen', mentions: 1, reviews: [1] }], cons: [], verdict: 'Loved.', confidence: 0.8 },
+        { pros: [], cons: [{ point: 'Dies after a month', mentions: 2, reviews: [1, 2] }], verdict: 'Fragile.', confidence: 0.7 }
+    ];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return streamingFetch(summaries[requests.length - 1])();
+    };
+    const tabMessages = [];
+    global.chrome.tabs.sendMessage = (tabId, message) => {
+        tabMessages.push(message);
+        const reviews = message.starFilter === 'positive'
+            ? [{ id: 'R5', rating: 5, text: 'Bright screen.' }]
+            : [{ id: 'R1', rating: 1, text: 'Died.' }, { id: 'R2', rating: 2, text: 'Died too.' }, { id: 'R3', rating: 3, text: 'Meh.' }];
+        return Promise.resolve({ reviews, histogram: { 5: 70, 1: 20 } });
+    };
+    const page = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/product-reviews/B0DLNYJ3YR' };
+
+    const job = await startSummaryJob(121, { reviews: [{ id: 'R9', rating: 4, text: 'Fine.' }], page, segmented: true });
+
+    expect(tabMessages).toEqual([
+        { action: 'getReviews', starFilter: 'positive', maxPages: 10, delayMs: 1000 },
+        { action: 'getReviews', starFilter: 'critical', maxPages: 10, delayMs: 1000 }
+    ]);
+    expect(job.status).toBe('done');
+    // The 3 star review of the critical filter is in neither group.
+    expect(job.reviews.map(review => review.id)).toEqual(['R5', 'R1', 'R2']);
+    expect(job.insights.histogram).toEqual({ 5: 70, 1: 20 });
+    expect(job.summary.segments[1].summary.cons[0].reviews).toEqual([2, 3]);
+    expect(requests[1].messages[0].content).toContain('1 or 2 stars');
+    expect(store.summaryCache).toBeUndefined();
+    expect(badges[121]).toBe('✓');
+});
+
+test('splits the loaded reviews by rating on sites without a star filter', async () => {
+    const { startSummaryJob } = require('./background.js');
+    global.fetch = streamingFetch(SUMMARY);
+    global.chrome.tabs.sendMessage = () => Promise.reject(new Error('The tab should not be asked for reviews.'));
+    const page = { site: 'yelp', marketplace: 'www.yelp.com', itemId: 'joes-pizza', url: 'https://www.yelp.com/biz/joes-pizza' };
+
+    const job = await startSummaryJob(122, { reviews: [{ id: 'Y1', rating: 5, text: 'Solid build.' }], page, segmented: true });
+
+    expect(job.reviews.map(review => review.id)).toEqual(['Y1']);
+    expect(job.summary.segments.map(segment => segment.reviewCount)).toEqual([1, 0]);
+
+    const noGroups = await startSummaryJob(122, { reviews: [{ id: 'Y2', rating: 3, text: 'Okay.' }], page, segmented: true });
+    expect(noGroups.status).toBe('error');
+    expect(noGroups.error.message).toBe('There are no 1 or 2 star and no 4 or 5 star reviews to compare.');
+});
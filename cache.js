@@ -0,0 +1,172 @@
+// cache.js
+
+// Constants
+const SUMMARY_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Summaries are reused for a week
+const SUMMARY_CACHE_MAX_ENTRIES = 50; // Oldest entries are dropped beyond this
+const SUMMARY_CACHE_MAX_BYTES = 4 * 1024 * 1024; // ...or beyond this size, well below the 10 MB storage quota
+
+/**
+ * Hashes a review set so that a cached summary is only reused for the same reviews.
+ * The hash does not depend on the order of the reviews.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {string} An 8-character hexadecimal FNV-1a hash.
+ */
+function hashReviews(reviews) {
+    const keys = reviews.map(review => review.id || review.text).sort().join('\n');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < keys.length; i++) {
+        hash ^= keys.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Builds the cache key of a summary.
+ *
+ * @param {string} marketplace - The marketplace host (e.g. 'www.amazon.co.uk').
+ * @param {string} itemId - The item ID (the ASIN on Amazon).
+ * @param {string} reviewHash - The hash of the summarized review set (see hashReviews).
+ * @returns {string} The cache key.
+ */
+function buildSummaryCacheKey(marketplace, itemId, reviewHash) {
+    return `${marketplace}|${itemId}|${reviewHash}`;
+}
+
+/**
+ * Retrieves all cached summaries from chrome storage.
+ *
+ * @returns {Promise<Object<string, Object>>} A promise that resolves to the cache entries keyed by cache key.
+ */
+async function getSummaryCache() {
+    try {
+        const { summaryCache } = await chrome.storage.local.get('summaryCache');
+        return summaryCache || {};
+    } catch (error) {
+        console.error("Error retrieving summary cache from storage:", error);
+        return {};
+    }
+}
+
+/**
+ * Finds the newest cached summary of a product that is younger than the TTL.
+ *
+ * @param {string} marketplace - The marketplace host.
+ * @param {string} itemId - The item ID.
+ * @param {string|null} [reviewHash=null] - If given, only a summary of exactly this review set is returned.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Promise<Object|null>} A promise that resolves to the cache entry, or null if there is none.
+ */
+async function getCachedSummary(marketplace, itemId, reviewHash = null, now = Date.now()) {
+    const entries = Object.values(await getSummaryCache())
+        .filter(entry => entry.marketplace === marketplace && entry.itemId === itemId)
+        .filter(entry => reviewHash === null || entry.reviewHash === reviewHash)
+        .filter(entry => now - entry.createdAt < SUMMARY_CACHE_TTL_MS)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    return entries[0] || null;
+}
+
+/**
+ * Returns the keys of the cache entries to keep, newest first: at most SUMMARY_CACHE_MAX_ENTRIES
+ * entries that together take up at most SUMMARY_CACHE_MAX_BYTES.
+ *
+ * @param {Object<string, Object>} cache - The cache entries keyed by cache key.
+ * @returns {string[]} The keys of the entries to keep.
+ */
+function selectSummaryCacheKeys(cache) {
+    const encoder = new TextEncoder();
+    const keys = Object.keys(cache).sort((a, b) => cache[b].createdAt - cache[a].createdAt);
+    const kept = [];
+    let bytes = 0;
+    for (const key of keys.slice(0, SUMMARY_CACHE_MAX_ENTRIES)) {
+        const size = encoder.encode(JSON.stringify(cache[key])).length;
+        if (bytes + size <= SUMMARY_CACHE_MAX_BYTES) {
+            bytes += size;
+            kept.push(key);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Stores a summary in the cache, replacing any summary of the same review set and dropping the
+ * oldest entries beyond SUMMARY_CACHE_MAX_ENTRIES or SUMMARY_CACHE_MAX_BYTES. If the storage quota
+ * is still exceeded, e.g. by other stored data, older entries are dropped until the cache fits.
+ *
+ * @param {Object} entry - The summary to store.
+ * @param {string} entry.site - The site adapter ID.
+ * @param {string} entry.marketplace - The marketplace host.
+ * @param {string} entry.itemId - The item ID.
+ * @param {string} entry.title - The product name shown in the history.
+ * @param {string} entry.url - The page the summary was made on.
+ * @param {Object[]} entry.reviews - The summarized reviews, for the supporting quotes.
+ * @param {Object|null} entry.insights - The product insights, if any.
+ * @param {Object} entry.summary - The structured summary.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Promise<Object>} A promise that resolves to the stored entry.
+ */
+async function saveSummaryToCache(entry, now = Date.now()) {
+    const reviewHash = hashReviews(entry.reviews);
+    const stored = {
+        ...entry,
+        key: buildSummaryCacheKey(entry.marketplace, entry.itemId, reviewHash),
+        reviewHash,
+        reviewCount: entry.reviews.length,
+        createdAt: now
+    };
+    const cache = await getSummaryCache();
+    cache[stored.key] = stored;
+
+    let keys = selectSummaryCacheKeys(cache);
+    while (true) {
+        try {
+            await chrome.storage.local.set({ summaryCache: Object.fromEntries(keys.map(key => [key, cache[key]])) });
+            break;
+        } catch (error) {
+            if (!/quota/i.test(error.message) || keys.length === 0) {
+                console.error("Error saving summary to cache:", error);
+                break;
+            }
+            console.warn("Storage quota exceeded, dropping older cached summaries.");
+            keys = keys.slice(0, Math.floor(keys.length / 2));
+        }
+    }
+    return stored;
+}
+
+/**
+ * Returns the cached summaries as a history, newest first.
+ *
+ * @returns {Promise<Object[]>} A promise that resolves to the cache entries.
+ */
+async function getSummaryHistory() {
+    return Object.values(await getSummaryCache()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Removes all cached summaries.
+ *
+ * @returns {Promise<void>} A promise that resolves once the cache is cleared.
+ */
+async function clearSummaryHistory() {
+    try {
+        await chrome.storage.local.remove('summaryCache');
+    } catch (error) {
+        console.error("Error clearing summary cache:", error);
+    }
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SUMMARY_CACHE_TTL_MS,
+        SUMMARY_CACHE_MAX_ENTRIES,
+        SUMMARY_CACHE_MAX_BYTES,
+        hashReviews,
+        getCachedSummary,
+        saveSummaryToCache,
+        getSummaryHistory,
+        clearSummaryHistory
+    };
+}
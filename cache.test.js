@@ -0,0 +1,117 @@
+const { test, expect } = require('@playwright/test');
+
+const {
+    SUMMARY_CACHE_TTL_MS,
+    SUMMARY_CACHE_MAX_ENTRIES,
+    SUMMARY_CACHE_MAX_BYTES,
+    hashReviews,
+    getCachedSummary,
+    saveSummaryToCache,
+    getSummaryHistory,
+    clearSummaryHistory
+} = require('./cache.js');
+
+const SUMMARY = { pros: [], cons: [], verdict: 'Fine.', confidence: 0.5 };
+
+/**
+ * Creates a cache entry of a product for saveSummaryToCache.
+ *
+ * @param {string} itemId - The item ID.
+ * @param {Object[]} [reviews] - The summarized reviews.
+ * @returns {Object} The entry.
+ */
+function entryFor(itemId, reviews = [{ id: 'R1', text: 'Good.' }]) {
+    return {
+        site: 'amazon',
+        marketplace: 'www.amazon.com',
+        itemId,
+        title: `Product ${itemId}`,
+        url: `https://www.amazon.com/dp/${itemId}`,
+        reviews,
+        insights: null,
+        summary: SUMMARY
+    };
+}
+
+let store;
+
+/**
+ * Before each test, stub chrome.storage.local with an in-memory store.
+ */
+test.beforeEach(() => {
+    store = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key) => Promise.resolve({ [key]: store[key] }),
+                set: (items) => Promise.resolve(Object.assign(store, items)),
+                remove: (key) => Promise.resolve(delete store[key])
+            }
+        }
+    };
+});
+
+/**
+ * After each test, remove the chrome stub.
+ */
+test.afterEach(() => {
+    global.chrome = undefined;
+});
+
+test('Hashes review sets independently of their order', () => {
+    const a = { id: 'R1', text: 'Good.' };
+    const b = { id: 'R2', text: 'Bad.' };
+
+    expect(hashReviews([a, b])).toBe(hashReviews([b, a]));
+    expect(hashReviews([a, b])).toMatch(/^[0-9a-f]{8}$/);
+    expect(hashReviews([a])).not.toBe(hashReviews([a, b]));
+    expect(hashReviews([{ text: 'No ID.' }])).not.toBe(hashReviews([{ text: 'Other text.' }]));
+});
+
+test('Returns the newest fresh summary of a product and honors the review hash and TTL', async () => {
+    const reviews = [{ id: 'R1', text: 'Good.' }];
+    const moreReviews = [...reviews, { id: 'R2', text: 'Bad.' }];
+    await saveSummaryToCache(entryFor('B000000001', reviews), 1000);
+    await saveSummaryToCache(entryFor('B000000001', moreReviews), 2000);
+
+    expect((await getCachedSummary('www.amazon.com', 'B000000001', null, 3000)).reviewCount).toBe(2);
+    expect((await getCachedSummary('www.amazon.com', 'B000000001', hashReviews(reviews), 3000)).createdAt).toBe(1000);
+    expect(await getCachedSummary('www.amazon.co.uk', 'B000000001', null, 3000)).toBeNull();
+    expect(await getCachedSummary('www.amazon.com', 'B000000001', hashReviews(reviews), 1000 + SUMMARY_CACHE_TTL_MS)).toBeNull();
+});
+
+test('Keeps the history newest first, capped and clearable', async () => {
+    for (let i = 0; i <= SUMMARY_CACHE_MAX_ENTRIES; i++) {
+        await saveSummaryToCache(entryFor(`B${String(i).padStart(9, '0')}`), i);
+    }
+
+    const history = await getSummaryHistory();
+    expect(history).toHaveLength(SUMMARY_CACHE_MAX_ENTRIES);
+    expect(history[0].itemId).toBe(`B${String(SUMMARY_CACHE_MAX_ENTRIES).padStart(9, '0')}`);
+    expect(history.some(entry => entry.itemId === 'B000000000')).toBe(false);
+
+    await clearSummaryHistory();
+    expect(await getSummaryHistory()).toEqual([]);
+});
+
+test('Drops the oldest summaries beyond the size cap and when the storage quota is exceeded', async () => {
+    const bigReviews = (i) => [{ id: `R${i}`, text: 'x'.repeat(Math.ceil(SUMMARY_CACHE_MAX_BYTES / 3)) }];
+    for (let i = 0; i < 4; i++) {
+        await saveSummaryToCache(entryFor(`B00000000${i}`, bigReviews(i)), i);
+    }
+    expect((await getSummaryHistory()).map(entry => entry.itemId)).toEqual(['B000000003', 'B000000002']);
+
+    // Like chrome.storage, refuse to store more than the quota.
+    await clearSummaryHistory();
+    const set = global.chrome.storage.local.set;
+    global.chrome.storage.local.set = (items) => JSON.stringify(items).length > 5000
+        ? Promise.reject(new Error('Resource::kQuotaBytes quota exceeded'))
+        : set(items);
+    for (let i = 0; i < 4; i++) {
+        await saveSummaryToCache(entryFor(`B00000000${i}`, [{ id: `R${i}`, text: 'x'.repeat(2000) }]), i);
+    }
+    const history = await getSummaryHistory();
+    expect(history[0].itemId).toBe('B000000003');
+    expect(history.length).toBeLessThan(4);
+    expect(JSON.stringify(store.summaryCache).length).toBeLessThanOrEqual(5000);
+});
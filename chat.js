@@ -0,0 +1,202 @@
+// chat.js
+
+// Constants
+const CHAT_SYSTEM_PROMPT = `You are a helpful assistant answering questions about a product based on its customer reviews. Each review is numbered ([Review N]) and preceded by its rating, whether it is a Verified Purchase and how many helpful votes it received. Answer only from what the reviews say, and say so when the reviews do not cover the question. Be concise. You may format the answer with Markdown: short bullet lists, **bold** and headings. Cite the reviews each statement is based on right after the statement, one citation per review, in the form [Review N] (e.g. "The battery lasts about a day [Review 2] [Review 7].").`;
+const CHAT_CONTEXT_TOKENS = 12000; // Token budget of the reviews and the earlier questions and answers sent with a question
+const CHAT_HISTORY_TOKENS = 4000; // Part of that budget the earlier questions and answers may take
+const CITATION_PATTERN = /\[Review (\d+)\]/g;
+
+/**
+ * Splits a question into lowercase words that are long enough to be meaningful.
+ *
+ * @param {string} text - The text.
+ * @returns {string[]} The words.
+ */
+function getKeywords(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 3);
+}
+
+/**
+ * Selects the reviews sent with a question. All reviews are sent if they fit the token budget;
+ * otherwise the reviews sharing the most words with the question are picked, more helpful reviews first.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @param {string} question - The question.
+ * @param {number} [maxTokens=CHAT_CONTEXT_TOKENS] - Token budget of the selected reviews.
+ * @returns {{number: number, review: Object}[]} The selected reviews with their 1-based review numbers, in review order.
+ */
+function selectReviewsForQuestion(reviews, question, maxTokens = CHAT_CONTEXT_TOKENS) {
+    const candidates = reviews.map((review, index) => ({
+        number: index + 1,
+        review,
+        tokens: estimateTokens(formatReviewsForPrompt([review], index)) + 2
+    }));
+    if (candidates.reduce((total, candidate) => total + candidate.tokens, 0) <= maxTokens) {
+        return candidates.map(({ number, review }) => ({ number, review }));
+    }
+
+    const keywords = new Set(getKeywords(question));
+    const score = ({ review }) => getKeywords(`${review.title || ''} ${review.text}`)
+        .filter(word => keywords.has(word)).length;
+    const ranked = candidates
+        .map(candidate => ({ ...candidate, score: score(candidate) }))
+        .sort((a, b) => b.score - a.score || (b.review.helpfulVotes || 0) - (a.review.helpfulVotes || 0));
+
+    const selected = [];
+    let usedTokens = 0;
+    ranked.forEach(candidate => {
+        if (usedTokens + candidate.tokens <= maxTokens) {
+            selected.push(candidate);
+            usedTokens += candidate.tokens;
+        }
+    });
+    return selected.sort((a, b) => a.number - b.number).map(({ number, review }) => ({ number, review }));
+}
+
+/**
+ * Keeps the most recent questions and answers of a conversation that fit a token budget and drops the older ones.
+ * The kept conversation starts with a question, as the providers expect.
+ *
+ * @param {{role: string, content: string}[]} history - Earlier questions and answers, oldest first.
+ * @param {number} [maxTokens=CHAT_HISTORY_TOKENS] - Token budget of the kept messages.
+ * @returns {{role: string, content: string}[]} The kept messages, oldest first.
+ */
+function trimChatHistory(history, maxTokens = CHAT_HISTORY_TOKENS) {
+    const kept = [];
+    let usedTokens = 0;
+    for (let index = history.length - 1; index >= 0; index--) {
+        const tokens = estimateTokens(history[index].content);
+        if (usedTokens + tokens > maxTokens) break;
+        kept.unshift(history[index]);
+        usedTokens += tokens;
+    }
+    while (kept.length > 0 && kept[0].role !== 'user') {
+        kept.shift();
+    }
+    return kept;
+}
+
+/**
+ * Splits an answer into plain text and review citations, e.g. for rendering citations as links.
+ * Citations of reviews that do not exist are kept as plain text.
+ *
+ * @param {string} text - The (possibly partial) answer text.
+ * @param {number} reviewCount - Number of reviews that can be cited.
+ * @returns {({text: string}|{review: number})[]} The segments in order.
+ */
+function parseCitations(text, reviewCount) {
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        const number = parseInt(match[1], 10);
+        if (number < 1 || number > reviewCount) continue;
+        if (match.index > lastIndex) {
+            segments.push({ text: text.substring(lastIndex, match.index) });
+        }
+        segments.push({ review: number });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        segments.push({ text: text.substring(lastIndex) });
+    }
+    return segments;
+}
+
+/**
+ * Builds the messages of a question: the reviews relevant to the question and the most recent questions
+ * and answers of the conversation, which together fit CHAT_CONTEXT_TOKENS, followed by the question.
+ *
+ * @param {Object} options - Question options (see askAboutReviews).
+ * @param {string} options.question - The question.
+ * @param {{role: string, content: string}[]} [options.history=[]] - Earlier questions and answers, oldest first.
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {Object|null} [options.insights=null] - Product insights read from a product page.
+ * @returns {{messages: {role: string, content: string}[], reviewCount: number}} The chat messages, system prompt
+ *   first, and the number of reviews sent.
+ */
+function buildChatMessages({ question, history = [], reviews, insights = null }) {
+    const recentHistory = trimChatHistory(history);
+    const historyTokens = recentHistory.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const selected = selectReviewsForQuestion(reviews, question, CHAT_CONTEXT_TOKENS - historyTokens);
+    const insightsText = formatProductInsightsForPrompt(insights);
+    const reviewsText = selected.map(({ number, review }) => formatReviewsForPrompt([review], number - 1)).join('\n---\n');
+    return {
+        messages: [
+            { role: 'system', content: `${CHAT_SYSTEM_PROMPT}\n\nHere are the product reviews:\n\n` + (insightsText ? `${insightsText}\n\n` : '') + reviewsText },
+            ...recentHistory,
+            { role: 'user', content: question }
+        ],
+        reviewCount: selected.length
+    };
+}
+
+/**
+ * Estimates the tokens of a question before it is asked, for the check against the spending caps.
+ * The answer is counted at the selected model's maximum number of output tokens.
+ *
+ * @param {Object} options - Question options (see buildChatMessages), and the LLM settings (see getLlmSettings).
+ * @returns {{inputTokens: number, outputTokens: number}} The estimated tokens.
+ */
+function estimateChatUsage({ llmSettings, ...options }) {
+    const { messages } = buildChatMessages(options);
+    return {
+        inputTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+        outputTokens: llmSettings.providers[llmSettings.provider].maxTokens
+    };
+}
+
+/**
+ * Asks a follow-up question about the reviews and streams the answer. The reviews relevant to the question
+ * are sent along with the most recent questions and answers of the conversation (see buildChatMessages).
+ *
+ * @param {Object} options - Question options.
+ * @param {string} options.question - The question.
+ * @param {{role: string, content: string}[]} [options.history=[]] - Earlier questions and answers, oldest first.
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {Object|null} [options.insights=null] - Product insights read from a product page.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string|null} options.apiKey - The API key of the selected provider.
+ * @param {function(string): void} [options.onText] - Called with the answer text received so far.
+ * @param {function(Object): void} [options.onUsage] - Called with the token usage of the answer (see streamChatCompletion).
+ * @param {AbortSignal} [options.signal] - Stops the answer.
+ * @returns {Promise<string>} A promise that resolves to the full answer.
+ */
+async function askAboutReviews({ question, history = [], reviews, insights = null, llmSettings, apiKey, onText = () => {}, onUsage = () => {}, signal }) {
+    const { messages, reviewCount } = buildChatMessages({ question, history, reviews, insights });
+    console.log(`Answering question with ${reviewCount} of ${reviews.length} reviews.`);
+
+    let answer = '';
+    let usage;
+    try {
+        usage = await streamChatCompletion({
+            providerId: llmSettings.provider,
+            apiKey,
+            ...llmSettings.providers[llmSettings.provider],
+            signal,
+            messages,
+        }, (content) => {
+            answer += content;
+            onText(answer);
+        });
+    } catch (error) {
+        // The part of a stopped or broken off answer that was streamed is paid for all the same.
+        if (error.usage) {
+            await onUsage(error.usage);
+        }
+        throw error;
+    }
+    await onUsage(usage);
+    return answer;
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHAT_SYSTEM_PROMPT,
+        selectReviewsForQuestion,
+        trimChatHistory,
+        estimateChatUsage,
+        parseCitations,
+        askAboutReviews
+    };
+}
@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+
+// chat.js formats reviews with summary.js and streams through the provider layer, loaded as globals as in popup.html.
+Object.assign(global, require('./providers.js'), require('./summary.js'));
+
+const { selectReviewsForQuestion, trimChatHistory, parseCitations, askAboutReviews } = require('./chat.js');
+
+const LLM_SETTINGS = { provider: 'openai', providers: { openai: { model: 'gpt-4o', temperature: 0.7, maxTokens: 1500 } } };
+
+/**
+ * After each test, remove the fetch stub.
+ */
+test.afterEach(() => {
+    global.fetch = undefined;
+});
+
+test('Sends every review when they fit and the most relevant ones otherwise', () => {
+    const reviews = [
+        { text: 'Great sound and comfortable fit. '.repeat(20), helpfulVotes: 0 },
+        { text: 'The battery lasts two days. '.repeat(20), helpfulVotes: 0 },
+        { text: 'Nice colour and packaging. '.repeat(20), helpfulVotes: 3 }
+    ];
+
+    expect(selectReviewsForQuestion(reviews, 'How is the battery?').map(({ number }) => number)).toEqual([1, 2, 3]);
+
+    const selected = selectReviewsForQuestion(reviews, 'How long does the battery last?', 200);
+    expect(selected.map(({ number }) => number)).toEqual([2]);
+    expect(selected[0].review).toBe(reviews[1]);
+});
+
+test('Drops the oldest questions and answers that do not fit the token budget', () => {
+    const history = [
+        { role: 'user', content: 'Is it loud? '.repeat(100) },
+        { role: 'assistant', content: 'Yes, very loud. '.repeat(100) },
+        { role: 'user', content: 'Does it fold?' },
+        { role: 'assistant', content: 'Yes [Review 3].' }
+    ];
+
+    expect(trimChatHistory(history)).toEqual(history);
+    expect(trimChatHistory(history, 500)).toEqual(history.slice(2));
+    // An answer whose question no longer fits is dropped as well.
+    expect(trimChatHistory(history, 410)).toEqual(history.slice(2));
+    expect(trimChatHistory(history, 5)).toEqual([]);
+});
+
+test('Splits answers into text and citations of existing reviews', () => {
+    expect(parseCitations('Lasts a day [Review 2] [Review 9] or more [Review 1].', 3)).toEqual([
+        { text: 'Lasts a day ' },
+        { review: 2 },
+        { text: ' [Review 9] or more ' },
+        { review: 1 },
+        { text: '.' }
+    ]);
+    // A citation split across stream chunks stays text until it is complete.
+    expect(parseCitations('Lasts a day [Rev', 3)).toEqual([{ text: 'Lasts a day [Rev' }]);
+});
+
+test('Streams the answer and sends the conversation so far with the reviews', async () => {
+    let body;
+    global.fetch = (url, init) => {
+        body = JSON.parse(init.body);
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    ['About a day ', '[Review 2].'].forEach(content => controller.enqueue(
+                        encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`)));
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    controller.close();
+                }
+            })
+        });
+    };
+    const history = [{ role: 'user', content: 'Is it loud?' }, { role: 'assistant', content: 'Yes [Review 1].' }];
+    const partials = [];
+
+    const answer = await askAboutReviews({
+        question: 'How long does the battery last?',
+        history,
+        reviews: [{ rating: 5, text: 'Very loud.' }, { rating: 3, text: 'Battery lasts a day.' }],
+        llmSettings: LLM_SETTINGS,
+        apiKey: 'sk-test',
+        onText: (text) => partials.push(text)
+    });
+
+    expect(answer).toBe('About a day [Review 2].');
+    expect(partials).toEqual(['About a day ', 'About a day [Review 2].']);
+    expect(body.response_format).toBeUndefined();
+    expect(body.messages[0].role).toBe('system');
+    expect(body.messages[0].content).toContain('[Review 2] Rating: 3/5');
+    expect(body.messages.slice(1)).toEqual([...history, { role: 'user', content: 'How long does the battery last?' }]);
+});
+
+test('Reports the usage of an answer that is stopped or breaks off while it streams', async () => {
+    const abortController = new AbortController();
+    global.fetch = (url, init) => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'About a day' } }] })}\n\n`));
+                init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+            }
+        })
+    });
+    const usages = [];
+
+    const request = askAboutReviews({
+        question: 'How long does the battery last?',
+        reviews: [{ rating: 3, text: 'Battery lasts a day.' }],
+        llmSettings: LLM_SETTINGS,
+        apiKey: 'sk-test',
+        onText: () => abortController.abort(),
+        onUsage: (usage) => usages.push(usage),
+        signal: abortController.signal
+    });
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    expect(usages).toEqual([{ inputTokens: expect.any(Number), outputTokens: 3, estimated: true }]);
+
+    global.fetch = () => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'About a day' } }] })}\n\n`));
+                setTimeout(() => controller.error(new TypeError('network error')), 0);
+            }
+        })
+    });
+    const lost = askAboutReviews({
+        question: 'How long does the battery last?',
+        reviews: [{ rating: 3, text: 'Battery lasts a day.' }],
+        llmSettings: LLM_SETTINGS,
+        apiKey: 'sk-test',
+        onText: () => {},
+        onUsage: (usage) => usages.push(usage)
+    });
+
+    await expect(lost).rejects.toBeInstanceOf(NetworkError);
+    expect(usages[1]).toEqual({ inputTokens: expect.any(Number), outputTokens: 3, estimated: true });
+});
@@ -0,0 +1,285 @@
+// compare.js
+
+// Constants
+const COMPARISON_STORAGE_KEY = 'comparisonProducts';
+const COMPARISON_MAX_PRODUCTS = 4;
+// Aspects every comparison gives a verdict on; the model may add others the reviews often discuss.
+const COMPARISON_ASPECTS = ['durability', 'value', 'ease of use'];
+const COMPARISON_PRODUCT_TOKENS = 4000; // Token budget of the reviews sent per product
+const COMPARISON_JSON_FORMAT = `{
+  "shared": {"pros": [string], "cons": [string]},
+  "products": [{"product": integer, "pros": [string], "cons": [string]}],
+  "aspects": [{"aspect": string, "verdicts": [{"product": integer, "verdict": string}], "best": integer or null}],
+  "recommendation": {"product": integer, "reason": string}
+}`;
+const COMPARISON_SYSTEM_PROMPT = `You are a helpful assistant comparing similar products based on their customer reviews. Each product is numbered ([Product N]) and comes with the summary of its reviews, if there is one, and a selection of the reviews themselves. Compare the products:
+- "shared": the pros and cons that the reviews of all products mention.
+- "products": for each product, the pros and cons that set it apart from the others.
+- "aspects": for ${COMPARISON_ASPECTS.join(', ')}, and up to three more aspects the reviews often discuss, a short verdict for each product and the number of the best product, or null if the reviews do not tell the products apart.
+- "recommendation": the product you recommend and why, in one or two sentences.
+Base the comparison only on what the reviews say.
+
+Respond with a single JSON object and nothing else, in this format:
+${COMPARISON_JSON_FORMAT}`;
+
+/**
+ * Retrieves the products saved for comparison, in the order they were added.
+ *
+ * @returns {Promise<Object[]>} A promise that resolves to the saved products (see addToComparison).
+ */
+async function getComparisonProducts() {
+    try {
+        const result = await chrome.storage.local.get(COMPARISON_STORAGE_KEY);
+        return result[COMPARISON_STORAGE_KEY] || [];
+    } catch (error) {
+        console.error("Error retrieving comparison products from storage:", error);
+        return [];
+    }
+}
+
+/**
+ * Saves a product for comparison with its reviews and, if it has one, its summary. A product that is
+ * already saved is replaced, so adding it again updates its reviews.
+ *
+ * @param {Object} product - The product to save.
+ * @param {string} product.site - The site adapter ID.
+ * @param {string} product.marketplace - The marketplace host.
+ * @param {string} product.itemId - The item ID.
+ * @param {string} product.title - The product name.
+ * @param {string} product.url - The page the reviews were loaded on.
+ * @param {Object[]} product.reviews - The product's reviews.
+ * @param {Object|null} [product.insights=null] - The product insights, if any.
+ * @param {Object|null} [product.summary=null] - The structured summary of the reviews, if any.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Promise<Object[]>} A promise that resolves to the saved products.
+ * @throws {Error} If COMPARISON_MAX_PRODUCTS other products are already saved.
+ */
+async function addToComparison({ site, marketplace, itemId, title, url, reviews, insights = null, summary = null }, now = Date.now()) {
+    const products = await getComparisonProducts();
+    const index = products.findIndex(product => product.marketplace === marketplace && product.itemId === itemId);
+    if (index === -1 && products.length >= COMPARISON_MAX_PRODUCTS) {
+        throw new Error(`Up to ${COMPARISON_MAX_PRODUCTS} products can be compared. Remove one first.`);
+    }
+    const product = { site, marketplace, itemId, title, url, reviews, insights, summary, addedAt: now };
+    if (index === -1) {
+        products.push(product);
+    } else {
+        products[index] = product;
+    }
+    await chrome.storage.local.set({ [COMPARISON_STORAGE_KEY]: products });
+    return products;
+}
+
+/**
+ * Removes a product from the comparison.
+ *
+ * @param {string} marketplace - The marketplace host.
+ * @param {string} itemId - The item ID.
+ * @returns {Promise<Object[]>} A promise that resolves to the remaining products.
+ */
+async function removeFromComparison(marketplace, itemId) {
+    const products = (await getComparisonProducts())
+        .filter(product => product.marketplace !== marketplace || product.itemId !== itemId);
+    await chrome.storage.local.set({ [COMPARISON_STORAGE_KEY]: products });
+    return products;
+}
+
+/**
+ * Removes all products from the comparison.
+ *
+ * @returns {Promise<void>} A promise that resolves once the comparison is cleared.
+ */
+async function clearComparison() {
+    try {
+        await chrome.storage.local.remove(COMPARISON_STORAGE_KEY);
+    } catch (error) {
+        console.error("Error clearing comparison products:", error);
+    }
+}
+
+/**
+ * Formats the products for the comparison prompt: each product's name, its summary if it has one,
+ * its product insights and as many of its reviews as fit COMPARISON_PRODUCT_TOKENS.
+ *
+ * @param {Object[]} products - The saved products.
+ * @returns {string} The products text to include in the prompt.
+ */
+function formatComparisonProductsForPrompt(products) {
+    return products.map((product, index) => {
+        const parts = [`[Product ${index + 1}] ${product.title}`];
+        if (product.summary) {
+            parts.push('Summary of the reviews:');
+            product.summary.pros.forEach(({ point, mentions }) => parts.push(`+ ${point} (${mentions} mentions)`));
+            product.summary.cons.forEach(({ point, mentions }) => parts.push(`- ${point} (${mentions} mentions)`));
+            parts.push(`Verdict: ${product.summary.verdict}`);
+        }
+        const insightsText = formatProductInsightsForPrompt(product.insights);
+        if (insightsText) {
+            parts.push(insightsText);
+        }
+        const batches = createReviewBatches(product.reviews, COMPARISON_PRODUCT_TOKENS);
+        if (batches.length > 0) {
+            parts.push(`Reviews (${batches[0].reviews.length} of ${product.reviews.length}):`, formatReviewsForPrompt(batches[0].reviews));
+        }
+        return parts.join('\n');
+    }).join('\n\n===\n\n');
+}
+
+/**
+ * Keeps the strings of a list, trimmed.
+ *
+ * @param {*} items - The list from the model's response.
+ * @returns {string[]} The non-empty strings.
+ */
+function validateComparisonPoints(items) {
+    return Array.isArray(items)
+        ? items.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+        : [];
+}
+
+/**
+ * Validates a parsed comparison against the comparison format (see COMPARISON_JSON_FORMAT) and normalizes it:
+ * every product gets its own pros and cons, and verdicts and product numbers outside the compared products are dropped.
+ *
+ * @param {*} comparison - The parsed JSON value.
+ * @param {number} productCount - The number of compared products; product numbers are 1-based.
+ * @returns {{shared: {pros: string[], cons: string[]}, products: {pros: string[], cons: string[]}[],
+ *   aspects: {aspect: string, verdicts: (string|null)[], best: number|null}[], recommendation: {product: number, reason: string}}}
+ *   The normalized comparison; products and verdicts are in product order.
+ * @throws {SummaryValidationError} If the comparison does not match the format.
+ */
+function validateComparison(comparison, productCount) {
+    if (!comparison || typeof comparison !== 'object' || Array.isArray(comparison)) {
+        throw new SummaryValidationError('The comparison must be a JSON object.');
+    }
+    const isProduct = (number) => Number.isInteger(number) && number >= 1 && number <= productCount;
+    const recommendation = comparison.recommendation;
+    if (!recommendation || !isProduct(recommendation.product) || typeof recommendation.reason !== 'string') {
+        throw new SummaryValidationError(`"recommendation" must name one of the ${productCount} products and a reason.`);
+    }
+    if (!Array.isArray(comparison.aspects)) {
+        throw new SummaryValidationError('"aspects" must be an array.');
+    }
+
+    const products = Array.from({ length: productCount }, () => ({ pros: [], cons: [] }));
+    (Array.isArray(comparison.products) ? comparison.products : []).forEach(item => {
+        if (item && isProduct(item.product)) {
+            products[item.product - 1] = { pros: validateComparisonPoints(item.pros), cons: validateComparisonPoints(item.cons) };
+        }
+    });
+    const aspects = comparison.aspects
+        .filter(item => item && typeof item.aspect === 'string' && item.aspect.trim())
+        .map(item => {
+            const verdicts = Array(productCount).fill(null);
+            (Array.isArray(item.verdicts) ? item.verdicts : []).forEach(verdict => {
+                if (verdict && isProduct(verdict.product) && typeof verdict.verdict === 'string') {
+                    verdicts[verdict.product - 1] = verdict.verdict.trim();
+                }
+            });
+            return { aspect: item.aspect.trim(), verdicts, best: isProduct(item.best) ? item.best : null };
+        });
+
+    return {
+        shared: {
+            pros: validateComparisonPoints(comparison.shared?.pros),
+            cons: validateComparisonPoints(comparison.shared?.cons)
+        },
+        products,
+        aspects,
+        recommendation: { product: recommendation.product, reason: recommendation.reason.trim() }
+    };
+}
+
+/**
+ * Builds the messages of a comparison.
+ *
+ * @param {Object[]} products - The saved products (see addToComparison).
+ * @param {{outputLanguage?: string}} [summarySettings={}] - The summary preferences.
+ * @returns {{role: string, content: string}[]} The chat messages, system prompt first.
+ */
+function buildComparisonMessages(products, summarySettings = {}) {
+    let systemPrompt = COMPARISON_SYSTEM_PROMPT;
+    if (summarySettings.outputLanguage?.trim()) {
+        systemPrompt += `\n\nWrite the comparison in ${summarySettings.outputLanguage.trim()}, whatever the language of the reviews.`;
+    }
+    return [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Here are the ${products.length} products to compare:\n\n${formatComparisonProductsForPrompt(products)}` }
+    ];
+}
+
+/**
+ * Estimates the tokens of a comparison before it is requested, with the output counted at the selected
+ * model's maximum, for the check against the spending caps.
+ *
+ * @param {Object} options - The comparison to estimate.
+ * @param {Object[]} options.products - The saved products.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {{outputLanguage?: string}} [options.summarySettings={}] - The summary preferences.
+ * @returns {{inputTokens: number, outputTokens: number}} The estimated tokens.
+ */
+function estimateComparisonUsage({ products, llmSettings, summarySettings = {} }) {
+    const messages = buildComparisonMessages(products, summarySettings);
+    return {
+        inputTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+        outputTokens: llmSettings.providers[llmSettings.provider].maxTokens
+    };
+}
+
+/**
+ * Compares the saved products from their reviews: the pros and cons they share and those that set each
+ * apart, a verdict per aspect (see COMPARISON_ASPECTS) and a recommendation.
+ *
+ * @param {Object} options - Comparison options.
+ * @param {Object[]} options.products - The saved products (see addToComparison), at least two.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string|null} options.apiKey - The API key of the selected provider.
+ * @param {{outputLanguage?: string}} [options.summarySettings={}] - The summary preferences.
+ * @param {function(number): void} [options.onCharacters] - Called with the number of characters received so far.
+ * @param {function(Object): void} [options.onUsage] - Called with the token usage of the comparison (see streamChatCompletion).
+ * @param {AbortSignal} [options.signal] - Stops the comparison.
+ * @returns {Promise<Object>} A promise that resolves to the validated comparison (see validateComparison).
+ */
+async function compareProducts({ products, llmSettings, apiKey, summarySettings = {}, onCharacters = () => {}, onUsage = () => {}, signal }) {
+    console.log(`Comparing ${products.length} products.`);
+
+    let responseText = '';
+    let usage;
+    try {
+        usage = await streamChatCompletion({
+            providerId: llmSettings.provider,
+            apiKey,
+            ...llmSettings.providers[llmSettings.provider],
+            responseFormat: 'json',
+            signal,
+            messages: buildComparisonMessages(products, summarySettings),
+        }, (content) => {
+            responseText += content;
+            onCharacters(responseText.length);
+        });
+    } catch (error) {
+        // A stopped or failed comparison is paid for up to where it ended.
+        if (error.usage) {
+            await onUsage(error.usage);
+        }
+        throw error;
+    }
+    await onUsage(usage);
+    return parseJsonResponse(responseText, (comparison) => validateComparison(comparison, products.length));
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARISON_MAX_PRODUCTS,
+        COMPARISON_ASPECTS,
+        getComparisonProducts,
+        addToComparison,
+        removeFromComparison,
+        clearComparison,
+        formatComparisonProductsForPrompt,
+        validateComparison,
+        estimateComparisonUsage,
+        compareProducts
+    };
+}
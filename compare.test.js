@@ -0,0 +1,149 @@
+const { test, expect } = require('@playwright/test');
+
+// compare.js formats reviews with summary.js and streams through the provider layer, loaded as globals as in popup.html.
+Object.assign(global, require('./providers.js'), require('./summary.js'));
+
+const {
+    COMPARISON_MAX_PRODUCTS,
+    getComparisonProducts,
+    addToComparison,
+    removeFromComparison,
+    clearComparison,
+    formatComparisonProductsForPrompt,
+    validateComparison,
+    compareProducts
+} = require('./compare.js');
+
+const LLM_SETTINGS = { provider: 'openai', providers: { openai: { model: 'gpt-4o', temperature: 0.7, maxTokens: 1500 } } };
+
+let store;
+
+/**
+ * Creates a product to save for comparison.
+ *
+ * @param {string} itemId - The item ID.
+ * @param {Object|null} [summary=null] - The product's summary.
+ * @returns {Object} The product.
+ */
+function productFor(itemId, summary = null) {
+    return {
+        site: 'amazon',
+        marketplace: 'www.amazon.com',
+        itemId,
+        title: `Kettle ${itemId}`,
+        url: `https://www.amazon.com/dp/${itemId}`,
+        reviews: [{ rating: 5, text: `Kettle ${itemId} boils fast.` }],
+        summary
+    };
+}
+
+/**
+ * Before each test, stub chrome storage with an in-memory store.
+ */
+test.beforeEach(() => {
+    store = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key) => Promise.resolve({ [key]: store[key] }),
+                set: (items) => Promise.resolve(Object.assign(store, items)),
+                remove: (key) => Promise.resolve(delete store[key])
+            }
+        }
+    };
+});
+
+test.afterEach(() => {
+    global.chrome = undefined;
+    global.fetch = undefined;
+});
+
+test('Saves up to four products for comparison and replaces a product added again', async () => {
+    for (let i = 1; i <= COMPARISON_MAX_PRODUCTS; i++) {
+        await addToComparison(productFor(`B00000000${i}`), 1000 + i);
+    }
+    await expect(addToComparison(productFor('B000000005'))).rejects.toThrow('Up to 4 products can be compared. Remove one first.');
+
+    const updated = { ...productFor('B000000002'), title: 'Kettle 2, renamed' };
+    const products = await addToComparison(updated, 2000);
+    expect(products.map(product => product.title)).toEqual(['Kettle B000000001', 'Kettle 2, renamed', 'Kettle B000000003', 'Kettle B000000004']);
+    expect(products[1]).toMatchObject({ insights: null, summary: null, addedAt: 2000 });
+
+    expect((await removeFromComparison('www.amazon.com', 'B000000001')).map(product => product.itemId))
+        .toEqual(['B000000002', 'B000000003', 'B000000004']);
+    await clearComparison();
+    expect(await getComparisonProducts()).toEqual([]);
+});
+
+test('Formats each product with its summary and reviews for the prompt', () => {
+    const summary = { pros: [{ point: 'Boils fast', mentions: 3, reviews: [1] }], cons: [{ point: 'Loud', mentions: 1, reviews: [] }], verdict: 'Quick.', confidence: 0.8 };
+    const text = formatComparisonProductsForPrompt([productFor('B000000001', summary), productFor('B000000002')]);
+
+    expect(text).toContain('[Product 1] Kettle B000000001\nSummary of the reviews:\n+ Boils fast (3 mentions)\n- Loud (1 mentions)\nVerdict: Quick.');
+    expect(text).toContain('[Product 2] Kettle B000000002\nReviews (1 of 1):\n[Review 1]');
+    expect(text).toContain('Kettle B000000002 boils fast.');
+});
+
+test('Validates comparisons and drops unknown products', () => {
+    const comparison = validateComparison({
+        shared: { pros: ['Boils fast', 3], cons: [] },
+        products: [{ product: 2, pros: ['Quiet'], cons: [' Small '] }, { product: 7, pros: ['Ghost'], cons: [] }],
+        aspects: [
+            { aspect: 'durability', verdicts: [{ product: 1, verdict: 'Lasts years' }, { product: 5, verdict: 'Unknown' }], best: 1 },
+            { aspect: 'value', verdicts: [], best: 9 },
+            { verdicts: [] }
+        ],
+        recommendation: { product: 2, reason: ' Quieter for the same price. ' }
+    }, 2);
+
+    expect(comparison).toEqual({
+        shared: { pros: ['Boils fast'], cons: [] },
+        products: [{ pros: [], cons: [] }, { pros: ['Quiet'], cons: ['Small'] }],
+        aspects: [
+            { aspect: 'durability', verdicts: ['Lasts years', null], best: 1 },
+            { aspect: 'value', verdicts: [null, null], best: null }
+        ],
+        recommendation: { product: 2, reason: 'Quieter for the same price.' }
+    });
+    expect(() => validateComparison({ aspects: [], recommendation: { product: 3, reason: 'No.' } }, 2)).toThrow(SummaryValidationError);
+    expect(() => validateComparison({ recommendation: { product: 1, reason: 'Yes.' } }, 2)).toThrow('"aspects" must be an array.');
+});
+
+test('Compares the products in one request', async () => {
+    const requests = [];
+    const response = {
+        shared: { pros: ['Boils fast'], cons: [] },
+        products: [],
+        aspects: [{ aspect: 'ease of use', verdicts: [{ product: 1, verdict: 'Simple' }], best: 1 }],
+        recommendation: { product: 1, reason: 'Simpler.' }
+    };
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    const chunk = { choices: [{ delta: { content: '```json\n' + JSON.stringify(response) + '\n```' } }] };
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+
+    const comparison = await compareProducts({
+        products: [productFor('B000000001'), productFor('B000000002')],
+        llmSettings: LLM_SETTINGS,
+        apiKey: 'sk',
+        summarySettings: { outputLanguage: 'German' }
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].response_format).toEqual({ type: 'json_object' });
+    expect(requests[0].messages[0].content).toContain('durability, value, ease of use');
+    expect(requests[0].messages[0].content).toContain('Write the comparison in German');
+    expect(requests[0].messages[1].content).toContain('Here are the 2 products to compare');
+    expect(comparison.recommendation).toEqual({ product: 1, reason: 'Simpler.' });
+    expect(comparison.aspects[0].verdicts).toEqual(['Simple', null]);
+});
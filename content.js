@@ -1,11 +1,32 @@
 // content.js
 
+/**
+ * Sends crawl progress to the extension popup. The popup may be closed while the
+ * background service worker runs the crawl, so delivery failures are ignored.
+ *
+ * @param {{page: number, totalPages: number, reviewCount: number}} progress - The current crawl progress.
+ * @returns {void}
+ */
+function reportCrawlProgress(progress) {
+  try {
+    Promise.resolve(chrome.runtime.sendMessage({ action: "crawlProgress", ...progress })).catch(() => {});
+  } catch (error) {
+    console.log("Could not report crawl progress:", error.message);
+  }
+}
+
 /**
  * Listener for messages from the extension popup or background scripts.
- * When a message with action "getReviews" is received, it queries the DOM for
- * review elements, extracts their text content, and returns an array of reviews.
+ * When a message with action "getReviews" is received on a reviews page, it crawls the review pages
+ * of the current product with the adapter of the current site and returns an array of reviews.
+ * On a product page it returns the reviews and insights shown on the page, or crawls the
+ * product's reviews pages if "fullCrawl" is set. With "starFilter" set to a star rating group
+ * (see REVIEW_SEGMENTS), only the reviews of that group are crawled, and the rating histogram of the
+ * page is returned with them.
+ * A message with action "showSummaryPanel" shows a summary job in the panel on the page (see panel.js).
  *
  * @param {Object} request - The message object received, expected to have an "action" property.
+ *   For "getReviews", optional "maxPages" and "delayMs" properties configure the crawl, and "starFilter" limits it.
  * @param {Object} sender - The sender of the message.
  * @param {function} sendResponse - Function used to send the response back.
  * @returns {boolean} Returns true to indicate asynchronous response.
@@ -13,20 +34,64 @@
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "getReviews") {
     console.log("Content script received getReviews request");
-    const reviewElements = document.querySelectorAll('[data-hook="review-body"] > span');
-    const reviews = [];
-    reviewElements.forEach(span => {
-      // Check if the span has text content and trim it before adding to the reviews array.
-      const reviewText = span.textContent ? span.textContent.trim() : '';
-      if (reviewText) {
-         reviews.push(reviewText);
+    const page = matchSitePage(window.location.href);
+    if (!page) {
+      sendResponse({ reviews: [], error: "This page is not a supported reviews page." });
+      return true;
+    }
+
+    if (request.starFilter && !page.adapter.starFilter) {
+      sendResponse({ reviews: [], error: `${page.adapter.name} reviews cannot be filtered by star rating.` });
+      return true;
+    }
+
+    if (page.type === 'product' && !request.fullCrawl && !request.starFilter) {
+      if (!page.adapter.parseProductPage) {
+        sendResponse({ reviews: [], error: "Reviews cannot be read from this product page." });
+        return true;
+      }
+      const { reviews, insights } = page.adapter.parseProductPage(document);
+      console.log(`Found ${reviews.length} reviews on the product page.`);
+      sendResponse({ reviews: reviews, insights: insights });
+      return true;
+    }
+
+    let baseUrl = page.type === 'product'
+      ? page.adapter.getReviewsUrl(page.itemId, window.location.href)
+      : window.location.href;
+    if (request.starFilter) {
+      baseUrl = buildStarFilterUrl(baseUrl, page.adapter.starFilter, request.starFilter);
+    }
+    // The open reviews page is reused as page 1 unless it shows other reviews than the crawl asks for.
+    const showsFirstPage = page.type === 'review' && isFirstReviewPage(baseUrl, page.adapter.pagination) &&
+      (!request.starFilter || new URL(window.location.href).searchParams.get(page.adapter.starFilter.param) ===
+        page.adapter.starFilter.values[request.starFilter]);
+    crawlReviews({
+      adapter: page.adapter,
+      baseUrl: baseUrl,
+      firstPage: showsFirstPage ? document : null,
+      maxPages: request.maxPages,
+      delayMs: request.delayMs,
+      onProgress: reportCrawlProgress
+    }).then(reviews => {
+      console.log(`Found ${reviews.length} reviews.`);
+      if (request.starFilter && page.adapter.parseHistogram) {
+        sendResponse({ reviews: reviews, histogram: page.adapter.parseHistogram(document) });
+      } else {
+        sendResponse({ reviews: reviews });
       }
+    }).catch(error => {
+      console.error("Error crawling reviews:", error);
+      sendResponse({ reviews: [], error: error.message });
     });
-    console.log(`Found ${reviews.length} reviews.`);
-    sendResponse({ reviews: reviews });
     return true; // Keep the message channel open for async response
   }
+
+  if (request.action === "showSummaryPanel") {
+    displaySummaryPanel(request.job, { openChat: request.openChat });
+    sendResponse({ shown: true });
+  }
 });
 
 // Log to confirm that the content script is loaded on the page.
-console.log("Amazon Review Summarizer content script loaded on:", window.location.href);
+console.log("Review Summarizer content script loaded on:", window.location.href);
@@ -0,0 +1,161 @@
+// crawler.js
+
+// Constants
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_PAGE_DELAY_MS = 1000;
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>} A promise that resolves after the delay.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the value of the pagination parameter for a page number.
+ *
+ * @param {{param: string, perPage: number, offset: boolean}} pagination - The site's pagination strategy.
+ * @param {number} pageNumber - The 1-based page number.
+ * @returns {number} The page number, or the index of the page's first review for offset pagination.
+ */
+function pageParamValue(pagination, pageNumber) {
+  return pagination.offset ? (pageNumber - 1) * pagination.perPage : pageNumber;
+}
+
+/**
+ * Builds the URL of a given review page, keeping the host and any filters of the base URL.
+ *
+ * @param {string} baseUrl - The URL of a reviews page.
+ * @param {number} pageNumber - The 1-based page number to request.
+ * @param {{param: string, perPage: number, offset: boolean}} pagination - The site's pagination strategy.
+ * @returns {string} The review page URL with the pagination parameter set.
+ */
+function buildReviewPageUrl(baseUrl, pageNumber, pagination) {
+  const url = new URL(baseUrl);
+  url.searchParams.set(pagination.param, String(pageParamValue(pagination, pageNumber)));
+  return url.toString();
+}
+
+/**
+ * Builds the URL of the reviews of a star rating group, keeping the host and any other filters of the base URL.
+ *
+ * @param {string} baseUrl - The URL of a reviews page.
+ * @param {{param: string, values: Object<string, string>}} starFilter - The site's star rating filter.
+ * @param {string} group - The ID of the star rating group (see REVIEW_SEGMENTS).
+ * @returns {string} The reviews URL with the star rating filter set.
+ */
+function buildStarFilterUrl(baseUrl, starFilter, group) {
+  const url = new URL(baseUrl);
+  url.searchParams.set(starFilter.param, starFilter.values[group]);
+  return url.toString();
+}
+
+/**
+ * Checks whether a reviews URL points at the first page of reviews.
+ *
+ * @param {string} url - The URL of a reviews page.
+ * @param {{param: string, perPage: number, offset: boolean}} pagination - The site's pagination strategy.
+ * @returns {boolean} True if the pagination parameter is absent or points at page 1.
+ */
+function isFirstReviewPage(url, pagination) {
+  const value = new URL(url).searchParams.get(pagination.param);
+  return !value || value === String(pageParamValue(pagination, 1));
+}
+
+/**
+ * Fetches a review page and parses it into a document.
+ *
+ * @param {string} url - The review page URL.
+ * @returns {Promise<Document>} A promise that resolves to the parsed document.
+ */
+async function fetchReviewPage(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  const html = await response.text();
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+/**
+ * Crawls the review pages of a product, starting from page 1 of the given reviews URL.
+ * Pages are fetched one at a time with a delay in between, duplicates are dropped and
+ * crawling stops at the page cap or when a page yields no new reviews.
+ *
+ * @param {Object} options - Crawl options.
+ * @param {Object} options.adapter - The site adapter of the reviews page (see adapters/adapters.js).
+ * @param {string} options.baseUrl - The reviews URL to start from.
+ * @param {Document} [options.firstPage] - Already loaded document for page 1, if available.
+ * @param {number} [options.maxPages=DEFAULT_MAX_PAGES] - Maximum number of pages to read.
+ * @param {number} [options.delayMs=DEFAULT_PAGE_DELAY_MS] - Delay between page fetches.
+ * @param {function({page: number, totalPages: number, reviewCount: number}): void} [options.onProgress] - Called after each page.
+ * @returns {Promise<Object[]>} A promise that resolves to the de-duplicated structured reviews.
+ */
+async function crawlReviews({
+  adapter,
+  baseUrl,
+  firstPage = null,
+  maxPages = DEFAULT_MAX_PAGES,
+  delayMs = DEFAULT_PAGE_DELAY_MS,
+  onProgress = () => {}
+}) {
+  const seen = new Set();
+  const reviews = [];
+  let totalPages = maxPages;
+
+  for (let page = 1; page <= totalPages; page++) {
+    let doc;
+    try {
+      if (page === 1 && firstPage) {
+        doc = firstPage;
+      } else {
+        if (page > 1) {
+          await sleep(delayMs);
+        }
+        doc = await fetchReviewPage(buildReviewPageUrl(baseUrl, page, adapter.pagination));
+      }
+    } catch (error) {
+      console.error(`Error loading review page ${page}:`, error);
+      break;
+    }
+
+    if (page === 1) {
+      const totalReviews = adapter.parseTotalReviewCount(doc);
+      if (totalReviews !== null) {
+        totalPages = Math.max(1, Math.min(maxPages, Math.ceil(totalReviews / adapter.pagination.perPage)));
+      }
+    }
+
+    let newReviews = 0;
+    adapter.parseReviews(doc).forEach(review => {
+      const key = review.id || review.text;
+      if (!seen.has(key)) {
+        seen.add(key);
+        reviews.push(review);
+        newReviews++;
+      }
+    });
+
+    onProgress({ page, totalPages, reviewCount: reviews.length });
+
+    if (newReviews === 0) {
+      console.log(`No new reviews on page ${page}, stopping crawl.`);
+      break;
+    }
+  }
+
+  return reviews;
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildReviewPageUrl,
+    buildStarFilterUrl,
+    isFirstReviewPage,
+    crawlReviews
+  };
+}
@@ -0,0 +1,132 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+// content.js runs with the site adapters loaded as globals, so expose them the same way.
+Object.assign(global, require('./adapters/adapters.js'), require('./adapters/amazon.js'));
+
+const { buildReviewPageUrl, buildStarFilterUrl, isFirstReviewPage, crawlReviews } = require('./crawler.js');
+const { amazonAdapter } = require('./adapters/amazon.js');
+
+/**
+ * Builds the HTML of a review page holding the given review texts.
+ *
+ * @param {string[]} reviews - Review texts to render.
+ * @param {string} [countText] - Optional filter info text with the total review count.
+ * @returns {string} The page HTML.
+ */
+function reviewPageHtml(reviews, countText) {
+    const info = countText ? `<div data-hook="cr-filter-info-review-rating-count">${countText}</div>` : '';
+    const bodies = reviews.map(text => `<div data-hook="review"><span data-hook="review-body"><span>${text}</span></span></div>`).join('');
+    return `<!DOCTYPE html><html><body>${info}${bodies}</body></html>`;
+}
+
+let fetchedUrls;
+
+/**
+ * Before each test, expose a JSDOM DOMParser to the crawler and reset the fetch log.
+ */
+test.beforeEach(() => {
+    const { window } = new JSDOM('');
+    global.DOMParser = window.DOMParser;
+    fetchedUrls = [];
+});
+
+/**
+ * After each test, remove the DOMParser and fetch stubs.
+ */
+test.afterEach(() => {
+    global.DOMParser = undefined;
+    global.fetch = undefined;
+});
+
+/**
+ * Installs a fetch stub serving the given pages by page number.
+ *
+ * @param {Object<number, string>} pages - Page HTML keyed by page number.
+ */
+function stubFetch(pages) {
+    global.fetch = (url) => {
+        fetchedUrls.push(url);
+        const page = new URL(url).searchParams.get('pageNumber');
+        const html = pages[page];
+        return Promise.resolve({
+            ok: html !== undefined,
+            status: html !== undefined ? 200 : 404,
+            statusText: html !== undefined ? 'OK' : 'Not Found',
+            text: () => Promise.resolve(html || '')
+        });
+    };
+}
+
+test('Builds review page URLs that keep the host and filters', () => {
+    const url = buildReviewPageUrl('https://www.amazon.com/product-reviews/B0DLNYJ3YR?filterByStar=critical', 3, amazonAdapter.pagination);
+    expect(url).toBe('https://www.amazon.com/product-reviews/B0DLNYJ3YR?filterByStar=critical&pageNumber=3');
+});
+
+test('Builds star filtered review URLs', () => {
+    expect(buildStarFilterUrl('https://www.amazon.co.uk/product-reviews/B0DLNYJ3YR?sortBy=recent', amazonAdapter.starFilter, 'critical'))
+        .toBe('https://www.amazon.co.uk/product-reviews/B0DLNYJ3YR?sortBy=recent&filterByStar=critical');
+    expect(buildStarFilterUrl('https://www.amazon.com/product-reviews/B0DLNYJ3YR?filterByStar=critical', amazonAdapter.starFilter, 'positive'))
+        .toBe('https://www.amazon.com/product-reviews/B0DLNYJ3YR?filterByStar=positive');
+});
+
+test('Supports offset pagination and detects the first page', () => {
+    const pagination = { param: 'start', perPage: 10, offset: true };
+    expect(buildReviewPageUrl('https://www.yelp.com/biz/joes-pizza', 3, pagination)).toBe('https://www.yelp.com/biz/joes-pizza?start=20');
+    expect(isFirstReviewPage('https://www.yelp.com/biz/joes-pizza?start=0', pagination)).toBe(true);
+    expect(isFirstReviewPage('https://www.yelp.com/biz/joes-pizza?start=10', pagination)).toBe(false);
+    expect(isFirstReviewPage('https://www.amazon.com/product-reviews/B0DLNYJ3YR', amazonAdapter.pagination)).toBe(true);
+});
+
+test('Crawls every page up to the total, de-duplicating and reporting progress', async () => {
+    stubFetch({
+        1: reviewPageHtml(['A', 'B'], '30 total ratings, 25 with reviews'),
+        2: reviewPageHtml(['B', 'C']),
+        3: reviewPageHtml(['D'])
+    });
+    const progress = [];
+
+    const reviews = await crawlReviews({
+        adapter: amazonAdapter,
+        baseUrl: 'https://www.amazon.com/product-reviews/B0DLNYJ3YR',
+        delayMs: 0,
+        onProgress: p => progress.push(p)
+    });
+
+    expect(reviews.map(review => review.text)).toEqual(['A', 'B', 'C', 'D']);
+    expect(fetchedUrls).toHaveLength(3);
+    expect(progress).toEqual([
+        { page: 1, totalPages: 3, reviewCount: 2 },
+        { page: 2, totalPages: 3, reviewCount: 3 },
+        { page: 3, totalPages: 3, reviewCount: 4 }
+    ]);
+});
+
+test('Stops at the page cap and reuses the loaded first page', async () => {
+    stubFetch({
+        2: reviewPageHtml(['C']),
+        3: reviewPageHtml(['D'])
+    });
+    const firstPage = new DOMParser().parseFromString(reviewPageHtml(['A', 'B'], '500 with reviews'), 'text/html');
+
+    const reviews = await crawlReviews({
+        adapter: amazonAdapter,
+        baseUrl: 'https://www.amazon.com/product-reviews/B0DLNYJ3YR',
+        firstPage,
+        maxPages: 2,
+        delayMs: 0
+    });
+
+    expect(reviews.map(review => review.text)).toEqual(['A', 'B', 'C']);
+    expect(fetchedUrls).toEqual(['https://www.amazon.com/product-reviews/B0DLNYJ3YR?pageNumber=2']);
+});
+
+test('Stops when a page has no new reviews or fails to load', async () => {
+    stubFetch({
+        1: reviewPageHtml(['A'], '100 with reviews'),
+        2: reviewPageHtml(['A'])
+    });
+    const reviews = await crawlReviews({ adapter: amazonAdapter, baseUrl: 'https://www.amazon.com/product-reviews/B0DLNYJ3YR', delayMs: 0 });
+    expect(reviews.map(review => review.text)).toEqual(['A']);
+    expect(fetchedUrls).toHaveLength(2);
+});
@@ -0,0 +1,218 @@
+// export.js
+
+/**
+ * Formats a finished analysis (the product, its summary and the summarized reviews) for export
+ * as Markdown, JSON or CSV, so it can be pasted into documents and tickets.
+ */
+
+// Constants
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+const EXPORT_CSV_COLUMNS = ['item_id', 'product', 'review', 'rating', 'title', 'author', 'date', 'country', 'verified',
+    'helpful_votes', 'variant', 'flags', 'cited_by', 'text'];
+
+/**
+ * Collects the analysis to export in one plain object.
+ *
+ * @param {Object} analysis - The analysis.
+ * @param {Object|null} analysis.page - The page the reviews come from (see window.currentPage in popup.js), or a cache entry.
+ * @param {Object[]} analysis.reviews - The summarized reviews; the review numbers of the summary refer to them.
+ * @param {Object|null} [analysis.insights=null] - The product insights, if any.
+ * @param {Object} analysis.summary - The structured or segmented summary.
+ * @param {number} [analysis.createdAt] - When the summary was made, in milliseconds.
+ * @param {number} [analysis.excludedReviewCount=0] - The number of flagged reviews left out of the summary.
+ * @param {boolean} [includeReviews=false] - Include the reviews themselves.
+ * @returns {Object} The export data.
+ */
+function buildSummaryExport({ page, reviews, insights = null, summary, createdAt, excludedReviewCount = 0 }, includeReviews = false) {
+    const data = {
+        product: {
+            title: page?.title || page?.itemId || '',
+            itemId: page?.itemId || '',
+            site: page?.site || '',
+            marketplace: page?.marketplace || '',
+            url: page?.url || ''
+        },
+        reviewCount: reviews.length,
+        excludedReviewCount,
+        summarizedAt: createdAt ? new Date(createdAt).toISOString() : null,
+        averageRating: insights?.averageRating || null,
+        summary
+    };
+    if (includeReviews) {
+        data.reviews = reviews.map((review, index) => ({ number: index + 1, ...review }));
+    }
+    return data;
+}
+
+/**
+ * Returns the label of the item ID, which is the ASIN on Amazon.
+ *
+ * @param {string} site - The site adapter ID.
+ * @returns {string} The label.
+ */
+function getItemIdLabel(site) {
+    return site === 'amazon' ? 'ASIN' : 'Item ID';
+}
+
+/**
+ * Lists the pros and cons of a summary with their headings; a segmented summary lists the points of each group.
+ *
+ * @param {Object} summary - The structured or segmented summary.
+ * @returns {{title: string, kind: string, points: Object[], verdict: string|null}[]} The point lists, with the
+ *   kind of their points ('pros' or 'cons') and the verdict that closes them, if any.
+ */
+function getSummarySections(summary) {
+    if (summary.segments) {
+        return summary.segments.map(segment => ({
+            title: `${segment.title} (${segment.reviewCount} review${segment.reviewCount === 1 ? '' : 's'})`,
+            kind: segment.points,
+            points: segment.summary ? segment.summary[segment.points] : [],
+            verdict: segment.summary ? segment.summary.verdict : null
+        }));
+    }
+    return [
+        { title: 'Pros', kind: 'pros', points: summary.pros, verdict: null },
+        { title: 'Cons', kind: 'cons', points: summary.cons, verdict: null }
+    ];
+}
+
+/**
+ * Formats the analysis as Markdown: the product, the pros and cons with their mention counts and
+ * cited reviews, the verdict and, if included, the reviews.
+ *
+ * @param {Object} data - The export data (see buildSummaryExport).
+ * @returns {string} The Markdown text.
+ */
+function formatSummaryMarkdown(data) {
+    const { product, summary } = data;
+    const lines = [`# ${product.title || 'Review summary'}`, ''];
+    const details = [];
+    if (product.itemId) details.push(`**${getItemIdLabel(product.site)}:** ${product.itemId}`);
+    if (product.marketplace) details.push(`**Marketplace:** ${product.marketplace}`);
+    details.push(`**Reviews summarized:** ${data.reviewCount}` +
+        (data.excludedReviewCount ? ` (${data.excludedReviewCount} flagged reviews left out)` : ''));
+    if (data.averageRating) details.push(`**Average rating:** ${data.averageRating}/5`);
+    if (data.summarizedAt) details.push(`**Summarized:** ${data.summarizedAt.slice(0, 10)}`);
+    if (summary.local) details.push('**Method:** quick local summary made without the model (approximate)');
+    if (product.url) details.push(`**Link:** ${product.url}`);
+    lines.push(details.map(detail => `- ${detail}`).join('\n'), '');
+
+    getSummarySections(summary).forEach(({ title, points, verdict }) => {
+        lines.push(`## ${title}`, '');
+        if (points.length === 0) {
+            lines.push('None mentioned.');
+        } else {
+            points.forEach(({ point, mentions, reviews }, index) => {
+                const cited = reviews.length > 0 ? ` [Review${reviews.length === 1 ? '' : 's'} ${reviews.join(', ')}]` : '';
+                lines.push(`${index + 1}. ${point} (${mentions} mention${mentions === 1 ? '' : 's'})${cited}`);
+            });
+        }
+        if (verdict) {
+            lines.push('', verdict);
+        }
+        lines.push('');
+    });
+    if (!summary.segments) {
+        lines.push('## Verdict', '', summary.verdict, '', `Confidence: ${Math.round(summary.confidence * 100)}%`, '');
+    }
+
+    if (data.reviews) {
+        lines.push('## Reviews', '');
+        data.reviews.forEach(review => {
+            const meta = [];
+            if (review.rating) meta.push(`${review.rating}/5`);
+            if (review.verified) meta.push('Verified Purchase');
+            if (review.author) meta.push(review.author);
+            if (review.date) meta.push(review.date);
+            lines.push(`### [Review ${review.number}]${review.title ? ` ${review.title}` : ''}`, '');
+            if (meta.length > 0) lines.push(`*${meta.join(' · ')}*`, '');
+            lines.push(review.text.split('\n').map(line => `> ${line}`).join('\n'), '');
+        });
+    }
+    return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Formats the analysis as indented JSON.
+ *
+ * @param {Object} data - The export data (see buildSummaryExport).
+ * @returns {string} The JSON text.
+ */
+function formatSummaryJson(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * Quotes a CSV cell if needed. Cells that a spreadsheet would run as a formula are prefixed with an apostrophe,
+ * as review texts come from strangers.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string} The CSV cell.
+ */
+function formatCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats the summarized reviews as CSV, one review per row, with their metadata, their trust flags
+ * (see analyzeReviewTrust) and the summary points that cite them.
+ *
+ * @param {Object} analysis - The analysis (see buildSummaryExport).
+ * @returns {string} The CSV text, with a header row.
+ */
+function formatReviewsCsv(analysis) {
+    const { product, summary } = buildSummaryExport(analysis);
+    const citedBy = analysis.reviews.map(() => []);
+    getSummarySections(summary).forEach(({ kind, points }) => {
+        points.forEach(({ point, reviews }) => reviews.forEach(number => {
+            citedBy[number - 1]?.push(`${kind === 'pros' ? 'Pro' : 'Con'}: ${point}`);
+        }));
+    });
+    const { flags } = analyzeReviewTrust(analysis.reviews);
+
+    const rows = analysis.reviews.map((review, index) => [
+        product.itemId, product.title, index + 1, review.rating, review.title, review.author, review.date, review.country,
+        review.verified ? 'yes' : 'no', review.helpfulVotes || 0, review.variant,
+        flags[index].join('; '), citedBy[index].join('; '), review.text
+    ]);
+    return [EXPORT_CSV_COLUMNS, ...rows].map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats the analysis in one of the export formats.
+ *
+ * @param {string} format - 'markdown', 'json' or 'csv' (see EXPORT_FORMATS).
+ * @param {Object} analysis - The analysis (see buildSummaryExport).
+ * @param {boolean} [includeReviews=false] - Include the reviews in Markdown and JSON; CSV always lists them.
+ * @returns {{filename: string, mimeType: string, text: string}} The file name, MIME type and text of the export.
+ */
+function exportSummary(format, analysis, includeReviews = false) {
+    const data = buildSummaryExport(analysis, includeReviews);
+    const text = format === 'csv' ? formatReviewsCsv(analysis)
+        : format === 'json' ? formatSummaryJson(data)
+        : formatSummaryMarkdown(data);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const name = (data.product.itemId || 'reviews').replace(/[^\w.-]+/g, '_');
+    return { filename: `${name}-review-summary.${extension}`, mimeType, text };
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_FORMATS,
+        buildSummaryExport,
+        formatSummaryMarkdown,
+        formatSummaryJson,
+        formatCsvCell,
+        formatReviewsCsv,
+        exportSummary
+    };
+}
@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+
+// export.js flags the reviews in the CSV with trust.js, loaded as a global as in popup.html.
+Object.assign(global, require('./trust.js'));
+
+const { buildSummaryExport, formatSummaryMarkdown, formatCsvCell, formatReviewsCsv, exportSummary } = require('./export.js');
+
+const PAGE = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/dp/B0DLNYJ3YR', title: 'Steel Kettle' };
+const REVIEWS = [
+    { rating: 5, title: 'Fast', author: 'Ann', date: 'May 1, 2024', country: 'the United States', verified: true, helpfulVotes: 4, variant: 'Color: Silver', text: 'Boils a liter in three minutes.' },
+    { rating: 2, title: '', author: 'Bo', date: 'May 9, 2024', country: '', verified: false, helpfulVotes: 0, variant: '', text: '=HYPERLINK("x") Loud, "very" loud,\nlike a jet.' }
+];
+const SUMMARY = {
+    pros: [{ point: 'Boils fast', mentions: 1, reviews: [1] }],
+    cons: [{ point: 'Loud', mentions: 2, reviews: [1, 2] }],
+    verdict: 'Fast but loud.',
+    confidence: 0.75
+};
+const ANALYSIS = { page: PAGE, reviews: REVIEWS, insights: { averageRating: 4.1 }, summary: SUMMARY, createdAt: Date.UTC(2024, 5, 3) };
+
+test('Exports the product, the summary and optionally the reviews as Markdown', () => {
+    const markdown = formatSummaryMarkdown(buildSummaryExport(ANALYSIS, true));
+
+    expect(markdown).toContain('# Steel Kettle\n\n- **ASIN:** B0DLNYJ3YR\n- **Marketplace:** www.amazon.com\n- **Reviews summarized:** 2\n- **Average rating:** 4.1/5\n- **Summarized:** 2024-06-03');
+    expect(markdown).toContain('## Pros\n\n1. Boils fast (1 mention) [Review 1]\n\n## Cons\n\n1. Loud (2 mentions) [Reviews 1, 2]');
+    expect(markdown).toContain('## Verdict\n\nFast but loud.\n\nConfidence: 75%');
+    expect(markdown).toContain('### [Review 1] Fast\n\n*5/5 · Verified Purchase · Ann · May 1, 2024*\n\n> Boils a liter in three minutes.');
+    expect(markdown).toContain('> like a jet.');
+    expect(formatSummaryMarkdown(buildSummaryExport(ANALYSIS))).not.toContain('## Reviews');
+
+    const segmented = formatSummaryMarkdown(buildSummaryExport({
+        ...ANALYSIS,
+        summary: { segments: [
+            { id: 'positive', title: 'Why people love it', points: 'pros', reviewCount: 1, summary: { ...SUMMARY, pros: SUMMARY.pros } },
+            { id: 'critical', title: 'Why people return it', points: 'cons', reviewCount: 0, summary: null }
+        ] }
+    }));
+    expect(segmented).toContain('## Why people love it (1 review)\n\n1. Boils fast (1 mention) [Review 1]\n\nFast but loud.');
+    expect(segmented).toContain('## Why people return it (0 reviews)\n\nNone mentioned.');
+    expect(segmented).not.toContain('## Verdict');
+});
+
+test('Exports one review per CSV row with its metadata, flags and citing points', () => {
+    const rows = formatReviewsCsv(ANALYSIS).split('\r\n');
+
+    expect(rows[0]).toBe('item_id,product,review,rating,title,author,date,country,verified,helpful_votes,variant,flags,cited_by,text');
+    expect(rows[1]).toBe('B0DLNYJ3YR,Steel Kettle,1,5,Fast,Ann,"May 1, 2024",the United States,yes,4,Color: Silver,,Pro: Boils fast; Con: Loud,Boils a liter in three minutes.');
+    expect(formatReviewsCsv(ANALYSIS)).toContain(',no,0,,,Con: Loud,"\'=HYPERLINK(""x"") Loud, ""very"" loud,\nlike a jet."\r\n');
+    expect(formatCsvCell('-1')).toBe("'-1");
+    expect(formatCsvCell(null)).toBe('');
+});
+
+test('Names the export files after the item and parses back as JSON', () => {
+    const { filename, mimeType, text } = exportSummary('json', ANALYSIS, true);
+
+    expect(filename).toBe('B0DLNYJ3YR-review-summary.json');
+    expect(mimeType).toBe('application/json');
+    expect(JSON.parse(text)).toMatchObject({
+        product: { title: 'Steel Kettle', itemId: 'B0DLNYJ3YR', marketplace: 'www.amazon.com' },
+        reviewCount: 2,
+        summarizedAt: '2024-06-03T00:00:00.000Z',
+        summary: SUMMARY,
+        reviews: [{ number: 1, title: 'Fast' }, { number: 2, author: 'Bo' }]
+    });
+    expect(JSON.parse(exportSummary('json', ANALYSIS).text).reviews).toBeUndefined();
+    expect(exportSummary('csv', { ...ANALYSIS, page: null }).filename).toBe('reviews-review-summary.csv');
+});
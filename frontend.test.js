@@ -1,6 +1,27 @@
 const { test, expect } = require('@playwright/test');
 const { JSDOM } = require('jsdom');
 
+// popup.html loads the site adapters before popup.js, so expose them as globals the same way.
+Object.assign(
+    global,
+    require('./adapters/adapters.js'),
+    require('./adapters/amazon.js'),
+    require('./adapters/yelp.js'),
+    require('./adapters/ebay.js'),
+    require('./adapters/bestbuy.js'),
+    require('./providers.js'),
+    require('./summary.js'),
+    require('./settings.js'),
+    require('./cache.js'),
+    require('./chat.js'),
+    require('./compare.js'),
+    require('./trust.js'),
+    require('./export.js'),
+    require('./offline.js'),
+    require('./usage.js'),
+    require('./markdown.js')
+);
+
 let dom, document, window, contentDiv, loadingDiv;
 
 /**
@@ -19,20 +40,59 @@ test.beforeEach(() => {
     global.window = window;
     global.chrome = {
         runtime: {
-            sendMessage: () => {}
+            sendMessage: () => {},
+            onMessage: { addListener: () => {} },
+            onInstalled: { addListener: () => {} },
+            onConnect: { addListener: () => {} }
         },
         tabs: {
-            query: () => Promise.resolve([])
+            query: () => Promise.resolve([]),
+            onRemoved: { addListener: () => {} },
+            onUpdated: { addListener: () => {} }
+        },
+        contextMenus: {
+            onClicked: { addListener: () => {} }
+        },
+        commands: {
+            onCommand: { addListener: () => {} }
+        },
+        action: {
+            setBadgeText: () => Promise.resolve(),
+            setBadgeBackgroundColor: () => Promise.resolve()
         },
         storage: {
             local: {
                 get: () => Promise.resolve({}),
                 set: () => Promise.resolve()
+            },
+            session: {
+                get: () => Promise.resolve({}),
+                set: () => Promise.resolve(),
+                remove: () => Promise.resolve()
             }
         }
     };
 });
 
+/**
+ * Connects the popup to the background service worker: the popup's messages go to the worker's
+ * message handler, and the worker's job updates are shown in the popup.
+ *
+ * @param {number} tabId - The ID of the tab the popup is opened on.
+ */
+function connectBackground(tabId) {
+    const { handleBackgroundMessage } = require('./background.js');
+    const { displaySummaryJob } = require('./popup.js');
+    window.currentTabId = tabId;
+    global.chrome.runtime.sendMessage = (message, callback = () => {}) => {
+        if (message.action === 'summaryJobUpdate') {
+            displaySummaryJob(message.job);
+        } else {
+            handleBackgroundMessage(message, {}, callback);
+        }
+    };
+}
+
 /**
  * After each test, clean up the DOM and global variables.
  */
@@ -109,3 +169,903 @@ test('Displays generic page UI when URL does not match any regex', async () => {
 
     expect(contentDiv.innerHTML).toContain('This extension works on Amazon product pages and product review pages.');
 });
+
+/**
+ * Test case: Verify crawl progress from the content script is shown in the loading indicator.
+ */
+test('Displays review crawl progress in the loading indicator', async () => {
+    const { displayCrawlProgress } = require('./popup.js');
+
+    displayCrawlProgress({ page: 4, totalPages: 12, reviewCount: 38 });
+
+    expect(loadingDiv.textContent).toBe('Loading page 4 of 12, 38 reviews...');
+});
+
+/**
+ * Test case: Verify structured reviews are previewed with their star rating and title.
+ */
+test('Displays star ratings and titles next to review previews', async () => {
+    const { displayReviews } = require('./popup.js');
+
+    displayReviews([
+        { id: 'R1', rating: 4, title: 'Solid', text: 'Works as described.', verified: true, helpfulVotes: 3 },
+        { id: 'R2', rating: null, title: '', text: 'No rating here.' },
+        { id: 'R3', rating: 8, title: '', text: 'Rated on a scale of 10.' },
+        { id: 'R4', rating: -1, title: '', text: 'Misread rating.' }
+    ]);
+
+    const items = contentDiv.querySelectorAll('#reviewPreviews li');
+    expect(contentDiv.innerHTML).toContain('Reviews (4):');
+    expect(items[0].querySelector('.reviewStars').textContent).toBe('★★★★☆ ');
+    expect(items[0].textContent).toContain('Solid: Works as described.');
+    expect(items[1].querySelector('.reviewStars')).toBeNull();
+    // Ratings outside 1 to 5 are clamped instead of breaking the list.
+    expect(items[2].querySelector('.reviewStars').textContent).toBe('★★★★★ ');
+    expect(items[3].querySelector('.reviewStars').textContent).toBe('☆☆☆☆☆ ');
+});
+
+/**
+ * Test case: Verify pages of the other supported sites are recognized with their item IDs.
+ */
+test('Recognizes Yelp, eBay and Best Buy pages', async () => {
+    const { getPageInfo, handleProductPage } = require('./popup.js');
+
+    expect(getPageInfo('https://www.yelp.com/biz/joes-pizza-new-york?osq=pizza'))
+        .toEqual({ type: 'review', site: 'yelp', marketplace: 'www.yelp.com', itemId: 'joes-pizza-new-york', asin: null });
+    expect(getPageInfo('https://www.ebay.com/urw/Apple-AirPods/product-reviews/19034058591?pgn=2'))
+        .toEqual({ type: 'review', site: 'ebay', marketplace: 'www.ebay.com', itemId: '19034058591', asin: null });
+    expect(getPageInfo('https://www.bestbuy.com/site/sony-headphones/6505727.p?skuId=6505727'))
+        .toEqual({ type: 'product', site: 'bestbuy', marketplace: 'www.bestbuy.com', itemId: '6505727', asin: null });
+
+    handleProductPage('6505727', 'bestbuy', 'https://www.bestbuy.com/site/sony-headphones/6505727.p?skuId=6505727');
+    expect(contentDiv.innerHTML).toContain('https://www.bestbuy.com/site/reviews/sony-headphones/6505727');
+
+    expect(getPageInfo('https://www.ebay.com/itm/1234567890').type).toBe('other');
+});
+
+/**
+ * Test case: Verify international Amazon pages are recognized and the reviews link stays on the same marketplace.
+ */
+test('Keeps the reviews link on the international Amazon marketplace being browsed', async () => {
+    const { getPageInfo, handleProductPage } = require('./popup.js');
+
+    const mockUrl = 'https://www.amazon.co.uk/Some-Product/dp/B0DLNYJ3YR?th=1';
+    const pageInfo = getPageInfo(mockUrl);
+    expect(pageInfo).toEqual({ type: 'product', site: 'amazon', marketplace: 'www.amazon.co.uk', itemId: 'B0DLNYJ3YR', asin: 'B0DLNYJ3YR' });
+    expect(getPageInfo('https://www.amazon.co.jp/product-reviews/B0DLNYJ3YR').type).toBe('review');
+    expect(getPageInfo('https://www.amazon.com.mx/Producto/product-reviews/B0DLNYJ3YR').marketplace).toBe('www.amazon.com.mx');
+    expect(getPageInfo('https://www.amazon.nl/dp/B0DLNYJ3YR').type).toBe('other');
+
+    handleProductPage(pageInfo.itemId, pageInfo.site, mockUrl);
+
+    expect(contentDiv.innerHTML).toContain('https://www.amazon.co.uk/product-reviews/B0DLNYJ3YR');
+});
+
+/**
+ * Test case: Verify a product page shows its top reviews right away and can load the full review set in the background.
+ */
+test('Offers a summary on product pages and loads all reviews in the background', async () => {
+    const { handleProductPage } = require('./popup.js');
+    const insights = { averageRating: 4.5, totalRatings: 120, histogram: { 5: 80, 1: 20 }, customersSay: 'Customers like it.', aspects: ['Value'] };
+    const messages = [];
+    global.chrome.runtime.lastError = undefined;
+    global.chrome.runtime.sendMessage = (message, callback) => {
+        messages.push(message);
+        if (message.fullCrawl) {
+            callback({ reviews: [{ id: 'R1', text: 'Top review.' }, { id: 'R2', text: 'Second.' }, { id: 'R3', text: 'Third.' }] });
+        } else {
+            callback({ reviews: [{ id: 'R1', rating: 5, text: 'Top review.' }], insights });
+        }
+    };
+
+    handleProductPage('B0DLNYJ3YR', 'amazon', 'https://www.amazon.com/dp/B0DLNYJ3YR', 7, { maxReviewPages: 3, pageDelayMs: 500 });
+
+    expect(contentDiv.querySelector('#reviewsHeading').textContent).toBe('Reviews (1):');
+    expect(contentDiv.querySelector('#summarizeBtn')).not.toBeNull();
+    expect(contentDiv.querySelectorAll('table.histogram tr')).toHaveLength(2);
+    expect(contentDiv.textContent).toContain('Customers say: Customers like it.');
+
+    contentDiv.querySelector('#loadAllReviewsBtn').click();
+
+    expect(messages[1]).toEqual({ action: 'getReviews', tabId: 7, page: null, fullCrawl: true, maxPages: 3, delayMs: 500 });
+    expect(contentDiv.querySelector('#reviewsHeading').textContent).toBe('Reviews (3):');
+    expect(contentDiv.querySelector('#loadAllReviewsBtn').textContent).toBe('All Reviews Loaded');
+});
+
+/**
+ * Test case: Verify summarizing uses the provider, model and options selected in the settings.
+ */
+test('Summarizes with the selected LLM provider and model', async () => {
+    const { createSummarizeButton } = require('./popup.js');
+    const stored = {
+        anthropicApiKey: 'sk-ant-test',
+        llmSettings: { provider: 'anthropic', providers: { anthropic: { model: 'claude-haiku-4-5', temperature: 0.3, maxTokens: 500 } } }
+    };
+    global.chrome.storage.local.get = (key) => Promise.resolve(typeof key === 'string' ? { [key]: stored[key] } : {});
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push({ url, init });
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    const summary = JSON.stringify({ pros: [{ point: 'Solid build', mentions: 1, reviews: [1] }], cons: [], verdict: 'Good.', confidence: 0.9 });
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ type: 'content_block_delta', delta: { text: summary } })}\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    connectBackground(201);
+    window.allReviews = [{ rating: 5, text: 'Solid build.', verified: true, helpfulVotes: 0 }];
+
+    const summarizeBtn = createSummarizeButton();
+    contentDiv.appendChild(summarizeBtn);
+    summarizeBtn.click();
+    await expect.poll(() => summarizeBtn.disabled).toBe(false);
+    global.fetch = undefined;
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('https://api.anthropic.com/v1/messages');
+    expect(requests[0].init.headers['x-api-key']).toBe('sk-ant-test');
+    expect(JSON.parse(requests[0].init.body)).toMatchObject({ model: 'claude-haiku-4-5', temperature: 0.3, max_tokens: 500 });
+    expect(contentDiv.querySelector('#summaryOutput .pros').textContent).toContain('Solid build');
+});
+
+/**
+ * Test case: Verify structured summaries render ranked pros and cons with counts, supporting quotes and the verdict.
+ */
+test('Renders the structured summary with mention counts and supporting quotes', async () => {
+    const { displayStructuredSummary } = require('./popup.js');
+    const reviews = [
+        { rating: 5, text: 'Sounds amazing.' },
+        { rating: 2, text: 'Battery died after an hour.' }
+    ];
+
+    displayStructuredSummary({
+        pros: [{ point: 'Great sound', mentions: 4, reviews: [1] }],
+        cons: [{ point: 'Short battery life', mentions: 1, reviews: [2] }, { point: '<b>Pricey</b>', mentions: 1, reviews: [] }],
+        verdict: 'Great sound, weak battery.',
+        confidence: 0.72
+    }, reviews);
+
+    const output = contentDiv.querySelector('#summaryOutput');
+    const pros = output.querySelectorAll('ol.pros > li');
+    expect(pros).toHaveLength(1);
+    expect(pros[0].querySelector('summary').textContent).toBe('Great sound 4 mentions');
+    expect(pros[0].querySelector('.supportingQuotes li').textContent).toBe('★★★★★ "Sounds amazing."');
+    const cons = output.querySelectorAll('ol.cons > li');
+    expect(cons[1].textContent).toBe('<b>Pricey</b> 1 mention');
+    expect(cons[1].querySelector('b')).toBeNull();
+    expect(output.querySelector('.verdict').textContent).toBe('Great sound, weak battery.');
+    expect(output.querySelector('.confidence').textContent).toBe('Confidence: 72%');
+});
+
+/**
+ * Test case: Verify the fans and critics are summarized from star filtered reviews and shown side by side with the histogram.
+ */
+test('Shows why people love the product next to why they return it', async () => {
+    const { displayReviews } = require('./popup.js');
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    const summaries = [
+        { pros: [{ point: 'Great sound', mentions: 1, reviews: [1] }], cons: [], verdict: 'Fans love the sound.', confidence: 0.8 },
+        { pros: [], cons: [{ point: 'Battery dies', mentions: 1, reviews: [1] }], verdict: 'The battery fails.', confidence: 0.6 }
+    ];
+    let requestCount = 0;
+    global.fetch = () => {
+        const content = JSON.stringify(summaries[requestCount++]);
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    global.chrome.tabs.sendMessage = (tabId, message) => Promise.resolve(message.starFilter === 'positive'
+        ? { reviews: [{ id: 'R1', rating: 5, text: 'Sounds amazing.' }], histogram: { 5: 60, 4: 10, 3: 5, 2: 5, 1: 20 } }
+        : { reviews: [{ id: 'R2', rating: 1, text: 'Battery died in a week.' }], histogram: { 5: 60, 4: 10, 3: 5, 2: 5, 1: 20 } });
+    connectBackground(204);
+    window.currentPage = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/dp/B0DLNYJ3YR' };
+    displayReviews([{ id: 'R3', rating: 4, text: 'Good.' }]);
+
+    contentDiv.querySelector('#segmentedSummaryBtn').click();
+    await expect.poll(() => contentDiv.querySelector('.summarySegments')).not.toBeNull();
+    global.fetch = undefined;
+
+    const output = contentDiv.querySelector('#summaryOutput');
+    expect([...output.querySelectorAll('table.histogram tr')].map(row => row.textContent)).toEqual(['5★60%', '4★10%', '3★5%', '2★5%', '1★20%']);
+    const [fans, critics] = output.querySelectorAll('.summarySegment');
+    expect(fans.querySelector('h3').textContent).toBe('Why people love it');
+    expect(fans.querySelector('ol.pros summary').textContent).toBe('Great sound 1 mention');
+    expect(critics.querySelector('h3').textContent).toBe('Why people return it');
+    expect(critics.querySelector('.segmentReviewCount').textContent).toBe('1 review');
+    expect(critics.querySelector('ol.cons .supportingQuotes li').textContent).toBe('★☆☆☆☆ "Battery died in a week."');
+    expect(critics.querySelector('.verdict').textContent).toBe('The battery fails.');
+    // Questions are asked about the reviews of both groups.
+    expect(contentDiv.querySelector('#reviewsHeading').textContent).toBe('Reviews (2):');
+    expect(contentDiv.querySelector('#segmentedSummaryBtn').disabled).toBe(false);
+});
+
+/**
+ * Test case: Verify the trust score is shown with the review flags, and flagged reviews can be left out of the summary.
+ */
+test('Shows the trust score and leaves flagged reviews out of the summary', async () => {
+    const { displayReviews } = require('./popup.js');
+    const store = { openaiApiKey: 'sk-test' };
+    global.chrome.storage.local = {
+        get: (key) => Promise.resolve(typeof key === 'string' ? { [key]: store[key] } : {}),
+        set: (items) => Promise.resolve(Object.assign(store, items))
+    };
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    const summary = JSON.stringify({ pros: [{ point: 'Quiet motor', mentions: 1, reviews: [2] }], cons: [], verdict: 'Good.', confidence: 0.8 });
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: summary } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    connectBackground(203);
+
+    displayReviews([
+        { rating: 5, text: 'Great product, love it!', verified: true },
+        { rating: 4, text: 'The blender crushes ice in seconds, but the lid is hard to clean.', verified: true },
+        { rating: 5, text: 'The motor is quiet enough to use while the baby sleeps next door.', verified: true }
+    ]);
+    expect(contentDiv.querySelector('.trustScore').textContent).toBe('Trust score: 67/100 (1 of 3 reviews flagged)');
+    expect(contentDiv.querySelector('.trustScore').classList.contains('medium')).toBe(true);
+    expect(contentDiv.querySelector('.trustFlags').textContent).toBe('Generic, low-information wording: 1');
+
+    const checkbox = contentDiv.querySelector('#excludeFlaggedCheckbox');
+    await expect.poll(() => checkbox.disabled).toBe(false);
+    expect(checkbox.checked).toBe(false);
+    checkbox.click();
+    await expect.poll(() => store.summarySettings?.excludeFlaggedReviews).toBe(true);
+
+    contentDiv.querySelector('#summarizeBtn').click();
+    await expect.poll(() => contentDiv.querySelector('.excludedNote')?.textContent).toBe('1 flagged review was left out of this summary.');
+    global.fetch = undefined;
+
+    const prompt = requests[0].messages[1].content;
+    expect(prompt).not.toContain('Great product');
+    expect(prompt).toContain('[Review 2]');
+    expect(prompt).not.toContain('[Review 3]');
+    // The summary's review numbers refer to the reviews it covers.
+    expect(contentDiv.querySelector('#summaryOutput .supportingQuotes').textContent).toContain('The motor is quiet');
+});
+
+/**
+ * Test case: Verify a cached summary is shown without scraping, and that refreshing reloads the reviews.
+ */
+test('Shows a cached summary instantly with a refresh option', async () => {
+    const { displayCachedSummary } = require('./popup.js');
+    const reviews = [{ id: 'R1', rating: 5, text: 'Sounds amazing.' }];
+    let refreshed = false;
+
+    displayCachedSummary({
+        reviews,
+        insights: null,
+        summary: { pros: [{ point: 'Great sound', mentions: 1, reviews: [1] }], cons: [], verdict: 'Great.', confidence: 0.8 },
+        createdAt: Date.now()
+    }, () => { refreshed = true; });
+
+    expect(contentDiv.querySelector('#cacheNotice').textContent).toContain('Cached summary from');
+    expect(contentDiv.querySelector('#reviewsHeading').textContent).toBe('Reviews (1):');
+    expect(contentDiv.querySelector('#summaryOutput .pros').textContent).toContain('Great sound');
+
+    contentDiv.querySelector('#refreshSummaryBtn').click();
+    expect(refreshed).toBe(true);
+    expect(window.bypassSummaryCache).toBe(true);
+});
+
+/**
+ * Test case: Verify a summary can be copied as Markdown and downloaded as CSV with one review per row.
+ */
+test('Copies the summary to the clipboard and exports the reviews as CSV', async () => {
+    const { displayCachedSummary } = require('./popup.js');
+    const copied = [];
+    global.navigator = { clipboard: { writeText: (text) => Promise.resolve(copied.push(text)) } };
+    const downloads = [];
+    const createObjectURL = URL.createObjectURL;
+    URL.createObjectURL = (blob) => {
+        downloads.push({ blob });
+        return 'blob:export';
+    };
+    window.HTMLAnchorElement.prototype.click = function () {
+        downloads[downloads.length - 1].filename = this.download;
+    };
+
+    displayCachedSummary({
+        site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR', url: 'https://www.amazon.com/dp/B0DLNYJ3YR', title: 'Steel Kettle',
+        reviews: [{ rating: 5, text: 'Boils fast, "really" fast.', verified: true }, { rating: 2, text: 'Loud.', verified: true }],
+        insights: null,
+        summary: { pros: [{ point: 'Boils fast', mentions: 1, reviews: [1] }], cons: [], verdict: 'Quick.', confidence: 0.9 },
+        createdAt: Date.UTC(2024, 5, 3)
+    }, () => {});
+    expect(contentDiv.querySelector('#summaryOutput').nextElementSibling.id).toBe('exportActions');
+
+    contentDiv.querySelector('#exportReviewsCheckbox').click();
+    contentDiv.querySelector('#copySummaryBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#exportStatus').textContent).toBe('Copied to the clipboard.');
+    expect(copied[0]).toContain('# Steel Kettle\n\n- **ASIN:** B0DLNYJ3YR');
+    expect(copied[0]).toContain('1. Boils fast (1 mention) [Review 1]');
+    expect(copied[0]).toContain('### [Review 2]');
+
+    contentDiv.querySelector('.exportBtn[data-format="csv"]').click();
+    URL.createObjectURL = createObjectURL;
+    global.navigator = undefined;
+
+    expect(downloads[0].filename).toBe('B0DLNYJ3YR-review-summary.csv');
+    expect(downloads[0].blob.type).toBe('text/csv');
+    const rows = (await downloads[0].blob.text()).trim().split('\r\n');
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toBe('B0DLNYJ3YR,Steel Kettle,1,5,,,,,yes,0,,,Pro: Boils fast,"Boils fast, ""really"" fast."');
+    expect(contentDiv.querySelector('#exportStatus').textContent).toBe('Saved B0DLNYJ3YR-review-summary.csv.');
+});
+
+/**
+ * Test case: Verify summarizing a review set that was already summarized reuses the cached summary without an API call.
+ */
+test('Reuses the cached summary of the same review set instead of calling the API', async () => {
+    const { createSummarizeButton } = require('./popup.js');
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+    const summaryCache = {
+        cached: {
+            marketplace: 'www.amazon.com',
+            itemId: 'B0DLNYJ3YR',
+            reviewHash: hashReviews(reviews),
+            summary: { pros: [{ point: 'Cached point', mentions: 1, reviews: [1] }], cons: [], verdict: 'Cached.', confidence: 0.9 },
+            createdAt: Date.now()
+        }
+    };
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'summaryCache' ? { summaryCache } : key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    let fetched = false;
+    global.fetch = () => { fetched = true; };
+    connectBackground(202);
+    window.currentPage = { site: 'amazon', marketplace: 'www.amazon.com', itemId: 'B0DLNYJ3YR' };
+    window.allReviews = reviews;
+
+    const summarizeBtn = createSummarizeButton();
+    contentDiv.appendChild(summarizeBtn);
+    summarizeBtn.click();
+    await expect.poll(() => contentDiv.querySelector('#summaryOutput .pros')?.textContent).toContain('Cached point');
+    global.fetch = undefined;
+
+    expect(fetched).toBe(false);
+});
+
+/**
+ * Test case: Verify the history lists past products and opens their summaries.
+ */
+test('Lists past summaries in the history and opens them', async () => {
+    const { displaySummaryHistory } = require('./popup.js');
+    const summaryCache = {
+        older: {
+            marketplace: 'www.amazon.com', itemId: 'B000000001', title: 'Old headphones', url: 'https://www.amazon.com/dp/B000000001',
+            reviews: [{ text: 'Fine.' }], reviewCount: 1, createdAt: 1000,
+            summary: { pros: [], cons: [], verdict: 'Okay headphones.', confidence: 0.5 }
+        },
+        newer: {
+            marketplace: 'www.amazon.de', itemId: 'B000000002', title: 'New speaker', url: 'https://www.amazon.de/dp/B000000002',
+            reviews: [{ text: 'Loud.' }], reviewCount: 1, createdAt: 2000,
+            summary: { pros: [], cons: [], verdict: 'Loud speaker.', confidence: 0.7 }
+        }
+    };
+    global.chrome.storage.local.get = () => Promise.resolve({ summaryCache });
+
+    await displaySummaryHistory();
+
+    const links = contentDiv.querySelectorAll('#summaryHistory a');
+    expect(Array.from(links).map(link => link.textContent)).toEqual(['New speaker', 'Old headphones']);
+    expect(contentDiv.querySelector('#summaryHistory .historyDetails').textContent).toContain('www.amazon.de');
+
+    links[1].click();
+    expect(contentDiv.querySelector('h4 a').href).toBe('https://www.amazon.com/dp/B000000001');
+    expect(contentDiv.querySelector('#summaryOutput .verdict').textContent).toBe('Okay headphones.');
+    expect(contentDiv.querySelector('#historyBackBtn')).not.toBeNull();
+});
+
+/**
+ * Test case: Verify follow-up questions stream cited answers, citations show the full review, and the conversation is kept.
+ */
+test('Answers follow-up questions with clickable review citations', async () => {
+    const { displayReviews, displayChatBox } = require('./popup.js');
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    const requests = [];
+    const answers = ['It lasts about a day [Review 2].', 'Yes, it is loud [Review 1].'];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const content = answers[requests.length - 1];
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    displayReviews([
+        { rating: 5, text: 'Very loud speaker.' },
+        { rating: 3, title: 'Okay battery', author: 'Sam', text: 'The battery lasts about a day of use.' }
+    ]);
+    displayChatBox();
+
+    const ask = async (question) => {
+        contentDiv.querySelector('#chatInput').value = question;
+        contentDiv.querySelector('#chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await expect.poll(() => contentDiv.querySelector('#chatAskBtn').disabled).toBe(false);
+    };
+    await ask('How long does the battery last?');
+
+    const answer = contentDiv.querySelector('.chatAnswer');
+    expect(answer.textContent).toBe('It lasts about a day [Review 2].');
+    answer.querySelector('a.citation').click();
+    expect(answer.querySelector('.citedReview').textContent).toContain('The battery lasts about a day of use.');
+    expect(answer.querySelector('.citedReviewHeading').textContent).toBe('Review 2 · ★★★☆☆ · Okay battery · Sam');
+
+    await ask('Is it loud?');
+    global.fetch = undefined;
+
+    expect(requests[1].messages.slice(1).map(message => message.content)).toEqual([
+        'How long does the battery last?',
+        'It lasts about a day [Review 2].',
+        'Is it loud?'
+    ]);
+    expect(contentDiv.querySelectorAll('.chatAnswer')).toHaveLength(2);
+});
+
+/**
+ * Test case: Verify a question stopped before any answer arrived is not sent again with later questions.
+ */
+test('Leaves questions stopped before any answer out of the conversation', async () => {
+    const { displayReviews, displayChatBox } = require('./popup.js');
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    if (requests.length === 1) {
+                        // The first answer stalls until it is stopped.
+                        init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+                        return;
+                    }
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'About a day.' } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    displayReviews([{ rating: 3, text: 'The battery lasts about a day of use.' }]);
+    displayChatBox();
+
+    contentDiv.querySelector('#chatInput').value = 'Is it loud?';
+    contentDiv.querySelector('#chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await expect.poll(() => requests.length).toBe(1);
+    contentDiv.querySelector('#chatStopBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#chatAskBtn').disabled).toBe(false);
+
+    contentDiv.querySelector('#chatInput').value = 'How long does the battery last?';
+    contentDiv.querySelector('#chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await expect.poll(() => contentDiv.querySelectorAll('.chatAnswer')[1]?.textContent).toBe('About a day.');
+    global.fetch = undefined;
+
+    expect(requests[1].messages.slice(1)).toEqual([{ role: 'user', content: 'How long does the battery last?' }]);
+});
+
+/**
+ * Test case: Verify questions whose estimated cost exceeds a spending cap are refused when the cap blocks requests, and warned about otherwise.
+ */
+test('Refuses or warns about follow-up questions over a spending cap', async () => {
+    const { displayReviews, displayChatBox } = require('./popup.js');
+    const stored = { openaiApiKey: 'sk-test', budgetSettings: { dailyCap: 0.001, monthlyCap: 0, overCapAction: 'block' } };
+    global.chrome.storage.local.get = (key) => Promise.resolve({ [key]: stored[key] });
+    let fetched = 0;
+    global.fetch = () => {
+        fetched++;
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'About a day.' } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    displayReviews([{ rating: 3, text: 'The battery lasts about a day of use.' }]);
+    displayChatBox();
+    const ask = async (question) => {
+        contentDiv.querySelector('#chatInput').value = question;
+        contentDiv.querySelector('#chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+        await expect.poll(() => contentDiv.querySelector('#chatAskBtn').disabled).toBe(false);
+    };
+
+    // The answer is counted at the 1500 max tokens of gpt-4o, so the question exceeds a tenth of a cent.
+    await ask('How long does the battery last?');
+    expect(contentDiv.querySelector('.chatAnswer').textContent).toMatch(/^Error: This request \(about \$0\.01\d\) would exceed your daily spending cap of \$0\.001;/);
+    expect(fetched).toBe(0);
+
+    stored.budgetSettings.overCapAction = 'warn';
+    await ask('How long does the battery last?');
+    global.fetch = undefined;
+    expect(fetched).toBe(1);
+    expect(contentDiv.querySelectorAll('.chatAnswer')[1].textContent).toBe('About a day.');
+    expect(contentDiv.querySelector('#chatMessages .budgetNote').textContent).toMatch(/^Warning: This request .* would exceed your daily spending cap/);
+});
+
+/**
+ * Test case: Verify products can be added to the comparison and compared in a table with aspect verdicts and a recommendation.
+ */
+test('Compares saved products side by side', async () => {
+    const { displayReviews, displayComparison } = require('./popup.js');
+    const store = { openaiApiKey: 'sk-test' };
+    global.chrome.storage.local = {
+        get: (key) => Promise.resolve(typeof key === 'string' ? { [key]: store[key] } : {}),
+        set: (items) => Promise.resolve(Object.assign(store, items)),
+        remove: (key) => Promise.resolve(delete store[key])
+    };
+    const addProduct = async (itemId, title, expectedText) => {
+        window.currentPage = { site: 'amazon', marketplace: 'www.amazon.com', itemId, url: `https://www.amazon.com/dp/${itemId}`, title };
+        displayReviews([{ rating: 4, text: `${title} is fine.` }]);
+        contentDiv.querySelector('#addToComparisonBtn').click();
+        await expect.poll(() => contentDiv.querySelector('#addToComparisonBtn').textContent).toBe(expectedText);
+    };
+    await addProduct('B000000001', 'Steel Kettle', 'Added to Comparison (1)');
+    await addProduct('B000000002', 'Glass Kettle', 'Added to Comparison (2)');
+
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const content = JSON.stringify({
+            shared: { pros: ['Boils fast'], cons: ['Short cord'] },
+            products: [{ product: 1, pros: ['Sturdy'], cons: [] }, { product: 2, pros: ['See-through'], cons: ['Fragile'] }],
+            aspects: [
+                { aspect: 'durability', verdicts: [{ product: 1, verdict: 'Lasts years' }, { product: 2, verdict: 'Cracks' }], best: 1 },
+                { aspect: 'value', verdicts: [{ product: 1, verdict: 'Fair' }], best: null }
+            ],
+            recommendation: { product: 1, reason: 'It lasts longer.' }
+        });
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    await displayComparison();
+    expect(contentDiv.querySelector('h4').textContent).toBe('Comparison (2 of 4)');
+    expect([...contentDiv.querySelectorAll('#comparisonProducts a')].map(link => link.textContent)).toEqual(['Steel Kettle', 'Glass Kettle']);
+
+    contentDiv.querySelector('#compareProductsBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#comparisonTable')).not.toBeNull();
+    global.fetch = undefined;
+
+    expect(requests[0].messages[1].content).toContain('[Product 2] Glass Kettle');
+    expect(contentDiv.querySelector('.recommendation').textContent).toBe('Recommended: Steel Kettle. It lasts longer.');
+    expect(contentDiv.querySelector('.sharedCons').textContent).toBe('Short cord');
+    const rows = [...contentDiv.querySelectorAll('#comparisonTable tr')].map(row => [...row.cells].map(cell => cell.textContent));
+    expect(rows).toEqual([
+        ['', 'Steel Kettle', 'Glass Kettle'],
+        ['Pros', 'Sturdy', 'See-through'],
+        ['Cons', '', 'Fragile'],
+        ['Durability', '★ Lasts years', 'Cracks'],
+        ['Value', 'Fair', '—']
+    ]);
+    expect(contentDiv.querySelector('#comparisonTable td.best').textContent).toBe('★ Lasts years');
+
+    contentDiv.querySelector('.removeComparisonBtn').click();
+    await expect.poll(() => contentDiv.querySelector('h4').textContent).toBe('Comparison (1 of 4)');
+    expect(contentDiv.querySelector('#compareProductsBtn').disabled).toBe(true);
+});
+
+/**
+ * Test case: Verify comparisons whose estimated cost exceeds a spending cap are refused when the cap blocks requests, and warned about otherwise.
+ */
+test('Refuses or warns about comparisons over a spending cap', async () => {
+    const { displayComparison } = require('./popup.js');
+    const store = {
+        openaiApiKey: 'sk-test',
+        budgetSettings: { dailyCap: 0.001, monthlyCap: 0, overCapAction: 'block' },
+        comparisonProducts: ['Steel Kettle', 'Glass Kettle'].map((title, index) => ({
+            site: 'amazon', marketplace: 'www.amazon.com', itemId: `B00000000${index + 1}`, url: `https://www.amazon.com/dp/B00000000${index + 1}`,
+            title, reviews: [{ rating: 4, text: `${title} is fine.` }], insights: null, summary: null, addedAt: index
+        }))
+    };
+    global.chrome.storage.local = {
+        get: (key) => Promise.resolve(typeof key === 'string' ? { [key]: store[key] } : {}),
+        set: (items) => Promise.resolve(Object.assign(store, items)),
+        remove: (key) => Promise.resolve(delete store[key])
+    };
+    let fetched = 0;
+    global.fetch = () => {
+        fetched++;
+        const content = JSON.stringify({
+            shared: { pros: [], cons: [] },
+            products: [{ product: 1, pros: ['Sturdy'], cons: [] }, { product: 2, pros: [], cons: ['Fragile'] }],
+            aspects: [],
+            recommendation: { product: 1, reason: 'It lasts longer.' }
+        });
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    await displayComparison();
+
+    contentDiv.querySelector('#compareProductsBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#comparisonOutput').textContent).toMatch(/^Error: This request \(about \$0\.01\d\) would exceed your daily spending cap of \$0\.001;/);
+    expect(fetched).toBe(0);
+
+    store.budgetSettings.overCapAction = 'warn';
+    contentDiv.querySelector('#compareProductsBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#comparisonTable')).not.toBeNull();
+    global.fetch = undefined;
+    expect(fetched).toBe(1);
+    const output = contentDiv.querySelector('#comparisonOutput');
+    expect(output.firstElementChild.className).toBe('budgetNote');
+    expect(output.firstElementChild.textContent).toMatch(/^Warning: This request .* would exceed your daily spending cap/);
+});
+
+/**
+ * Test case: Verify chat answers are rendered as markdown and HTML from the model is shown as text.
+ */
+test('Renders chat answers as markdown without running HTML from the model', async () => {
+    const { displayReviews, displayChatBox } = require('./popup.js');
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    const chunks = ['**Pros**\n- Lou', 'd [Review 1]\n- <img src=x onerror="alert(1)">', ' **ba', 'ttery** [Review 2]'];
+    global.fetch = () => {
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    chunks.forEach(content => {
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+                    });
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                    controller.close();
+                }
+            })
+        });
+    };
+    displayReviews([
+        { rating: 5, text: 'Very loud speaker.' },
+        { rating: 3, text: 'The battery lasts about a day of use.' }
+    ]);
+    displayChatBox();
+
+    contentDiv.querySelector('#chatInput').value = 'Pros?';
+    contentDiv.querySelector('#chatForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await expect.poll(() => contentDiv.querySelector('#chatAskBtn').disabled).toBe(false);
+    global.fetch = undefined;
+
+    const answerText = contentDiv.querySelector('.chatAnswerText');
+    expect(answerText.querySelector('p > strong').textContent).toBe('Pros');
+    const items = answerText.querySelectorAll('ul > li');
+    expect([...items].map(item => item.textContent)).toEqual(['Loud [Review 1]', '<img src=x onerror="alert(1)"> battery [Review 2]']);
+    expect(answerText.querySelector('img')).toBeNull();
+    expect(items[1].querySelector('strong').textContent).toBe('battery');
+    items[1].querySelector('a.citation').click();
+    expect(contentDiv.querySelector('.citedReview').textContent).toContain('The battery lasts about a day of use.');
+});
+
+/**
+ * Test case: Verify the Stop button aborts a running summarization and API errors are explained.
+ */
+test('Stops a running summarization and explains API errors', async () => {
+    const { createSummarizeButton } = require('./popup.js');
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    global.fetch = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    connectBackground(203);
+    window.allReviews = [{ rating: 5, text: 'Solid build.' }];
+
+    const summarizeBtn = createSummarizeButton();
+    contentDiv.appendChild(summarizeBtn);
+    summarizeBtn.click();
+    await expect.poll(() => contentDiv.querySelector('#stopSummaryBtn')).not.toBeNull();
+    contentDiv.querySelector('#stopSummaryBtn').click();
+    await expect.poll(() => summarizeBtn.disabled).toBe(false);
+
+    expect(contentDiv.querySelector('#summaryOutput').textContent).toBe('Summarization stopped.');
+    expect(contentDiv.querySelector('#stopSummaryBtn')).toBeNull();
+
+    global.fetch = () => Promise.resolve({
+        ok: false, status: 401, statusText: 'Unauthorized',
+        headers: { get: () => null },
+        json: () => Promise.resolve({ error: { message: 'Incorrect API key provided' } })
+    });
+    summarizeBtn.click();
+    await expect.poll(() => contentDiv.querySelector('#summaryOutput').textContent).toContain('rejected the API key');
+    global.fetch = undefined;
+});
+
+/**
+ * Test case: Verify the popup shows the estimated tokens and cost of a summary, warns about the spending cap and shows the tokens a summary used.
+ */
+test('Shows the estimated cost before summarizing and the usage after', async () => {
+    const { displayReviews, displaySummaryJob } = require('./popup.js');
+    const stored = { budgetSettings: { dailyCap: 0.01, monthlyCap: 0, overCapAction: 'block' } };
+    global.chrome.storage.local.get = (key) => Promise.resolve({ [key]: stored[key] });
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+
+    displayReviews(reviews);
+    const estimateLine = contentDiv.querySelector('#summaryEstimate');
+    await expect.poll(() => estimateLine.textContent).not.toBe('');
+
+    // The output is counted at the 1500 max tokens of gpt-4o, so the estimate exceeds the one cent cap.
+    expect(estimateLine.textContent).toMatch(/^About \d+ input tokens, up to \$0\.01\d with gpt-4o\. This request \(about \$0\.01\d\) would exceed your daily spending cap of \$0\.010; \$0\.00 was spent today\. A quick local summary will be made instead\.$/);
+    expect(estimateLine.classList.contains('overBudget')).toBe(true);
+
+    await displaySummaryJob({
+        tabId: 9,
+        status: 'done',
+        reviews,
+        summary: { pros: [{ point: 'Solid build', mentions: 1, reviews: [1] }], cons: [], verdict: 'Good.', confidence: 0.9 },
+        usage: { inputTokens: 1420, outputTokens: 80, cost: 0.00435, estimated: false },
+        budgetNote: 'Warning: This request would exceed your daily spending cap.'
+    });
+
+    const output = contentDiv.querySelector('#summaryOutput');
+    expect(output.querySelector('.usageNote').textContent).toBe('This summary used 1,420 input and 80 output tokens, about $0.004.');
+    expect(output.firstElementChild.className).toBe('budgetNote');
+});
+
+/**
+ * Test case: Verify the quick local summary is made on the device without an API key and is marked as approximate.
+ */
+test('Makes a quick local summary without an API key', async () => {
+    const { displayReviews } = require('./popup.js');
+    global.fetch = () => Promise.reject(new Error('The local summary must not call the API'));
+    connectBackground(204);
+
+    displayReviews([
+        { id: 'R1', rating: 5, text: 'The battery life is amazing.' },
+        { id: 'R2', rating: 4, text: 'Battery life is great and it charges fast.' },
+        { id: 'R3', rating: 1, text: 'The strap broke in a week.' },
+        { id: 'R4', rating: 2, text: 'Cheap strap, it broke quickly.' }
+    ]);
+    contentDiv.querySelector('#localSummaryBtn').click();
+    await expect.poll(() => contentDiv.querySelector('#summaryOutput .pros')).not.toBeNull();
+
+    const output = contentDiv.querySelector('#summaryOutput');
+    expect(output.querySelector('.localNote').textContent).toContain('Quick local summary made on this device');
+    expect(output.querySelector('.pros').textContent).toContain('Battery life');
+    expect(output.querySelector('.cons').textContent).toContain('Strap');
+    expect(contentDiv.querySelector('#localSummaryBtn').disabled).toBe(false);
+
+    // Without a key, the regular summary explains what is missing and falls back to the local summary.
+    contentDiv.querySelector('#summarizeBtn').click();
+    await expect.poll(() => output.querySelector('.localNote')?.textContent).toContain('OpenAI API key not set');
+    expect(output.querySelector('.pros').textContent).toContain('Battery life');
+    global.fetch = undefined;
+});
+
+/**
+ * Test case: Verify a reopened popup shows the progress of a running summary and a summary that finished while it was closed.
+ */
+test('Reattaches to the summary job of the tab when the popup is reopened', async () => {
+    const { displayReviews, displaySummaryJob } = require('./popup.js');
+    const messages = [];
+    global.chrome.runtime.sendMessage = (message) => messages.push(message);
+    const reviews = [{ id: 'R1', rating: 5, text: 'Solid build.' }];
+
+    displayReviews(reviews);
+    await displaySummaryJob({ tabId: 9, status: 'summarizing', statusText: 'Summarizing batch 2 of 3...', reviews });
+
+    expect(contentDiv.querySelector('#summaryOutput').textContent).toBe('Summarizing batch 2 of 3...');
+    expect(contentDiv.querySelector('#summarizeBtn').disabled).toBe(true);
+    contentDiv.querySelector('#stopSummaryBtn').click();
+    expect(messages).toEqual([{ action: 'stopSummary', tabId: 9 }]);
+
+    displayReviews(reviews);
+    await displaySummaryJob({
+        tabId: 9,
+        status: 'done',
+        reviews,
+        summary: { pros: [{ point: 'Solid build', mentions: 1, reviews: [1] }], cons: [], verdict: 'Good.', confidence: 0.9 }
+    });
+
+    expect(contentDiv.querySelector('#summaryOutput .pros').textContent).toContain('Solid build');
+    expect(contentDiv.querySelector('#chatBox')).not.toBeNull();
+    expect(contentDiv.querySelector('#stopSummaryBtn')).toBeNull();
+    expect(messages[1]).toEqual({ action: 'summaryShown', tabId: 9 });
+});
+
+/**
+ * Test case: Verify the popup opened with the question shortcut shows the question box focused once the reviews are loaded.
+ */
+test('Focuses the question box when opened with the question shortcut', async () => {
+    const { displayReviews } = require('./popup.js');
+    window.openChatOnLoad = true;
+
+    displayReviews([{ id: 'R1', rating: 5, text: 'Solid build.' }]);
+
+    expect(document.activeElement).toBe(contentDiv.querySelector('#chatInput'));
+    expect(window.openChatOnLoad).toBe(false);
+});
+
+/**
+ * Test case: Verify the popup reports the key status of the selected provider and links to the options page.
+ */
+test('Shows the API key status with a link to the settings', async () => {
+    const { checkApiKeyStatus } = require('./popup.js');
+    const apiKeyStatusDiv = document.createElement('div');
+    apiKeyStatusDiv.id = 'apiKeyStatus';
+    document.body.appendChild(apiKeyStatusDiv);
+    let optionsOpened = false;
+    global.chrome.runtime.openOptionsPage = () => { optionsOpened = true; };
+
+    await checkApiKeyStatus();
+    expect(apiKeyStatusDiv.textContent).toBe('No OpenAI API key found. Please add your API key in the settings. Settings');
+
+    global.chrome.storage.local.get = (key) => Promise.resolve(key === 'openaiApiKey' ? { openaiApiKey: 'sk-test' } : {});
+    await checkApiKeyStatus();
+    expect(apiKeyStatusDiv.textContent).toBe('OpenAI API key detected (gpt-4o). Settings');
+    expect(apiKeyStatusDiv.textContent).not.toContain('sk-test');
+
+    apiKeyStatusDiv.querySelector('#openOptionsLink').click();
+    expect(optionsOpened).toBe(true);
+});
+
+/**
+ * Test case: Verify an encrypted key can be unlocked with the passphrase from the popup.
+ */
+test('Unlocks an encrypted API key with the passphrase', async () => {
+    const { checkApiKeyStatus } = require('./popup.js');
+    const apiKeyStatusDiv = document.createElement('div');
+    apiKeyStatusDiv.id = 'apiKeyStatus';
+    document.body.appendChild(apiKeyStatusDiv);
+    const store = { encryptedApiKeys: { openai: await encryptSecret('sk-openai-key-1234', 'correct horse') } };
+    const sessionStore = {};
+    global.chrome.storage.local.get = (key) => Promise.resolve({ [key]: store[key] });
+    global.chrome.storage.session = {
+        get: (key) => Promise.resolve({ [key]: sessionStore[key] }),
+        set: (items) => Promise.resolve(Object.assign(sessionStore, items))
+    };
+
+    await checkApiKeyStatus();
+    expect(apiKeyStatusDiv.textContent).toContain('Your OpenAI API key is encrypted.');
+
+    const unlock = async (passphrase) => {
+        document.getElementById('passphraseInput').value = passphrase;
+        document.getElementById('unlockForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    };
+    await unlock('wrong passphrase');
+    await expect.poll(() => document.querySelector('#unlockForm .unlockMessage').textContent).toBe(' Wrong passphrase.');
+
+    await unlock('correct horse');
+    await expect.poll(() => apiKeyStatusDiv.textContent).toContain('OpenAI API key detected');
+    expect(document.getElementById('unlockForm')).toBeNull();
+    expect(sessionStore.openaiApiKey).toBe('sk-openai-key-1234');
+});
@@ -0,0 +1,200 @@
+// markdown.js
+
+// Constants
+// The only elements model output is rendered into; everything else ends up in text nodes.
+const MARKDOWN_ALLOWED_TAGS = ['h3', 'h4', 'p', 'br', 'ul', 'ol', 'li', 'strong', 'em', 'code'];
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const MARKDOWN_BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const MARKDOWN_NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const MARKDOWN_INLINE_PATTERN = /\*\*(.+?)\*\*|__(.+?)__|`([^`]+)`|\*(?![\s*])([^*]+?)\*/;
+// Text that can still become a markdown token once the next chunk of a stream arrives
+const MARKDOWN_PENDING_LINE_PATTERN = /^\s*(#{1,6}|[-*+]|\d+[.)]?)$/;
+const MARKDOWN_PENDING_MARKER_PATTERN = /[*_`]+$/;
+
+/**
+ * Splits one line of markdown into text with bold, italic and code styling.
+ * In a partial line (the last line of a stream), a bold, italic or code span that has not been
+ * closed yet runs to the end of the line, so its markers are never shown while it streams in.
+ *
+ * @param {string} text - The line.
+ * @param {boolean} [partial=false] - Whether more text of the line may still arrive.
+ * @returns {{text: string, style: string|null}[]} The segments in order; style is 'strong', 'em', 'code' or null.
+ */
+function parseMarkdownInline(text, partial = false) {
+    const segments = [];
+    let rest = partial ? text.replace(MARKDOWN_PENDING_MARKER_PATTERN, '') : text;
+    let match;
+    while ((match = rest.match(MARKDOWN_INLINE_PATTERN))) {
+        if (match.index > 0) {
+            segments.push({ text: rest.substring(0, match.index), style: null });
+        }
+        if (match[3] !== undefined) {
+            segments.push({ text: match[3], style: 'code' });
+        } else if (match[4] !== undefined) {
+            segments.push({ text: match[4], style: 'em' });
+        } else {
+            segments.push({ text: match[1] ?? match[2], style: 'strong' });
+        }
+        rest = rest.substring(match.index + match[0].length);
+    }
+
+    const open = partial ? rest.match(/\*\*|__|`|\*(?=\S)/) : null;
+    if (open) {
+        const style = { '`': 'code', '*': 'em' }[open[0]] || 'strong';
+        if (open.index > 0) {
+            segments.push({ text: rest.substring(0, open.index), style: null });
+        }
+        rest = rest.substring(open.index + open[0].length);
+        if (rest) {
+            segments.push({ text: rest, style });
+        }
+    } else if (rest) {
+        segments.push({ text: rest, style: null });
+    }
+    return segments;
+}
+
+/**
+ * Parses markdown into headings, bullet and numbered lists, and paragraphs. Raw HTML is not
+ * interpreted; it is kept as text.
+ *
+ * @param {string} text - The markdown, e.g. a model answer received so far.
+ * @param {boolean} [partial=false] - Whether the text is still streaming in. Markers at the end of a
+ *   partial text that may belong to a token split across chunks (e.g. "**" or a lone "-") are held back.
+ * @returns {({type: 'heading', level: number, inlines: Object[]}|{type: 'list', ordered: boolean, items: Object[][]}|
+ *   {type: 'paragraph', lines: Object[][]})[]} The blocks in order; inlines are segments of parseMarkdownInline.
+ */
+function parseMarkdown(text, partial = false) {
+    const blocks = [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (partial && MARKDOWN_PENDING_LINE_PATTERN.test(lines[lines.length - 1])) {
+        lines.pop();
+    }
+
+    let current = null;
+    lines.forEach((line, index) => {
+        const inline = (content) => parseMarkdownInline(content, partial && index === lines.length - 1);
+        const heading = line.match(MARKDOWN_HEADING_PATTERN);
+        const bullet = line.match(MARKDOWN_BULLET_PATTERN);
+        const numbered = line.match(MARKDOWN_NUMBERED_PATTERN);
+        if (!line.trim()) {
+            current = null;
+        } else if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, inlines: inline(heading[2]) });
+            current = null;
+        } else if (bullet || numbered) {
+            const ordered = !bullet;
+            if (current?.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, items: [] };
+                blocks.push(current);
+            }
+            current.items.push(inline((bullet || numbered)[1]));
+        } else {
+            if (current?.type !== 'paragraph') {
+                current = { type: 'paragraph', lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(inline(line.trim()));
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Creates an element for rendered markdown. Only the tags in MARKDOWN_ALLOWED_TAGS can be created.
+ *
+ * @param {string} tag - The tag name.
+ * @returns {HTMLElement} The element.
+ */
+function createMarkdownElement(tag) {
+    if (!MARKDOWN_ALLOWED_TAGS.includes(tag)) {
+        throw new Error(`Markdown cannot render <${tag}> elements.`);
+    }
+    return document.createElement(tag);
+}
+
+/**
+ * Appends text as a text node.
+ *
+ * @param {HTMLElement} parent - The element to append to.
+ * @param {string} text - The text.
+ * @returns {void}
+ */
+function appendMarkdownText(parent, text) {
+    parent.appendChild(document.createTextNode(text));
+}
+
+/**
+ * Appends styled segments of a line.
+ *
+ * @param {HTMLElement} parent - The element to append to.
+ * @param {{text: string, style: string|null}[]} inlines - The segments (see parseMarkdownInline).
+ * @param {function(HTMLElement, string): void} renderText - Appends the text of a segment.
+ * @returns {void}
+ */
+function appendMarkdownInlines(parent, inlines, renderText) {
+    inlines.forEach(({ text, style }) => {
+        if (!style) {
+            renderText(parent, text);
+            return;
+        }
+        const element = createMarkdownElement(style);
+        if (style === 'code') {
+            appendMarkdownText(element, text);
+        } else {
+            renderText(element, text);
+        }
+        parent.appendChild(element);
+    });
+}
+
+/**
+ * Renders markdown model output into an element, replacing its content. The output is built from DOM
+ * nodes of an allowlist of elements and text nodes, never from HTML, so HTML in the text (e.g. from a
+ * prompt-injected review) is shown as text. Streams are rendered by rendering the text received so far
+ * with partial set, which copes with tokens split across chunks.
+ *
+ * @param {HTMLElement} container - The element to render into.
+ * @param {string} text - The markdown.
+ * @param {Object} [options] - Rendering options.
+ * @param {boolean} [options.partial=false] - Whether the text is still streaming in (see parseMarkdown).
+ * @param {function(HTMLElement, string): void} [options.renderText] - Appends plain text, e.g. to turn
+ *   citations into links. Defaults to appending a text node.
+ * @returns {void}
+ */
+function renderMarkdown(container, text, { partial = false, renderText = appendMarkdownText } = {}) {
+    container.textContent = '';
+    parseMarkdown(text, partial).forEach(block => {
+        let element;
+        if (block.type === 'heading') {
+            element = createMarkdownElement(block.level <= 2 ? 'h3' : 'h4');
+            appendMarkdownInlines(element, block.inlines, renderText);
+        } else if (block.type === 'list') {
+            element = createMarkdownElement(block.ordered ? 'ol' : 'ul');
+            block.items.forEach(inlines => {
+                const item = createMarkdownElement('li');
+                appendMarkdownInlines(item, inlines, renderText);
+                element.appendChild(item);
+            });
+        } else {
+            element = createMarkdownElement('p');
+            block.lines.forEach((inlines, index) => {
+                if (index > 0) {
+                    element.appendChild(createMarkdownElement('br'));
+                }
+                appendMarkdownInlines(element, inlines, renderText);
+            });
+        }
+        container.appendChild(element);
+    });
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MARKDOWN_ALLOWED_TAGS,
+        parseMarkdownInline,
+        parseMarkdown,
+        renderMarkdown
+    };
+}
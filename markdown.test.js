@@ -0,0 +1,82 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+const { MARKDOWN_ALLOWED_TAGS, parseMarkdownInline, parseMarkdown, renderMarkdown } = require('./markdown.js');
+
+let container;
+
+/**
+ * Before each test, set up a DOM to render into.
+ */
+test.beforeEach(() => {
+    global.document = new JSDOM('<!DOCTYPE html><html><body><div id="output"></div></body></html>').window.document;
+    container = global.document.getElementById('output');
+});
+
+test.afterEach(() => {
+    global.document = undefined;
+});
+
+test('Renders headings, lists, bold and paragraphs as DOM nodes', () => {
+    renderMarkdown(container, '## Battery\n- **Long** life [Review 1]\n- Charges *fast*\n\n1. First\n2. `USB-C` port\n\nOverall good.\nWorth it.');
+
+    expect(container.innerHTML).toBe(
+        '<h3>Battery</h3>' +
+        '<ul><li><strong>Long</strong> life [Review 1]</li><li>Charges <em>fast</em></li></ul>' +
+        '<ol><li>First</li><li><code>USB-C</code> port</li></ol>' +
+        '<p>Overall good.<br>Worth it.</p>'
+    );
+});
+
+test('Shows HTML in the model output as text', () => {
+    renderMarkdown(container, 'Great <img src=x onerror="alert(1)">\n- **<script>steal()</script>**\n<a href="https://evil.example">link</a>');
+
+    expect(container.querySelector('img, script, a')).toBeNull();
+    expect(container.textContent).toContain('<img src=x onerror="alert(1)">');
+    expect(container.querySelector('strong').textContent).toBe('<script>steal()</script>');
+    const tags = [...container.querySelectorAll('*')].map(element => element.tagName.toLowerCase());
+    expect(tags.every(tag => MARKDOWN_ALLOWED_TAGS.includes(tag))).toBe(true);
+});
+
+test('Renders streams with tokens split across chunks without showing their markers', () => {
+    const chunks = ['#', '# Bat', 'tery\n', '-', ' **Lo', 'ng*', '* life\n', '- Cheap *st', 'rap*', '\n`US', 'B-C`'];
+    let text = '';
+    const rendered = chunks.map(chunk => {
+        text += chunk;
+        renderMarkdown(container, text, { partial: true });
+        return container.innerHTML;
+    });
+
+    expect(rendered.every(html => !/[*#`]/.test(html))).toBe(true);
+    expect(rendered[0]).toBe('');
+    expect(rendered[3]).toBe('<h3>Battery</h3>'); // The lone "-" may start a list item.
+    expect(rendered[4]).toBe('<h3>Battery</h3><ul><li><strong>Lo</strong></li></ul>');
+    expect(rendered[5]).toBe('<h3>Battery</h3><ul><li><strong>Long</strong></li></ul>');
+
+    renderMarkdown(container, text);
+    expect(rendered[rendered.length - 1]).toBe(container.innerHTML);
+    expect(container.innerHTML).toBe('<h3>Battery</h3><ul><li><strong>Long</strong> life</li><li>Cheap <em>strap</em></li></ul><p><code>USB-C</code></p>');
+});
+
+test('Keeps unclosed markers as text once the text is complete', () => {
+    expect(parseMarkdownInline('5 * 3 = 15 and **unclosed')).toEqual([{ text: '5 * 3 = 15 and **unclosed', style: null }]);
+    expect(parseMarkdownInline('5 * 3 = 15 and **unclosed', true)).toEqual([
+        { text: '5 * 3 = 15 and ', style: null },
+        { text: 'unclosed', style: 'strong' }
+    ]);
+    expect(parseMarkdown('Rated 4.5\n-')).toEqual([
+        { type: 'paragraph', lines: [[{ text: 'Rated 4.5', style: null }], [{ text: '-', style: null }]] }
+    ]);
+});
+
+test('Passes plain text through a custom renderer, e.g. for citations', () => {
+    renderMarkdown(container, '- **Loud** [Review 2]', {
+        renderText: (parent, text) => {
+            const span = global.document.createElement('span');
+            span.textContent = text.toUpperCase();
+            parent.appendChild(span);
+        }
+    });
+
+    expect(container.innerHTML).toBe('<ul><li><strong><span>LOUD</span></strong><span> [REVIEW 2]</span></li></ul>');
+});
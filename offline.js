@@ -0,0 +1,287 @@
+// offline.js
+
+/**
+ * A quick local summarizer that runs entirely in the extension, without a model or a network connection.
+ * It finds the aspects the reviews often mention (e.g. "battery life" or "fits small"), scores what the
+ * reviews say about them with a bundled sentiment lexicon, and quotes the most representative sentences.
+ * The result has the format of a model summary (see SUMMARY_JSON_FORMAT) and is marked "local".
+ * The lexicon and stop words are English, so reviews in other languages get a summary of their ratings only.
+ */
+
+// Constants
+// Sentiment of common review words, from -3 (very negative) to 3 (very positive).
+const LOCAL_SENTIMENT_LEXICON = {
+    amazing: 3, awesome: 3, beautiful: 3, best: 3, excellent: 3, fantastic: 3, flawless: 3, impressed: 3,
+    impressive: 3, love: 3, loved: 3, loves: 3, perfect: 3, perfectly: 3, superb: 3, wonderful: 3,
+    accurate: 2, bargain: 2, bright: 1, clear: 2, comfortable: 2, comfy: 2, convenient: 2, crisp: 2, cute: 2,
+    durable: 2, easy: 2, enjoy: 2, enjoyed: 2, good: 2, great: 3, happy: 2, helpful: 2, nice: 2, pleased: 2,
+    quiet: 2, recommend: 2, reliable: 2, satisfied: 2, smooth: 2, soft: 2, solid: 2, sturdy: 2, useful: 2, worth: 2,
+    better: 1, decent: 1, easily: 1, fast: 1, fine: 1, lasts: 1, like: 1, liked: 1, lightweight: 1, quick: 1,
+    quickly: 1, value: 1, well: 1, works: 1, worked: 1,
+    awful: -3, broke: -3, broken: -3, damaged: -3, dead: -3, defective: -3, died: -3, failure: -3, faulty: -3,
+    garbage: -3, hate: -3, hated: -3, horrible: -3, junk: -3, ripoff: -3, terrible: -3, useless: -3, waste: -3,
+    worst: -3,
+    avoid: -2, bad: -2, blurry: -2, breaks: -2, cheaply: -2, confusing: -2, cracked: -2, difficult: -2,
+    disappointed: -2, disappointing: -2, disappointment: -2, dies: -2, failed: -2, fails: -2, flimsy: -2,
+    frustrating: -2, inaccurate: -2, leak: -2, leaking: -2, leaks: -2, missing: -2, noisy: -2, overpriced: -2,
+    poor: -2, poorly: -2, problem: -2, problems: -2, refund: -2, regret: -2, returned: -2, returning: -2,
+    scratched: -2, scratches: -2, stopped: -2, uncomfortable: -2, unhappy: -2, unreliable: -2, weak: -2, wrong: -2,
+    annoying: -2, cheap: -1, complicated: -1, dim: -1, expensive: -1, hard: -1, issue: -1, issues: -1, loose: -1,
+    loud: -1, mediocre: -1, return: -1, sadly: -1, slow: -1, smell: -1, smells: -1, tight: -1, unfortunately: -1
+};
+// Words that flip the sentiment of the next few words, e.g. "not comfortable" or "doesn't leak".
+const LOCAL_NEGATIONS = new Set(['not', 'no', 'never', 'without', 'hardly', 'barely', 'nothing']);
+const LOCAL_NEGATION_WINDOW = 3;
+// Words that are not aspects on their own: function words and words every review uses.
+const LOCAL_STOP_WORDS = new Set([
+    'a', 'about', 'after', 'again', 'all', 'almost', 'also', 'am', 'an', 'and', 'any', 'are', 'around', 'as', 'at',
+    'back', 'be', 'because', 'been', 'before', 'being', 'bit', 'both', 'bought', 'but', 'buy', 'by', 'came', 'can',
+    'could', 'day', 'days', 'did', 'do', 'does', 'doing', 'done', 'down', 'each', 'even', 'ever', 'every', 'few',
+    'first', 'for', 'from', 'get', 'gets', 'getting', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+    'him', 'his', 'how', 'i', "i'm", "i've", 'if', 'in', 'into', 'is', 'it', "it's", 'its', 'just', 'last', 'lot',
+    'made', 'make', 'makes', 'many', 'me', 'more', 'most', 'much', 'my', 'need', 'new', 'now', 'of', 'off', 'on',
+    'once', 'one', 'only', 'or', 'order', 'ordered', 'other', 'our', 'out', 'over', 'own', 'pretty', 'product',
+    'products', 'purchase', 'purchased', 'quite', 'really', 'same', 'see', 'she', 'should', 'since', 'so', 'some',
+    'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things',
+    'this', 'those', 'though', 'through', 'time', 'times', 'to', 'too', 'two', 'up', 'us', 'use', 'used', 'using',
+    'very', 'want', 'was', 'way', 'we', 'week', 'weeks', 'went', 'were', 'what', 'when', 'which', 'while', 'who',
+    'will', 'with', 'would', 'year', 'years', 'yet', 'you', 'your', 'item', 'items', 'amazon', 'seller', 'review',
+    'reviews', 'star', 'stars', 'month', 'months', 'well', 'like'
+]);
+const LOCAL_MIN_ASPECT_REVIEWS = 2; // Aspects, and the pros or cons about them, need at least this many reviews
+const LOCAL_MAX_ASPECT_SHARE = 0.6; // Single words in more reviews than this are the product itself, e.g. "kettle"
+const LOCAL_POINT_REVIEWS = 5; // Reviews cited per point
+const LOCAL_POINT_LIMITS = { brief: 3, standard: 5, detailed: 8 };
+const LOCAL_MAX_QUOTE_LENGTH = 160;
+const LOCAL_MAX_CONFIDENCE = 0.6; // Local summaries are approximate, so they never claim more
+
+/**
+ * Splits a review text into sentences.
+ *
+ * @param {string} text - The review text.
+ * @returns {string[]} The sentences.
+ */
+function splitSentences(text) {
+    return (text || '').split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Splits a sentence into lowercase words, keeping apostrophes such as in "doesn't".
+ *
+ * @param {string} sentence - The sentence.
+ * @returns {string[]} The words.
+ */
+function tokenizeWords(sentence) {
+    return sentence.toLowerCase().replace(/[’`]/g, "'").match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Scores the sentiment of a sentence with LOCAL_SENTIMENT_LEXICON. Negations flip the words that follow
+ * them, and "too" makes the next word negative ("too small").
+ *
+ * @param {string[]} words - The words of the sentence.
+ * @returns {number} The sentiment: above 0 is positive, below 0 negative.
+ */
+function scoreSentiment(words) {
+    let score = 0;
+    let negatedUntil = -1;
+    words.forEach((word, index) => {
+        if (LOCAL_NEGATIONS.has(word) || word.endsWith("n't")) {
+            negatedUntil = index + LOCAL_NEGATION_WINDOW;
+            return;
+        }
+        let value = LOCAL_SENTIMENT_LEXICON[word] || 0;
+        if (index > 0 && words[index - 1] === 'too') {
+            value = -Math.max(1, Math.abs(value));
+        }
+        score += index <= negatedUntil ? -value : value;
+    });
+    return score;
+}
+
+/**
+ * Checks whether a word can be part of an aspect phrase: not a stop word, a number or a sentiment word.
+ *
+ * @param {string} word - The word.
+ * @returns {boolean} True if the word can describe an aspect.
+ */
+function isAspectWord(word) {
+    return word.length > 2 && !LOCAL_STOP_WORDS.has(word) && !LOCAL_SENTIMENT_LEXICON[word] &&
+        !LOCAL_NEGATIONS.has(word) && !word.includes("'") && !/^\d+$/.test(word);
+}
+
+/**
+ * Finds the aspects the reviews often mention: single words and pairs of words that appear in at least
+ * LOCAL_MIN_ASPECT_REVIEWS reviews. A pair such as "battery life" replaces its words when it makes up at
+ * least half of their mentions.
+ *
+ * @param {{review: number, words: string[]}[]} sentences - The sentences of all reviews, with their review index.
+ * @param {number} reviewCount - The number of reviews.
+ * @returns {{phrase: string, words: string[], reviewCount: number}[]} The aspects, most mentioned first.
+ */
+function extractAspects(sentences, reviewCount) {
+    const reviewsByPhrase = new Map();
+    const count = (phrase, review) => {
+        if (!reviewsByPhrase.has(phrase)) reviewsByPhrase.set(phrase, new Set());
+        reviewsByPhrase.get(phrase).add(review);
+    };
+    sentences.forEach(({ review, words }) => {
+        words.forEach((word, index) => {
+            if (!isAspectWord(word)) return;
+            count(word, review);
+            if (index + 1 < words.length && isAspectWord(words[index + 1])) {
+                count(`${word} ${words[index + 1]}`, review);
+            }
+        });
+    });
+
+    const candidates = [...reviewsByPhrase.entries()]
+        .map(([phrase, reviews]) => ({ phrase, words: phrase.split(' '), reviewCount: reviews.size }))
+        .filter(aspect => aspect.reviewCount >= LOCAL_MIN_ASPECT_REVIEWS)
+        .filter(aspect => aspect.words.length > 1 || reviewCount < 10 || aspect.reviewCount / reviewCount <= LOCAL_MAX_ASPECT_SHARE);
+    const pairs = candidates.filter(aspect => aspect.words.length > 1);
+    return candidates
+        .filter(aspect => aspect.words.length > 1 ||
+            !pairs.some(pair => pair.words.includes(aspect.phrase) && pair.reviewCount * 2 >= aspect.reviewCount))
+        .sort((a, b) => b.reviewCount - a.reviewCount || b.words.length - a.words.length || a.phrase.localeCompare(b.phrase));
+}
+
+/**
+ * Checks whether a sentence mentions an aspect, i.e. contains its words in order.
+ *
+ * @param {string[]} words - The words of the sentence.
+ * @param {string[]} aspectWords - The words of the aspect.
+ * @returns {boolean} True if the sentence mentions the aspect.
+ */
+function mentionsAspect(words, aspectWords) {
+    return words.some((word, index) => aspectWords.every((aspectWord, offset) => words[index + offset] === aspectWord));
+}
+
+/**
+ * Picks the sentence that best represents a group of sentences: the one sharing the most words with the
+ * others and with the clearest sentiment, relative to its length. Very short and very long sentences are
+ * only picked if there is no other.
+ *
+ * @param {{text: string, words: string[], sentiment: number}[]} sentences - The sentences.
+ * @returns {string} The representative sentence, shortened to LOCAL_MAX_QUOTE_LENGTH characters.
+ */
+function pickRepresentativeSentence(sentences) {
+    const frequency = new Map();
+    sentences.forEach(({ words }) => new Set(words.filter(word => !LOCAL_STOP_WORDS.has(word))).forEach(word => {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
+    }));
+    const score = ({ words, sentiment }) => {
+        const shared = words.reduce((sum, word) => sum + (LOCAL_STOP_WORDS.has(word) ? 0 : frequency.get(word) - 1), 0);
+        const lengthPenalty = words.length < 4 || words.length > 40 ? 0.5 : 1;
+        return lengthPenalty * (shared + Math.abs(sentiment)) / Math.sqrt(words.length);
+    };
+    const best = sentences.reduce((a, b) => (score(b) > score(a) ? b : a));
+    return best.text.length > LOCAL_MAX_QUOTE_LENGTH ? best.text.substring(0, LOCAL_MAX_QUOTE_LENGTH - 3) + '...' : best.text;
+}
+
+/**
+ * Joins phrases into a list such as "a, b and c".
+ *
+ * @param {string[]} phrases - The phrases.
+ * @returns {string} The list.
+ */
+function joinPhrases(phrases) {
+    return phrases.length > 1 ? `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}` : phrases[0];
+}
+
+/**
+ * Summarizes reviews locally, without a model: the aspects the reviews often mention become pros or cons
+ * depending on what the reviews say about them, each with its most representative sentence, and the verdict
+ * sums up the ratings and the main pros and cons. A sentence without sentiment words counts as positive in
+ * a 4 or 5 star review and as negative in a 1 or 2 star review.
+ *
+ * @param {Object} options - Summary options; other options of summarizeReviews are accepted and ignored.
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {{summaryLength?: string}} [options.summarySettings={}] - The summary preferences; the length sets how many points are listed.
+ * @returns {{pros: Object[], cons: Object[], verdict: string, confidence: number, local: true}} The summary, in the
+ *   format of a model summary (see validateSummary).
+ */
+function summarizeReviewsLocally({ reviews, summarySettings = {} }) {
+    const sentences = reviews.flatMap((review, index) => splitSentences(review.text).map(text => {
+        const words = tokenizeWords(text);
+        let sentiment = scoreSentiment(words);
+        if (sentiment === 0 && review.rating) {
+            sentiment = review.rating >= 4 ? 1 : review.rating <= 2 ? -1 : 0;
+        }
+        return { review: index, text, words, sentiment };
+    }));
+
+    const points = { pros: [], cons: [] };
+    extractAspects(sentences, reviews.length).forEach(aspect => {
+        const mentions = sentences.filter(sentence => mentionsAspect(sentence.words, aspect.words));
+        // Each review counts once per aspect, with the overall sentiment of its sentences about it.
+        const sentimentByReview = new Map();
+        mentions.forEach(({ review, sentiment }) => sentimentByReview.set(review, (sentimentByReview.get(review) || 0) + sentiment));
+        const total = sentimentByReview.size;
+        [['pros', (sentiment) => sentiment > 0], ['cons', (sentiment) => sentiment < 0]].forEach(([kind, matches]) => {
+            const reviewIndexes = [...sentimentByReview.keys()].filter(review => matches(sentimentByReview.get(review)));
+            if (reviewIndexes.length < LOCAL_MIN_ASPECT_REVIEWS || reviewIndexes.length * 3 < total) return;
+            // Skip aspects whose reviews are already behind a higher-ranked point, e.g. "battery" after "battery life".
+            if (points[kind].some(point => aspect.words.some(word => point.words.includes(word)))) return;
+            const quote = pickRepresentativeSentence(mentions.filter(mention => reviewIndexes.includes(mention.review) && matches(mention.sentiment)));
+            const phrase = aspect.phrase.charAt(0).toUpperCase() + aspect.phrase.slice(1);
+            points[kind].push({
+                point: `${phrase}: "${quote}"`,
+                mentions: reviewIndexes.length,
+                reviews: reviewIndexes.slice(0, LOCAL_POINT_REVIEWS).map(review => review + 1),
+                words: aspect.words,
+                phrase: aspect.phrase
+            });
+        });
+    });
+    const limit = LOCAL_POINT_LIMITS[summarySettings.summaryLength] || LOCAL_POINT_LIMITS.standard;
+    const ranked = (kind) => points[kind].sort((a, b) => b.mentions - a.mentions).slice(0, limit);
+    const pros = ranked('pros');
+    const cons = ranked('cons');
+
+    const ratings = reviews.map(review => review.rating).filter(Boolean);
+    const average = ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null;
+    // Without ratings, the share of positive sentences stands in for the average rating.
+    const positiveShare = sentences.length > 0 ? sentences.filter(sentence => sentence.sentiment > 0).length / sentences.length : 0.5;
+    const overall = average ?? 1 + 4 * positiveShare;
+    const tone = overall >= 4 ? 'Mostly positive' : overall <= 2.5 ? 'Mostly negative' : 'Mixed';
+    const verdict = [`${tone}: ${reviews.length} review${reviews.length === 1 ? '' : 's'}` +
+        (average !== null ? ` averaging ${average.toFixed(1)} out of 5.` : '.')];
+    if (pros.length > 0) verdict.push(`Reviewers like the ${joinPhrases(pros.slice(0, 3).map(point => point.phrase))}.`);
+    if (cons.length > 0) verdict.push(`They criticize the ${joinPhrases(cons.slice(0, 3).map(point => point.phrase))}.`);
+    if (sentences.length > 0) verdict.push(`A typical review says: "${pickRepresentativeSentence(sentences)}"`);
+
+    const strip = ({ point, mentions, reviews: reviewNumbers }) => ({ point, mentions, reviews: reviewNumbers });
+    return {
+        pros: pros.map(strip),
+        cons: cons.map(strip),
+        verdict: verdict.join(' '),
+        confidence: Math.round(Math.min(LOCAL_MAX_CONFIDENCE, 0.2 + reviews.length / 100) * 100) / 100,
+        local: true
+    };
+}
+
+/**
+ * Describes a local summary for the user: that it is approximate and, if it stands in for a summary by
+ * the model, why the model could not be used.
+ *
+ * @param {{description: string}|null} [fallbackError=null] - The error of the model's summary, if any (see serializeJobError in background.js).
+ * @returns {string} The note to show with the summary.
+ */
+function describeLocalSummary(fallbackError = null) {
+    return fallbackError
+        ? `${fallbackError.description} Showing a quick local summary made on this device instead; it is only approximate.`
+        : 'Quick local summary made on this device without the model; it is only approximate.';
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCAL_SENTIMENT_LEXICON,
+        splitSentences,
+        scoreSentiment,
+        extractAspects,
+        summarizeReviewsLocally,
+        describeLocalSummary
+    };
+}
@@ -0,0 +1,53 @@
+const { test, expect } = require('@playwright/test');
+
+const { splitSentences, scoreSentiment, extractAspects, summarizeReviewsLocally, describeLocalSummary } = require('./offline.js');
+
+const REVIEWS = [
+    { rating: 5, text: 'The battery life is amazing. It charges quickly.' },
+    { rating: 4, text: 'Great sound quality, and the battery life is solid. The case feels cheap though.' },
+    { rating: 2, text: 'The case broke after a week. Battery life is fine.' },
+    { rating: 1, text: 'The case cracked and the left earbud stopped working. Terrible.' },
+    { rating: 5, text: 'Love the sound quality! They fit small, but are comfortable.' },
+    { rating: 3, text: 'They fit small. The case hinge is flimsy.' }
+];
+
+test('Scores sentiment with negations and splits sentences', () => {
+    const words = (text) => text.toLowerCase().split(' ');
+
+    expect(scoreSentiment(words('the fit is comfortable'))).toBe(2);
+    expect(scoreSentiment(words('not comfortable at all'))).toBe(-2);
+    expect(scoreSentiment(words("it doesn't leak"))).toBe(2);
+    expect(scoreSentiment(words('way too small'))).toBe(-1);
+    expect(splitSentences('Works great! Broke after a week.\nWould not buy again')).toEqual(['Works great!', 'Broke after a week.', 'Would not buy again']);
+});
+
+test('Finds the aspects several reviews mention, preferring phrases over their words', () => {
+    const sentences = REVIEWS.flatMap((review, index) => splitSentences(review.text).map(text => ({ review: index, words: text.toLowerCase().match(/[\p{L}']+/gu) })));
+
+    const phrases = extractAspects(sentences, REVIEWS.length).map(aspect => aspect.phrase);
+
+    expect(phrases.slice(0, 4)).toEqual(['case', 'battery life', 'fit small', 'sound quality']);
+    expect(phrases).not.toContain('battery');
+    expect(phrases).not.toContain('great');
+});
+
+test('Summarizes reviews into pros, cons and a verdict with representative sentences', () => {
+    const summary = summarizeReviewsLocally({ reviews: REVIEWS, summarySettings: { summaryLength: 'brief' } });
+
+    expect(summary.pros).toEqual([
+        { point: 'Battery life: "The battery life is amazing."', mentions: 3, reviews: [1, 2, 3] },
+        { point: 'Sound quality: "Love the sound quality!"', mentions: 2, reviews: [2, 5] }
+    ]);
+    expect(summary.cons).toEqual([{ point: 'Case: "The case broke after a week."', mentions: 4, reviews: [2, 3, 4, 6] }]);
+    expect(summary.verdict).toBe('Mixed: 6 reviews averaging 3.3 out of 5. Reviewers like the battery life and sound quality. ' +
+        'They criticize the case. A typical review says: "Great sound quality, and the battery life is solid."');
+    expect(summary.confidence).toBe(0.26);
+    expect(summary.local).toBe(true);
+    // Summaries keep the format of the model's summaries, so they pass its validation.
+    expect(() => require('./summary.js').validateSummary(summary, REVIEWS.length)).not.toThrow();
+
+    expect(summarizeReviewsLocally({ reviews: [{ rating: 5, text: 'Perfekt!' }] })).toMatchObject({
+        pros: [], cons: [], verdict: 'Mostly positive: 1 review averaging 5.0 out of 5. A typical review says: "Perfekt!"'
+    });
+    expect(describeLocalSummary({ description: 'Error: Could not reach OpenAI.' })).toMatch(/^Error: Could not reach OpenAI\. Showing a quick local summary/);
+});
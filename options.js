@@ -0,0 +1,316 @@
+// options.js
+
+/**
+ * Shows a status message below a section of the options page.
+ *
+ * @param {string} elementId - The ID of the status element.
+ * @param {string} message - The message.
+ * @param {boolean} [isError=false] - Whether the message reports an error.
+ * @returns {void}
+ */
+function showOptionsStatus(elementId, message, isError = false) {
+    const statusElement = document.getElementById(elementId);
+    statusElement.textContent = message;
+    statusElement.classList.toggle('error', isError);
+}
+
+/**
+ * Shows whether a key is stored for the selected provider, masked so that it is never shown in full.
+ *
+ * @param {string} providerId - The provider ID.
+ * @returns {Promise<void>} A promise that resolves once the status is shown.
+ */
+async function displayStoredKeyStatus(providerId) {
+    const provider = getLlmProvider(providerId);
+    const apiKey = await getApiKey(providerId);
+    const locked = await isApiKeyLocked(providerId);
+    const modeLabels = { local: '', encrypted: ' (encrypted)', session: ' (until the browser is closed)' };
+    let status;
+    if (locked) {
+        status = `Saved ${provider.name} API key (encrypted). Unlock it with your passphrase in the popup.`;
+    } else if (apiKey) {
+        status = `Saved ${provider.name} API key${modeLabels[await getKeyStorageMode(providerId)]}: ${maskApiKey(apiKey)}`;
+    } else if (!provider.requiresKey) {
+        status = `${provider.name} does not need an API key unless your server requires one.`;
+    } else {
+        status = `No ${provider.name} API key saved.`;
+    }
+    document.getElementById('apiKeyStatus').textContent = status;
+    document.getElementById('clearApiKeyBtn').disabled = !apiKey && !locked;
+}
+
+/**
+ * Fills the model fields with the stored settings of a provider.
+ *
+ * @param {Object} llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string} providerId - The provider ID.
+ * @returns {void}
+ */
+function fillModelFields(llmSettings, providerId) {
+    const provider = getLlmProvider(providerId);
+    const settings = llmSettings.providers[provider.id];
+    document.getElementById('baseUrlRow').style.display = provider.id === 'compatible' ? 'block' : 'none';
+    document.getElementById('baseUrlInput').value = settings.baseUrl || '';
+    document.getElementById('modelInput').value = settings.model;
+    document.getElementById('temperatureInput').value = settings.temperature;
+    document.getElementById('maxTokensInput').value = settings.maxTokens;
+    const modelOptions = document.getElementById('modelOptions');
+    modelOptions.textContent = '';
+    provider.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        modelOptions.appendChild(option);
+    });
+}
+
+/**
+ * Reads the model fields into the settings of a provider.
+ *
+ * @param {Object} llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string} providerId - The provider ID.
+ * @returns {Object} The provider settings.
+ */
+function readModelFields(llmSettings, providerId) {
+    const defaults = LLM_SETTINGS_DEFAULTS.providers[providerId];
+    const temperature = parseFloat(document.getElementById('temperatureInput').value);
+    const maxTokens = parseInt(document.getElementById('maxTokensInput').value, 10);
+    const settings = {
+        ...llmSettings.providers[providerId],
+        model: document.getElementById('modelInput').value.trim() || defaults.model,
+        temperature: isNaN(temperature) ? defaults.temperature : temperature,
+        maxTokens: isNaN(maxTokens) ? defaults.maxTokens : maxTokens
+    };
+    if (providerId === 'compatible') {
+        settings.baseUrl = document.getElementById('baseUrlInput').value.trim() || defaults.baseUrl;
+    }
+    return settings;
+}
+
+/**
+ * Shows today's and this month's tokens and spending from the usage log.
+ *
+ * @returns {Promise<void>} A promise that resolves once the usage is shown.
+ */
+async function displayUsageSummary() {
+    const { today, month } = getUsageTotals(await getUsageLog());
+    const describe = (label, totals) => {
+        if (totals.requests === 0) {
+            return `${label}: no requests.`;
+        }
+        const unpriced = totals.unpricedRequests > 0
+            ? ` (not counting ${totals.unpricedRequests} request${totals.unpricedRequests === 1 ? '' : 's'} to models without a known price)`
+            : '';
+        return `${label}: ${totals.requests} request${totals.requests === 1 ? '' : 's'}, ${describeUsage(totals)}${unpriced}.`;
+    };
+    document.getElementById('usageSummary').textContent = `${describe('Today', today)} ${describe('This month', month)}`;
+}
+
+/**
+ * Reads a spending cap field; empty or invalid values mean no cap.
+ *
+ * @param {string} elementId - The ID of the input.
+ * @returns {number} The cap in US dollars, 0 for none.
+ */
+function readCapField(elementId) {
+    const cap = parseFloat(document.getElementById(elementId).value);
+    return isNaN(cap) || cap < 0 ? 0 : cap;
+}
+
+/**
+ * Reads a crawl setting field and checks it against its limits (see CRAWL_SETTINGS_LIMITS).
+ *
+ * @param {string} elementId - The ID of the input.
+ * @param {string} name - The name of the crawl setting.
+ * @returns {number|null} The value, or null if it is not a whole number within the limits.
+ */
+function readCrawlField(elementId, name) {
+    const { min, max } = CRAWL_SETTINGS_LIMITS[name];
+    const value = Number(document.getElementById(elementId).value);
+    return Number.isInteger(value) && value >= min && value <= max ? value : null;
+}
+
+/**
+ * Fills the options page with the stored settings and wires up its buttons.
+ *
+ * @returns {Promise<void>} A promise that resolves once the page is ready.
+ */
+async function initOptionsPage() {
+    const llmSettings = await getLlmSettings();
+    const summarySettings = await getSummarySettings();
+    const crawlSettings = await getCrawlSettings();
+    const budgetSettings = await getBudgetSettings();
+
+    const providerSelect = document.getElementById('providerSelect');
+    Object.values(LLM_PROVIDERS).forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        providerSelect.appendChild(option);
+    });
+    providerSelect.value = llmSettings.provider;
+    fillModelFields(llmSettings, llmSettings.provider);
+    await displayStoredKeyStatus(llmSettings.provider);
+
+    providerSelect.addEventListener('change', () => {
+        fillModelFields(llmSettings, providerSelect.value);
+        displayStoredKeyStatus(providerSelect.value);
+        showOptionsStatus('apiKeyResult', '');
+    });
+
+    const promptTemplateInput = document.getElementById('promptTemplateInput');
+    promptTemplateInput.value = summarySettings.promptTemplate || SUMMARY_PROMPT_TEMPLATE;
+    document.getElementById('summaryLengthSelect').value = summarySettings.summaryLength;
+    document.getElementById('outputLanguageInput').value = summarySettings.outputLanguage;
+    document.getElementById('resultsViewSelect').value = summarySettings.resultsView;
+    document.getElementById('excludeFlaggedCheckbox').checked = summarySettings.excludeFlaggedReviews;
+    document.getElementById('maxReviewPagesInput').value = crawlSettings.maxReviewPages;
+    document.getElementById('pageDelayInput').value = crawlSettings.pageDelayMs;
+    document.getElementById('dailyCapInput').value = budgetSettings.dailyCap;
+    document.getElementById('monthlyCapInput').value = budgetSettings.monthlyCap;
+    document.getElementById('overCapActionSelect').value = budgetSettings.overCapAction;
+    await displayUsageSummary();
+
+    const keyStorageModeSelect = document.getElementById('keyStorageModeSelect');
+    const passphraseInput = document.getElementById('passphraseInput');
+    const showPassphraseRow = () => {
+        document.getElementById('passphraseRow').style.display = keyStorageModeSelect.value === 'encrypted' ? 'block' : 'none';
+    };
+    // Preselects the mode the key of a provider is stored in.
+    const selectKeyStorageMode = async (providerId) => {
+        keyStorageModeSelect.value = await getKeyStorageMode(providerId);
+        showPassphraseRow();
+    };
+    await selectKeyStorageMode(providerSelect.value);
+    keyStorageModeSelect.addEventListener('change', showPassphraseRow);
+    providerSelect.addEventListener('change', () => selectKeyStorageMode(providerSelect.value));
+
+    const apiKeyInput = document.getElementById('apiKeyInput');
+    document.getElementById('saveApiKeyBtn').addEventListener('click', async () => {
+        const apiKey = apiKeyInput.value.trim();
+        if (!apiKey) {
+            showOptionsStatus('apiKeyResult', 'Please enter an API key.', true);
+            return;
+        }
+        if (keyStorageModeSelect.value === 'encrypted' && !passphraseInput.value) {
+            showOptionsStatus('apiKeyResult', 'Please enter a passphrase to encrypt the key with.', true);
+            return;
+        }
+        try {
+            await saveApiKey(providerSelect.value, apiKey, keyStorageModeSelect.value, passphraseInput.value);
+            apiKeyInput.value = '';
+            passphraseInput.value = '';
+            showOptionsStatus('apiKeyResult', 'API key saved.');
+            await displayStoredKeyStatus(providerSelect.value);
+        } catch (error) {
+            console.error("Error saving API key:", error);
+            showOptionsStatus('apiKeyResult', `Error saving API key: ${error.message}`, true);
+        }
+    });
+
+    document.getElementById('testApiKeyBtn').addEventListener('click', async () => {
+        const providerId = providerSelect.value;
+        // Test the key being entered, or else the stored one.
+        const apiKey = apiKeyInput.value.trim() || await getApiKey(providerId);
+        if (!apiKey && getLlmProvider(providerId).requiresKey) {
+            showOptionsStatus('apiKeyResult', 'There is no API key to test.', true);
+            return;
+        }
+        showOptionsStatus('apiKeyResult', 'Testing...');
+        const testSettings = { ...llmSettings, providers: { ...llmSettings.providers, [providerId]: readModelFields(llmSettings, providerId) } };
+        const result = await testApiKey(providerId, apiKey, testSettings);
+        showOptionsStatus('apiKeyResult', result.message, !result.ok);
+    });
+
+    document.getElementById('clearApiKeyBtn').addEventListener('click', async () => {
+        try {
+            await clearApiKey(providerSelect.value);
+            showOptionsStatus('apiKeyResult', 'API key cleared.');
+            await displayStoredKeyStatus(providerSelect.value);
+        } catch (error) {
+            console.error("Error clearing API key:", error);
+            showOptionsStatus('apiKeyResult', 'Error clearing API key.', true);
+        }
+    });
+
+    document.getElementById('resetPromptBtn').addEventListener('click', () => {
+        promptTemplateInput.value = SUMMARY_PROMPT_TEMPLATE;
+    });
+
+    document.getElementById('clearUsageBtn').addEventListener('click', async () => {
+        try {
+            // The background service worker keeps the usage log (see recordUsage).
+            await chrome.runtime.sendMessage({ action: 'clearUsage' });
+            await displayUsageSummary();
+        } catch (error) {
+            console.error("Error clearing the usage log:", error);
+        }
+    });
+
+    document.getElementById('saveSettingsBtn').addEventListener('click', async () => {
+        const maxReviewPages = readCrawlField('maxReviewPagesInput', 'maxReviewPages');
+        const pageDelayMs = readCrawlField('pageDelayInput', 'pageDelayMs');
+        if (maxReviewPages === null || pageDelayMs === null) {
+            const { min, max } = CRAWL_SETTINGS_LIMITS[maxReviewPages === null ? 'maxReviewPages' : 'pageDelayMs'];
+            const field = maxReviewPages === null ? 'number of review pages' : 'delay between pages';
+            showOptionsStatus('saveStatus', `Please enter a ${field} from ${min} to ${max}.`, true);
+            return;
+        }
+        const providerId = providerSelect.value;
+        const settings = readModelFields(llmSettings, providerId);
+        if (providerId === 'compatible') {
+            let granted;
+            try {
+                // Self-hosted servers are not in the manifest's host permissions, so ask for their origin.
+                granted = await chrome.permissions.request({ origins: [`${new URL(settings.baseUrl).origin}/*`] });
+            } catch (error) {
+                console.error("Invalid base URL:", error);
+                showOptionsStatus('saveStatus', 'Please enter a valid base URL.', true);
+                return;
+            }
+            if (!granted) {
+                // Requests to the server would fail without the permission, so keep the current provider.
+                console.log("Host permission for the OpenAI-compatible server was not granted.");
+                showOptionsStatus('saveStatus', 'Access to the server was not granted, so the settings were not saved.', true);
+                return;
+            }
+        }
+        llmSettings.provider = providerId;
+        llmSettings.providers[providerId] = settings;
+
+        const promptTemplate = promptTemplateInput.value.trim();
+        const newSummarySettings = {
+            // Store an unchanged template as the default, so that it follows future improvements of the built-in prompt.
+            promptTemplate: promptTemplate === SUMMARY_PROMPT_TEMPLATE ? '' : promptTemplate,
+            summaryLength: document.getElementById('summaryLengthSelect').value,
+            outputLanguage: document.getElementById('outputLanguageInput').value.trim(),
+            resultsView: document.getElementById('resultsViewSelect').value,
+            excludeFlaggedReviews: document.getElementById('excludeFlaggedCheckbox').checked
+        };
+        const newBudgetSettings = {
+            dailyCap: readCapField('dailyCapInput'),
+            monthlyCap: readCapField('monthlyCapInput'),
+            overCapAction: document.getElementById('overCapActionSelect').value
+        };
+
+        try {
+            await chrome.storage.local.set({ llmSettings, summarySettings: newSummarySettings, budgetSettings: newBudgetSettings, maxReviewPages, pageDelayMs });
+            console.log("Settings saved successfully.");
+            showOptionsStatus('saveStatus', 'Settings saved.');
+        } catch (error) {
+            console.error("Error saving settings:", error);
+            showOptionsStatus('saveStatus', 'Error saving settings.', true);
+        }
+    });
+}
+
+// Main Execution
+installLogRedaction();
+
+document.addEventListener('DOMContentLoaded', () => {
+    initOptionsPage();
+});
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { initOptionsPage };
+}
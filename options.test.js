@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+// options.html loads these scripts before options.js, so expose them as globals the same way.
+Object.assign(global, require('./providers.js'), require('./summary.js'), require('./settings.js'), require('./usage.js'));
+
+let store, sessionStore;
+
+/**
+ * Before each test, load options.html into JSDOM and stub chrome.storage.local with an in-memory store.
+ */
+test.beforeEach(() => {
+    const html = fs.readFileSync(path.join(__dirname, 'options.html'), 'utf8').replace(/<script[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html);
+    global.document = dom.window.document;
+    global.window = dom.window;
+    sessionStore = {};
+    store = { openaiApiKey: 'sk-proj-abcdefghijklmnopf3a9' };
+    global.chrome = {
+        storage: {
+            local: {
+                // Like chrome.storage, an object of defaults returns the stored values of its keys or else the defaults.
+                get: (key) => Promise.resolve(typeof key === 'string'
+                    ? { [key]: store[key] }
+                    : Object.fromEntries(Object.entries(key).map(([name, value]) => [name, store[name] ?? value]))),
+                set: (items) => Promise.resolve(Object.assign(store, items)),
+                remove: (key) => Promise.resolve(delete store[key])
+            },
+            session: {
+                get: (key) => Promise.resolve({ [key]: sessionStore[key] }),
+                set: (items) => Promise.resolve(Object.assign(sessionStore, items)),
+                remove: (key) => Promise.resolve(delete sessionStore[key])
+            }
+        },
+        permissions: { request: () => Promise.resolve(true) },
+        // The background service worker clears the usage log.
+        runtime: { sendMessage: (message) => message.action === 'clearUsage' ? clearUsageLog() : Promise.resolve() }
+    };
+});
+
+/**
+ * After each test, clean up the DOM and the stubs.
+ */
+test.afterEach(() => {
+    global.document = undefined;
+    global.window = undefined;
+    global.chrome = undefined;
+});
+
+/**
+ * Test case: Verify the stored key is only shown masked and can be replaced and cleared.
+ */
+test('Shows the stored key masked and replaces or clears it', async () => {
+    const { initOptionsPage } = require('./options.js');
+    await initOptionsPage();
+
+    expect(document.getElementById('apiKeyInput').type).toBe('password');
+    expect(document.getElementById('apiKeyStatus').textContent).toBe('Saved OpenAI API key: sk-...f3a9');
+
+    document.getElementById('apiKeyInput').value = 'sk-new-key-1234';
+    document.getElementById('saveApiKeyBtn').click();
+    await expect.poll(() => document.getElementById('apiKeyStatus').textContent).toBe('Saved OpenAI API key: sk-...1234');
+    expect(store.openaiApiKey).toBe('sk-new-key-1234');
+    expect(document.getElementById('apiKeyInput').value).toBe('');
+
+    document.getElementById('clearApiKeyBtn').click();
+    await expect.poll(() => document.getElementById('apiKeyStatus').textContent).toBe('No OpenAI API key saved.');
+    expect(store.openaiApiKey).toBeUndefined();
+});
+
+/**
+ * Test case: Verify each provider's key is shown and preselected with the storage mode it was saved with.
+ */
+test('Shows the storage mode of each provider\'s key', async () => {
+    const { initOptionsPage } = require('./options.js');
+    store.keyStorageModes = { anthropic: 'session' };
+    sessionStore.anthropicApiKey = 'sk-ant-api03-abcdefgh5678';
+    await initOptionsPage();
+
+    expect(document.getElementById('apiKeyStatus').textContent).toBe('Saved OpenAI API key: sk-...f3a9');
+    expect(document.getElementById('keyStorageModeSelect').value).toBe('local');
+
+    document.getElementById('providerSelect').value = 'anthropic';
+    document.getElementById('providerSelect').dispatchEvent(new window.Event('change'));
+    await expect.poll(() => document.getElementById('apiKeyStatus').textContent).toBe('Saved Anthropic API key (until the browser is closed): sk-...5678');
+    await expect.poll(() => document.getElementById('keyStorageModeSelect').value).toBe('session');
+});
+
+/**
+ * Test case: Verify the model, prompt template, summary length, output language and review filter are saved, and the template can be reset.
+ */
+test('Saves the model and summary preferences and resets the prompt template', async () => {
+    const { initOptionsPage } = require('./options.js');
+    await initOptionsPage();
+
+    expect(document.getElementById('promptTemplateInput').value).toBe(SUMMARY_PROMPT_TEMPLATE);
+
+    document.getElementById('providerSelect').value = 'anthropic';
+    document.getElementById('providerSelect').dispatchEvent(new window.Event('change'));
+    expect(document.getElementById('modelInput').value).toBe('claude-sonnet-4-5');
+    await expect.poll(() => document.getElementById('apiKeyStatus').textContent).toBe('No Anthropic API key saved.');
+    document.getElementById('modelInput').value = 'claude-haiku-4-5';
+    document.getElementById('promptTemplateInput').value = 'Summarize for a busy parent.';
+    document.getElementById('summaryLengthSelect').value = 'detailed';
+    document.getElementById('outputLanguageInput').value = 'French';
+    document.getElementById('resultsViewSelect').value = 'panel';
+    document.getElementById('excludeFlaggedCheckbox').checked = true;
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Settings saved.');
+
+    expect(store.llmSettings.provider).toBe('anthropic');
+    expect(store.llmSettings.providers.anthropic.model).toBe('claude-haiku-4-5');
+    expect(store.summarySettings).toEqual({ promptTemplate: 'Summarize for a busy parent.', summaryLength: 'detailed', outputLanguage: 'French', resultsView: 'panel', excludeFlaggedReviews: true });
+
+    document.getElementById('resetPromptBtn').click();
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => store.summarySettings.promptTemplate).toBe('');
+});
+
+/**
+ * Test case: Verify the spending caps are saved and today's and this month's usage is shown and can be reset.
+ */
+test('Saves the spending caps and shows and resets the usage', async () => {
+    const { initOptionsPage } = require('./options.js');
+    const now = new Date();
+    const day = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    store.usageLog = {
+        days: { [day]: { requests: 2, inputTokens: 12000, outputTokens: 1500, cost: 0.045, unpricedRequests: 0 } },
+        months: { [day.slice(0, 7)]: { requests: 3, inputTokens: 12100, outputTokens: 1510, cost: 0.045, unpricedRequests: 1 } }
+    };
+    await initOptionsPage();
+
+    expect(document.getElementById('usageSummary').textContent).toBe(
+        'Today: 2 requests, 12,000 input and 1,500 output tokens, about $0.045. ' +
+        'This month: 3 requests, 12,100 input and 1,510 output tokens, about $0.045 (not counting 1 request to models without a known price).');
+    expect(document.getElementById('dailyCapInput').value).toBe('0');
+
+    document.getElementById('dailyCapInput').value = '1.5';
+    document.getElementById('monthlyCapInput').value = '-3';
+    document.getElementById('overCapActionSelect').value = 'block';
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Settings saved.');
+    expect(store.budgetSettings).toEqual({ dailyCap: 1.5, monthlyCap: 0, overCapAction: 'block' });
+
+    document.getElementById('clearUsageBtn').click();
+    await expect.poll(() => document.getElementById('usageSummary').textContent).toBe('Today: no requests. This month: no requests.');
+});
+
+/**
+ * Test case: Verify the review page cap and the delay between pages are loaded, checked against their limits and saved.
+ */
+test('Saves the review page cap and delay within their limits', async () => {
+    const { initOptionsPage } = require('./options.js');
+    store.maxReviewPages = 5;
+    await initOptionsPage();
+
+    expect(document.getElementById('maxReviewPagesInput').value).toBe('5');
+    expect(document.getElementById('pageDelayInput').value).toBe('1000');
+
+    document.getElementById('maxReviewPagesInput').value = '500';
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Please enter a number of review pages from 1 to 50.');
+    expect(store.llmSettings).toBeUndefined();
+
+    document.getElementById('maxReviewPagesInput').value = '20';
+    document.getElementById('pageDelayInput').value = '100';
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Please enter a delay between pages from 500 to 10000.');
+
+    document.getElementById('pageDelayInput').value = '2500';
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Settings saved.');
+    expect(store).toMatchObject({ maxReviewPages: 20, pageDelayMs: 2500 });
+});
+
+/**
+ * Test case: Verify the OpenAI-compatible provider is only saved once the server's host permission is granted.
+ */
+test('Saves the OpenAI-compatible provider only with access to its server', async () => {
+    const { initOptionsPage } = require('./options.js');
+    const requests = [];
+    let granted = false;
+    global.chrome.permissions.request = (permissions) => {
+        requests.push(permissions);
+        return Promise.resolve(granted);
+    };
+    await initOptionsPage();
+
+    document.getElementById('providerSelect').value = 'compatible';
+    document.getElementById('providerSelect').dispatchEvent(new window.Event('change'));
+    document.getElementById('baseUrlInput').value = 'http://localhost:11434/v1';
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Access to the server was not granted, so the settings were not saved.');
+    expect(document.getElementById('saveStatus').className).toContain('error');
+    expect(requests).toEqual([{ origins: ['http://localhost:11434/*'] }]);
+    expect(store.llmSettings).toBeUndefined();
+
+    granted = true;
+    document.getElementById('saveSettingsBtn').click();
+    await expect.poll(() => document.getElementById('saveStatus').textContent).toBe('Settings saved.');
+    expect(store.llmSettings.provider).toBe('compatible');
+    expect(store.llmSettings.providers.compatible.baseUrl).toBe('http://localhost:11434/v1');
+});
@@ -0,0 +1,468 @@
+// panel.js
+
+// Constants
+const PANEL_HOST_ID = 'review-summarizer-panel';
+const PANEL_HIGHLIGHT_OUTLINE = '3px solid #ff9900';
+const PANEL_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; top: 80px; right: 0; z-index: 2147483647;
+    display: flex; flex-direction: column; width: 340px; max-height: calc(100vh - 100px);
+    font-family: Arial, sans-serif; font-size: 13px; line-height: 1.4; color: #0f1111;
+    background: #fff; border: 1px solid #d5d9d9; border-right: none; border-radius: 8px 0 0 8px;
+    box-shadow: 0 2px 12px rgba(0, 0, 0, 0.2);
+  }
+  .panel.collapsed { width: auto; }
+  .panel.collapsed .panelBody { display: none; }
+  header { display: flex; align-items: center; gap: 6px; padding: 8px 10px; background: #232f3e; color: #fff; border-radius: 8px 0 0 0; }
+  .panel.collapsed header { border-radius: 8px 0 0 8px; }
+  header h2 { flex: 1; margin: 0; font-size: 14px; }
+  header button { background: none; border: none; color: #fff; font-size: 16px; cursor: pointer; }
+  .panelBody { overflow-y: auto; padding: 10px; }
+  h3 { margin: 10px 0 4px; font-size: 13px; }
+  ol { margin: 0; padding-left: 20px; }
+  li { margin-bottom: 4px; }
+  a { color: #007185; cursor: pointer; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .mentionCount { color: #565959; font-size: 11px; }
+  .panelQuote { margin: 4px 0; padding-left: 6px; border-left: 3px solid #ddd; color: #333; }
+  .panelStatus { color: #565959; }
+  .panelError { color: #c62828; }
+  .confidence { color: #565959; font-size: 11px; }
+  .histogram { width: 100%; border-collapse: collapse; font-size: 11px; }
+  .histogram td { padding: 1px 4px; white-space: nowrap; }
+  .histogram td:nth-child(2) { width: 100%; }
+  .histogramBar { height: 8px; background: #ff9900; border-radius: 4px; }
+  .segment { margin-top: 8px; padding: 2px 8px; border-radius: 4px; }
+  .segment.positive { background: #e8f5e9; }
+  .segment.critical { background: #ffebee; }
+  .panelQuestion { margin-top: 8px; font-weight: bold; }
+  .panelAnswer { margin: 4px 0; padding: 6px; background: #f7f7f7; border-radius: 4px; }
+  .panelAnswer p, .panelAnswer ul, .panelAnswer ol { margin: 2px 0; }
+  .panelAnswer ul { padding-left: 18px; }
+  .panelAnswer h3, .panelAnswer h4 { margin: 6px 0 2px; font-size: 13px; }
+  form { display: flex; gap: 4px; margin-top: 8px; }
+  input { flex: 1; padding: 4px; font: inherit; }
+`;
+
+// The job shown in the panel, the questions asked about it and the review elements highlighted on the page.
+const panelState = { job: null, chatHistory: [], highlighted: [] };
+
+/**
+ * Returns the shadow root of the summary panel, if it is on the page.
+ *
+ * @returns {ShadowRoot|null} The panel's shadow root, or null if there is no panel.
+ */
+function getSummaryPanel() {
+  const host = document.getElementById(PANEL_HOST_ID);
+  return host ? host.shadowRoot : null;
+}
+
+/**
+ * Injects the summary panel into the page. The panel lives in a Shadow DOM, so the page's styles
+ * cannot change it and its styles cannot leak into the page.
+ *
+ * @returns {ShadowRoot} The panel's shadow root.
+ */
+function createSummaryPanel() {
+  const host = document.createElement('div');
+  host.id = PANEL_HOST_ID;
+  const root = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = PANEL_STYLES;
+  const panel = document.createElement('div');
+  panel.className = 'panel';
+
+  const header = document.createElement('header');
+  const title = document.createElement('h2');
+  title.textContent = 'Review Summary';
+  const collapseBtn = document.createElement('button');
+  collapseBtn.className = 'collapseBtn';
+  collapseBtn.title = 'Collapse';
+  collapseBtn.textContent = '–';
+  collapseBtn.addEventListener('click', () => {
+    const collapsed = panel.classList.toggle('collapsed');
+    collapseBtn.textContent = collapsed ? '+' : '–';
+    collapseBtn.title = collapsed ? 'Expand' : 'Collapse';
+  });
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'closeBtn';
+  closeBtn.title = 'Close';
+  closeBtn.textContent = '×';
+  closeBtn.addEventListener('click', () => {
+    clearReviewHighlights();
+    host.remove();
+    // A panel opened again starts empty, so it has to render its job from scratch.
+    panelState.job = null;
+    panelState.chatHistory = [];
+  });
+  header.append(title, collapseBtn, closeBtn);
+
+  const body = document.createElement('div');
+  body.className = 'panelBody';
+  panel.append(header, body);
+  root.append(style, panel);
+  document.body.appendChild(host);
+  return root;
+}
+
+/**
+ * Finds the element of a review on the page by its review ID.
+ *
+ * @param {Object} review - The structured review.
+ * @returns {Element|null} The review element, or null if the review is not on this page.
+ */
+function findReviewElement(review) {
+  if (!review || !review.id) return null;
+  return document.getElementById(review.id) ||
+    Array.from(document.querySelectorAll('[data-review-id]')).find(element => element.getAttribute('data-review-id') === review.id) ||
+    null;
+}
+
+/**
+ * Removes the highlight from the review elements highlighted before.
+ *
+ * @returns {void}
+ */
+function clearReviewHighlights() {
+  panelState.highlighted.forEach(({ element, outline }) => {
+    element.style.outline = outline;
+  });
+  panelState.highlighted = [];
+}
+
+/**
+ * Highlights the reviews on the page and scrolls to the first of them. Reviews that are not on this page
+ * (e.g. from other review pages) are quoted below the clicked item instead.
+ *
+ * @param {number[]} reviewNumbers - The 1-based numbers of the reviews in the job's review set.
+ * @param {HTMLElement} item - The panel item that was clicked.
+ * @returns {void}
+ */
+function showReviewsOnPage(reviewNumbers, item) {
+  clearReviewHighlights();
+  item.querySelectorAll('.panelQuote').forEach(quote => quote.remove());
+
+  const reviews = panelState.job.reviews;
+  let scrolled = false;
+  reviewNumbers.forEach(number => {
+    const review = reviews[number - 1];
+    const element = findReviewElement(review);
+    if (element) {
+      panelState.highlighted.push({ element, outline: element.style.outline });
+      element.style.outline = PANEL_HIGHLIGHT_OUTLINE;
+      if (!scrolled) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        scrolled = true;
+      }
+    } else if (review) {
+      const quote = document.createElement('div');
+      quote.className = 'panelQuote';
+      const text = review.text.length > 200 ? review.text.substring(0, 200) + '...' : review.text;
+      quote.textContent = `"${text}"`;
+      item.appendChild(quote);
+    }
+  });
+}
+
+/**
+ * Creates a ranked list of pros or cons. Clicking a point shows the reviews that mention it.
+ *
+ * @param {{point: string, mentions: number, reviews: number[]}[]} points - The ranked points.
+ * @param {string} className - Class name of the list ('pros' or 'cons').
+ * @returns {HTMLOListElement} The list element.
+ */
+function createPanelPointList(points, className) {
+  const list = document.createElement('ol');
+  list.className = className;
+  points.forEach(({ point, mentions, reviews }) => {
+    const item = document.createElement('li');
+    const label = document.createElement(reviews.length > 0 ? 'a' : 'span');
+    label.className = 'point';
+    label.textContent = point;
+    if (reviews.length > 0) {
+      label.addEventListener('click', (event) => {
+        event.preventDefault();
+        showReviewsOnPage(reviews, item);
+      });
+    }
+    const count = document.createElement('span');
+    count.className = 'mentionCount';
+    count.textContent = ` ${mentions} mention${mentions === 1 ? '' : 's'}`;
+    item.append(label, count);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Renders a (possibly partial) answer as markdown, turning review citations into links that show the cited review.
+ *
+ * @param {HTMLElement} answerDiv - The answer element.
+ * @param {string} text - The answer text received so far.
+ * @param {boolean} [partial=false] - Whether more of the answer may still arrive.
+ * @returns {void}
+ */
+function renderPanelAnswer(answerDiv, text, partial = false) {
+  const renderText = (parent, segmentText) => {
+    parseCitations(segmentText, panelState.job.reviews.length).forEach(segment => {
+      if (segment.text !== undefined) {
+        parent.appendChild(document.createTextNode(segment.text));
+        return;
+      }
+      const citation = document.createElement('a');
+      citation.className = 'citation';
+      citation.textContent = `[Review ${segment.review}]`;
+      citation.addEventListener('click', (event) => {
+        event.preventDefault();
+        showReviewsOnPage([segment.review], answerDiv);
+      });
+      parent.appendChild(citation);
+    });
+  };
+  renderMarkdown(answerDiv, text, { partial, renderText });
+}
+
+/**
+ * Asks a question about the reviews of the panel's job. The background service worker answers it
+ * and streams the answer back over a port.
+ *
+ * @param {HTMLElement} messagesDiv - The element the question and answer are added to.
+ * @param {string} question - The question.
+ * @returns {Promise<void>} A promise that resolves once the answer is complete.
+ */
+function askPanelQuestion(messagesDiv, question) {
+  const questionDiv = document.createElement('div');
+  questionDiv.className = 'panelQuestion';
+  questionDiv.textContent = question;
+  const answerDiv = document.createElement('div');
+  answerDiv.className = 'panelAnswer';
+  answerDiv.textContent = '...';
+  messagesDiv.append(questionDiv, answerDiv);
+
+  return new Promise(resolve => {
+    const port = chrome.runtime.connect({ name: 'reviewQuestion' });
+    port.onMessage.addListener((message) => {
+      if (message.budgetNote) {
+        const budgetNote = document.createElement('p');
+        budgetNote.className = 'panelStatus';
+        budgetNote.textContent = message.budgetNote;
+        messagesDiv.insertBefore(budgetNote, answerDiv);
+      }
+      if (message.text !== undefined) {
+        renderPanelAnswer(answerDiv, message.text, true);
+      }
+      if (message.error) {
+        answerDiv.textContent = message.error;
+      }
+      if (message.done) {
+        renderPanelAnswer(answerDiv, message.answer);
+        // The providers reject empty messages, so a question without an answer is left out.
+        if (message.answer.trim()) {
+          panelState.chatHistory.push({ role: 'user', content: question }, { role: 'assistant', content: message.answer });
+        }
+      }
+      if (message.done || message.error) {
+        port.disconnect();
+        resolve();
+      }
+    });
+    port.onDisconnect.addListener(() => resolve());
+    port.postMessage({ question, history: panelState.chatHistory });
+  });
+}
+
+/**
+ * Creates the question box of the panel.
+ *
+ * @returns {HTMLDivElement} The question box.
+ */
+function createPanelChat() {
+  const chat = document.createElement('div');
+  chat.className = 'panelChat';
+  const heading = document.createElement('h3');
+  heading.textContent = 'Ask about the reviews';
+  const messagesDiv = document.createElement('div');
+  messagesDiv.className = 'panelMessages';
+  const form = document.createElement('form');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'panelQuestionInput';
+  input.placeholder = 'e.g. "How is the battery life?"';
+  const askBtn = document.createElement('button');
+  askBtn.type = 'submit';
+  askBtn.textContent = 'Ask';
+  form.append(input, askBtn);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const question = input.value.trim();
+    if (!question) return;
+    input.value = '';
+    askBtn.disabled = true;
+    await askPanelQuestion(messagesDiv, question);
+    askBtn.disabled = false;
+  });
+  chat.append(heading, messagesDiv, form);
+  return chat;
+}
+
+/**
+ * Renders a summary in the panel body: ranked pros and cons, the verdict and the question box.
+ *
+ * @param {HTMLElement} body - The panel body.
+ * @param {{pros: Object[], cons: Object[], verdict: string, confidence: number}} summary - The summary.
+ * @returns {void}
+ */
+function renderPanelSummary(body, summary) {
+  [['Pros', summary.pros, 'pros'], ['Cons', summary.cons, 'cons']].forEach(([title, points, className]) => {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    body.appendChild(heading);
+    if (points.length > 0) {
+      body.appendChild(createPanelPointList(points, className));
+    } else {
+      const none = document.createElement('p');
+      none.textContent = `No common ${title.toLowerCase()} mentioned.`;
+      body.appendChild(none);
+    }
+  });
+
+  const verdictHeading = document.createElement('h3');
+  verdictHeading.textContent = 'Summary';
+  const verdict = document.createElement('p');
+  verdict.className = 'verdict';
+  verdict.textContent = summary.verdict;
+  const confidence = document.createElement('p');
+  confidence.className = 'confidence';
+  confidence.textContent = `Confidence: ${Math.round(summary.confidence * 100)}%`;
+  body.append(verdictHeading, verdict, confidence, createPanelChat());
+}
+
+/**
+ * Renders a segmented summary in the panel body: the rating histogram, then why people love the product
+ * and why they return it, each with its verdict, followed by the question box.
+ *
+ * @param {HTMLElement} body - The panel body.
+ * @param {{segments: Object[]}} summary - The segmented summary (see summarizeReviewSegments in summary.js).
+ * @param {Object|null} insights - The product insights holding the rating histogram.
+ * @returns {void}
+ */
+function renderPanelSegments(body, summary, insights) {
+  const histogram = (insights && insights.histogram) || {};
+  const stars = Object.keys(histogram).sort((a, b) => b - a);
+  if (stars.length > 0) {
+    const table = document.createElement('table');
+    table.className = 'histogram';
+    stars.forEach(star => {
+      const row = table.insertRow();
+      row.insertCell().textContent = `${star}★`;
+      const bar = document.createElement('div');
+      bar.className = 'histogramBar';
+      bar.style.width = `${histogram[star]}%`;
+      row.insertCell().appendChild(bar);
+      row.insertCell().textContent = `${histogram[star]}%`;
+    });
+    body.appendChild(table);
+  }
+
+  summary.segments.forEach(segment => {
+    const section = document.createElement('section');
+    section.className = `segment ${segment.id}`;
+    const heading = document.createElement('h3');
+    heading.textContent = `${segment.title} (${segment.reviewCount} review${segment.reviewCount === 1 ? '' : 's'})`;
+    section.appendChild(heading);
+    const points = segment.summary ? segment.summary[segment.points] : [];
+    if (points.length > 0) {
+      section.appendChild(createPanelPointList(points, segment.points));
+    } else {
+      const none = document.createElement('p');
+      none.textContent = segment.summary ? 'Nothing mentioned by several reviews.' : 'No reviews in this group.';
+      section.appendChild(none);
+    }
+    if (segment.summary) {
+      const verdict = document.createElement('p');
+      verdict.className = 'verdict';
+      verdict.textContent = segment.summary.verdict;
+      section.appendChild(verdict);
+    }
+    body.appendChild(section);
+  });
+  body.appendChild(createPanelChat());
+}
+
+/**
+ * Shows a summary job in the panel, injecting the panel if needed: the progress while the summary runs,
+ * then the summary with its question box, or why there is none.
+ *
+ * @param {Object} job - The job (see startSummaryJob in background.js).
+ * @param {{openChat?: boolean}} [options={}] - Set openChat to focus the question box.
+ * @returns {void}
+ */
+function displaySummaryPanel(job, { openChat = false } = {}) {
+  const root = getSummaryPanel() || createSummaryPanel();
+  const body = root.querySelector('.panelBody');
+  const previous = panelState.job;
+  panelState.job = job;
+
+  if (job.status === 'done' && previous && previous.status === 'done' && previous.createdAt === job.createdAt) {
+    // The same summary is already shown; keep its questions and answers.
+  } else {
+    body.textContent = '';
+    panelState.chatHistory = [];
+    const status = document.createElement('p');
+    switch (job.status) {
+      case 'done':
+        if (job.summary.segments) {
+          renderPanelSegments(body, job.summary, job.insights);
+        } else {
+          renderPanelSummary(body, job.summary);
+        }
+        [job.localNote, job.budgetNote].filter(Boolean).forEach(text => {
+          const note = document.createElement('p');
+          note.className = 'panelStatus';
+          note.textContent = text;
+          body.prepend(note);
+        });
+        if (job.excludedReviewCount > 0) {
+          const excludedNote = document.createElement('p');
+          excludedNote.className = 'panelStatus';
+          excludedNote.textContent = `${job.excludedReviewCount} flagged review${job.excludedReviewCount === 1 ? ' was' : 's were'} left out of this summary.`;
+          body.insertBefore(excludedNote, body.querySelector('.panelChat'));
+        }
+        break;
+      case 'summarizing':
+        status.className = 'panelStatus';
+        status.textContent = job.statusText;
+        body.appendChild(status);
+        break;
+      case 'stopped':
+        status.className = 'panelStatus';
+        status.textContent = 'Summarization stopped.';
+        body.appendChild(status);
+        break;
+      case 'error':
+        status.className = 'panelError';
+        status.textContent = job.error.description || `Error: ${job.error.message}`;
+        body.appendChild(status);
+        break;
+    }
+    if (job.status === 'done' || job.status === 'error') {
+      Promise.resolve(chrome.runtime.sendMessage({ action: 'summaryShown' })).catch(() => {});
+    }
+  }
+
+  // Expand the panel when there is something new to see, but not on every progress update.
+  if (!previous || previous.status !== job.status || openChat) {
+    root.querySelector('.panel').classList.remove('collapsed');
+  }
+  if (openChat) {
+    root.querySelector('.panelQuestionInput')?.focus();
+  }
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getSummaryPanel, displaySummaryPanel };
+}
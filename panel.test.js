@@ -0,0 +1,210 @@
+const { test, expect } = require('@playwright/test');
+const { JSDOM } = require('jsdom');
+
+// The content scripts load chat.js and markdown.js before panel.js, so expose them as globals the same way.
+Object.assign(global, require('./chat.js'), require('./markdown.js'));
+
+const { getSummaryPanel, displaySummaryPanel } = require('./panel.js');
+
+const REVIEWS = [
+    { id: 'R1', rating: 5, text: 'The battery lasts all week.' },
+    { id: 'R2', rating: 4, text: 'Battery is great, the strap is cheap.' }
+];
+
+let window, document, messages, scrolledTo, ports;
+
+/**
+ * Creates a done job for the panel.
+ *
+ * @param {number} createdAt - When the summary was made; jobs with a new time replace the panel content.
+ * @returns {Object} The job.
+ */
+function doneJob(createdAt) {
+    return {
+        tabId: 1,
+        status: 'done',
+        createdAt,
+        reviews: REVIEWS,
+        summary: {
+            pros: [{ point: 'Long battery life', mentions: 2, reviews: [1, 2] }],
+            cons: [{ point: 'Cheap strap', mentions: 1, reviews: [] }],
+            verdict: 'A great watch.',
+            confidence: 0.8
+        }
+    };
+}
+
+/**
+ * Before each test, load a reviews page holding only the first review and stub the chrome APIs
+ * the panel uses: messages and ports to the background service worker.
+ */
+test.beforeEach(() => {
+    window = new JSDOM('<!DOCTYPE html><html><body><div id="R1" data-hook="review">The battery lasts all week.</div></body></html>').window;
+    document = window.document;
+    global.window = window;
+    global.document = document;
+    messages = [];
+    scrolledTo = [];
+    ports = [];
+    window.Element.prototype.scrollIntoView = function () {
+        scrolledTo.push(this.id);
+    };
+    global.chrome = {
+        runtime: {
+            sendMessage: (message) => {
+                messages.push(message);
+                return Promise.resolve();
+            },
+            connect: ({ name }) => {
+                const listeners = [];
+                const port = {
+                    name,
+                    posted: [],
+                    disconnected: false,
+                    postMessage: (message) => port.posted.push(message),
+                    disconnect: () => { port.disconnected = true; },
+                    onMessage: { addListener: (listener) => listeners.push(listener) },
+                    onDisconnect: { addListener: () => {} },
+                    receive: (message) => listeners.forEach(listener => listener(message))
+                };
+                ports.push(port);
+                return port;
+            }
+        }
+    };
+});
+
+test.afterEach(() => {
+    global.window = undefined;
+    global.document = undefined;
+    global.chrome = undefined;
+});
+
+test('shows the summary in a Shadow DOM panel and highlights the reviews of a point on the page', async () => {
+    displaySummaryPanel({ tabId: 1, status: 'summarizing', statusText: 'Summarizing...', reviews: REVIEWS });
+    const root = getSummaryPanel();
+    expect(root.querySelector('.panelStatus').textContent).toBe('Summarizing...');
+
+    displaySummaryPanel(doneJob(1000));
+
+    expect(root.querySelector('.pros').textContent).toContain('Long battery life 2 mentions');
+    expect(root.querySelector('.verdict').textContent).toBe('A great watch.');
+    expect(document.querySelector('.pros')).toBeNull(); // The page cannot see into the panel.
+    expect(messages).toEqual([{ action: 'summaryShown' }]);
+
+    root.querySelector('.pros a.point').click();
+    expect(document.getElementById('R1').style.outline).toBe('3px solid #ff9900');
+    expect(scrolledTo).toEqual(['R1']);
+    // The second review is on another page, so it is quoted in the panel.
+    expect(root.querySelector('.pros .panelQuote').textContent).toBe('"Battery is great, the strap is cheap."');
+    expect(root.querySelector('.cons a.point')).toBeNull();
+
+    root.querySelector('.collapseBtn').click();
+    expect(root.querySelector('.panel').classList.contains('collapsed')).toBe(true);
+    root.querySelector('.collapseBtn').click();
+    expect(root.querySelector('.panel').classList.contains('collapsed')).toBe(false);
+
+    root.querySelector('.closeBtn').click();
+    expect(getSummaryPanel()).toBeNull();
+    expect(document.getElementById('R1').style.outline).toBe('');
+
+    // Opening the panel again with the same summary, e.g. from the question shortcut, shows it again.
+    displaySummaryPanel(doneJob(1000), { openChat: true });
+    expect(getSummaryPanel().querySelector('.verdict').textContent).toBe('A great watch.');
+    expect(getSummaryPanel().querySelector('.panelQuestionInput')).not.toBeNull();
+});
+
+test('leaves questions without an answer out of the conversation', async () => {
+    displaySummaryPanel(doneJob(4000));
+    const root = getSummaryPanel();
+    const input = root.querySelector('.panelQuestionInput');
+
+    input.value = 'Is it loud?';
+    root.querySelector('form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    ports[0].receive({ done: true, answer: '' });
+    input.value = 'How is the battery?';
+    root.querySelector('form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    expect(ports[1].posted[0].history).toEqual([]);
+});
+
+test('shows every note of a summary', async () => {
+    displaySummaryPanel({
+        ...doneJob(3000),
+        budgetNote: 'Warning: This request would exceed your daily spending cap.',
+        localNote: 'Error: OpenAI is overloaded. Showing a quick local summary.',
+        excludedReviewCount: 2
+    });
+
+    const notes = [...getSummaryPanel().querySelectorAll('.panelStatus')];
+    expect(notes.map(note => note.textContent)).toEqual([
+        'Warning: This request would exceed your daily spending cap.',
+        'Error: OpenAI is overloaded. Showing a quick local summary.',
+        '2 flagged reviews were left out of this summary.'
+    ]);
+    expect(notes[2].nextElementSibling.className).toBe('panelChat');
+});
+
+test('answers questions in the panel with citations that point to the reviews', async () => {
+    displaySummaryPanel(doneJob(2000), { openChat: true });
+    const root = getSummaryPanel();
+    const input = root.querySelector('.panelQuestionInput');
+    expect(root.activeElement).toBe(input);
+
+    input.value = 'How is the battery?';
+    root.querySelector('form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    expect(ports[0].name).toBe('reviewQuestion');
+    expect(ports[0].posted).toEqual([{ question: 'How is the battery?', history: [] }]);
+
+    ports[0].receive({ text: 'It lasts **a we' });
+    const answer = root.querySelector('.panelAnswer');
+    expect(answer.querySelector('strong').textContent).toBe('a we');
+    ports[0].receive({ done: true, answer: 'It lasts **a week** [Review 1].' });
+    expect(ports[0].disconnected).toBe(true);
+    expect(answer.textContent).toBe('It lasts a week [Review 1].');
+    expect(answer.querySelector('strong').textContent).toBe('a week');
+    answer.querySelector('a.citation').click();
+    expect(scrolledTo).toEqual(['R1']);
+
+    input.value = 'And the strap?';
+    root.querySelector('form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    expect(ports[1].posted[0].history).toEqual([
+        { role: 'user', content: 'How is the battery?' },
+        { role: 'assistant', content: 'It lasts **a week** [Review 1].' }
+    ]);
+    ports[1].receive({ budgetNote: 'Warning: This request would exceed your daily spending cap.' });
+    expect(root.querySelectorAll('.panelAnswer')[1].previousElementSibling.textContent).toBe('Warning: This request would exceed your daily spending cap.');
+    ports[1].receive({ error: 'Error: Could not reach OpenAI. Please check your connection and try again.' });
+    expect(root.querySelectorAll('.panelAnswer')[1].textContent).toContain('Could not reach OpenAI');
+
+    // Showing the same summary again keeps the conversation.
+    displaySummaryPanel(doneJob(2000));
+    expect(root.querySelectorAll('.panelAnswer')).toHaveLength(2);
+});
+
+test('shows why people love it and why they return it with the rating histogram', async () => {
+    displaySummaryPanel({
+        tabId: 1,
+        status: 'done',
+        createdAt: 3000,
+        reviews: REVIEWS,
+        insights: { histogram: { 5: 70, 1: 30 } },
+        summary: {
+            segments: [
+                { id: 'positive', title: 'Why people love it', points: 'pros', reviewCount: 1,
+                    summary: { pros: [{ point: 'Long battery life', mentions: 1, reviews: [1] }], cons: [], verdict: 'Loved.', confidence: 0.9 } },
+                { id: 'critical', title: 'Why people return it', points: 'cons', reviewCount: 0, summary: null }
+            ]
+        }
+    });
+    const root = getSummaryPanel();
+
+    expect([...root.querySelectorAll('.histogram tr')].map(row => row.textContent)).toEqual(['5★70%', '1★30%']);
+    const [fans, critics] = root.querySelectorAll('.segment');
+    expect(fans.querySelector('h3').textContent).toBe('Why people love it (1 review)');
+    expect(fans.querySelector('.verdict').textContent).toBe('Loved.');
+    expect(critics.textContent).toContain('No reviews in this group.');
+    fans.querySelector('a.point').click();
+    expect(scrolledTo).toEqual(['R1']);
+    expect(root.querySelector('.panelQuestionInput')).not.toBeNull();
+});
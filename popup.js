@@ -1,12 +1,24 @@
 // popup.js
 
-// Constants
-const REVIEW_PAGE_REGEX = /^https:\/\/www\.amazon\.com\/product-reviews\/([A-Z0-9]{10})/;
-const PRODUCT_PAGE_REGEX = /^https:\/\/www\.amazon\.com\/.*\/dp\/([A-Z0-9]{10})/;
-
 // DOM Elements
-let contentDiv;
-let loadingDiv;
+
+/**
+ * Returns the main content container of the popup.
+ *
+ * @returns {HTMLElement|null} The #content element, or null if it is not in the DOM.
+ */
+function getContentDiv() {
+    return document.getElementById('content');
+}
+
+/**
+ * Returns the loading indicator of the popup.
+ *
+ * @returns {HTMLElement|null} The #loading element, or null if it is not in the DOM.
+ */
+function getLoadingDiv() {
+    return document.getElementById('loading');
+}
 
 /**
  * Toggles the visibility of the loading indicator.
@@ -15,6 +27,7 @@ let loadingDiv;
  * @returns {void}
  */
 function toggleLoading(show) {
+    const loadingDiv = getLoadingDiv();
     if (loadingDiv) {
         loadingDiv.style.display = show ? 'block' : 'none';
     }
@@ -28,6 +41,7 @@ function toggleLoading(show) {
  * @returns {void}
  */
 function updatePopupContent(htmlContent = null, textContent = null) {
+    const contentDiv = getContentDiv();
     if (contentDiv) {
         if (htmlContent !== null) {
             contentDiv.innerHTML = htmlContent;
@@ -54,47 +68,75 @@ async function getCurrentTab() {
 }
 
 /**
- * Analyzes the provided URL to determine the page type and extract the ASIN if applicable.
+ * Analyzes the provided URL to determine the site, the page type and the item ID if applicable.
  *
  * @param {string} url - The URL to analyze.
- * @returns {{type: string, asin: string|null}} An object containing the page type ('review', 'product', or 'other') and the extracted ASIN if available.
+ * @returns {{type: string, site: string|null, marketplace: string|null, itemId: string|null, asin: string|null}} An object
+ *   containing the page type ('review', 'product', or 'other'), the site adapter ID, the marketplace host
+ *   (e.g. 'www.amazon.co.uk'), the extracted item ID and, on Amazon, the ASIN.
  */
 function getPageInfo(url) {
-    const reviewMatch = url.match(REVIEW_PAGE_REGEX);
-    if (reviewMatch) {
-        return { type: 'review', asin: reviewMatch[1] };
-    }
-    const productMatch = url.match(PRODUCT_PAGE_REGEX);
-    if (productMatch) {
-        return { type: 'product', asin: productMatch[1] };
+    const match = matchSitePage(url);
+    if (match) {
+        return {
+            type: match.type,
+            site: match.adapter.id,
+            marketplace: new URL(url).host,
+            itemId: match.itemId,
+            asin: match.adapter.id === 'amazon' ? match.itemId : null
+        };
     }
-    return { type: 'other', asin: null };
+    return { type: 'other', site: null, marketplace: null, itemId: null, asin: null };
 }
 
 /**
- * Retrieves the OpenAI API key from chrome storage.
+ * Describes why there is no API key to use.
  *
- * @returns {Promise<string|null>} A promise that resolves to the API key as a string or null if not found.
+ * @param {Object} provider - The LLM provider.
+ * @param {boolean} locked - Whether the key is encrypted and still needs the passphrase.
+ * @returns {string} The error message.
  */
-async function getApiKey() {
-    try {
-        const result = await chrome.storage.local.get('openaiApiKey');
-        console.log('Stored API key:', result.openaiApiKey);
-        return result.openaiApiKey || null;
-    } catch (error) {
-        console.error("Error retrieving API key from storage:", error);
-        return null;
-    }
+function describeMissingApiKey(provider, locked) {
+    return locked
+        ? `Error: The ${provider.name} API key is locked. Please unlock it with your passphrase above.`
+        : `Error: ${provider.name} API key not set. Please add it in the settings.`;
 }
 
 /**
- * Appends a chunk of streamed summary content to the designated summary output area in the DOM.
+ * Normalizes a review into the structured review shape returned by the content script.
+ * Plain strings are accepted for backwards compatibility and become text-only reviews.
  *
- * @param {string} chunk - The HTML content chunk to append.
- * @param {boolean} [isFirstChunk=false] - Flag indicating if this is the first chunk; if true, clears previous content.
- * @returns {void}
+ * @param {Object|string} review - A structured review object or a review text.
+ * @returns {{id: string|null, rating: number|null, title: string, author: string, date: string,
+ *   country: string, verified: boolean, helpfulVotes: number, variant: string, text: string}} The structured review.
  */
-function displaySummaryStream(chunk, isFirstChunk = false) {
+function normalizeReview(review) {
+    const defaults = {
+        id: null, rating: null, title: '', author: '', date: '', country: '',
+        verified: false, helpfulVotes: 0, variant: '', text: ''
+    };
+    return typeof review === 'string' ? { ...defaults, text: review } : { ...defaults, ...review };
+}
+
+/**
+ * Renders a star rating as filled and empty stars (e.g. "★★★★☆"). Ratings outside 0 to 5, e.g. from a
+ * parsing slip or a site with another scale, are clamped rather than breaking the review list.
+ *
+ * @param {number|null} rating - The star rating from 1 to 5.
+ * @returns {string} The star string, or an empty string if there is no rating.
+ */
+function formatStars(rating) {
+    if (!rating) return '';
+    const filled = Math.min(5, Math.max(0, Math.round(rating)));
+    return '★'.repeat(filled) + '☆'.repeat(5 - filled);
+}
+
+/**
+ * Returns the summary output area, creating it (hidden) in the main content area if it doesn't exist.
+ *
+ * @returns {HTMLDivElement} The #summaryOutput element.
+ */
+function getSummaryOutputDiv() {
     let summaryOutputDiv = document.getElementById('summaryOutput');
 
     // Create the element if it doesn't exist
@@ -103,19 +145,597 @@ function displaySummaryStream(chunk, isFirstChunk = false) {
         summaryOutputDiv.id = 'summaryOutput';
         summaryOutputDiv.style.display = 'none'; // Initially hidden
         summaryOutputDiv.style.marginTop = '10px'; // Add some spacing
-        contentDiv.appendChild(summaryOutputDiv); // Append to the main content area
+        getContentDiv().appendChild(summaryOutputDiv); // Append to the main content area
     }
+    return summaryOutputDiv;
+}
+
+/**
+ * Appends a chunk of streamed summary text to the summary output area, rendered as markdown.
+ * The text received so far is rendered again with each chunk, so tokens split across chunks are
+ * rendered once they are complete.
+ *
+ * @param {string} chunk - The markdown text chunk to append.
+ * @param {boolean} [isFirstChunk=false] - Flag indicating if this is the first chunk; if true, clears previous content.
+ * @returns {void}
+ */
+function displaySummaryStream(chunk, isFirstChunk = false) {
+    const summaryOutputDiv = getSummaryOutputDiv();
 
     if (isFirstChunk) {
-        summaryOutputDiv.innerHTML = ''; // Clear previous summary
+        window.summaryStreamText = ''; // Clear previous summary
         summaryOutputDiv.style.display = 'block'; // Make visible
     }
 
-    // Parse the chunk as HTML and append it to the summaryOutputDiv
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = chunk;
-    while (tempDiv.firstChild) {
-        summaryOutputDiv.appendChild(tempDiv.firstChild);
+    window.summaryStreamText = (window.summaryStreamText || '') + chunk;
+    renderMarkdown(summaryOutputDiv, window.summaryStreamText, { partial: true });
+}
+
+/**
+ * Replaces the content of the summary output area with a status line, e.g. while the summary is generated.
+ *
+ * @param {string} status - The status text.
+ * @returns {void}
+ */
+function displaySummaryStatus(status) {
+    const summaryOutputDiv = getSummaryOutputDiv();
+    summaryOutputDiv.textContent = '';
+    const statusLine = document.createElement('p');
+    statusLine.className = 'summaryStatus';
+    statusLine.textContent = status;
+    summaryOutputDiv.appendChild(statusLine);
+    summaryOutputDiv.style.display = 'block';
+}
+
+/**
+ * Creates a ranked list of pros or cons. Each point shows its mention count and, when reviews
+ * support it, expands to show quotes from those reviews.
+ *
+ * @param {{point: string, mentions: number, reviews: number[]}[]} points - The ranked points.
+ * @param {Object[]} reviews - The summarized reviews; point review numbers are 1-based indices into this array.
+ * @param {string} className - Class name of the list ('pros' or 'cons').
+ * @returns {HTMLOListElement} The list element.
+ */
+function createSummaryPointList(points, reviews, className) {
+    const list = document.createElement('ol');
+    list.className = `summaryPoints ${className}`;
+
+    points.forEach(({ point, mentions, reviews: reviewNumbers }) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = point + ' ';
+        const count = document.createElement('span');
+        count.className = 'mentionCount';
+        count.textContent = `${mentions} mention${mentions === 1 ? '' : 's'}`;
+
+        if (reviewNumbers.length === 0) {
+            item.append(label, count);
+        } else {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.append(label, count);
+            const quotes = document.createElement('ul');
+            quotes.className = 'supportingQuotes';
+            reviewNumbers.forEach(number => {
+                const review = reviews[number - 1];
+                const quote = document.createElement('li');
+                const text = review.text.length > 200 ? review.text.substring(0, 200) + '...' : review.text;
+                quote.textContent = `${formatStars(review.rating)} "${text}"`.trim();
+                quotes.appendChild(quote);
+            });
+            details.append(summary, quotes);
+            item.appendChild(details);
+        }
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Renders a structured summary in the summary output area: ranked pros and cons with mention counts
+ * and expandable supporting quotes, followed by the verdict and the confidence score.
+ *
+ * @param {{pros: Object[], cons: Object[], verdict: string, confidence: number}} summary - The validated summary.
+ * @param {Object[]} reviews - The summarized reviews.
+ * @returns {void}
+ */
+function displayStructuredSummary(summary, reviews) {
+    const summaryOutputDiv = getSummaryOutputDiv();
+    summaryOutputDiv.textContent = '';
+    summaryOutputDiv.style.display = 'block';
+
+    [['Pros', summary.pros, 'pros'], ['Cons', summary.cons, 'cons']].forEach(([title, points, className]) => {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        summaryOutputDiv.appendChild(heading);
+        if (points.length > 0) {
+            summaryOutputDiv.appendChild(createSummaryPointList(points, reviews, className));
+        } else {
+            const none = document.createElement('p');
+            none.textContent = `No common ${title.toLowerCase()} mentioned.`;
+            summaryOutputDiv.appendChild(none);
+        }
+    });
+
+    const verdictHeading = document.createElement('h3');
+    verdictHeading.textContent = 'Summary';
+    const verdict = document.createElement('p');
+    verdict.className = 'verdict';
+    verdict.textContent = summary.verdict;
+    const confidence = document.createElement('p');
+    confidence.className = 'confidence';
+    confidence.textContent = `Confidence: ${Math.round(summary.confidence * 100)}%`;
+    summaryOutputDiv.append(verdictHeading, verdict, confidence);
+}
+
+/**
+ * Renders a segmented summary in the summary output area: the rating histogram, then what the fans say
+ * ("Why people love it") next to what the critics say ("Why people return it"), each with its verdict.
+ *
+ * @param {{segments: {id: string, title: string, points: string, reviewCount: number, summary: Object|null}[]}} summary -
+ *   The segmented summary (see summarizeReviewSegments).
+ * @param {Object[]} reviews - The reviews of all star rating groups.
+ * @param {Object|null} [insights=null] - The product insights holding the rating histogram.
+ * @returns {void}
+ */
+function displaySegmentedSummary(summary, reviews, insights = null) {
+    const summaryOutputDiv = getSummaryOutputDiv();
+    summaryOutputDiv.textContent = '';
+    summaryOutputDiv.style.display = 'block';
+
+    if (insights && Object.keys(insights.histogram || {}).length > 0) {
+        summaryOutputDiv.appendChild(createHistogramTable(insights.histogram));
+    }
+
+    const segmentsDiv = document.createElement('div');
+    segmentsDiv.className = 'summarySegments';
+    summary.segments.forEach(segment => {
+        const segmentDiv = document.createElement('div');
+        segmentDiv.className = `summarySegment ${segment.id}`;
+        const heading = document.createElement('h3');
+        heading.textContent = segment.title;
+        const count = document.createElement('p');
+        count.className = 'segmentReviewCount';
+        count.textContent = `${segment.reviewCount} review${segment.reviewCount === 1 ? '' : 's'}`;
+        segmentDiv.append(heading, count);
+
+        const points = segment.summary ? segment.summary[segment.points] : [];
+        if (points.length > 0) {
+            segmentDiv.appendChild(createSummaryPointList(points, reviews, segment.points));
+        } else {
+            const none = document.createElement('p');
+            none.textContent = segment.summary ? 'Nothing mentioned by several reviews.' : 'No reviews in this group.';
+            segmentDiv.appendChild(none);
+        }
+        if (segment.summary) {
+            const verdict = document.createElement('p');
+            verdict.className = 'verdict';
+            verdict.textContent = segment.summary.verdict;
+            segmentDiv.appendChild(verdict);
+        }
+        segmentsDiv.appendChild(segmentDiv);
+    });
+    summaryOutputDiv.appendChild(segmentsDiv);
+}
+
+/**
+ * Shows export actions under the summary: download the analysis as Markdown, JSON or CSV (one review
+ * per row), or copy it to the clipboard as Markdown, optionally with all the summarized reviews.
+ * Actions shown for an earlier summary are replaced.
+ *
+ * @param {Object} analysis - The analysis to export (see buildSummaryExport).
+ * @returns {HTMLDivElement} The export actions element.
+ */
+function displayExportActions(analysis) {
+    document.getElementById('exportActions')?.remove();
+    const exportDiv = document.createElement('div');
+    exportDiv.id = 'exportActions';
+    const status = document.createElement('span');
+    status.id = 'exportStatus';
+    const label = document.createElement('label');
+    const includeReviews = document.createElement('input');
+    includeReviews.type = 'checkbox';
+    includeReviews.id = 'exportReviewsCheckbox';
+    label.append(includeReviews, ' Include all reviews');
+
+    const copyBtn = document.createElement('button');
+    copyBtn.id = 'copySummaryBtn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(exportSummary('markdown', analysis, includeReviews.checked).text);
+            status.textContent = 'Copied to the clipboard.';
+        } catch (error) {
+            console.error("Error copying the summary:", error);
+            status.textContent = `Could not copy: ${error.message}`;
+        }
+    });
+    exportDiv.append('Export: ', copyBtn);
+
+    [['markdown', 'Markdown'], ['json', 'JSON'], ['csv', 'CSV']].forEach(([format, name]) => {
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'exportBtn';
+        exportBtn.dataset.format = format;
+        exportBtn.textContent = name;
+        exportBtn.addEventListener('click', () => {
+            const { filename, mimeType, text } = exportSummary(format, analysis, includeReviews.checked);
+            const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            status.textContent = `Saved ${filename}.`;
+        });
+        exportDiv.appendChild(exportBtn);
+    });
+    exportDiv.append(label, status);
+    getSummaryOutputDiv().after(exportDiv);
+    return exportDiv;
+}
+
+/**
+ * Shows the full text of a cited review below a chat answer, or hides it if it is already shown.
+ *
+ * @param {HTMLElement} answerDiv - The answer the citation belongs to.
+ * @param {number} number - The 1-based review number.
+ * @returns {void}
+ */
+function toggleCitedReview(answerDiv, number) {
+    const existing = answerDiv.querySelector(`.citedReview[data-review="${number}"]`);
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const review = window.allReviews[number - 1];
+    const citedReview = document.createElement('blockquote');
+    citedReview.className = 'citedReview';
+    citedReview.dataset.review = number;
+    const heading = document.createElement('div');
+    heading.className = 'citedReviewHeading';
+    heading.textContent = [`Review ${number}`, formatStars(review.rating), review.title, review.author]
+        .filter(Boolean).join(' · ');
+    const text = document.createElement('div');
+    text.textContent = review.text;
+    citedReview.append(heading, text);
+    answerDiv.appendChild(citedReview);
+}
+
+/**
+ * Renders a (possibly partial) chat answer as markdown, turning review citations into links that show the cited review.
+ *
+ * @param {HTMLElement} answerDiv - The answer element.
+ * @param {string} text - The answer text received so far.
+ * @param {boolean} [partial=false] - Whether more of the answer may still arrive.
+ * @returns {void}
+ */
+function renderChatAnswer(answerDiv, text, partial = false) {
+    const renderText = (parent, segmentText) => {
+        parseCitations(segmentText, window.allReviews.length).forEach(segment => {
+            if (segment.text !== undefined) {
+                parent.appendChild(document.createTextNode(segment.text));
+                return;
+            }
+            const citation = document.createElement('a');
+            citation.href = '#';
+            citation.className = 'citation';
+            citation.textContent = `[Review ${segment.review}]`;
+            citation.addEventListener('click', (event) => {
+                event.preventDefault();
+                toggleCitedReview(answerDiv, segment.review);
+            });
+            parent.appendChild(citation);
+        });
+    };
+    renderMarkdown(answerDiv.querySelector('.chatAnswerText'), text, { partial, renderText });
+}
+
+/**
+ * Sends the token usage of a request to the background service worker, which keeps the usage log.
+ *
+ * @param {Object} llmSettings - The LLM settings the request was made with (see getLlmSettings).
+ * @param {{inputTokens: number, outputTokens: number}} usage - The tokens of the request (see streamChatCompletion).
+ * @returns {Promise<void>} A promise that resolves once the usage is recorded.
+ */
+async function reportUsage(llmSettings, usage) {
+    try {
+        await chrome.runtime.sendMessage({ action: 'recordUsage', llmSettings, usage });
+    } catch (error) {
+        console.error("Error recording usage:", error);
+    }
+}
+
+/**
+ * Sends a follow-up question about the loaded reviews and streams the answer into the chat.
+ * The question and answer are added to window.chatHistory, so later questions keep the context.
+ * Like summaries, a question whose estimated cost would exceed a spending cap is refused or warned about.
+ *
+ * @param {string} question - The question.
+ * @returns {Promise<void>} A promise that resolves once the answer is complete.
+ */
+async function askChatQuestion(question) {
+    const messagesDiv = document.getElementById('chatMessages');
+    const questionDiv = document.createElement('div');
+    questionDiv.className = 'chatMessage chatQuestion';
+    questionDiv.textContent = question;
+    const answerDiv = document.createElement('div');
+    answerDiv.className = 'chatMessage chatAnswer';
+    const answerText = document.createElement('div');
+    answerText.className = 'chatAnswerText';
+    answerText.textContent = '...';
+    answerDiv.appendChild(answerText);
+    messagesDiv.append(questionDiv, answerDiv);
+
+    const { llmSettings, provider, apiKey, locked } = await getSelectedProvider();
+    if (!apiKey && (provider.requiresKey || locked)) {
+        answerText.textContent = describeMissingApiKey(provider, locked);
+        return;
+    }
+    const budgetCheck = await checkRequestBudget(llmSettings, estimateChatUsage({
+        question, history: window.chatHistory, reviews: window.allReviews, insights: window.productInsights, llmSettings
+    }));
+    if (budgetCheck?.blocked) {
+        answerText.textContent = `Error: ${budgetCheck.message}`;
+        return;
+    }
+    if (budgetCheck) {
+        const budgetNote = document.createElement('p');
+        budgetNote.className = 'budgetNote';
+        budgetNote.textContent = `Warning: ${budgetCheck.message}`;
+        messagesDiv.insertBefore(budgetNote, answerDiv);
+    }
+
+    let answer = '';
+    const abortController = new AbortController();
+    const stopBtn = document.getElementById('chatStopBtn');
+    const onStop = () => abortController.abort();
+    stopBtn.addEventListener('click', onStop);
+    stopBtn.style.display = 'inline-block';
+    try {
+        answer = await askAboutReviews({
+            question,
+            history: window.chatHistory,
+            reviews: window.allReviews,
+            insights: window.productInsights,
+            llmSettings,
+            apiKey,
+            onText: (text) => {
+                answer = text;
+                renderChatAnswer(answerDiv, text, true);
+            },
+            onUsage: (usage) => reportUsage(llmSettings, usage),
+            signal: abortController.signal
+        });
+        renderChatAnswer(answerDiv, answer);
+    } catch (error) {
+        if (!isAbortError(error)) {
+            console.error(`Error calling ${provider.name} API:`, error);
+            answerText.textContent = describeLlmError(error, provider);
+            return;
+        }
+        // Keep the partial answer so that later questions can refer to it.
+        console.log("Answer stopped.");
+        renderChatAnswer(answerDiv, answer);
+        answerDiv.appendChild(document.createTextNode(' (stopped)'));
+    } finally {
+        stopBtn.removeEventListener('click', onStop);
+        stopBtn.style.display = 'none';
+    }
+    // A question stopped before any answer is left out, as the providers reject empty messages.
+    if (answer.trim()) {
+        window.chatHistory.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+    }
+}
+
+/**
+ * Shows a chat box under the summary for follow-up questions about the reviews, unless it is already shown.
+ *
+ * @returns {void}
+ */
+function displayChatBox() {
+    if (document.getElementById('chatBox')) {
+        return;
+    }
+    const chatBox = document.createElement('div');
+    chatBox.id = 'chatBox';
+    const messagesDiv = document.createElement('div');
+    messagesDiv.id = 'chatMessages';
+    const form = document.createElement('form');
+    form.id = 'chatForm';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'chatInput';
+    input.placeholder = 'Ask about the reviews, e.g. "How is the battery life?"';
+    const askBtn = document.createElement('button');
+    askBtn.type = 'submit';
+    askBtn.id = 'chatAskBtn';
+    askBtn.textContent = 'Ask';
+    const stopBtn = document.createElement('button');
+    stopBtn.type = 'button';
+    stopBtn.id = 'chatStopBtn';
+    stopBtn.textContent = 'Stop';
+    stopBtn.style.display = 'none';
+    form.append(input, askBtn, stopBtn);
+    chatBox.append(messagesDiv, form);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const question = input.value.trim();
+        if (!question) return;
+        input.value = '';
+        askBtn.disabled = true;
+        await askChatQuestion(question);
+        askBtn.disabled = false;
+    });
+
+    getSummaryOutputDiv().after(chatBox);
+}
+
+/**
+ * Enables or disables the buttons for the other kinds of summary (Fans vs. Critics, Quick Local Summary),
+ * which cannot be started while a summary runs.
+ *
+ * @param {boolean} disabled - Whether the buttons are disabled.
+ * @returns {void}
+ */
+function setSummaryOptionButtonsDisabled(disabled) {
+    ['segmentedSummaryBtn', 'localSummaryBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = disabled;
+        }
+    });
+}
+
+/**
+ * Shows the state of the current tab's summary job, as reported by the background service worker:
+ * its progress while it runs, then the summary or why there is none. The Summarize button is disabled
+ * and a Stop button is shown while the summary runs.
+ *
+ * @param {Object} job - The job (see startSummaryJob in background.js).
+ * @returns {Promise<void>} A promise that resolves once the job is displayed.
+ */
+async function displaySummaryJob(job) {
+    const running = job.status === 'summarizing';
+    const summarizeBtn = document.getElementById('summarizeBtn');
+    if (summarizeBtn) {
+        summarizeBtn.disabled = running;
+        summarizeBtn.textContent = running ? 'Summarizing...' : 'Summarize Reviews';
+    }
+    setSummaryOptionButtonsDisabled(running);
+    const stopBtn = document.getElementById('stopSummaryBtn');
+    if (running && !stopBtn && summarizeBtn) {
+        const newStopBtn = document.createElement('button');
+        newStopBtn.id = 'stopSummaryBtn';
+        newStopBtn.textContent = 'Stop';
+        newStopBtn.style.marginLeft = '5px';
+        newStopBtn.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ action: 'stopSummary', tabId: job.tabId });
+        });
+        summarizeBtn.after(newStopBtn);
+    } else if (!running && stopBtn) {
+        stopBtn.remove();
+    }
+
+    // Jobs are reported on every change, so only progress is shown again when the status stays the same.
+    const previousStatus = window.summaryJobStatus;
+    window.summaryJobStatus = job.status;
+    if (job.status === previousStatus && !running) {
+        return;
+    }
+
+    switch (job.status) {
+        case 'summarizing':
+            displaySummaryStatus(job.statusText);
+            break;
+        case 'done':
+            window.lastSummary = job.summary;
+            if (job.summary.segments) {
+                // The groups can hold other reviews than were loaded, so questions are asked about them.
+                updateDisplayedReviews(job.reviews);
+                displaySegmentedSummary(job.summary, window.allReviews, job.insights);
+            } else {
+                // Without the flagged reviews, the review numbers of the summary refer to the job's reviews.
+                displayStructuredSummary(job.summary, job.reviews);
+            }
+            if (job.localNote) {
+                const localNote = document.createElement('p');
+                localNote.className = 'localNote';
+                localNote.textContent = job.localNote;
+                getSummaryOutputDiv().prepend(localNote);
+            }
+            if (job.budgetNote) {
+                const budgetNote = document.createElement('p');
+                budgetNote.className = 'budgetNote';
+                budgetNote.textContent = job.budgetNote;
+                getSummaryOutputDiv().prepend(budgetNote);
+            }
+            if (job.excludedReviewCount > 0) {
+                const excludedNote = document.createElement('p');
+                excludedNote.className = 'excludedNote';
+                excludedNote.textContent = `${job.excludedReviewCount} flagged review${job.excludedReviewCount === 1 ? ' was' : 's were'} left out of this summary.`;
+                getSummaryOutputDiv().appendChild(excludedNote);
+            }
+            if (job.usage) {
+                const usageNote = document.createElement('p');
+                usageNote.className = 'usageNote';
+                usageNote.textContent = `This summary used ${describeUsage(job.usage)}.`;
+                getSummaryOutputDiv().appendChild(usageNote);
+                // What was spent counts against the caps of the next summary.
+                displaySummaryEstimate();
+            }
+            displayChatBox();
+            displayExportActions({ ...job, page: job.page || window.currentPage || null });
+            chrome.runtime.sendMessage({ action: 'summaryShown', tabId: job.tabId });
+            break;
+        case 'stopped':
+            displaySummaryStatus('Summarization stopped.');
+            break;
+        case 'error':
+            if (job.error.name === 'SummaryValidationError') {
+                console.error("Invalid summary from the model:", job.error.message, job.error.responseText);
+                displaySummaryStatus(`Could not read the structured summary: ${job.error.message}`);
+                const rawResponse = document.createElement('pre');
+                rawResponse.textContent = job.error.responseText;
+                getSummaryOutputDiv().appendChild(rawResponse);
+            } else {
+                const { provider } = await getSelectedProvider();
+                displaySummaryStatus(describeLlmError(job.error, provider));
+            }
+            chrome.runtime.sendMessage({ action: 'summaryShown', tabId: job.tabId });
+            break;
+    }
+}
+
+/**
+ * Asks the background service worker to summarize the loaded reviews. The summary continues when the popup
+ * is closed; its progress is shown through displaySummaryJob. When results are shown in the panel on the
+ * page, the popup closes once the summary is started.
+ *
+ * @param {{segmented?: boolean, local?: boolean}} [options={}] - Set segmented to summarize what fans and critics
+ *   say separately, and local to make a quick local summary without the model (see summarizeReviewsLocally).
+ * @returns {Promise<void>} A promise that resolves once the summary is started.
+ */
+async function startReviewSummary({ segmented = false, local = false } = {}) {
+    const summarizeBtn = document.getElementById('summarizeBtn');
+    const setRunning = (running) => {
+        summarizeBtn.disabled = running;
+        summarizeBtn.textContent = running ? 'Summarizing...' : 'Summarize Reviews';
+        setSummaryOptionButtonsDisabled(running);
+    };
+
+    if (window.allReviews && window.allReviews.length > 0) {
+        setRunning(true);
+        displaySummaryStream('', true); // Clear previous summary display
+
+        // Without a usable API key, the background service worker makes a local summary instead.
+        displaySummaryStatus('Summarization started...');
+        chrome.runtime.sendMessage({
+            action: 'startSummary',
+            tabId: window.currentTabId,
+            reviews: window.allReviews,
+            insights: window.productInsights || null,
+            page: window.currentPage || null,
+            bypassCache: !!window.bypassSummaryCache,
+            segmented,
+            local
+        }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error starting the summary:", chrome.runtime.lastError.message);
+                displaySummaryStatus(`Error: ${chrome.runtime.lastError.message}`);
+                setRunning(false);
+            }
+        });
+        window.bypassSummaryCache = false;
+
+        // The summary is shown in the panel on the page, which the popup would cover.
+        if ((await getSummarySettings()).resultsView === 'panel') {
+            window.close();
+        }
+
+    } else {
+        console.error("No reviews available to summarize.");
+        updatePopupContent(null, 'Error: No reviews found to summarize.');
     }
 }
 
@@ -130,93 +750,88 @@ function createSummarizeButton() {
     summarizeBtn.textContent = 'Summarize Reviews';
     summarizeBtn.style.marginBottom = '10px'; // Add spacing below
 
-    summarizeBtn.addEventListener('click', async () => {
+    summarizeBtn.addEventListener('click', () => {
         console.log("Summarize button clicked.");
-        if (window.allReviews && window.allReviews.length > 0) {
-            summarizeBtn.disabled = true;
-            summarizeBtn.textContent = 'Summarizing...';
-            displaySummaryStream('', true); // Clear previous summary display
-
-            const apiKey = await getApiKey();
-            if (!apiKey) {
-                console.error("OpenAI API key not found. Please configure it in extension options.");
-                updatePopupContent(null, 'Error: OpenAI API key not set. Please configure it via extension options.');
-                summarizeBtn.disabled = false;
-                summarizeBtn.textContent = 'Summarize Reviews';
-                return;
-            }
+        startReviewSummary();
+    });
+    return summarizeBtn;
+}
 
-            const reviewsText = window.allReviews.join('\n---\n');
-            console.log(`Summarizing ${window.allReviews.length} reviews...`);
-            updatePopupContent(null, 'Summarization started...');
-
-            try {
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: "gpt-4o",
-                        messages: [
-                            {"role": "system", "content": "You are a helpful assistant. Please summarize the provided Amazon product reviews in raw text format. Focus on common pros and cons mentioned across multiple reviews and provide a concise overall summary conclusion. Structure it clearly with headings like 'Pros', 'Cons', and 'Summary', but don't use asterisks to bold any headings, this is raw text."},
-                            {"role": "user", "content": `Here are the product reviews to summarize:\n\n${reviewsText}`}
-                        ],
-                        stream: true,
-                    }),
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(`OpenAI API Error: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-                }
-
-                if (!response.body) {
-                    throw new Error('Response body is null, cannot read stream.');
-                }
-
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-                let isFirst = true;
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    const chunk = decoder.decode(value, { stream: true });
-                    const lines = chunk.split('\n').filter(line => line.trim().startsWith('data:'));
-                    for (const line of lines) {
-                        const jsonStr = line.substring(5).trim();
-                        if (jsonStr === '[DONE]') break;
-                        try {
-                            const parsed = JSON.parse(jsonStr);
-                            const content = parsed.choices?.[0]?.delta?.content;
-                            if (content) {
-                                displaySummaryStream(content, isFirst);
-                                isFirst = false;
-                            }
-                        } catch (parseError) {
-                            console.error('Error parsing stream chunk:', jsonStr, parseError);
-                        }
-                    }
-                }
-                console.log("Stream finished.");
-                // displaySummaryStream('\\n\\n--- END OF SUMMARY ---', false);
-
-            } catch (error) {
-                console.error("Error calling OpenAI API:", error);
-                displaySummaryStream(`\\n\\n--- ERROR ---\\n${error.message}`, isFirst);
-                updatePopupContent(null, `Error during summarization: ${error.message}`);
-            } finally {
-                summarizeBtn.disabled = false;
-                summarizeBtn.textContent = 'Summarize Reviews';
-            }
+/**
+ * Creates a button that summarizes the 4 and 5 star reviews and the 1 and 2 star reviews separately,
+ * to show why people love the product next to why they return it.
+ *
+ * @returns {HTMLButtonElement} The created 'Fans vs. Critics' button.
+ */
+function createSegmentedSummaryButton() {
+    const segmentedBtn = document.createElement('button');
+    segmentedBtn.id = 'segmentedSummaryBtn';
+    segmentedBtn.textContent = 'Fans vs. Critics';
+    segmentedBtn.title = 'Summarize the 4-5 star and the 1-2 star reviews separately';
+    segmentedBtn.style.marginLeft = '5px';
 
-        } else {
-            console.error("No reviews available to summarize.");
-            updatePopupContent(null, 'Error: No reviews found to summarize.');
-        }
+    segmentedBtn.addEventListener('click', () => {
+        console.log("Segmented summary button clicked.");
+        startReviewSummary({ segmented: true });
     });
-    return summarizeBtn;
+    return segmentedBtn;
+}
+
+/**
+ * Creates a button that summarizes the reviews on this device without the model: faster and free, but approximate.
+ *
+ * @returns {HTMLButtonElement} The created 'Quick Local Summary' button.
+ */
+function createLocalSummaryButton() {
+    const localBtn = document.createElement('button');
+    localBtn.id = 'localSummaryBtn';
+    localBtn.textContent = 'Quick Local Summary';
+    localBtn.title = 'Summarize on this device without the model: faster, but approximate';
+    localBtn.style.marginLeft = '5px';
+
+    localBtn.addEventListener('click', () => {
+        console.log("Local summary button clicked.");
+        startReviewSummary({ local: true });
+    });
+    return localBtn;
+}
+
+/**
+ * Shows the estimated tokens and cost of summarizing the loaded reviews with the selected model (see
+ * estimateSummaryUsage) below the summary buttons, and warns if the summary would exceed a spending cap.
+ * Flagged reviews are left out of the estimate when they are left out of summaries.
+ *
+ * @returns {Promise<void>} A promise that resolves once the estimate is shown.
+ */
+async function displaySummaryEstimate() {
+    const estimateLine = document.getElementById('summaryEstimate');
+    const reviews = window.allReviews;
+    const insights = window.productInsights || null;
+    if (!estimateLine || !reviews || reviews.length === 0) {
+        return;
+    }
+    // Reviews loaded in the background replace the estimate; an older estimate that finishes later is dropped.
+    estimateLine.dataset.reviewCount = reviews.length;
+
+    const llmSettings = await getLlmSettings();
+    const summarySettings = await getSummarySettings();
+    const summarized = summarySettings.excludeFlaggedReviews ? excludeFlaggedReviews(reviews).reviews : reviews;
+    const estimate = estimateSummaryUsage({ reviews: summarized, insights, llmSettings, summarySettings });
+    const cost = getUsageCost(llmSettings, estimate);
+    const budgetCheck = checkBudget(cost, await getBudgetSettings(), getUsageTotals(await getUsageLog()));
+    if (estimateLine.dataset.reviewCount !== String(reviews.length)) {
+        return;
+    }
+
+    const { model } = llmSettings.providers[llmSettings.provider];
+    let text = `About ${estimate.inputTokens.toLocaleString('en-US')} input tokens` +
+        (estimate.requests > 1 ? ` in ${estimate.requests} requests` : '') +
+        (cost === null ? `; the cost of ${model} is unknown.` : `, up to ${formatCost(cost)} with ${model}.`);
+    if (budgetCheck) {
+        text += ` ${budgetCheck.message}` + (budgetCheck.blocked ? ' A quick local summary will be made instead.' : '');
+    }
+    estimateLine.textContent = text;
+    estimateLine.classList.toggle('overBudget', !!budgetCheck);
 }
 
 /**
@@ -233,53 +848,250 @@ async function handleSummarizeButtonClick(summarizeBtn) {
 }
 
 /**
- * Displays a list of reviews in the popup and appends a summarization button.
+ * Fills a list element with previews of the first five reviews.
+ *
+ * @param {HTMLUListElement} list - The list to fill; existing items are removed.
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {void}
+ */
+function renderReviewPreviews(list, reviews) {
+    list.innerHTML = '';
+    reviews.slice(0, 5).forEach(review => {
+        const item = document.createElement('li');
+        if (review.rating) {
+            const stars = document.createElement('span');
+            stars.className = 'reviewStars';
+            stars.textContent = formatStars(review.rating) + ' ';
+            item.appendChild(stars);
+        }
+        const text = review.title ? `${review.title}: ${review.text}` : review.text;
+        item.appendChild(document.createTextNode(text.substring(0, 100) + (text.length > 100 ? '...' : '')));
+        list.appendChild(item);
+    });
+    if (reviews.length > 5) {
+        const moreItem = document.createElement('li');
+        moreItem.textContent = `... and ${reviews.length - 5} more.`;
+        list.appendChild(moreItem);
+    }
+}
+
+/**
+ * Creates a table showing the rating histogram as bars, highest rating first.
  *
- * @param {string[]} reviews - Array of review texts.
+ * @param {Object<number, number>} histogram - Percentage of ratings keyed by star count.
+ * @returns {HTMLTableElement} The histogram table.
+ */
+function createHistogramTable(histogram) {
+    const table = document.createElement('table');
+    table.className = 'histogram';
+    Object.keys(histogram).sort((a, b) => b - a).forEach(star => {
+        const row = table.insertRow();
+        row.insertCell().textContent = `${star}★`;
+        const barCell = row.insertCell();
+        const bar = document.createElement('div');
+        bar.className = 'histogramBar';
+        bar.style.width = `${histogram[star]}%`;
+        barCell.appendChild(bar);
+        row.insertCell().textContent = `${histogram[star]}%`;
+    });
+    return table;
+}
+
+/**
+ * Creates a block showing the product insights read from a product page: average rating,
+ * rating histogram and the "Customers say" summary.
+ *
+ * @param {{averageRating: number|null, totalRatings: number|null, histogram: Object<number, number>,
+ *   customersSay: string, aspects: string[]}} insights - The product insights.
+ * @returns {HTMLDivElement} The insights element.
+ */
+function createInsightsBlock(insights) {
+    const insightsDiv = document.createElement('div');
+    insightsDiv.id = 'productInsights';
+
+    if (insights.averageRating) {
+        const average = document.createElement('div');
+        average.textContent = `${formatStars(insights.averageRating)} ${insights.averageRating} out of 5` +
+            (insights.totalRatings ? ` (${insights.totalRatings} ratings)` : '');
+        insightsDiv.appendChild(average);
+    }
+
+    if (Object.keys(insights.histogram || {}).length > 0) {
+        insightsDiv.appendChild(createHistogramTable(insights.histogram));
+    }
+
+    if (insights.customersSay) {
+        const customersSay = document.createElement('p');
+        customersSay.className = 'customersSay';
+        customersSay.textContent = `Customers say: ${insights.customersSay}`;
+        insightsDiv.appendChild(customersSay);
+    }
+    return insightsDiv;
+}
+
+/**
+ * Creates a block showing how far the reviews can be trusted (see analyzeReviewTrust): the trust score,
+ * how many reviews have each flag and, if any are flagged, a checkbox to leave them out of summaries.
+ * The checkbox changes the excludeFlaggedReviews setting, which is also on the options page.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {HTMLDivElement} The trust element.
+ */
+function createTrustBlock(reviews) {
+    const { score, counts, flaggedCount } = analyzeReviewTrust(reviews);
+    const trustDiv = document.createElement('div');
+    trustDiv.id = 'reviewTrust';
+
+    const scoreLine = document.createElement('div');
+    scoreLine.className = `trustScore ${score >= 80 ? 'high' : score >= 50 ? 'medium' : 'low'}`;
+    scoreLine.textContent = `Trust score: ${score}/100 (${flaggedCount} of ${reviews.length} review${reviews.length === 1 ? '' : 's'} flagged)`;
+    trustDiv.appendChild(scoreLine);
+    if (flaggedCount === 0) {
+        return trustDiv;
+    }
+
+    const flagList = document.createElement('ul');
+    flagList.className = 'trustFlags';
+    Object.entries(TRUST_FLAGS).filter(([name]) => counts[name] > 0).forEach(([name, description]) => {
+        const item = document.createElement('li');
+        item.textContent = `${description}: ${counts[name]}`;
+        flagList.appendChild(item);
+    });
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = 'excludeFlaggedCheckbox';
+    label.append(checkbox, ' Leave flagged reviews out of the summary');
+    checkbox.disabled = true; // Until the setting is loaded
+    getSummarySettings().then(summarySettings => {
+        checkbox.checked = summarySettings.excludeFlaggedReviews;
+        checkbox.disabled = false;
+    });
+    checkbox.addEventListener('change', async () => {
+        const excludeFlaggedReviews = checkbox.checked;
+        try {
+            const summarySettings = await getSummarySettings();
+            await chrome.storage.local.set({ summarySettings: { ...summarySettings, excludeFlaggedReviews } });
+        } catch (error) {
+            console.error("Error saving the review filter setting:", error);
+        }
+    });
+    trustDiv.append(flagList, label);
+    return trustDiv;
+}
+
+/**
+ * Displays a list of reviews in the popup with their trust score and appends a summarization button. If the popup was opened
+ * with the shortcut for asking a question, the question box is shown and focused.
+ *
+ * @param {Array<Object|string>} reviews - Array of structured reviews (plain review texts are also accepted).
+ * @param {Object|null} [insights=null] - Product insights read from a product page, shown above the previews.
  * @returns {void}
  */
-function displayReviews(reviews) {
+function displayReviews(reviews, insights = null) {
+    const contentDiv = getContentDiv();
     if (!contentDiv) return;
 
+    reviews = reviews.map(normalizeReview);
+
     if (reviews.length > 0) {
-        let html = `<h4>Reviews (${reviews.length}):</h4>`;
+        let html = `<h4 id="reviewsHeading">Reviews (${reviews.length}):</h4>`;
         updatePopupContent(html);
 
         const summarizeBtn = createSummarizeButton();
         contentDiv.appendChild(summarizeBtn);
+        contentDiv.appendChild(createSegmentedSummaryButton());
+        contentDiv.appendChild(createLocalSummaryButton());
+        if (window.currentPage) {
+            contentDiv.appendChild(createAddToComparisonButton());
+        }
+        const estimateLine = document.createElement('p');
+        estimateLine.id = 'summaryEstimate';
+        contentDiv.appendChild(estimateLine);
 
-        const list = document.createElement('ul');
-        reviews.slice(0, 5).forEach(review => {
-            const item = document.createElement('li');
-            item.textContent = review.substring(0, 100) + (review.length > 100 ? '...' : '');
-            list.appendChild(item);
-        });
-        if (reviews.length > 5) {
-            const moreItem = document.createElement('li');
-            moreItem.textContent = `... and ${reviews.length - 5} more.`;
-            list.appendChild(moreItem);
+        if (insights) {
+            contentDiv.appendChild(createInsightsBlock(insights));
         }
+        contentDiv.appendChild(createTrustBlock(reviews));
+
+        const list = document.createElement('ul');
+        list.id = 'reviewPreviews';
+        renderReviewPreviews(list, reviews);
         contentDiv.appendChild(list);
 
         window.allReviews = reviews;
+        window.productInsights = insights;
+        window.chatHistory = [];
+        window.summaryJobStatus = null;
         console.log("Stored all reviews:", window.allReviews);
+        displaySummaryEstimate();
+
+        if (window.openChatOnLoad) {
+            window.openChatOnLoad = false;
+            displayChatBox();
+            document.getElementById('chatInput').focus();
+        }
     } else {
         updatePopupContent(null, "No reviews found on this page.");
     }
 }
 
 /**
- * Handles the review page logic by sending a message to the content script to retrieve reviews.
+ * Replaces the stored reviews with a larger set without clearing the popup (and any summary in it),
+ * updating the review count and previews in place.
+ *
+ * @param {Array<Object|string>} reviews - The new set of reviews.
+ * @returns {void}
+ */
+function updateDisplayedReviews(reviews) {
+    window.allReviews = reviews.map(normalizeReview);
+    const heading = document.getElementById('reviewsHeading');
+    if (heading) {
+        heading.textContent = `Reviews (${window.allReviews.length}):`;
+    }
+    const list = document.getElementById('reviewPreviews');
+    if (list) {
+        renderReviewPreviews(list, window.allReviews);
+    }
+    displaySummaryEstimate();
+}
+
+/**
+ * Shows the progress of the review crawl in the loading indicator.
+ *
+ * @param {{page: number, totalPages: number, reviewCount: number}} progress - Progress reported by the content script.
+ * @returns {void}
+ */
+function displayCrawlProgress({ page, totalPages, reviewCount }) {
+    const loadingDiv = getLoadingDiv();
+    if (loadingDiv) {
+        loadingDiv.textContent = `Loading page ${page} of ${totalPages}, ${reviewCount} reviews...`;
+    }
+}
+
+/**
+ * Handles the review page logic by asking the background service worker to crawl and retrieve the reviews
+ * through the content script. The crawl continues if the popup is closed, and a reopened popup joins it.
  *
  * @param {number} tabId - The ID of the current tab.
+ * @param {{maxReviewPages?: number, pageDelayMs?: number}} [crawlSettings={}] - Page cap and delay for the crawl.
  * @returns {void}
  */
-function handleReviewPage(tabId) {
+function handleReviewPage(tabId, crawlSettings = {}) {
     console.log("On review page. Sending message to content script.");
-    chrome.tabs.sendMessage(tabId, { action: "getReviews" }, (response) => {
-        if (chrome.runtime.lastError) {
-            console.error("Error sending message:", chrome.runtime.lastError.message);
-            updatePopupContent(null, `Error: ${chrome.runtime.lastError.message}. Try reloading the page.`);
+    const message = {
+        action: "getReviews",
+        tabId,
+        page: window.currentPage || null,
+        maxPages: crawlSettings.maxReviewPages,
+        delayMs: crawlSettings.pageDelayMs
+    };
+    chrome.runtime.sendMessage(message, (response) => {
+        const error = chrome.runtime.lastError?.message || (response && !response.reviews && response.error);
+        if (error) {
+            console.error("Error sending message:", error);
+            updatePopupContent(null, `Error: ${error}. Try reloading the page.`);
             return;
         }
 
@@ -294,95 +1106,553 @@ function handleReviewPage(tabId) {
 }
 
 /**
- * Handles product page logic by constructing a review page URL using the ASIN and updating the popup content.
+ * Creates a button that crawls the product's full review set in the background. The reviews already
+ * shown stay usable while it runs, and are replaced by the full set when it finishes.
+ *
+ * @param {number} tabId - The ID of the current tab.
+ * @param {{maxReviewPages?: number, pageDelayMs?: number}} [crawlSettings={}] - Page cap and delay for the crawl.
+ * @returns {HTMLButtonElement} The created 'Load All Reviews' button.
+ */
+function createLoadAllReviewsButton(tabId, crawlSettings = {}) {
+    const loadAllBtn = document.createElement('button');
+    loadAllBtn.id = 'loadAllReviewsBtn';
+    loadAllBtn.textContent = 'Load All Reviews';
+    loadAllBtn.style.marginLeft = '5px';
+
+    loadAllBtn.addEventListener('click', () => {
+        loadAllBtn.disabled = true;
+        loadAllBtn.textContent = 'Loading All Reviews...';
+        toggleLoading(true);
+        const message = {
+            action: "getReviews",
+            tabId,
+            page: window.currentPage || null,
+            fullCrawl: true,
+            maxPages: crawlSettings.maxReviewPages,
+            delayMs: crawlSettings.pageDelayMs
+        };
+        chrome.runtime.sendMessage(message, (response) => {
+            toggleLoading(false);
+            if (chrome.runtime.lastError || !response || !response.reviews || response.reviews.length === 0) {
+                console.error("Error loading all reviews:", chrome.runtime.lastError?.message || response?.error);
+                loadAllBtn.disabled = false;
+                loadAllBtn.textContent = 'Load All Reviews';
+                return;
+            }
+            console.log("Received all reviews:", response.reviews.length);
+            updateDisplayedReviews(response.reviews);
+            loadAllBtn.textContent = 'All Reviews Loaded';
+        });
+    });
+    return loadAllBtn;
+}
+
+/**
+ * Handles product page logic by constructing a review page URL using the item ID and updating the popup content.
+ * If the site can read reviews from its product pages and a tab ID is given, the reviews shown on the page
+ * are then loaded so they can be summarized right away.
  *
- * @param {string} asin - The Amazon Standard Identification Number extracted from the URL.
+ * @param {string} itemId - The item ID extracted from the URL (the ASIN on Amazon).
+ * @param {string} [site='amazon'] - The ID of the site adapter matching the page.
+ * @param {string} [url=''] - The product page URL, used by sites whose review URLs need more than the item ID.
+ * @param {number|null} [tabId=null] - The ID of the current tab, used to read the reviews on the page.
+ * @param {{maxReviewPages?: number, pageDelayMs?: number}} [crawlSettings={}] - Page cap and delay for loading all reviews.
  * @returns {void}
  */
-function handleProductPage(asin) {
-    console.log("On product page. ASIN:", asin);
-    const reviewUrl = `https://www.amazon.com/product-reviews/${asin}`;
+function handleProductPage(itemId, site = 'amazon', url = '', tabId = null, crawlSettings = {}) {
+    console.log("On product page. Item ID:", itemId);
+    const adapter = getSiteAdapter(site);
+    const reviewUrl = adapter.getReviewsUrl(itemId, url);
     updatePopupContent(`You are on a product page. <a href="${reviewUrl}" target="_blank">Go to the Reviews Page</a> to summarize.`);
+
+    if (tabId === null || !adapter.parseProductPage) {
+        return;
+    }
+    chrome.runtime.sendMessage({ action: "getReviews", tabId, page: window.currentPage || null }, (response) => {
+        const error = chrome.runtime.lastError?.message || (response && !response.reviews && response.error);
+        if (error) {
+            // Keep the link to the reviews page, e.g. when the page was opened before the extension was loaded.
+            console.error("Error sending message:", error);
+            return;
+        }
+        if (response && response.reviews && response.reviews.length > 0) {
+            console.log("Received product page reviews:", response.reviews.length);
+            displayReviews(response.reviews, response.insights);
+            const summarizeBtn = document.getElementById('summarizeBtn');
+            summarizeBtn.after(createLoadAllReviewsButton(tabId, crawlSettings));
+        } else {
+            console.log("No reviews on the product page.");
+        }
+    });
 }
 
 /**
- * Handles non-relevant page logic by updating the popup when the page is not an Amazon product or review page.
+ * Formats the time a summary was made for display.
+ *
+ * @param {number} timestamp - The time in milliseconds.
+ * @returns {string} The localized date and time.
+ */
+function formatSummaryDate(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Shows a cached summary together with the reviews it was made from, so the popup does not need to
+ * scrape the page again. A "Refresh" button reloads the reviews and makes the next summary skip the cache.
  *
+ * @param {Object} entry - The cache entry (see saveSummaryToCache).
+ * @param {function(): void} onRefresh - Reloads the reviews from the page.
  * @returns {void}
  */
-function handleGenericPage() {
-    console.log("Not a relevant Amazon page.");
-    updatePopupContent(null, "This extension works on Amazon product pages and product review pages.");
+function displayCachedSummary(entry, onRefresh) {
+    displayReviews(entry.reviews, entry.insights);
+    window.lastSummary = entry.summary;
+    displayStructuredSummary(entry.summary, window.allReviews);
+    displayChatBox();
+    displayExportActions({ ...entry, page: entry });
+
+    const notice = document.createElement('p');
+    notice.id = 'cacheNotice';
+    notice.textContent = `Cached summary from ${formatSummaryDate(entry.createdAt)}. `;
+    const refreshBtn = document.createElement('button');
+    refreshBtn.id = 'refreshSummaryBtn';
+    refreshBtn.textContent = 'Refresh';
+    refreshBtn.addEventListener('click', () => {
+        console.log("Refreshing cached summary.");
+        window.bypassSummaryCache = true;
+        toggleLoading(true);
+        onRefresh();
+    });
+    notice.appendChild(refreshBtn);
+    getContentDiv().prepend(notice);
 }
 
 /**
- * Checks if the OpenAI API key is stored and updates the DOM with the status.
+ * Shows one summary of the history with a link back to its product page and its export actions.
  *
- * @returns {Promise<void>} A promise that resolves once the API key status is updated in the DOM.
+ * @param {Object} entry - The cache entry (see saveSummaryToCache).
+ * @returns {void}
  */
-async function checkApiKeyStatus() {
-    const apiKeyStatusDiv = document.getElementById('apiKeyStatus');
-    if (!apiKeyStatusDiv) {
-        console.error("API key status element not found.");
+function displayHistoryEntry(entry) {
+    updatePopupContent(null, '');
+    const contentDiv = getContentDiv();
+
+    const backBtn = document.createElement('button');
+    backBtn.id = 'historyBackBtn';
+    backBtn.textContent = 'Back to History';
+    backBtn.addEventListener('click', () => displaySummaryHistory());
+
+    const heading = document.createElement('h4');
+    const link = document.createElement('a');
+    link.href = entry.url;
+    link.target = '_blank';
+    link.textContent = entry.title || entry.itemId;
+    heading.appendChild(link);
+
+    const details = document.createElement('p');
+    details.className = 'historyDetails';
+    details.textContent = `${entry.marketplace} · ${formatSummaryDate(entry.createdAt)} · ${entry.reviewCount} reviews`;
+
+    contentDiv.append(backBtn, heading, details);
+    displayStructuredSummary(entry.summary, entry.reviews);
+    displayExportActions({ ...entry, page: entry });
+}
+
+/**
+ * Lists the cached summaries, newest first. Clicking a product shows its summary.
+ *
+ * @returns {Promise<void>} A promise that resolves once the history is displayed.
+ */
+async function displaySummaryHistory() {
+    const history = await getSummaryHistory();
+    updatePopupContent(null, '');
+    const contentDiv = getContentDiv();
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'History';
+    contentDiv.appendChild(heading);
+
+    if (history.length === 0) {
+        const none = document.createElement('p');
+        none.textContent = 'No summaries yet.';
+        contentDiv.appendChild(none);
         return;
     }
 
-    try {
-        const result = await chrome.storage.local.get('openaiApiKey');
-        const apiKey = result.openaiApiKey;
+    const list = document.createElement('ul');
+    list.id = 'summaryHistory';
+    history.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = entry.title || entry.itemId;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            displayHistoryEntry(entry);
+        });
+        const details = document.createElement('div');
+        details.className = 'historyDetails';
+        details.textContent = `${entry.marketplace} · ${formatSummaryDate(entry.createdAt)}`;
+        item.append(link, details);
+        list.appendChild(item);
+    });
+    contentDiv.appendChild(list);
 
-        if (apiKey) {
-            apiKeyStatusDiv.innerHTML = 'OpenAI API key detected.';
+    const clearBtn = document.createElement('button');
+    clearBtn.id = 'clearHistoryBtn';
+    clearBtn.textContent = 'Clear History';
+    clearBtn.addEventListener('click', async () => {
+        await clearSummaryHistory();
+        displaySummaryHistory();
+    });
+    contentDiv.appendChild(clearBtn);
+}
+
+/**
+ * Creates a button that saves the current product, with its reviews and summary, for comparison with other products.
+ *
+ * @returns {HTMLButtonElement} The created 'Add to Comparison' button.
+ */
+function createAddToComparisonButton() {
+    const addBtn = document.createElement('button');
+    addBtn.id = 'addToComparisonBtn';
+    addBtn.textContent = 'Add to Comparison';
+    addBtn.style.marginLeft = '5px';
+
+    addBtn.addEventListener('click', async () => {
+        try {
+            const products = await addToComparison({
+                ...window.currentPage,
+                reviews: window.allReviews,
+                insights: window.productInsights || null,
+                // Segmented summaries have no overall pros and cons to compare.
+                summary: window.lastSummary && !window.lastSummary.segments ? window.lastSummary : null
+            });
+            addBtn.textContent = `Added to Comparison (${products.length})`;
+        } catch (error) {
+            console.error("Error adding the product to the comparison:", error);
+            addBtn.textContent = 'Add to Comparison';
+            addBtn.title = error.message;
+            displaySummaryStatus(`Error: ${error.message}`);
+        }
+    });
+    return addBtn;
+}
+
+/**
+ * Renders a comparison: the recommended product, the pros and cons all products share, and a table with
+ * the pros and cons that set each product apart and the verdict on each aspect, the best product marked with a star.
+ *
+ * @param {HTMLElement} outputDiv - The element to render into; its content is replaced.
+ * @param {Object} comparison - The validated comparison (see validateComparison).
+ * @param {Object[]} products - The compared products, in the order of the comparison.
+ * @returns {void}
+ */
+function displayComparisonResult(outputDiv, comparison, products) {
+    outputDiv.textContent = '';
+
+    const recommendation = document.createElement('p');
+    recommendation.className = 'recommendation';
+    const recommended = document.createElement('strong');
+    recommended.textContent = `Recommended: ${products[comparison.recommendation.product - 1].title}.`;
+    recommendation.append(recommended, ` ${comparison.recommendation.reason}`);
+    outputDiv.appendChild(recommendation);
+
+    [['Shared pros', comparison.shared.pros, 'sharedPros'], ['Shared cons', comparison.shared.cons, 'sharedCons']].forEach(([title, points, className]) => {
+        if (points.length === 0) return;
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        const list = document.createElement('ul');
+        list.className = className;
+        points.forEach(point => {
+            const item = document.createElement('li');
+            item.textContent = point;
+            list.appendChild(item);
+        });
+        outputDiv.append(heading, list);
+    });
+
+    const table = document.createElement('table');
+    table.id = 'comparisonTable';
+    const header = table.createTHead().insertRow();
+    header.appendChild(document.createElement('th'));
+    products.forEach(product => {
+        const cell = document.createElement('th');
+        const link = document.createElement('a');
+        link.href = product.url;
+        link.target = '_blank';
+        link.title = product.title;
+        link.textContent = product.title.length > 40 ? product.title.substring(0, 40) + '...' : product.title;
+        cell.appendChild(link);
+        header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    const addRow = (label, className, fillCell) => {
+        const row = body.insertRow();
+        row.className = className;
+        const labelCell = document.createElement('th');
+        labelCell.textContent = label;
+        row.appendChild(labelCell);
+        products.forEach((product, index) => fillCell(row.insertCell(), index));
+    };
+    [['Pros', 'pros'], ['Cons', 'cons']].forEach(([label, field]) => {
+        addRow(label, field, (cell, index) => {
+            const list = document.createElement('ul');
+            comparison.products[index][field].forEach(point => {
+                const item = document.createElement('li');
+                item.textContent = point;
+                list.appendChild(item);
+            });
+            cell.appendChild(list);
+        });
+    });
+    comparison.aspects.forEach(({ aspect, verdicts, best }) => {
+        addRow(aspect.charAt(0).toUpperCase() + aspect.slice(1), 'aspect', (cell, index) => {
+            cell.textContent = verdicts[index] || '—';
+            if (best === index + 1) {
+                cell.className = 'best';
+                cell.textContent = `★ ${cell.textContent}`;
+            }
+        });
+    });
+    outputDiv.appendChild(table);
+}
+
+/**
+ * Compares the saved products with the selected LLM provider and shows the result. A comparison whose
+ * estimated cost would exceed a spending cap is refused or warned about, depending on the cap settings.
+ *
+ * @param {Object[]} products - The saved products.
+ * @param {HTMLElement} outputDiv - The element the progress and the result are shown in.
+ * @returns {Promise<void>} A promise that resolves once the comparison is shown.
+ */
+async function runComparison(products, outputDiv) {
+    const status = document.createElement('p');
+    status.className = 'summaryStatus';
+    outputDiv.replaceChildren(status);
+
+    const { llmSettings, provider, apiKey, locked } = await getSelectedProvider();
+    if (!apiKey && (provider.requiresKey || locked)) {
+        status.textContent = describeMissingApiKey(provider, locked);
+        return;
+    }
+    const summarySettings = await getSummarySettings();
+    const budgetCheck = await checkRequestBudget(llmSettings, estimateComparisonUsage({ products, llmSettings, summarySettings }));
+    if (budgetCheck?.blocked) {
+        status.textContent = `Error: ${budgetCheck.message}`;
+        return;
+    }
+    let budgetNote = null;
+    if (budgetCheck) {
+        budgetNote = document.createElement('p');
+        budgetNote.className = 'budgetNote';
+        budgetNote.textContent = `Warning: ${budgetCheck.message}`;
+        outputDiv.prepend(budgetNote);
+    }
+    status.textContent = `Comparing ${products.length} products...`;
+    try {
+        const comparison = await compareProducts({
+            products,
+            llmSettings,
+            apiKey,
+            summarySettings,
+            onCharacters: (characters) => {
+                status.textContent = `Comparing ${products.length} products... (${characters} characters received)`;
+            },
+            onUsage: (usage) => reportUsage(llmSettings, usage)
+        });
+        displayComparisonResult(outputDiv, comparison, products);
+        if (budgetNote) {
+            outputDiv.prepend(budgetNote);
+        }
+    } catch (error) {
+        console.error(`Error comparing products with ${provider.name}:`, error);
+        if (error instanceof SummaryValidationError) {
+            status.textContent = `Could not read the comparison: ${error.message}`;
+            const rawResponse = document.createElement('pre');
+            rawResponse.textContent = error.responseText;
+            outputDiv.appendChild(rawResponse);
         } else {
-            apiKeyStatusDiv.innerHTML = 'No OpenAI API key found. Please enter your API key below.';
-            displayApiKeyInputForm();
+            status.textContent = describeLlmError(error, provider);
         }
+    }
+}
+
+/**
+ * Lists the products saved for comparison, each with a button to remove it, and a button to compare them
+ * once there are at least two.
+ *
+ * @returns {Promise<void>} A promise that resolves once the comparison view is displayed.
+ */
+async function displayComparison() {
+    const products = await getComparisonProducts();
+    updatePopupContent(null, '');
+    const contentDiv = getContentDiv();
+
+    const heading = document.createElement('h4');
+    heading.textContent = `Comparison (${products.length} of ${COMPARISON_MAX_PRODUCTS})`;
+    contentDiv.appendChild(heading);
+
+    if (products.length === 0) {
+        const none = document.createElement('p');
+        none.textContent = 'No products yet. Open a product and click "Add to Comparison".';
+        contentDiv.appendChild(none);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.id = 'comparisonProducts';
+    products.forEach(product => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = product.url;
+        link.target = '_blank';
+        link.textContent = product.title || product.itemId;
+        const details = document.createElement('div');
+        details.className = 'historyDetails';
+        details.textContent = `${product.marketplace} · ${product.reviews.length} reviews` + (product.summary ? ' · summarized' : '');
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'removeComparisonBtn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', async () => {
+            await removeFromComparison(product.marketplace, product.itemId);
+            displayComparison();
+        });
+        item.append(link, details, removeBtn);
+        list.appendChild(item);
+    });
+    contentDiv.appendChild(list);
+
+    const compareBtn = document.createElement('button');
+    compareBtn.id = 'compareProductsBtn';
+    compareBtn.textContent = 'Compare Products';
+    compareBtn.disabled = products.length < 2;
+    const clearBtn = document.createElement('button');
+    clearBtn.id = 'clearComparisonBtn';
+    clearBtn.textContent = 'Clear';
+    clearBtn.style.marginLeft = '5px';
+    const outputDiv = document.createElement('div');
+    outputDiv.id = 'comparisonOutput';
+
+    compareBtn.addEventListener('click', async () => {
+        compareBtn.disabled = true;
+        await runComparison(products, outputDiv);
+        compareBtn.disabled = false;
+    });
+    clearBtn.addEventListener('click', async () => {
+        await clearComparison();
+        displayComparison();
+    });
+    contentDiv.append(compareBtn, clearBtn, outputDiv);
+}
+
+/**
+ * Asks the background service worker for the summary job of a tab, so that a reopened popup can show
+ * a summary that is still running or finished while the popup was closed.
+ *
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<{job: Object|null, openChat: boolean}>} A promise that resolves to the job (null if the tab
+ *   has none) and whether the popup was opened with the shortcut for asking a question.
+ */
+async function getTabSummaryJob(tabId) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSummaryJob', tabId });
+        return { job: response?.job || null, openChat: !!response?.openChat };
     } catch (error) {
-        console.error("Error checking API key status:", error);
-        apiKeyStatusDiv.innerHTML = 'Error checking API key status.';
+        console.error("Error retrieving the summary job:", error);
+        return { job: null, openChat: false };
     }
 }
 
 /**
- * Displays a form for the user to input their OpenAI API key.
+ * Handles non-relevant page logic by updating the popup when the page is not an Amazon product or review page.
+ *
+ * @returns {void}
+ */
+function handleGenericPage() {
+    console.log("Not a relevant page.");
+    updatePopupContent(null, "This extension works on Amazon product pages and product review pages. It also supports Yelp, eBay and Best Buy reviews.");
+}
+
+/**
+ * Displays a form to unlock the encrypted API keys with the passphrase. They stay unlocked until the browser is closed.
  *
  * @returns {void}
  */
-function displayApiKeyInputForm() {
-    const apiKeyFormDiv = document.getElementById('apiKeyForm');
-    if (!apiKeyFormDiv) {
-        console.error("API key form element not found.");
+function displayUnlockForm() {
+    const apiKeyStatusDiv = document.getElementById('apiKeyStatus');
+    const form = document.createElement('form');
+    form.id = 'unlockForm';
+    const passphraseInput = document.createElement('input');
+    passphraseInput.type = 'password';
+    passphraseInput.id = 'passphraseInput';
+    passphraseInput.placeholder = 'Passphrase';
+    const unlockBtn = document.createElement('button');
+    unlockBtn.type = 'submit';
+    unlockBtn.textContent = 'Unlock';
+    const message = document.createElement('span');
+    message.className = 'unlockMessage';
+    form.append(passphraseInput, unlockBtn, message);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        unlockBtn.disabled = true;
+        if (await unlockApiKeys(passphraseInput.value)) {
+            checkApiKeyStatus();
+        } else {
+            message.textContent = ' Wrong passphrase.';
+            unlockBtn.disabled = false;
+        }
+    });
+    apiKeyStatusDiv.after(form);
+}
+
+/**
+ * Checks if the API key of the selected LLM provider is stored and updates the DOM with the status.
+ * Keys are entered and changed on the options page.
+ *
+ * @returns {Promise<void>} A promise that resolves once the API key status is updated in the DOM.
+ */
+async function checkApiKeyStatus() {
+    const apiKeyStatusDiv = document.getElementById('apiKeyStatus');
+    if (!apiKeyStatusDiv) {
+        console.error("API key status element not found.");
         return;
     }
+    document.getElementById('unlockForm')?.remove();
 
-    apiKeyFormDiv.innerHTML = `
-        <label for="apiKeyInput">Enter OpenAI API Key:</label>
-        <input type="text" id="apiKeyInput" placeholder="Your API Key" style="width: 100%; margin-bottom: 10px;">
-        <button id="saveApiKeyBtn">Save API Key</button>
-    `;
-
-    const saveApiKeyBtn = document.getElementById('saveApiKeyBtn');
-    saveApiKeyBtn.addEventListener('click', async () => {
-        const apiKeyInput = document.getElementById('apiKeyInput');
-        const apiKey = apiKeyInput.value.trim();
-
-        if (apiKey) {
-            try {
-                await chrome.storage.local.set({ openaiApiKey: apiKey });
-                console.log("API key saved successfully.");
-                document.getElementById('apiKeyStatus').innerHTML = 'OpenAI API key saved successfully.';
-                apiKeyFormDiv.innerHTML = '';
-            } catch (error) {
-                console.error("Error saving API key:", error);
-                document.getElementById('apiKeyStatus').innerHTML = 'Error saving API key.';
-            }
+    try {
+        const { llmSettings, provider, apiKey, locked } = await getSelectedProvider();
+
+        if (locked) {
+            apiKeyStatusDiv.textContent = `Your ${provider.name} API key is encrypted. `;
+            displayUnlockForm();
+        } else if (apiKey) {
+            apiKeyStatusDiv.textContent = `${provider.name} API key detected (${llmSettings.providers[provider.id].model}). `;
+        } else if (!provider.requiresKey) {
+            apiKeyStatusDiv.textContent = `Using ${provider.name} at ${llmSettings.providers[provider.id].baseUrl}. `;
         } else {
-            alert("Please enter a valid API key.");
+            apiKeyStatusDiv.textContent = `No ${provider.name} API key found. Please add your API key in the settings. `;
         }
+    } catch (error) {
+        console.error("Error checking API key status:", error);
+        apiKeyStatusDiv.textContent = 'Error checking API key status. ';
+    }
+
+    const settingsLink = document.createElement('a');
+    settingsLink.href = '#';
+    settingsLink.id = 'openOptionsLink';
+    settingsLink.textContent = 'Settings';
+    settingsLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
     });
+    apiKeyStatusDiv.appendChild(settingsLink);
 }
 
 // Main Execution
+installLogRedaction();
 
 // Call the function to check API key status on DOMContentLoaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -390,28 +1660,39 @@ document.addEventListener('DOMContentLoaded', () => {
     apiKeyStatusDiv.id = 'apiKeyStatus';
     apiKeyStatusDiv.style.marginBottom = '10px';
 
-    const apiKeyFormDiv = document.createElement('div');
-    apiKeyFormDiv.id = 'apiKeyForm';
-
     const apiKeyDiv = document.getElementById('apiKey');
     if (apiKeyDiv) {
-        apiKeyDiv.appendChild(apiKeyFormDiv);
         apiKeyDiv.appendChild(apiKeyStatusDiv);
         console.log("API key status div added to content.", apiKeyStatusDiv);
     }
 
+    const historyBtn = document.getElementById('historyBtn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', () => displaySummaryHistory());
+    }
+
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', () => displayComparison());
+    }
+
     checkApiKeyStatus();
 });
 
 document.addEventListener('DOMContentLoaded', async () => {
-    contentDiv = document.getElementById('content');
-    loadingDiv = document.getElementById('loading');
-
-    if (!contentDiv || !loadingDiv) {
+    if (!getContentDiv() || !getLoadingDiv()) {
         console.error("Required DOM elements not found.");
         return;
     }
 
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === 'crawlProgress') {
+            displayCrawlProgress(message);
+        } else if (message.action === 'summaryJobUpdate' && message.job.tabId === window.currentTabId) {
+            displaySummaryJob(message.job);
+        }
+    });
+
     toggleLoading(true);
 
     const currentTab = await getCurrentTab();
@@ -422,21 +1703,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     console.log("Current URL:", currentTab.url);
-    const { type, asin } = getPageInfo(currentTab.url);
+    const { type, site, marketplace, itemId } = getPageInfo(currentTab.url);
+    const crawlSettings = await getCrawlSettings();
 
+    let loadReviews;
     switch (type) {
         case 'review':
             if (currentTab.id) {
-                handleReviewPage(currentTab.id);
+                loadReviews = () => handleReviewPage(currentTab.id, crawlSettings);
             } else {
                 updatePopupContent(null, 'Could not get tab ID.');
             }
             break;
         case 'product':
-            if (asin) {
-                handleProductPage(asin);
+            if (itemId) {
+                loadReviews = () => handleProductPage(itemId, site, currentTab.url, currentTab.id ?? null, crawlSettings);
             } else {
-                console.error("Product page detected but ASIN is missing.");
+                console.error("Product page detected but item ID is missing.");
                 handleGenericPage();
             }
             break;
@@ -444,12 +1727,43 @@ document.addEventListener('DOMContentLoaded', async () => {
             handleGenericPage();
             break;
     }
+    if (!loadReviews) {
+        return;
+    }
+
+    window.currentTabId = currentTab.id;
+    window.currentPage = { site, marketplace, itemId, url: currentTab.url, title: currentTab.title || itemId };
+    const { job, openChat } = await getTabSummaryJob(currentTab.id);
+    window.openChatOnLoad = openChat;
+    if (job && job.reviews && job.status !== 'idle') {
+        displayReviews(job.reviews, job.insights);
+        displaySummaryJob(job);
+        return;
+    }
+    const cached = await getCachedSummary(marketplace, itemId);
+    if (cached) {
+        displayCachedSummary(cached, loadReviews);
+    } else {
+        loadReviews();
+    }
 });
 
 // Export functions for testing purposes
-// module.exports = {
-//     getPageInfo,
-//     handleProductPage,
-//     handleReviewPage,
-//     handleGenericPage
-// };
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPageInfo,
+        handleProductPage,
+        handleReviewPage,
+        handleGenericPage,
+        displayCrawlProgress,
+        displayReviews,
+        checkApiKeyStatus,
+        createSummarizeButton,
+        displaySummaryJob,
+        displayStructuredSummary,
+        displayCachedSummary,
+        displaySummaryHistory,
+        displayComparison,
+        displayChatBox
+    };
+}
@@ -0,0 +1,576 @@
+// providers.js
+
+// Constants
+const LLM_SETTINGS_DEFAULTS = {
+    provider: 'openai',
+    providers: {
+        openai: { model: 'gpt-4o', temperature: 0.7, maxTokens: 1500 },
+        anthropic: { model: 'claude-sonnet-4-5', temperature: 0.7, maxTokens: 1500 },
+        compatible: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', temperature: 0.7, maxTokens: 1500 }
+    }
+};
+const LLM_MAX_RETRIES = 3; // Retries of rate-limited (429), failed (5xx) and unreachable requests
+const LLM_RETRY_BASE_DELAY_MS = 1000; // Delay before the first retry; doubles with every retry
+const LLM_MAX_RETRY_DELAY_MS = 60000; // Upper bound of a single retry delay, also for Retry-After
+// HTTP status codes of the error types Anthropic reports in the event stream, so they are handled like HTTP errors
+const ANTHROPIC_ERROR_STATUSES = {
+    invalid_request_error: 400,
+    authentication_error: 401,
+    billing_error: 402,
+    permission_error: 403,
+    not_found_error: 404,
+    request_too_large: 413,
+    rate_limit_error: 429,
+    api_error: 500,
+    overloaded_error: 529
+};
+
+/**
+ * Estimates the number of tokens of a text (about four characters per token).
+ *
+ * @param {string} text - The text.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Builds the request of an OpenAI-style chat completions endpoint.
+ *
+ * @param {string} url - The chat completions URL.
+ * @param {Object} options - Request options (see streamChatCompletion).
+ * @param {boolean} [options.includeUsage=false] - Ask for the token usage at the end of the stream; not every
+ *   OpenAI-compatible server accepts this.
+ * @returns {{url: string, init: Object}} The URL and fetch init of the request.
+ */
+function buildOpenAiStyleRequest(url, { apiKey, model, temperature, maxTokens, messages, responseFormat, includeUsage = false }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    const body = {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+    };
+    if (responseFormat === 'json') {
+        body.response_format = { type: 'json_object' };
+    }
+    if (includeUsage) {
+        body.stream_options = { include_usage: true };
+    }
+    return {
+        url,
+        init: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+        },
+    };
+}
+
+/**
+ * Reads the text of one streamed OpenAI-style event ("data: {...}" payload). The token usage comes
+ * in a last event without text, if it was asked for.
+ *
+ * @param {string} data - The payload of a data line.
+ * @returns {{text: string, done: boolean, usage?: {inputTokens: number, outputTokens: number}}} The text delta,
+ *   whether the stream is finished and the token usage, if the event reports it.
+ */
+function parseOpenAiStyleEvent(data) {
+    if (data === '[DONE]') {
+        return { text: '', done: true };
+    }
+    const parsed = JSON.parse(data);
+    const event = { text: parsed.choices?.[0]?.delta?.content || '', done: false };
+    if (parsed.usage) {
+        event.usage = { inputTokens: parsed.usage.prompt_tokens, outputTokens: parsed.usage.completion_tokens };
+    }
+    return event;
+}
+
+/**
+ * The supported LLM providers. Each provider builds its own request (endpoint, auth header and body)
+ * and parses its own streaming format, including the token usage where the provider reports it.
+ * Anthropic has no JSON mode, so JSON output relies on the prompt there.
+ */
+const LLM_PROVIDERS = {
+    openai: {
+        id: 'openai',
+        name: 'OpenAI',
+        keyStorageKey: 'openaiApiKey',
+        requiresKey: true,
+        models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini'],
+        buildRequest: (options) => buildOpenAiStyleRequest('https://api.openai.com/v1/chat/completions', { ...options, includeUsage: true }),
+        parseStreamEvent: parseOpenAiStyleEvent
+    },
+    anthropic: {
+        id: 'anthropic',
+        name: 'Anthropic',
+        keyStorageKey: 'anthropicApiKey',
+        requiresKey: true,
+        models: ['claude-sonnet-4-5', 'claude-haiku-4-5', 'claude-opus-4-1'],
+        buildRequest: ({ apiKey, model, temperature, maxTokens, messages }) => {
+            // The Messages API takes the system prompt separately from the conversation.
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            return {
+                url: 'https://api.anthropic.com/v1/messages',
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-api-key': apiKey,
+                        'anthropic-version': '2023-06-01',
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: JSON.stringify({
+                        model,
+                        system,
+                        messages: messages.filter(m => m.role !== 'system'),
+                        temperature,
+                        max_tokens: maxTokens,
+                        stream: true,
+                    }),
+                },
+            };
+        },
+        parseStreamEvent: (data) => {
+            const parsed = JSON.parse(data);
+            if (parsed.type === 'error') {
+                // An error after the response has started, e.g. when the API is overloaded mid-stream.
+                throw createLlmError(LLM_PROVIDERS.anthropic, ANTHROPIC_ERROR_STATUSES[parsed.error?.type] ?? null, parsed.error?.type, parsed);
+            }
+            if (parsed.type === 'message_stop') {
+                return { text: '', done: true };
+            }
+            // The input tokens are reported when the message starts, the output tokens so far with every message delta.
+            if (parsed.type === 'message_start' && parsed.message?.usage) {
+                const { input_tokens, output_tokens } = parsed.message.usage;
+                return { text: '', done: false, usage: { inputTokens: input_tokens, outputTokens: output_tokens || 0 } };
+            }
+            if (parsed.type === 'message_delta' && parsed.usage) {
+                return { text: '', done: false, usage: { outputTokens: parsed.usage.output_tokens } };
+            }
+            return { text: parsed.type === 'content_block_delta' ? (parsed.delta?.text || '') : '', done: false };
+        }
+    },
+    compatible: {
+        id: 'compatible',
+        name: 'OpenAI-compatible server',
+        keyStorageKey: 'compatibleApiKey',
+        requiresKey: false,
+        models: [],
+        buildRequest: (options) => buildOpenAiStyleRequest(`${options.baseUrl.replace(/\/+$/, '')}/chat/completions`, options),
+        parseStreamEvent: parseOpenAiStyleEvent
+    }
+};
+
+/**
+ * Returns the LLM provider with the given ID.
+ *
+ * @param {string} providerId - The provider ID ('openai', 'anthropic' or 'compatible').
+ * @returns {Object} The provider, falling back to OpenAI for unknown IDs.
+ */
+function getLlmProvider(providerId) {
+    return LLM_PROVIDERS[providerId] || LLM_PROVIDERS.openai;
+}
+
+/**
+ * Retrieves the LLM settings (selected provider and per-provider model, temperature and max tokens) from chrome storage.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the settings, merged over the defaults.
+ */
+async function getLlmSettings() {
+    try {
+        const { llmSettings } = await chrome.storage.local.get('llmSettings');
+        const providers = {};
+        Object.keys(LLM_SETTINGS_DEFAULTS.providers).forEach(id => {
+            providers[id] = { ...LLM_SETTINGS_DEFAULTS.providers[id], ...(llmSettings?.providers?.[id] || {}) };
+        });
+        return { provider: llmSettings?.provider || LLM_SETTINGS_DEFAULTS.provider, providers };
+    } catch (error) {
+        console.error("Error retrieving LLM settings from storage:", error);
+        return LLM_SETTINGS_DEFAULTS;
+    }
+}
+
+/**
+ * Base class of the errors returned by an LLM provider's API.
+ */
+class LlmApiError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number|null} [status=null] - The HTTP status code, if there was a response.
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LlmApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * The provider rejected the API key (HTTP 401 or 403).
+ */
+class InvalidApiKeyError extends LlmApiError {
+    constructor(message, status = null) {
+        super(message, status);
+        this.name = 'InvalidApiKeyError';
+    }
+}
+
+/**
+ * The account behind the API key has run out of quota or credits. Unlike rate limits, retrying does not help.
+ */
+class QuotaExceededError extends LlmApiError {
+    constructor(message, status = null) {
+        super(message, status);
+        this.name = 'QuotaExceededError';
+    }
+}
+
+/**
+ * The provider could not be reached, or the connection broke while streaming.
+ */
+class NetworkError extends LlmApiError {
+    constructor(message) {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * Checks whether an error comes from aborting a request through its AbortSignal.
+ *
+ * @param {Error} error - The error.
+ * @returns {boolean} True if the request was aborted.
+ */
+function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Describes an LLM request error for the user, with a hint on how to fix it where there is one.
+ * Errors sent between the popup, the page and the background service worker are plain objects, so their
+ * types are told apart by name.
+ *
+ * @param {{name: string, message: string}} error - The error thrown by streamChatCompletion, or its details.
+ * @param {Object} provider - The LLM provider.
+ * @returns {string} The error message.
+ */
+function describeLlmError(error, provider) {
+    switch (error.name) {
+        case 'InvalidApiKeyError':
+            return `Error: ${provider.name} rejected the API key. Please check it in the settings.`;
+        case 'QuotaExceededError':
+            return `Error: Your ${provider.name} quota is exhausted. Please check your plan and billing details.`;
+        case 'NetworkError':
+            return `Error: Could not reach ${provider.name}. Please check your connection and try again.`;
+        default:
+            return `Error: ${error.message}`;
+    }
+}
+
+/**
+ * Creates a parser for a server-sent events stream. Network chunks may end anywhere, even in the middle
+ * of a line, so the parser buffers incomplete lines and only returns the data of complete events.
+ *
+ * @returns {{push: function(string): string[], flush: function(): string[]}} push() takes the next decoded chunk
+ *   and returns the data of the events it completes; flush() returns the data of a last, unterminated event.
+ */
+function createSseParser() {
+    let buffer = '';
+    let dataLines = [];
+
+    const parseLine = (line, events) => {
+        if (line === '') {
+            // A blank line ends the event.
+            if (dataLines.length > 0) {
+                events.push(dataLines.join('\n'));
+                dataLines = [];
+            }
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.substring(5).replace(/^ /, ''));
+        }
+        // Other fields (event:, id:, retry:) and comments are not needed.
+    };
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            // A "\r" at the end may be the first half of a "\r\n" split across chunks, so it waits for the next chunk.
+            const pendingCr = buffer.endsWith('\r');
+            const lines = (pendingCr ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+            buffer = lines.pop() + (pendingCr ? '\r' : '');
+            const events = [];
+            lines.forEach(line => parseLine(line, events));
+            return events;
+        },
+        flush() {
+            const events = [];
+            if (buffer !== '') {
+                parseLine(buffer.replace(/\r$/, ''), events);
+                buffer = '';
+            }
+            parseLine('', events);
+            return events;
+        }
+    };
+}
+
+/**
+ * Reads the delay a rate-limited response asks for from its Retry-After header (seconds or an HTTP date).
+ *
+ * @param {Object} response - The fetch response.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {number|null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+function getRetryAfterMs(response, now = Date.now()) {
+    const retryAfter = response.headers?.get('Retry-After');
+    if (!retryAfter) {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(retryAfter.trim())) {
+        return parseFloat(retryAfter) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Creates the error type that matches an error reported by a provider.
+ *
+ * @param {Object} provider - The LLM provider.
+ * @param {number|null} status - The HTTP status code, or null if unknown.
+ * @param {string} statusText - The HTTP status text or the provider's error type.
+ * @param {Object} errorData - The error body, with the provider's error object under "error".
+ * @returns {LlmApiError} The error.
+ */
+function createLlmError(provider, status, statusText, errorData) {
+    const errorMessage = errorData.error?.message || 'Unknown error';
+    const message = `${provider.name} API Error: ${[status, statusText].filter(Boolean).join(' ')} - ${errorMessage}`;
+    if (status === 401 || status === 403) {
+        return new InvalidApiKeyError(message, status);
+    }
+    // OpenAI reports an exhausted quota as a 429 with this code; Anthropic as a 400 about the credit balance.
+    if (status === 402 || errorData.error?.code === 'insufficient_quota' || /credit balance|quota/i.test(errorMessage)) {
+        return new QuotaExceededError(message, status);
+    }
+    return new LlmApiError(message, status);
+}
+
+/**
+ * Turns an unsuccessful response into the matching error type.
+ *
+ * @param {Object} provider - The LLM provider.
+ * @param {Object} response - The fetch response.
+ * @returns {Promise<LlmApiError>} A promise that resolves to the error.
+ */
+async function createResponseError(provider, response) {
+    const errorData = await response.json().catch(() => ({}));
+    return createLlmError(provider, response.status, response.statusText, errorData);
+}
+
+/**
+ * Waits before a retry, unless the request is aborted first.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Aborts the wait.
+ * @returns {Promise<void>} A promise that resolves after the delay, or rejects with an AbortError.
+ */
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Sends a request, retrying rate limits (429), server errors (5xx) and network failures with exponential
+ * backoff. A Retry-After header takes precedence over the backoff delay.
+ *
+ * @param {Object} provider - The LLM provider.
+ * @param {string} url - The request URL.
+ * @param {Object} init - The fetch init.
+ * @param {Object} options - Retry options (see streamChatCompletion).
+ * @returns {Promise<Object>} A promise that resolves to the successful response.
+ */
+async function fetchWithRetries(provider, url, init, { signal, maxRetries = LLM_MAX_RETRIES, retryDelayMs = LLM_RETRY_BASE_DELAY_MS, onRetry = () => {} }) {
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let error;
+        let retryAfterMs = null;
+        try {
+            response = await fetch(url, { ...init, signal });
+        } catch (fetchError) {
+            if (isAbortError(fetchError)) {
+                throw fetchError;
+            }
+            error = new NetworkError(`Could not reach ${provider.name}: ${fetchError.message}`);
+        }
+
+        if (response) {
+            if (response.ok) {
+                return response;
+            }
+            error = await createResponseError(provider, response);
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || error instanceof QuotaExceededError) {
+                throw error;
+            }
+            retryAfterMs = getRetryAfterMs(response);
+        }
+
+        if (attempt >= maxRetries) {
+            throw error;
+        }
+        const delayMs = Math.min(retryAfterMs ?? retryDelayMs * 2 ** attempt, LLM_MAX_RETRY_DELAY_MS);
+        console.log(`${error.message}. Retrying in ${delayMs} ms (attempt ${attempt + 1} of ${maxRetries}).`);
+        onRetry({ attempt: attempt + 1, maxRetries, delayMs, error });
+        await waitForRetry(delayMs, signal);
+    }
+}
+
+/**
+ * Sends a chat request to a provider and streams the response text. The token usage is taken from the
+ * provider's usage data; where the provider does not report it, it is estimated from the messages and the streamed text.
+ *
+ * @param {Object} options - Request options.
+ * @param {string} options.providerId - The provider ID.
+ * @param {string|null} options.apiKey - The API key, if the provider needs one.
+ * @param {string} [options.baseUrl] - Base URL of an OpenAI-compatible server.
+ * @param {string} options.model - The model name.
+ * @param {number} options.temperature - The sampling temperature.
+ * @param {number} options.maxTokens - The maximum number of tokens to generate.
+ * @param {{role: string, content: string}[]} options.messages - The chat messages, system prompt first.
+ * @param {string} [options.responseFormat] - 'json' to ask providers that support it for a JSON object.
+ * @param {AbortSignal} [options.signal] - Stops the request, including retries and the stream.
+ * @param {number} [options.maxRetries=LLM_MAX_RETRIES] - How often a failed request is retried.
+ * @param {number} [options.retryDelayMs=LLM_RETRY_BASE_DELAY_MS] - Delay before the first retry; it doubles with every retry.
+ * @param {function({attempt: number, maxRetries: number, delayMs: number, error: Error}): void} [options.onRetry] - Called before each retry.
+ * @param {function(string): void} onText - Called with every streamed text delta.
+ * @returns {Promise<{inputTokens: number, outputTokens: number, estimated: boolean}>} A promise that resolves to the
+ *   token usage when the stream is finished, with estimated set if it was not reported. It rejects with an
+ *   InvalidApiKeyError, QuotaExceededError, NetworkError or LlmApiError, or with an AbortError when stopped; an
+ *   error thrown once the response has started to stream in carries the usage so far as its usage property.
+ */
+async function streamChatCompletion(options, onText) {
+    const provider = getLlmProvider(options.providerId);
+    let reportedUsage = {};
+    let outputText = '';
+    const getUsage = () => ({
+        inputTokens: reportedUsage.inputTokens ?? estimateTokens(options.messages.map(message => message.content).join('\n')),
+        outputTokens: reportedUsage.outputTokens ?? estimateTokens(outputText),
+        estimated: reportedUsage.inputTokens === undefined || reportedUsage.outputTokens === undefined
+    });
+    const { url, init } = provider.buildRequest(options);
+    const { maxRetries = LLM_MAX_RETRIES, retryDelayMs = LLM_RETRY_BASE_DELAY_MS, onRetry = () => {} } = options;
+    // Reads the stream of a successful response and resolves to the usage once it is finished.
+    const readStream = async (response) => {
+        reportedUsage = {};
+        if (!response.body) {
+            throw new Error('Response body is null, cannot read stream.');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const parser = createSseParser();
+        // Returns true once the provider reports the end of the stream.
+        const handleEvents = (events) => {
+            for (const data of events) {
+                let event;
+                try {
+                    event = provider.parseStreamEvent(data);
+                } catch (parseError) {
+                    if (parseError instanceof SyntaxError) {
+                        console.error('Error parsing stream event:', data, parseError);
+                        continue;
+                    }
+                    throw parseError;
+                }
+                if (event.usage) {
+                    reportedUsage = { ...reportedUsage, ...event.usage };
+                }
+                if (event.done) return true;
+                if (event.text) {
+                    outputText += event.text;
+                    onText(event.text);
+                }
+            }
+            return false;
+        };
+
+        while (true) {
+            let result;
+            try {
+                result = await reader.read();
+            } catch (readError) {
+                if (isAbortError(readError)) {
+                    throw readError;
+                }
+                throw new NetworkError(`Connection to ${provider.name} was lost: ${readError.message}`);
+            }
+            if (result.done) break;
+            if (handleEvents(parser.push(decoder.decode(result.value, { stream: true })))) {
+                reader.cancel().catch(() => {});
+                return getUsage();
+            }
+        }
+        handleEvents(parser.push(decoder.decode()));
+        handleEvents(parser.flush());
+        return getUsage();
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetchWithRetries(provider, url, init, options);
+        try {
+            return await readStream(response);
+        } catch (error) {
+            // An error event before any text (e.g. an overloaded API) is retried like the same HTTP error.
+            const retryable = !isAbortError(error) && error instanceof LlmApiError && (error.status === 429 || error.status >= 500);
+            if (!retryable || outputText || attempt >= maxRetries) {
+                // The tokens of a response that was stopped or broke off while streaming are paid for,
+                // so report them with the error.
+                error.usage = getUsage();
+                throw error;
+            }
+            const delayMs = Math.min(retryDelayMs * 2 ** attempt, LLM_MAX_RETRY_DELAY_MS);
+            console.log(`${error.message}. Retrying in ${delayMs} ms (attempt ${attempt + 1} of ${maxRetries}).`);
+            onRetry({ attempt: attempt + 1, maxRetries, delayMs, error });
+            await waitForRetry(delayMs, options.signal);
+        }
+    }
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LLM_PROVIDERS,
+        LLM_SETTINGS_DEFAULTS,
+        estimateTokens,
+        getLlmProvider,
+        getLlmSettings,
+        LlmApiError,
+        InvalidApiKeyError,
+        QuotaExceededError,
+        NetworkError,
+        isAbortError,
+        describeLlmError,
+        createSseParser,
+        streamChatCompletion
+    };
+}
@@ -0,0 +1,339 @@
+const { test, expect } = require('@playwright/test');
+
+const {
+    LLM_PROVIDERS,
+    getLlmSettings,
+    InvalidApiKeyError,
+    QuotaExceededError,
+    NetworkError,
+    LlmApiError,
+    createSseParser,
+    streamChatCompletion
+} = require('./providers.js');
+
+const MESSAGES = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Summarize.' }
+];
+
+/**
+ * Creates a fetch response whose body streams the given chunks.
+ *
+ * @param {string[]} chunks - The body chunks.
+ * @returns {Object} A minimal fetch Response.
+ */
+function streamResponse(chunks) {
+    const encoder = new TextEncoder();
+    return {
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+                controller.close();
+            }
+        })
+    };
+}
+
+/**
+ * Creates an unsuccessful fetch response.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {Object} [error={}] - The error object of the JSON body.
+ * @param {Object<string, string>} [headers={}] - The response headers.
+ * @returns {Object} A minimal fetch Response.
+ */
+function errorResponse(status, error = {}, headers = {}) {
+    return {
+        ok: false,
+        status,
+        statusText: `Status ${status}`,
+        headers: { get: (name) => headers[name] ?? null },
+        json: () => Promise.resolve({ error })
+    };
+}
+
+let requests;
+
+/**
+ * Before each test, reset the request log and stub chrome storage.
+ */
+test.beforeEach(() => {
+    requests = [];
+    global.chrome = { storage: { local: { get: () => Promise.resolve({}) } } };
+});
+
+/**
+ * After each test, remove the stubs.
+ */
+test.afterEach(() => {
+    global.fetch = undefined;
+    global.chrome = undefined;
+});
+
+test('OpenAI requests use a bearer token and the selected model options, and ask for the token usage', () => {
+    const { url, init } = LLM_PROVIDERS.openai.buildRequest({ apiKey: 'sk-test', model: 'gpt-4o-mini', temperature: 0.2, maxTokens: 300, messages: MESSAGES });
+
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(init.body)).toEqual({
+        model: 'gpt-4o-mini', messages: MESSAGES, temperature: 0.2, max_tokens: 300, stream: true, stream_options: { include_usage: true }
+    });
+});
+
+test('Anthropic requests send the key header and a separate system prompt', () => {
+    const { url, init } = LLM_PROVIDERS.anthropic.buildRequest({ apiKey: 'sk-ant', model: 'claude-haiku-4-5', temperature: 0.5, maxTokens: 800, messages: MESSAGES });
+
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers['x-api-key']).toBe('sk-ant');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body)).toEqual({
+        model: 'claude-haiku-4-5',
+        system: 'Be brief.',
+        messages: [{ role: 'user', content: 'Summarize.' }],
+        temperature: 0.5,
+        max_tokens: 800,
+        stream: true
+    });
+});
+
+test('OpenAI-compatible requests go to the configured base URL, without auth when there is no key', () => {
+    const { url, init } = LLM_PROVIDERS.compatible.buildRequest({ apiKey: null, baseUrl: 'http://localhost:8080/v1/', model: 'qwen', temperature: 1, maxTokens: 100, messages: MESSAGES });
+
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+});
+
+test('Streams text from OpenAI-style and Anthropic event formats', async () => {
+    global.fetch = (url, init) => {
+        requests.push(url);
+        return Promise.resolve(streamResponse([
+            'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+            'data: {"choices":[{"delta":{"content":" world"}}]}\n\ndata: [DONE]\n\n'
+        ]));
+    };
+    const openAiText = [];
+    await streamChatCompletion({ providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES }, text => openAiText.push(text));
+    expect(openAiText.join('')).toBe('Hello world');
+
+    global.fetch = () => Promise.resolve(streamResponse([
+        'event: message_start\ndata: {"type":"message_start","message":{}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Pros"}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]));
+    const anthropicText = [];
+    await streamChatCompletion({ providerId: 'anthropic', apiKey: 'sk-ant', model: 'claude-sonnet-4-5', messages: MESSAGES }, text => anthropicText.push(text));
+    expect(anthropicText).toEqual(['Pros']);
+});
+
+test('Returns the token usage the provider reports, or estimates it from the text', async () => {
+    global.fetch = () => Promise.resolve(streamResponse([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":120,"completion_tokens":7}}\n\ndata: [DONE]\n\n'
+    ]));
+    expect(await streamChatCompletion({ providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES }, () => {}))
+        .toEqual({ inputTokens: 120, outputTokens: 7, estimated: false });
+
+    global.fetch = () => Promise.resolve(streamResponse([
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":95,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Pros"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":12}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]));
+    expect(await streamChatCompletion({ providerId: 'anthropic', apiKey: 'sk-ant', model: 'claude-sonnet-4-5', messages: MESSAGES }, () => {}))
+        .toEqual({ inputTokens: 95, outputTokens: 12, estimated: false });
+
+    // A server that reports nothing: "Be brief.\nSummarize." is 20 characters and "Hello world" 11.
+    global.fetch = () => Promise.resolve(streamResponse([
+        'data: {"choices":[{"delta":{"content":"Hello world"}}]}\n\ndata: [DONE]\n\n'
+    ]));
+    expect(await streamChatCompletion({ providerId: 'compatible', baseUrl: 'http://localhost:8080/v1', model: 'qwen', messages: MESSAGES }, () => {}))
+        .toEqual({ inputTokens: 5, outputTokens: 3, estimated: true });
+});
+
+test('Reports API errors with the provider name', async () => {
+    global.fetch = () => Promise.resolve({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: () => Promise.resolve({ error: { message: 'invalid x-api-key' } })
+    });
+
+    await expect(streamChatCompletion({ providerId: 'anthropic', apiKey: 'bad', messages: MESSAGES }, () => {}))
+        .rejects.toThrow('Anthropic API Error: 401 Unauthorized - invalid x-api-key');
+});
+
+test('Merges stored settings over the per-provider defaults', async () => {
+    global.chrome.storage.local.get = () => Promise.resolve({
+        llmSettings: { provider: 'compatible', providers: { compatible: { baseUrl: 'http://gpu-box:8000/v1', model: 'mistral' } } }
+    });
+
+    const settings = await getLlmSettings();
+
+    expect(settings.provider).toBe('compatible');
+    expect(settings.providers.compatible).toEqual({ baseUrl: 'http://gpu-box:8000/v1', model: 'mistral', temperature: 0.7, maxTokens: 1500 });
+    expect(settings.providers.openai.model).toBe('gpt-4o');
+});
+
+test('Parses SSE events split anywhere across network chunks', async () => {
+    const parser = createSseParser();
+    expect(parser.push('data: {"choices":[{"del')).toEqual([]);
+    expect(parser.push('ta":{"content":"Hi"}}]}\r')).toEqual([]);
+    expect(parser.push('\n\r\ndata: first line\ndata: second line\n\n: comment\ndata: [DO')).toEqual([
+        '{"choices":[{"delta":{"content":"Hi"}}]}',
+        'first line\nsecond line'
+    ]);
+    expect(parser.push('NE]')).toEqual([]);
+    expect(parser.flush()).toEqual(['[DONE]']);
+
+    // A "\r\n" split across chunks ends one line, not the event.
+    const crlfParser = createSseParser();
+    expect(crlfParser.push('data: first line\r')).toEqual([]);
+    expect(crlfParser.push('\ndata: second line\r')).toEqual([]);
+    expect(crlfParser.push('\n\r')).toEqual([]);
+    expect(crlfParser.push('\ndata: [DONE]\r')).toEqual(['first line\nsecond line']);
+    expect(crlfParser.flush()).toEqual(['[DONE]']);
+
+    global.fetch = () => Promise.resolve(streamResponse([
+        'data: {"choices":[{"delta":{"content":"Hel',
+        'lo"}}]}\n',
+        '\ndata: {"choices":[{"delta":{"content":" world"}}]}\n\ndata: [DONE]\n\n'
+    ]));
+    const text = [];
+    await streamChatCompletion({ providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES }, chunk => text.push(chunk));
+    expect(text).toEqual(['Hello', ' world']);
+});
+
+test('Retries rate limits and server errors with backoff, honoring Retry-After', async () => {
+    const responses = [
+        errorResponse(429, { message: 'Rate limit reached' }, { 'Retry-After': '0.05' }),
+        errorResponse(503, { message: 'Overloaded' }),
+        streamResponse(['data: {"choices":[{"delta":{"content":"Done"}}]}\n\n'])
+    ];
+    global.fetch = () => {
+        requests.push(1);
+        return Promise.resolve(responses[requests.length - 1]);
+    };
+    const retries = [];
+    const text = [];
+
+    await streamChatCompletion({
+        providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES,
+        retryDelayMs: 10,
+        onRetry: ({ attempt, delayMs, error }) => retries.push({ attempt, delayMs, status: error.status })
+    }, chunk => text.push(chunk));
+
+    expect(retries).toEqual([{ attempt: 1, delayMs: 50, status: 429 }, { attempt: 2, delayMs: 20, status: 503 }]);
+    expect(text).toEqual(['Done']);
+});
+
+test('Reports bad keys, exhausted quotas and network failures as their own error types', async () => {
+    const options = { providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES, retryDelayMs: 1 };
+
+    global.fetch = () => {
+        requests.push(1);
+        return Promise.resolve(errorResponse(401, { message: 'Incorrect API key provided' }));
+    };
+    await expect(streamChatCompletion(options, () => {})).rejects.toBeInstanceOf(InvalidApiKeyError);
+    expect(requests).toHaveLength(1);
+
+    requests = [];
+    global.fetch = () => {
+        requests.push(1);
+        return Promise.resolve(errorResponse(429, { message: 'You exceeded your current quota', code: 'insufficient_quota' }));
+    };
+    await expect(streamChatCompletion(options, () => {})).rejects.toBeInstanceOf(QuotaExceededError);
+    expect(requests).toHaveLength(1);
+
+    requests = [];
+    global.fetch = () => {
+        requests.push(1);
+        return Promise.reject(new TypeError('Failed to fetch'));
+    };
+    const error = await streamChatCompletion({ ...options, maxRetries: 2 }, () => {}).catch(e => e);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error).toBeInstanceOf(LlmApiError);
+    expect(error.message).toBe('Could not reach OpenAI: Failed to fetch');
+    expect(requests).toHaveLength(3);
+});
+
+test('Stops a request, including its retries, when aborted', async () => {
+    global.fetch = () => Promise.resolve(errorResponse(500, { message: 'Server error' }));
+    const abortController = new AbortController();
+
+    const request = streamChatCompletion({
+        providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES,
+        retryDelayMs: 60000,
+        signal: abortController.signal,
+        onRetry: () => abortController.abort()
+    }, () => {});
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('Reports the usage streamed so far with the error when a request is stopped or breaks off', async () => {
+    const abortController = new AbortController();
+    global.fetch = (url, init) => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Partial answer"}}]}\n\n'));
+                init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+            }
+        })
+    });
+
+    const error = await streamChatCompletion({
+        providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES, signal: abortController.signal
+    }, () => abortController.abort()).catch(e => e);
+
+    expect(error.name).toBe('AbortError');
+    expect(error.usage).toEqual({ inputTokens: 5, outputTokens: 4, estimated: true });
+
+    global.fetch = () => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Partial answer"}}]}\n\n'));
+                controller.enqueue(new TextEncoder().encode('data: {"choices":[],"usage":{"prompt_tokens":120,"completion_tokens":7}}\n\n'));
+                setTimeout(() => controller.error(new TypeError('network error')), 0);
+            }
+        })
+    });
+    const lost = await streamChatCompletion({ providerId: 'openai', apiKey: 'sk', model: 'gpt-4o', messages: MESSAGES }, () => {}).catch(e => e);
+
+    expect(lost).toBeInstanceOf(NetworkError);
+    expect(lost.usage).toEqual({ inputTokens: 120, outputTokens: 7, estimated: false });
+});
+
+test('Reports Anthropic stream errors as their own error types and retries an overloaded API', async () => {
+    const overloaded = 'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n';
+    const responses = [
+        streamResponse([overloaded]),
+        streamResponse([
+            'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Done"}}\n\n',
+            'data: {"type":"message_stop"}\n\n'
+        ])
+    ];
+    global.fetch = () => {
+        requests.push(1);
+        return Promise.resolve(responses[requests.length - 1]);
+    };
+    const retries = [];
+    const text = [];
+    const options = { providerId: 'anthropic', apiKey: 'sk-ant', model: 'claude-sonnet-4-5', messages: MESSAGES, retryDelayMs: 1 };
+
+    await streamChatCompletion({ ...options, onRetry: ({ error }) => retries.push(error.status) }, chunk => text.push(chunk));
+    expect(retries).toEqual([529]);
+    expect(text).toEqual(['Done']);
+
+    global.fetch = () => Promise.resolve(streamResponse([overloaded]));
+    const error = await streamChatCompletion({ ...options, maxRetries: 1 }, () => {}).catch(e => e);
+    expect(error).toBeInstanceOf(LlmApiError);
+    expect(error.message).toBe('Anthropic API Error: 529 overloaded_error - Overloaded');
+
+    global.fetch = () => Promise.resolve(streamResponse([
+        'data: {"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}\n\n'
+    ]));
+    await expect(streamChatCompletion(options, () => {})).rejects.toBeInstanceOf(InvalidApiKeyError);
+});
@@ -0,0 +1,447 @@
+// settings.js
+
+/**
+ * The settings store shared by the popup, the options page and the background service worker: the API keys
+ * of the LLM providers, the summary preferences, the review crawl settings and the spending caps. The provider and model settings are read with getLlmSettings (providers.js).
+ */
+
+// Constants
+// Where API keys are kept: 'local' (chrome.storage.local), 'encrypted' (chrome.storage.local, encrypted with
+// a passphrase and unlocked into chrome.storage.session once per browser session) or 'session' (chrome.storage.session
+// only, so the key is never written to disk and is gone when the browser closes).
+const KEY_STORAGE_MODES = ['local', 'encrypted', 'session'];
+const KEY_DERIVATION_ITERATIONS = 250000;
+// Known API key formats, e.g. "sk-...", "sk-proj-..." and "sk-ant-...".
+const API_KEY_PATTERN = /\b(sk-(?:ant-|proj-)?)[A-Za-z0-9_-]{8,}/g;
+const SUMMARY_SETTINGS_DEFAULTS = {
+    promptTemplate: '', // Empty means the built-in prompt (SUMMARY_PROMPT_TEMPLATE)
+    summaryLength: 'standard', // 'brief', 'standard' or 'detailed'
+    outputLanguage: '', // Empty means the language of the reviews
+    resultsView: 'popup', // Where summaries are shown: 'popup' or 'panel' (a side panel injected into the page)
+    excludeFlaggedReviews: false // Leave the reviews flagged as suspicious (see analyzeReviewTrust) out of summaries
+};
+const CRAWL_SETTINGS_DEFAULTS = { maxReviewPages: 10, pageDelayMs: 1000 };
+// The values the options page accepts: at least one page, and at least half a second between fetches so that
+// crawling all reviews does not flood the store with requests.
+const CRAWL_SETTINGS_LIMITS = {
+    maxReviewPages: { min: 1, max: 50 },
+    pageDelayMs: { min: 500, max: 10000 }
+};
+const BUDGET_SETTINGS_DEFAULTS = {
+    dailyCap: 0, // Spending cap per day in US dollars; 0 means no cap
+    monthlyCap: 0, // Spending cap per calendar month in US dollars; 0 means no cap
+    overCapAction: 'warn' // What happens when a request would exceed a cap: 'warn' or 'block'
+};
+
+/**
+ * Shortens an API key for display, e.g. "sk-...f3a9", so that the full key is never shown again after saving.
+ *
+ * @param {string|null} apiKey - The API key.
+ * @returns {string} The masked key, or an empty string if there is no key.
+ */
+function maskApiKey(apiKey) {
+    if (!apiKey) return '';
+    if (apiKey.length <= 8) return '*'.repeat(apiKey.length);
+    return `${apiKey.substring(0, 3)}...${apiKey.substring(apiKey.length - 4)}`;
+}
+
+// Keys read or saved in this page, so that they are redacted from logs whatever their format.
+const knownApiKeys = new Set();
+
+/**
+ * Replaces API keys in a log argument with "[redacted]". Strings, errors and plain objects or arrays
+ * (up to a few levels deep) are redacted; other values are returned as they are.
+ *
+ * @param {*} value - The value to redact.
+ * @param {number} [depth=0] - The nesting depth, used to stop at deeply nested objects.
+ * @returns {*} The redacted value.
+ */
+function redactSecrets(value, depth = 0) {
+    if (typeof value === 'string') {
+        let redacted = value.replace(API_KEY_PATTERN, '$1[redacted]');
+        knownApiKeys.forEach(apiKey => {
+            redacted = redacted.split(apiKey).join('[redacted]');
+        });
+        return redacted;
+    }
+    if (value instanceof Error) {
+        return redactSecrets(value.stack || `${value.name}: ${value.message}`);
+    }
+    if (value && typeof value === 'object' && depth < 3 && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype)) {
+        if (Array.isArray(value)) {
+            return value.map(item => redactSecrets(item, depth + 1));
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, depth + 1)]));
+    }
+    return value;
+}
+
+/**
+ * Makes the console redact API keys from everything logged in this page.
+ *
+ * @param {Console} [target=console] - The console to wrap.
+ * @returns {void}
+ */
+function installLogRedaction(target = console) {
+    if (target.redactsSecrets) return;
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+        const original = target[method].bind(target);
+        target[method] = (...args) => original(...args.map(arg => redactSecrets(arg)));
+    });
+    target.redactsSecrets = true;
+}
+
+/**
+ * Encodes bytes as base64, for storing them in chrome storage.
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 text.
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decodes base64 text into bytes.
+ *
+ * @param {string} text - The base64 text.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase with PBKDF2.
+ *
+ * @param {string} passphrase - The passphrase.
+ * @param {Uint8Array} salt - The random salt stored with the encrypted key.
+ * @returns {Promise<CryptoKey>} A promise that resolves to the AES key.
+ */
+async function deriveEncryptionKey(passphrase, salt) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: KEY_DERIVATION_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypts a secret with a passphrase.
+ *
+ * @param {string} secret - The secret, e.g. an API key.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<{salt: string, iv: string, data: string}>} A promise that resolves to the base64-encoded salt, IV and ciphertext.
+ */
+async function encryptSecret(secret, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveEncryptionKey(passphrase, salt);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+    return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypts a secret encrypted with encryptSecret.
+ *
+ * @param {{salt: string, iv: string, data: string}} encrypted - The encrypted secret.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<string|null>} A promise that resolves to the secret, or null if the passphrase is wrong.
+ */
+async function decryptSecret(encrypted, passphrase) {
+    try {
+        const key = await deriveEncryptionKey(passphrase, fromBase64(encrypted.salt));
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data));
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        // AES-GCM fails its integrity check when the passphrase is wrong.
+        return null;
+    }
+}
+
+/**
+ * Retrieves how the API key of an LLM provider is stored (see KEY_STORAGE_MODES). Each provider's key
+ * is stored in the mode it was saved with.
+ *
+ * @param {string} providerId - The provider ID.
+ * @returns {Promise<string>} A promise that resolves to the key storage mode, 'local' by default.
+ */
+async function getKeyStorageMode(providerId) {
+    try {
+        const { keyStorageModes } = await chrome.storage.local.get('keyStorageModes');
+        const mode = keyStorageModes?.[providerId];
+        return KEY_STORAGE_MODES.includes(mode) ? mode : 'local';
+    } catch (error) {
+        console.error("Error retrieving key storage mode from storage:", error);
+        return 'local';
+    }
+}
+
+/**
+ * Retrieves the encrypted API keys, keyed by provider ID.
+ *
+ * @returns {Promise<Object<string, {salt: string, iv: string, data: string}>>} A promise that resolves to the encrypted keys.
+ */
+async function getEncryptedApiKeys() {
+    const { encryptedApiKeys } = await chrome.storage.local.get('encryptedApiKeys');
+    return encryptedApiKeys || {};
+}
+
+/**
+ * Retrieves the API key of an LLM provider. Keys kept for the session (session-only keys and unlocked
+ * encrypted keys) take precedence over keys stored on disk.
+ *
+ * @param {string} [providerId='openai'] - The provider ID.
+ * @returns {Promise<string|null>} A promise that resolves to the API key as a string or null if not found
+ *   (or still locked, see isApiKeyLocked).
+ */
+async function getApiKey(providerId = 'openai') {
+    const { keyStorageKey } = getLlmProvider(providerId);
+    try {
+        const sessionResult = await chrome.storage.session.get(keyStorageKey);
+        const localResult = await chrome.storage.local.get(keyStorageKey);
+        const apiKey = sessionResult[keyStorageKey] || localResult[keyStorageKey] || null;
+        if (apiKey) {
+            knownApiKeys.add(apiKey);
+        }
+        return apiKey;
+    } catch (error) {
+        console.error("Error retrieving API key from storage:", error);
+        return null;
+    }
+}
+
+/**
+ * Checks whether the API key of a provider is encrypted and not unlocked in this browser session yet.
+ *
+ * @param {string} providerId - The provider ID.
+ * @returns {Promise<boolean>} A promise that resolves to true if the key needs the passphrase.
+ */
+async function isApiKeyLocked(providerId) {
+    const { keyStorageKey } = getLlmProvider(providerId);
+    try {
+        const encryptedApiKeys = await getEncryptedApiKeys();
+        if (!encryptedApiKeys[providerId]) return false;
+        const sessionResult = await chrome.storage.session.get(keyStorageKey);
+        return !sessionResult[keyStorageKey];
+    } catch (error) {
+        console.error("Error checking API key lock:", error);
+        return false;
+    }
+}
+
+/**
+ * Decrypts the encrypted API keys with the passphrase and keeps them in session storage until the browser closes.
+ *
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<boolean>} A promise that resolves to true if the keys were unlocked, false if the passphrase is wrong.
+ */
+async function unlockApiKeys(passphrase) {
+    const encryptedApiKeys = await getEncryptedApiKeys();
+    const unlocked = {};
+    for (const [providerId, encrypted] of Object.entries(encryptedApiKeys)) {
+        const apiKey = await decryptSecret(encrypted, passphrase);
+        if (apiKey === null) {
+            console.log("Wrong passphrase for the encrypted API keys.");
+            return false;
+        }
+        knownApiKeys.add(apiKey);
+        unlocked[getLlmProvider(providerId).keyStorageKey] = apiKey;
+    }
+    await chrome.storage.session.set(unlocked);
+    console.log("API keys unlocked for this session.");
+    return true;
+}
+
+/**
+ * Stores the API key of an LLM provider, replacing any previous key. Copies of the key kept in the
+ * other storage modes are removed.
+ *
+ * @param {string} providerId - The provider ID.
+ * @param {string} apiKey - The API key.
+ * @param {string} [mode='local'] - The key storage mode (see KEY_STORAGE_MODES).
+ * @param {string} [passphrase=''] - The passphrase, required in 'encrypted' mode.
+ * @returns {Promise<void>} A promise that resolves once the key is stored.
+ */
+async function saveApiKey(providerId, apiKey, mode = 'local', passphrase = '') {
+    if (mode === 'encrypted' && !passphrase) {
+        throw new Error('A passphrase is required to encrypt the API key.');
+    }
+    knownApiKeys.add(apiKey);
+    if (mode === 'encrypted') {
+        // All encrypted keys share the passphrase, so that one unlock is enough.
+        const otherKeys = Object.entries(await getEncryptedApiKeys()).filter(([id]) => id !== providerId);
+        for (const [, encrypted] of otherKeys) {
+            if (await decryptSecret(encrypted, passphrase) === null) {
+                throw new Error('The passphrase does not match the one of your other encrypted API keys.');
+            }
+        }
+    }
+    await clearApiKey(providerId);
+    const { keyStorageKey, name } = getLlmProvider(providerId);
+    const { keyStorageModes } = await chrome.storage.local.get('keyStorageModes');
+    await chrome.storage.local.set({ keyStorageModes: { ...keyStorageModes, [providerId]: mode } });
+    if (mode === 'encrypted') {
+        const encryptedApiKeys = await getEncryptedApiKeys();
+        encryptedApiKeys[providerId] = await encryptSecret(apiKey, passphrase);
+        await chrome.storage.local.set({ encryptedApiKeys });
+        // Saving with the passphrase also unlocks the key for this session.
+        await chrome.storage.session.set({ [keyStorageKey]: apiKey });
+    } else if (mode === 'session') {
+        await chrome.storage.session.set({ [keyStorageKey]: apiKey });
+    } else {
+        await chrome.storage.local.set({ [keyStorageKey]: apiKey });
+    }
+    console.log(`${name} API key saved (${mode}).`);
+}
+
+/**
+ * Removes the API key of an LLM provider from every storage mode.
+ *
+ * @param {string} providerId - The provider ID.
+ * @returns {Promise<void>} A promise that resolves once the key is removed.
+ */
+async function clearApiKey(providerId) {
+    const { keyStorageKey, name } = getLlmProvider(providerId);
+    await chrome.storage.local.remove(keyStorageKey);
+    await chrome.storage.session.remove(keyStorageKey);
+    const encryptedApiKeys = await getEncryptedApiKeys();
+    if (encryptedApiKeys[providerId]) {
+        delete encryptedApiKeys[providerId];
+        await chrome.storage.local.set({ encryptedApiKeys });
+    }
+    const { keyStorageModes } = await chrome.storage.local.get('keyStorageModes');
+    if (keyStorageModes?.[providerId]) {
+        delete keyStorageModes[providerId];
+        await chrome.storage.local.set({ keyStorageModes });
+    }
+    console.log(`${name} API key cleared.`);
+}
+
+/**
+ * Retrieves the LLM settings, the selected provider and its API key.
+ *
+ * @returns {Promise<{llmSettings: Object, provider: Object, apiKey: string|null, locked: boolean}>} A promise that
+ *   resolves to the settings, the provider, the API key (null if none is stored or it is locked) and whether
+ *   the key is encrypted and still needs the passphrase.
+ */
+async function getSelectedProvider() {
+    const llmSettings = await getLlmSettings();
+    const provider = getLlmProvider(llmSettings.provider);
+    const apiKey = await getApiKey(provider.id);
+    const locked = !apiKey && await isApiKeyLocked(provider.id);
+    return { llmSettings, provider, apiKey, locked };
+}
+
+/**
+ * Checks an API key by sending a minimal request to the provider.
+ *
+ * @param {string} providerId - The provider ID.
+ * @param {string|null} apiKey - The API key to test.
+ * @param {Object} llmSettings - The LLM settings (see getLlmSettings), for the model and base URL.
+ * @returns {Promise<{ok: boolean, message: string}>} A promise that resolves to the result of the test.
+ */
+async function testApiKey(providerId, apiKey, llmSettings) {
+    const provider = getLlmProvider(providerId);
+    if (apiKey) {
+        knownApiKeys.add(apiKey);
+    }
+    try {
+        await streamChatCompletion({
+            providerId,
+            apiKey,
+            ...llmSettings.providers[providerId],
+            maxTokens: 1,
+            maxRetries: 0,
+            messages: [{ role: 'user', content: 'Hi' }]
+        }, () => {});
+        return { ok: true, message: `The ${provider.name} API key works.` };
+    } catch (error) {
+        console.error(`Error testing ${provider.name} API key:`, error.message);
+        if (error instanceof InvalidApiKeyError) {
+            return { ok: false, message: `${provider.name} rejected the API key.` };
+        }
+        if (error instanceof QuotaExceededError) {
+            return { ok: false, message: `The API key is valid, but its ${provider.name} quota is exhausted.` };
+        }
+        return { ok: false, message: `Could not test the API key: ${error.message}` };
+    }
+}
+
+/**
+ * Retrieves the summary preferences (prompt template, summary length, output language, results view and
+ * whether flagged reviews are left out) from chrome storage.
+ *
+ * @returns {Promise<{promptTemplate: string, summaryLength: string, outputLanguage: string, resultsView: string,
+ *   excludeFlaggedReviews: boolean}>} A promise that
+ *   resolves to the preferences, merged over the defaults.
+ */
+async function getSummarySettings() {
+    try {
+        const { summarySettings } = await chrome.storage.local.get('summarySettings');
+        return { ...SUMMARY_SETTINGS_DEFAULTS, ...(summarySettings || {}) };
+    } catch (error) {
+        console.error("Error retrieving summary settings from storage:", error);
+        return { ...SUMMARY_SETTINGS_DEFAULTS };
+    }
+}
+
+/**
+ * Retrieves the review crawl settings (page cap and delay between page fetches) from chrome storage.
+ *
+ * @returns {Promise<{maxReviewPages: number, pageDelayMs: number}>} A promise that resolves to the crawl settings, falling back to defaults.
+ */
+async function getCrawlSettings() {
+    try {
+        return await chrome.storage.local.get(CRAWL_SETTINGS_DEFAULTS);
+    } catch (error) {
+        console.error("Error retrieving crawl settings from storage:", error);
+        return { ...CRAWL_SETTINGS_DEFAULTS };
+    }
+}
+
+/**
+ * Retrieves the spending caps (see BUDGET_SETTINGS_DEFAULTS) from chrome storage.
+ *
+ * @returns {Promise<{dailyCap: number, monthlyCap: number, overCapAction: string}>} A promise that resolves to the
+ *   spending caps, merged over the defaults.
+ */
+async function getBudgetSettings() {
+    try {
+        const { budgetSettings } = await chrome.storage.local.get('budgetSettings');
+        return { ...BUDGET_SETTINGS_DEFAULTS, ...(budgetSettings || {}) };
+    } catch (error) {
+        console.error("Error retrieving budget settings from storage:", error);
+        return { ...BUDGET_SETTINGS_DEFAULTS };
+    }
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SUMMARY_SETTINGS_DEFAULTS,
+        CRAWL_SETTINGS_DEFAULTS,
+        CRAWL_SETTINGS_LIMITS,
+        BUDGET_SETTINGS_DEFAULTS,
+        KEY_STORAGE_MODES,
+        maskApiKey,
+        redactSecrets,
+        installLogRedaction,
+        encryptSecret,
+        decryptSecret,
+        getKeyStorageMode,
+        getApiKey,
+        isApiKeyLocked,
+        unlockApiKeys,
+        saveApiKey,
+        clearApiKey,
+        getSelectedProvider,
+        testApiKey,
+        getSummarySettings,
+        getCrawlSettings,
+        getBudgetSettings
+    };
+}
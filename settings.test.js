@@ -0,0 +1,162 @@
+const { test, expect } = require('@playwright/test');
+
+// settings.js uses the provider layer, loaded as globals as in popup.html.
+Object.assign(global, require('./providers.js'));
+
+const {
+    maskApiKey,
+    redactSecrets,
+    installLogRedaction,
+    encryptSecret,
+    decryptSecret,
+    getKeyStorageMode,
+    getApiKey,
+    isApiKeyLocked,
+    unlockApiKeys,
+    saveApiKey,
+    clearApiKey,
+    testApiKey,
+    getSummarySettings
+} = require('./settings.js');
+
+let store, sessionStore;
+
+/**
+ * Before each test, stub chrome.storage.local with an in-memory store.
+ */
+test.beforeEach(() => {
+    sessionStore = {};
+    store = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key) => Promise.resolve({ [key]: store[key] }),
+                set: (items) => Promise.resolve(Object.assign(store, items)),
+                remove: (key) => Promise.resolve(delete store[key])
+            },
+            session: {
+                get: (key) => Promise.resolve({ [key]: sessionStore[key] }),
+                set: (items) => Promise.resolve(Object.assign(sessionStore, items)),
+                remove: (key) => Promise.resolve(delete sessionStore[key])
+            }
+        }
+    };
+});
+
+/**
+ * After each test, remove the stubs.
+ */
+test.afterEach(() => {
+    global.chrome = undefined;
+    global.fetch = undefined;
+});
+
+test('Masks API keys for display', () => {
+    expect(maskApiKey('sk-proj-abcdefghijklmnopf3a9')).toBe('sk-...f3a9');
+    expect(maskApiKey('short')).toBe('*****');
+    expect(maskApiKey(null)).toBe('');
+});
+
+test('Saves, replaces and clears the key of each provider', async () => {
+    await saveApiKey('anthropic', 'sk-ant-old');
+    await saveApiKey('anthropic', 'sk-ant-new');
+    expect(await getApiKey('anthropic')).toBe('sk-ant-new');
+    expect(await getApiKey('openai')).toBeNull();
+
+    await clearApiKey('anthropic');
+    expect(await getApiKey('anthropic')).toBeNull();
+});
+
+test('Tests a key with a minimal request and explains the result', async () => {
+    const llmSettings = await getLlmSettings();
+    let body;
+    global.fetch = (url, init) => {
+        body = JSON.parse(init.body);
+        return Promise.resolve({
+            ok: false, status: 401, statusText: 'Unauthorized',
+            headers: { get: () => null },
+            json: () => Promise.resolve({ error: { message: 'Incorrect API key provided' } })
+        });
+    };
+
+    expect(await testApiKey('openai', 'sk-bad', llmSettings)).toEqual({ ok: false, message: 'OpenAI rejected the API key.' });
+    expect(body.max_tokens).toBe(1);
+
+    global.fetch = () => Promise.resolve({
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n'));
+                controller.close();
+            }
+        })
+    });
+    expect(await testApiKey('openai', 'sk-good', llmSettings)).toEqual({ ok: true, message: 'The OpenAI API key works.' });
+});
+
+test('Merges stored summary preferences over the defaults', async () => {
+    expect(await getSummarySettings()).toEqual({ promptTemplate: '', summaryLength: 'standard', outputLanguage: '', resultsView: 'popup', excludeFlaggedReviews: false });
+
+    store.summarySettings = { summaryLength: 'brief', outputLanguage: 'German' };
+    expect(await getSummarySettings()).toEqual({ promptTemplate: '', summaryLength: 'brief', outputLanguage: 'German', resultsView: 'popup', excludeFlaggedReviews: false });
+});
+
+test('Redacts API keys from log arguments', async () => {
+    expect(redactSecrets('Key: sk-proj-abcdefghijklmnop and sk-ant-api03-abcdefghijkl')).toBe('Key: sk-proj-[redacted] and sk-ant-[redacted]');
+    expect(redactSecrets({ headers: { Authorization: 'Bearer sk-abcdefghijklmnop' }, count: 2 }))
+        .toEqual({ headers: { Authorization: 'Bearer sk-[redacted]' }, count: 2 });
+    expect(redactSecrets(new Error('Bad key sk-abcdefghijklmnop'))).toContain('Error: Bad key sk-[redacted]');
+
+    // Keys of other formats are redacted once they have been read or saved.
+    await saveApiKey('compatible', 'local-server-token-42');
+    expect(redactSecrets(['Using local-server-token-42'])).toEqual(['Using [redacted]']);
+
+    const logged = [];
+    const fakeConsole = { log: (...args) => logged.push(args), info() {}, warn() {}, error() {}, debug() {} };
+    installLogRedaction(fakeConsole);
+    fakeConsole.log('Stored API key:', 'sk-abcdefghijklmnop');
+    expect(logged).toEqual([['Stored API key:', 'sk-[redacted]']]);
+});
+
+test('Encrypts secrets with a passphrase', async () => {
+    const encrypted = await encryptSecret('sk-secret-key', 'correct horse');
+
+    expect(JSON.stringify(encrypted)).not.toContain('sk-secret-key');
+    expect(await decryptSecret(encrypted, 'correct horse')).toBe('sk-secret-key');
+    expect(await decryptSecret(encrypted, 'wrong passphrase')).toBeNull();
+});
+
+test('Keeps encrypted keys off the disk in plaintext and unlocks them once per session', async () => {
+    await saveApiKey('openai', 'sk-openai-key-1234', 'local');
+    await saveApiKey('openai', 'sk-openai-key-5678', 'encrypted', 'correct horse');
+
+    expect(JSON.stringify(store)).not.toContain('sk-openai-key');
+    expect(await getKeyStorageMode('openai')).toBe('encrypted');
+    expect(await getApiKey('openai')).toBe('sk-openai-key-5678');
+
+    // A new browser session starts with empty session storage.
+    Object.keys(sessionStore).forEach(key => delete sessionStore[key]);
+    expect(await getApiKey('openai')).toBeNull();
+    expect(await isApiKeyLocked('openai')).toBe(true);
+
+    await expect(saveApiKey('anthropic', 'sk-ant-key-1234', 'encrypted', 'other passphrase')).rejects.toThrow('does not match');
+    expect(await unlockApiKeys('wrong passphrase')).toBe(false);
+    expect(await unlockApiKeys('correct horse')).toBe(true);
+    expect(await getApiKey('openai')).toBe('sk-openai-key-5678');
+    expect(await isApiKeyLocked('openai')).toBe(false);
+});
+
+test('Never writes session-only keys to disk', async () => {
+    await saveApiKey('anthropic', 'sk-ant-session-key', 'session');
+
+    expect(JSON.stringify(store)).not.toContain('sk-ant-session-key');
+    expect(await getApiKey('anthropic')).toBe('sk-ant-session-key');
+    // The mode is kept per provider, so a session-only key does not change how other keys are stored.
+    await saveApiKey('openai', 'sk-openai-key-1234', 'local');
+    expect(await getKeyStorageMode('anthropic')).toBe('session');
+    expect(await getKeyStorageMode('openai')).toBe('local');
+
+    await clearApiKey('anthropic');
+    expect(await getApiKey('anthropic')).toBeNull();
+    expect(await getKeyStorageMode('anthropic')).toBe('local');
+});
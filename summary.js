@@ -0,0 +1,505 @@
+// summary.js
+
+// Constants
+const SUMMARY_JSON_FORMAT = `{
+  "pros": [{"point": string, "mentions": integer, "reviews": [integer]}],
+  "cons": [{"point": string, "mentions": integer, "reviews": [integer]}],
+  "verdict": string,
+  "confidence": number
+}`;
+// The instructions of the summary prompt; users can replace them with their own template in the options.
+const SUMMARY_PROMPT_TEMPLATE = `You are a helpful assistant. Please summarize the provided product reviews. Focus on the pros and cons mentioned across multiple reviews and provide a concise overall verdict. Each review is numbered ([Review N]) and preceded by its rating, whether it is a Verified Purchase and how many helpful votes it received: give more weight to verified reviews and reviews with more helpful votes. The reviews may be preceded by the product's rating histogram and the store's own review summary; use them as context, but base the summary on the reviews.`;
+// The output format is always appended, so that a custom template cannot break the parsing of the summary.
+const SUMMARY_OUTPUT_INSTRUCTIONS = `Respond with a single JSON object and nothing else, in this format:
+${SUMMARY_JSON_FORMAT}
+
+For each pro and con, "mentions" is the number of reviews that mention it and "reviews" lists the numbers of the reviews that support it. Rank the points by mentions, most mentioned first. "verdict" is a short overall conclusion and "confidence" is a number from 0 to 1 saying how consistent and sufficient the reviews are to support it.`;
+const MERGE_PROMPT_TEMPLATE = `You are a helpful assistant. You are given partial summaries of product reviews, each covering a different batch of the same product's reviews. Merge them into one summary of all the reviews. Combine pros or cons that mean the same thing: add up their "mentions" and combine their "reviews" numbers. Rank the points by mentions, most mentioned first, write a verdict for the whole review set and set "confidence" from 0 to 1 accordingly.`;
+const SUMMARY_LENGTH_INSTRUCTIONS = {
+    brief: 'Keep the summary brief: at most 3 pros and 3 cons, each a few words long, and a one-sentence verdict.',
+    standard: 'List up to 5 pros and 5 cons and keep the verdict to two or three sentences.',
+    detailed: 'Be thorough: list up to 10 pros and 10 cons, each with a short explanation, and write a verdict of one paragraph.'
+};
+// Rough input budget per request; larger review sets are summarized in batches and merged.
+const SUMMARY_BATCH_TOKENS = 8000;
+// Star rating groups of the segmented analysis, each summarized on its own. "points" is the side of the
+// group's summary that is shown, and "focus" is added to the summary prompt of the group.
+const REVIEW_SEGMENTS = [
+    {
+        id: 'positive',
+        title: 'Why people love it',
+        ratings: [4, 5],
+        points: 'pros',
+        focus: 'All of these reviews rate the product 4 or 5 stars. Focus on what makes the reviewers happy with it.'
+    },
+    {
+        id: 'critical',
+        title: 'Why people return it',
+        ratings: [1, 2],
+        points: 'cons',
+        focus: 'All of these reviews rate the product 1 or 2 stars. Focus on how the product fails: what broke or went wrong, after how long, and why the reviewers returned it or regret buying it.'
+    }
+];
+
+/**
+ * Adds the summary length, output language and output format instructions to a prompt.
+ *
+ * @param {string} instructions - The instructions of the prompt.
+ * @param {{summaryLength?: string, outputLanguage?: string}} summarySettings - The summary preferences (see getSummarySettings).
+ * @returns {string} The system prompt.
+ */
+function completeSystemPrompt(instructions, { summaryLength = 'standard', outputLanguage = '' }) {
+    const parts = [instructions.trim(), SUMMARY_LENGTH_INSTRUCTIONS[summaryLength] || SUMMARY_LENGTH_INSTRUCTIONS.standard];
+    if (outputLanguage.trim()) {
+        parts.push(`Write the points and the verdict in ${outputLanguage.trim()}, whatever the language of the reviews.`);
+    }
+    parts.push(SUMMARY_OUTPUT_INSTRUCTIONS);
+    return parts.join('\n\n');
+}
+
+/**
+ * Builds the system prompt of a summary request from the summary preferences.
+ *
+ * @param {{promptTemplate?: string, summaryLength?: string, outputLanguage?: string}} [summarySettings={}] - The
+ *   summary preferences; an empty prompt template stands for the built-in one.
+ * @param {string} [focus=''] - Extra instructions about the reviews, e.g. for one star rating group.
+ * @returns {string} The system prompt.
+ */
+function buildSummarySystemPrompt(summarySettings = {}, focus = '') {
+    const instructions = summarySettings.promptTemplate?.trim() || SUMMARY_PROMPT_TEMPLATE;
+    return completeSystemPrompt(focus ? `${instructions}\n\n${focus}` : instructions, summarySettings);
+}
+
+/**
+ * Builds the system prompt of a request that merges partial summaries.
+ *
+ * @param {{summaryLength?: string, outputLanguage?: string}} [summarySettings={}] - The summary preferences.
+ * @param {string} [focus=''] - Extra instructions about the reviews, e.g. for one star rating group.
+ * @returns {string} The system prompt.
+ */
+function buildMergeSystemPrompt(summarySettings = {}, focus = '') {
+    return completeSystemPrompt(focus ? `${MERGE_PROMPT_TEMPLATE}\n\n${focus}` : MERGE_PROMPT_TEMPLATE, summarySettings);
+}
+
+/**
+ * Error thrown when the model's summary does not match the expected JSON format.
+ */
+class SummaryValidationError extends Error {
+    /**
+     * @param {string} message - What is wrong with the summary.
+     * @param {string} [responseText=''] - The raw response of the model.
+     */
+    constructor(message, responseText = '') {
+        super(message);
+        this.name = 'SummaryValidationError';
+        this.responseText = responseText;
+    }
+}
+
+/**
+ * Validates one list of pros or cons and normalizes it: review numbers outside the review set are
+ * dropped, mention counts are at least the number of supporting reviews, and the points are ranked
+ * by mention count.
+ *
+ * @param {*} points - The "pros" or "cons" value of the summary.
+ * @param {string} field - The field name, used in error messages.
+ * @param {number} reviewCount - The number of reviews that were summarized.
+ * @returns {{point: string, mentions: number, reviews: number[]}[]} The normalized points.
+ */
+function validateSummaryPoints(points, field, reviewCount) {
+    if (!Array.isArray(points)) {
+        throw new SummaryValidationError(`"${field}" must be an array.`);
+    }
+    return points.map((item, index) => {
+        if (!item || typeof item.point !== 'string' || !item.point.trim()) {
+            throw new SummaryValidationError(`"${field}[${index}].point" must be a non-empty string.`);
+        }
+        const reviews = Array.isArray(item.reviews)
+            ? [...new Set(item.reviews.filter(n => Number.isInteger(n) && n >= 1 && n <= reviewCount))]
+            : [];
+        const mentions = Number.isInteger(item.mentions) && item.mentions > 0 ? item.mentions : reviews.length;
+        return { point: item.point.trim(), mentions: Math.max(mentions, reviews.length), reviews };
+    }).sort((a, b) => b.mentions - a.mentions);
+}
+
+/**
+ * Validates a parsed summary against the summary format (see SUMMARY_JSON_FORMAT).
+ *
+ * @param {*} summary - The parsed JSON value.
+ * @param {number} reviewCount - The number of reviews that were summarized; review numbers are 1-based.
+ * @returns {{pros: Object[], cons: Object[], verdict: string, confidence: number}} The normalized summary.
+ * @throws {SummaryValidationError} If the summary does not match the format.
+ */
+function validateSummary(summary, reviewCount) {
+    if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+        throw new SummaryValidationError('The summary must be a JSON object.');
+    }
+    if (typeof summary.verdict !== 'string') {
+        throw new SummaryValidationError('"verdict" must be a string.');
+    }
+    const confidence = Number(summary.confidence);
+    if (Number.isNaN(confidence)) {
+        throw new SummaryValidationError('"confidence" must be a number.');
+    }
+    return {
+        pros: validateSummaryPoints(summary.pros, 'pros', reviewCount),
+        cons: validateSummaryPoints(summary.cons, 'cons', reviewCount),
+        verdict: summary.verdict.trim(),
+        // Accept percentages as well as fractions.
+        confidence: Math.min(1, Math.max(0, confidence > 1 ? confidence / 100 : confidence))
+    };
+}
+
+/**
+ * Parses the JSON object in a model's response and validates it. Code fences and text around the JSON object are ignored.
+ *
+ * @param {string} text - The full response text.
+ * @param {function(*): Object} validate - Validates the parsed value and returns it normalized; throws a
+ *   SummaryValidationError if it does not match the expected format.
+ * @returns {Object} The validated value.
+ * @throws {SummaryValidationError} If the response holds no valid JSON object; the error keeps the response text.
+ */
+function parseJsonResponse(text, validate) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new SummaryValidationError('The response does not contain a JSON object.', text);
+    }
+    try {
+        return validate(JSON.parse(text.substring(start, end + 1)));
+    } catch (error) {
+        if (error instanceof SummaryValidationError) {
+            error.responseText = text;
+            throw error;
+        }
+        throw new SummaryValidationError(`The response is not valid JSON: ${error.message}`, text);
+    }
+}
+
+/**
+ * Parses the model's response into a validated summary. Code fences and text around the JSON object are ignored.
+ *
+ * @param {string} text - The full response text.
+ * @param {number} reviewCount - The number of reviews that were summarized.
+ * @returns {{pros: Object[], cons: Object[], verdict: string, confidence: number}} The normalized summary.
+ * @throws {SummaryValidationError} If the response holds no valid summary.
+ */
+function parseSummaryResponse(text, reviewCount) {
+    return parseJsonResponse(text, (summary) => validateSummary(summary, reviewCount));
+}
+
+/**
+ * Formats the reviews as numbered plain-text entries for the model, including the metadata
+ * the model should use to weigh them (rating, verified purchase, helpful votes, variant).
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @param {number} [offset=0] - Number of reviews before this array, so batches keep the numbering of the full set.
+ * @returns {string} The reviews text to include in the prompt.
+ */
+function formatReviewsForPrompt(reviews, offset = 0) {
+    return reviews.map((review, index) => {
+        const meta = [];
+        if (review.rating) meta.push(`Rating: ${review.rating}/5`);
+        meta.push(review.verified ? 'Verified Purchase' : 'Unverified');
+        if (review.helpfulVotes) meta.push(`${review.helpfulVotes} helpful vote${review.helpfulVotes === 1 ? '' : 's'}`);
+        if (review.variant) meta.push(`Variant: ${review.variant}`);
+        if (review.date) meta.push(`Date: ${review.date}`);
+
+        const lines = [`[Review ${offset + index + 1}] ${meta.join(' | ')}`];
+        if (review.title) lines.push(`Title: ${review.title}`);
+        lines.push(review.text);
+        return lines.join('\n');
+    }).join('\n---\n');
+}
+
+/**
+ * Formats the product insights as plain text context for the model.
+ *
+ * @param {Object|null} insights - The product insights (see createInsightsBlock in popup.js), or null.
+ * @returns {string} The insights text, or an empty string if there are none.
+ */
+function formatProductInsightsForPrompt(insights) {
+    if (!insights) return '';
+    const lines = [];
+    if (insights.averageRating) {
+        lines.push(`Average rating: ${insights.averageRating}/5` + (insights.totalRatings ? ` from ${insights.totalRatings} ratings` : ''));
+    }
+    const stars = Object.keys(insights.histogram || {}).sort((a, b) => b - a);
+    if (stars.length > 0) {
+        lines.push(`Rating histogram: ${stars.map(star => `${star} star ${insights.histogram[star]}%`).join(', ')}`);
+    }
+    if (insights.customersSay) {
+        lines.push(`Store's own review summary ("Customers say"): ${insights.customersSay}`);
+    }
+    if (insights.aspects && insights.aspects.length > 0) {
+        lines.push(`Aspects highlighted by the store: ${insights.aspects.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Splits reviews into consecutive batches whose formatted text stays within a token budget.
+ * A single review larger than the budget gets a batch of its own.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @param {number} maxTokens - Token budget of a batch.
+ * @returns {{offset: number, reviews: Object[]}[]} The batches, with the index of their first review.
+ */
+function createReviewBatches(reviews, maxTokens) {
+    const batches = [];
+    let current = { offset: 0, reviews: [] };
+    let currentTokens = 0;
+    reviews.forEach((review, index) => {
+        const tokens = estimateTokens(formatReviewsForPrompt([review], index)) + 2;
+        if (current.reviews.length > 0 && currentTokens + tokens > maxTokens) {
+            batches.push(current);
+            current = { offset: index, reviews: [] };
+            currentTokens = 0;
+        }
+        current.reviews.push(review);
+        currentTokens += tokens;
+    });
+    if (current.reviews.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
+
+/**
+ * Sends one summary request and parses the response.
+ *
+ * @param {Object} options - Request options.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string|null} options.apiKey - The API key of the selected provider.
+ * @param {string} options.systemPrompt - The system prompt.
+ * @param {string} options.userPrompt - The user message.
+ * @param {number} options.reviewCount - Number of reviews in the full set, to validate review numbers.
+ * @param {function(number): void} [options.onCharacters] - Called with the number of characters received so far.
+ * @param {AbortSignal} [options.signal] - Stops the request.
+ * @param {function(Object): void} [options.onRetry] - Called before the request is retried (see streamChatCompletion).
+ * @param {function(Object): void} [options.onUsage] - Called with the token usage of the request (see streamChatCompletion).
+ * @returns {Promise<Object>} A promise that resolves to the validated summary.
+ */
+async function requestSummary({ llmSettings, apiKey, systemPrompt, userPrompt, reviewCount, onCharacters = () => {}, signal, onRetry, onUsage = () => {} }) {
+    let responseText = '';
+    let usage;
+    try {
+        usage = await streamChatCompletion({
+            providerId: llmSettings.provider,
+            apiKey,
+            ...llmSettings.providers[llmSettings.provider],
+            responseFormat: 'json',
+            signal,
+            onRetry,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt }
+            ],
+        }, (content) => {
+            responseText += content;
+            onCharacters(responseText.length);
+        });
+    } catch (error) {
+        // Report the usage of a stopped or failed request as well (see streamChatCompletion).
+        if (error.usage) {
+            await onUsage(error.usage);
+        }
+        throw error;
+    }
+    // Report the usage before parsing, as a response that cannot be read is paid for all the same.
+    await onUsage(usage);
+    return parseSummaryResponse(responseText, reviewCount);
+}
+
+/**
+ * Builds the user message of a summary request for a batch of reviews.
+ *
+ * @param {{offset: number, reviews: Object[]}} batch - The batch (see createReviewBatches).
+ * @param {string} insightsText - The formatted product insights, if any (see formatProductInsightsForPrompt).
+ * @returns {string} The user message.
+ */
+function buildReviewsUserPrompt(batch, insightsText) {
+    return `Here are the product reviews to summarize:\n\n` +
+        (insightsText ? `${insightsText}\n\n` : '') + formatReviewsForPrompt(batch.reviews, batch.offset);
+}
+
+/**
+ * Estimates the tokens of a summary before it is requested, for the same batches as summarizeReviews.
+ * The input is estimated from the prompts; the output is counted at the model's max tokens per request,
+ * so it is an upper bound. Merging partial summaries is counted as a single request.
+ *
+ * @param {Object} options - Summary options (see summarizeReviews).
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {Object|null} [options.insights=null] - Product insights read from a product page.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {Object} [options.summarySettings={}] - The summary preferences.
+ * @param {string} [options.focus=''] - Extra instructions about the reviews (see REVIEW_SEGMENTS).
+ * @param {number} [options.batchTokens=SUMMARY_BATCH_TOKENS] - Token budget of a single request's input.
+ * @returns {{requests: number, inputTokens: number, outputTokens: number}} The estimated requests and tokens.
+ */
+function estimateSummaryUsage({ reviews, insights = null, llmSettings, summarySettings = {}, focus = '', batchTokens = SUMMARY_BATCH_TOKENS }) {
+    const { maxTokens } = llmSettings.providers[llmSettings.provider];
+    const systemTokens = estimateTokens(buildSummarySystemPrompt(summarySettings, focus));
+    const insightsText = formatProductInsightsForPrompt(insights);
+    const batches = createReviewBatches(reviews, batchTokens);
+    let inputTokens = batches.reduce((total, batch) => total + systemTokens + estimateTokens(buildReviewsUserPrompt(batch, insightsText)), 0);
+    let requests = batches.length;
+    if (batches.length > 1) {
+        inputTokens += estimateTokens(buildMergeSystemPrompt(summarySettings, focus)) + batches.length * maxTokens;
+        requests++;
+    }
+    return { requests, inputTokens, outputTokens: requests * maxTokens };
+}
+
+/**
+ * Summarizes reviews into a structured summary. Review sets that fit the token budget are summarized
+ * in a single request. Larger sets are split into batches that are summarized separately (map), and
+ * the partial summaries are then merged, in groups if needed, until one summary is left (reduce).
+ *
+ * @param {Object} options - Summary options.
+ * @param {Object[]} options.reviews - Array of structured reviews.
+ * @param {Object|null} [options.insights=null] - Product insights read from a product page.
+ * @param {Object} options.llmSettings - The LLM settings (see getLlmSettings).
+ * @param {string|null} options.apiKey - The API key of the selected provider.
+ * @param {Object} [options.summarySettings={}] - The summary preferences: prompt template, length and output language.
+ * @param {string} [options.focus=''] - Extra instructions about the reviews (see REVIEW_SEGMENTS).
+ * @param {number} [options.batchTokens=SUMMARY_BATCH_TOKENS] - Token budget of a single request's input.
+ * @param {function(string): void} [options.onProgress] - Called with a status line for each stage.
+ * @param {function(Object): void} [options.onUsage] - Called with the token usage of each request (see streamChatCompletion).
+ * @param {AbortSignal} [options.signal] - Stops the summarization.
+ * @returns {Promise<{pros: Object[], cons: Object[], verdict: string, confidence: number}>} A promise that resolves to the summary.
+ */
+async function summarizeReviews({ reviews, insights = null, llmSettings, apiKey, summarySettings = {}, focus = '', batchTokens = SUMMARY_BATCH_TOKENS, onProgress = () => {}, onUsage, signal }) {
+    const summaryPrompt = buildSummarySystemPrompt(summarySettings, focus);
+    const mergePrompt = buildMergeSystemPrompt(summarySettings, focus);
+    const insightsText = formatProductInsightsForPrompt(insights);
+    const reviewCount = reviews.length;
+    const request = (systemPrompt, userPrompt, status) => requestSummary({
+        llmSettings, apiKey, systemPrompt, userPrompt, reviewCount, signal, onUsage,
+        onCharacters: (characters) => onProgress(`${status} (${characters} characters received)`),
+        onRetry: ({ attempt, maxRetries, delayMs }) =>
+            onProgress(`${status} (retrying in ${Math.ceil(delayMs / 1000)} s, attempt ${attempt} of ${maxRetries})`)
+    });
+    const reviewsPrompt = (batch) => buildReviewsUserPrompt(batch, insightsText);
+
+    const batches = createReviewBatches(reviews, batchTokens);
+    if (batches.length === 1) {
+        onProgress('Summarizing...');
+        return request(summaryPrompt, reviewsPrompt(batches[0]), 'Summarizing...');
+    }
+
+    console.log(`Summarizing ${reviewCount} reviews in ${batches.length} batches.`);
+    let summaries = [];
+    for (let i = 0; i < batches.length; i++) {
+        const status = `Summarizing batch ${i + 1} of ${batches.length}...`;
+        onProgress(status);
+        summaries.push(await request(summaryPrompt, reviewsPrompt(batches[i]), status));
+    }
+
+    let round = 1;
+    while (summaries.length > 1) {
+        // Merge as many partial summaries per request as fit the budget, at least two.
+        const groups = [];
+        let group = [];
+        let groupTokens = 0;
+        summaries.forEach(summary => {
+            const tokens = estimateTokens(JSON.stringify(summary));
+            if (group.length >= 2 && groupTokens + tokens > batchTokens) {
+                groups.push(group);
+                group = [];
+                groupTokens = 0;
+            }
+            group.push(summary);
+            groupTokens += tokens;
+        });
+        groups.push(group);
+
+        const merged = [];
+        for (let i = 0; i < groups.length; i++) {
+            if (groups[i].length === 1) {
+                merged.push(groups[i][0]);
+                continue;
+            }
+            const status = groups.length === 1
+                ? `Merging ${groups[i].length} partial summaries...`
+                : `Merging partial summaries (round ${round}, group ${i + 1} of ${groups.length})...`;
+            onProgress(status);
+            const userPrompt = `Here are ${groups[i].length} partial summaries to merge:\n\n` +
+                groups[i].map((summary, index) => `Partial summary ${index + 1}:\n${JSON.stringify(summary)}`).join('\n\n');
+            merged.push(await request(mergePrompt, userPrompt, status));
+        }
+        summaries = merged;
+        round++;
+    }
+    return summaries[0];
+}
+
+/**
+ * Splits reviews into the star rating groups of REVIEW_SEGMENTS. Reviews without a rating, and
+ * 3 star reviews, are in neither group.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {Object<string, Object[]>} The reviews of each group, keyed by group ID.
+ */
+function splitReviewsBySegment(reviews) {
+    return Object.fromEntries(REVIEW_SEGMENTS.map(segment =>
+        [segment.id, reviews.filter(review => segment.ratings.includes(Math.round(review.rating)))]));
+}
+
+/**
+ * Summarizes each star rating group of reviews on its own (see REVIEW_SEGMENTS), to show what fans and
+ * critics say side by side. The reviews of all groups are numbered in one sequence, so the review numbers
+ * of each group's points refer to the returned reviews.
+ *
+ * @param {Object} options - Summary options; all options of summarizeReviews except reviews and focus are passed on.
+ * @param {Object<string, Object[]>} options.segments - The reviews of each group, keyed by group ID (see splitReviewsBySegment).
+ * @param {function(Object): (Object|Promise<Object>)} [options.summarize=summarizeReviews] - Summarizes the reviews of a
+ *   group, e.g. summarizeReviewsLocally for a summary without the model.
+ * @param {function(string): void} [options.onProgress] - Called with a status line for each stage.
+ * @returns {Promise<{reviews: Object[], summary: {segments: {id: string, title: string, points: string,
+ *   reviewCount: number, summary: Object|null}[]}}>} A promise that resolves to the reviews of all groups and
+ *   the summary of each group, which is null for a group without reviews.
+ */
+async function summarizeReviewSegments({ segments, summarize = summarizeReviews, onProgress = () => {}, ...options }) {
+    const reviews = [];
+    const results = [];
+    for (const segment of REVIEW_SEGMENTS) {
+        const segmentReviews = segments[segment.id] || [];
+        let summary = null;
+        if (segmentReviews.length > 0) {
+            summary = await summarize({
+                ...options,
+                reviews: segmentReviews,
+                focus: segment.focus,
+                onProgress: (status) => onProgress(`${segment.title}: ${status}`)
+            });
+            const offset = reviews.length;
+            const shift = (points) => points.map(point => ({ ...point, reviews: point.reviews.map(number => number + offset) }));
+            summary = { ...summary, pros: shift(summary.pros), cons: shift(summary.cons) };
+        }
+        results.push({ id: segment.id, title: segment.title, points: segment.points, reviewCount: segmentReviews.length, summary });
+        reviews.push(...segmentReviews);
+    }
+    return { reviews, summary: { segments: results } };
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SUMMARY_JSON_FORMAT,
+        SUMMARY_PROMPT_TEMPLATE,
+        REVIEW_SEGMENTS,
+        buildSummarySystemPrompt,
+        SummaryValidationError,
+        validateSummary,
+        parseJsonResponse,
+        parseSummaryResponse,
+        formatReviewsForPrompt,
+        formatProductInsightsForPrompt,
+        createReviewBatches,
+        estimateSummaryUsage,
+        summarizeReviews,
+        splitReviewsBySegment,
+        summarizeReviewSegments
+    };
+}
@@ -0,0 +1,250 @@
+const { test, expect } = require('@playwright/test');
+
+// summary.js streams through the provider layer, loaded as globals as in popup.html.
+Object.assign(global, require('./providers.js'));
+
+const {
+    SUMMARY_PROMPT_TEMPLATE,
+    buildSummarySystemPrompt,
+    SummaryValidationError,
+    validateSummary,
+    parseSummaryResponse,
+    formatReviewsForPrompt,
+    formatProductInsightsForPrompt,
+    createReviewBatches,
+    estimateSummaryUsage,
+    summarizeReviews,
+    splitReviewsBySegment,
+    summarizeReviewSegments
+} = require('./summary.js');
+
+const LLM_SETTINGS = { provider: 'openai', providers: { openai: { model: 'gpt-4o', temperature: 0.7, maxTokens: 1500 } } };
+
+/**
+ * Stubs fetch with an OpenAI-style streaming endpoint that answers each request with the next response.
+ *
+ * @param {Object[]} responses - The JSON summaries to stream, in request order.
+ * @returns {Object[]} The log of request bodies, filled as requests are made.
+ */
+function stubSummaryResponses(responses) {
+    const requests = [];
+    global.fetch = (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const content = JSON.stringify(responses[requests.length - 1]);
+        const encoder = new TextEncoder();
+        return Promise.resolve({
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\ndata: [DONE]\n\n`));
+                    controller.close();
+                }
+            })
+        });
+    };
+    return requests;
+}
+
+/**
+ * After each test, remove the fetch stub.
+ */
+test.afterEach(() => {
+    global.fetch = undefined;
+});
+
+test('Parses a fenced JSON summary and ranks points by mentions', () => {
+    const text = 'Here you go:\n```json\n' + JSON.stringify({
+        pros: [
+            { point: 'Comfortable', mentions: 2, reviews: [1, 3] },
+            { point: 'Great sound', mentions: 5, reviews: [1, 2, 3] }
+        ],
+        cons: [{ point: 'Short battery life', mentions: 1, reviews: [2] }],
+        verdict: 'A solid pair of headphones.',
+        confidence: 0.8
+    }) + '\n```';
+
+    const summary = parseSummaryResponse(text, 3);
+
+    expect(summary.pros.map(p => p.point)).toEqual(['Great sound', 'Comfortable']);
+    expect(summary.cons).toEqual([{ point: 'Short battery life', mentions: 1, reviews: [2] }]);
+    expect(summary.verdict).toBe('A solid pair of headphones.');
+    expect(summary.confidence).toBe(0.8);
+});
+
+test('Drops unknown review numbers and fixes inconsistent counts', () => {
+    const summary = validateSummary({
+        pros: [{ point: ' Cheap ', reviews: [0, 2, 2, 9, 'x'] }],
+        cons: [{ point: 'Loud', mentions: 1, reviews: [1, 2, 3] }],
+        verdict: 'Fine.',
+        confidence: 75
+    }, 3);
+
+    expect(summary.pros).toEqual([{ point: 'Cheap', mentions: 1, reviews: [2] }]);
+    expect(summary.cons).toEqual([{ point: 'Loud', mentions: 3, reviews: [1, 2, 3] }]);
+    expect(summary.confidence).toBe(0.75);
+});
+
+test('Rejects responses that do not match the summary format', () => {
+    expect(() => parseSummaryResponse('Pros: great', 1)).toThrow(SummaryValidationError);
+    expect(() => parseSummaryResponse('{"pros": [}', 1)).toThrow('not valid JSON');
+    expect(() => validateSummary({ pros: {}, cons: [], verdict: '', confidence: 1 }, 1)).toThrow('"pros" must be an array.');
+    expect(() => validateSummary({ pros: [], cons: [{ mentions: 1 }], verdict: '', confidence: 1 }, 1)).toThrow('"cons[0].point"');
+    expect(() => validateSummary({ pros: [], cons: [], confidence: 1 }, 1)).toThrow('"verdict" must be a string.');
+    expect(() => validateSummary({ pros: [], cons: [], verdict: '', confidence: 'high' }, 1)).toThrow('"confidence" must be a number.');
+});
+
+test('Formats structured reviews with their metadata for the prompt', () => {
+    const text = formatReviewsForPrompt([
+        { rating: 5, title: 'Love it', text: 'Great battery.', verified: true, helpfulVotes: 12, variant: 'Color: Red', date: 'May 1, 2024' },
+        { rating: 1, title: '', text: 'Broke.', verified: false, helpfulVotes: 1, variant: '', date: '' }
+    ]);
+
+    expect(text).toBe(
+        '[Review 1] Rating: 5/5 | Verified Purchase | 12 helpful votes | Variant: Color: Red | Date: May 1, 2024\n' +
+        'Title: Love it\nGreat battery.\n---\n' +
+        '[Review 2] Rating: 1/5 | Unverified | 1 helpful vote\nBroke.'
+    );
+});
+
+test('Numbers batched reviews by their position in the full set and formats product insights', () => {
+    expect(formatReviewsForPrompt([{ text: 'Later review.' }], 40)).toBe('[Review 41] Unverified\nLater review.');
+    expect(formatProductInsightsForPrompt({
+        averageRating: 4.5, totalRatings: 120, histogram: { 5: 80, 1: 20 }, customersSay: 'Customers like it.', aspects: ['Value']
+    })).toBe(
+        'Average rating: 4.5/5 from 120 ratings\n' +
+        'Rating histogram: 5 star 80%, 1 star 20%\n' +
+        'Store\'s own review summary ("Customers say"): Customers like it.\n' +
+        'Aspects highlighted by the store: Value'
+    );
+});
+
+test('Splits reviews into batches within the token budget', () => {
+    const reviews = Array.from({ length: 5 }, () => ({ text: 'x'.repeat(200) }));
+
+    const batches = createReviewBatches(reviews, 120);
+
+    expect(batches.map(batch => [batch.offset, batch.reviews.length])).toEqual([[0, 2], [2, 2], [4, 1]]);
+    expect(createReviewBatches(reviews, 100000)).toHaveLength(1);
+});
+
+test('Summarizes small review sets in a single request', async () => {
+    const requests = stubSummaryResponses([{ pros: [{ point: 'Good', mentions: 1, reviews: [1] }], cons: [], verdict: 'Nice.', confidence: 0.9 }]);
+    const progress = [];
+
+    const summary = await summarizeReviews({
+        reviews: [{ text: 'Good.' }], llmSettings: LLM_SETTINGS, apiKey: 'sk', onProgress: status => progress.push(status)
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].response_format).toEqual({ type: 'json_object' });
+    expect(summary.verdict).toBe('Nice.');
+    expect(progress[0]).toBe('Summarizing...');
+});
+
+test('Summarizes large review sets in batches and merges the partial summaries', async () => {
+    const reviews = Array.from({ length: 4 }, (_, i) => ({ text: `Review number ${i + 1} ` + 'x'.repeat(200) }));
+    const requests = stubSummaryResponses([
+        { pros: [{ point: 'Sturdy', mentions: 2, reviews: [1, 2] }], cons: [], verdict: 'Batch 1.', confidence: 0.8 },
+        { pros: [{ point: 'Durable', mentions: 1, reviews: [3] }], cons: [{ point: 'Heavy', mentions: 1, reviews: [4] }], verdict: 'Batch 2.', confidence: 0.7 },
+        { pros: [{ point: 'Sturdy', mentions: 3, reviews: [1, 2, 3] }], cons: [{ point: 'Heavy', mentions: 1, reviews: [4] }], verdict: 'All.', confidence: 0.8 }
+    ]);
+    const progress = [];
+
+    const summary = await summarizeReviews({
+        reviews, llmSettings: LLM_SETTINGS, apiKey: 'sk', batchTokens: 130, onProgress: status => progress.push(status)
+    });
+
+    expect(requests).toHaveLength(3);
+    expect(requests[1].messages[1].content).toContain('[Review 3]');
+    expect(requests[1].messages[1].content).not.toContain('[Review 1]');
+    expect(requests[2].messages[1].content).toContain('Partial summary 2:\n{"pros":[{"point":"Durable"');
+    expect(progress.filter(status => !status.includes('characters'))).toEqual([
+        'Summarizing batch 1 of 2...',
+        'Summarizing batch 2 of 2...',
+        'Merging 2 partial summaries...'
+    ]);
+    expect(summary).toEqual({
+        pros: [{ point: 'Sturdy', mentions: 3, reviews: [1, 2, 3] }],
+        cons: [{ point: 'Heavy', mentions: 1, reviews: [4] }],
+        verdict: 'All.',
+        confidence: 0.8
+    });
+});
+
+test('Reports the tokens of each request and estimates them before summarizing', async () => {
+    const reviews = Array.from({ length: 4 }, (_, i) => ({ text: `Review number ${i + 1} ` + 'x'.repeat(200) }));
+    const partial = { pros: [], cons: [], verdict: 'Fine.', confidence: 0.5 };
+    stubSummaryResponses([partial, partial, partial]);
+    const usages = [];
+
+    await summarizeReviews({ reviews, llmSettings: LLM_SETTINGS, apiKey: 'sk', batchTokens: 130, onUsage: usage => usages.push(usage) });
+
+    // The stub reports no usage, so it is counted from the prompts and the streamed text.
+    expect(usages).toHaveLength(3);
+    expect(usages.every(usage => usage.estimated && usage.outputTokens === Math.ceil(JSON.stringify(partial).length / 4))).toBe(true);
+    const estimate = estimateSummaryUsage({ reviews, llmSettings: LLM_SETTINGS, batchTokens: 130 });
+    // The output, and the partial summaries sent to be merged, are counted at the max tokens of the model.
+    expect(estimate).toMatchObject({ requests: 3, outputTokens: 3 * 1500 });
+    expect(estimate.inputTokens).toBeGreaterThan(usages[0].inputTokens + usages[1].inputTokens + 2 * 1500);
+
+    stubSummaryResponses([partial]);
+    await summarizeReviews({ reviews: reviews.slice(0, 1), llmSettings: LLM_SETTINGS, apiKey: 'sk', onUsage: usage => usages.push(usage) });
+    const single = estimateSummaryUsage({ reviews: reviews.slice(0, 1), llmSettings: LLM_SETTINGS });
+    expect(single).toMatchObject({ requests: 1, outputTokens: 1500 });
+    expect(Math.abs(single.inputTokens - usages[3].inputTokens)).toBeLessThanOrEqual(1);
+});
+
+test('Builds the system prompt from the template, summary length and output language', () => {
+    const defaultPrompt = buildSummarySystemPrompt();
+    expect(defaultPrompt.startsWith(SUMMARY_PROMPT_TEMPLATE)).toBe(true);
+    expect(defaultPrompt).toContain('up to 5 pros and 5 cons');
+    expect(defaultPrompt).not.toContain('Write the points and the verdict in');
+
+    const customPrompt = buildSummarySystemPrompt({ promptTemplate: 'Summarize for a busy parent.', summaryLength: 'brief', outputLanguage: 'German' });
+    expect(customPrompt.startsWith('Summarize for a busy parent.')).toBe(true);
+    expect(customPrompt).toContain('at most 3 pros and 3 cons');
+    expect(customPrompt).toContain('Write the points and the verdict in German');
+    // The output format cannot be removed by a custom template.
+    expect(customPrompt).toContain('Respond with a single JSON object');
+});
+
+test('Splits reviews into the fans and critics star rating groups', () => {
+    const reviews = [1, 2, 3, 4, 5, null].map(rating => ({ rating, text: `${rating} stars.` }));
+    const segments = splitReviewsBySegment(reviews);
+
+    expect(segments.positive.map(review => review.rating)).toEqual([4, 5]);
+    expect(segments.critical.map(review => review.rating)).toEqual([1, 2]);
+});
+
+test('Summarizes each star rating group on its own, numbering reviews across the groups', async () => {
+    const requests = stubSummaryResponses([
+        { pros: [{ point: 'Comfortable', mentions: 2, reviews: [1, 2] }], cons: [], verdict: 'Fans love it.', confidence: 0.9 },
+        { pros: [], cons: [{ point: 'Strap breaks', mentions: 1, reviews: [1] }], verdict: 'It breaks.', confidence: 0.6 }
+    ]);
+    const progress = [];
+    const segments = {
+        positive: [{ rating: 5, text: 'So comfortable.' }, { rating: 4, text: 'Comfortable enough.' }],
+        critical: [{ rating: 1, text: 'The strap broke after a week.' }]
+    };
+
+    const { reviews, summary } = await summarizeReviewSegments({
+        segments, llmSettings: LLM_SETTINGS, apiKey: 'sk', onProgress: status => progress.push(status)
+    });
+
+    expect(reviews).toEqual([...segments.positive, ...segments.critical]);
+    expect(requests[0].messages[0].content).toContain('rate the product 4 or 5 stars');
+    expect(requests[1].messages[0].content).toContain('Focus on how the product fails');
+    expect(requests[1].messages[1].content).toContain('[Review 1]');
+    expect(summary.segments.map(({ id, title, points, reviewCount }) => ({ id, title, points, reviewCount }))).toEqual([
+        { id: 'positive', title: 'Why people love it', points: 'pros', reviewCount: 2 },
+        { id: 'critical', title: 'Why people return it', points: 'cons', reviewCount: 1 }
+    ]);
+    expect(summary.segments[0].summary.pros[0].reviews).toEqual([1, 2]);
+    // The critics' review 1 is review 3 of all reviews.
+    expect(summary.segments[1].summary.cons[0].reviews).toEqual([3]);
+    expect(progress.filter(status => !status.includes('characters received'))).toEqual(['Why people love it: Summarizing...', 'Why people return it: Summarizing...']);
+
+    stubSummaryResponses([{ pros: [{ point: 'Comfortable', mentions: 1, reviews: [1] }], cons: [], verdict: 'Good.', confidence: 0.5 }]);
+    const onlyFans = await summarizeReviewSegments({ segments: { positive: segments.positive, critical: [] }, llmSettings: LLM_SETTINGS, apiKey: 'sk' });
+    expect(onlyFans.summary.segments[1]).toMatchObject({ reviewCount: 0, summary: null });
+});
@@ -0,0 +1,198 @@
+// trust.js
+
+/**
+ * A local analysis of the loaded reviews that flags signs of review-bombing and paid or incentivized reviews,
+ * so that they can be weighed or left out of the summary. Nothing is sent to the model.
+ */
+
+// Constants
+// What each flag means, in the order they are shown.
+const TRUST_FLAGS = {
+    duplicate: 'Near-duplicate text',
+    burst: 'Posted in a burst on the same date',
+    unverifiedCluster: 'Part of a cluster of unverified 5-star reviews',
+    incentivized: 'Received the product free or discounted',
+    generic: 'Generic, low-information wording'
+};
+const TRUST_DUPLICATE_SIMILARITY = 0.7; // Share of shared word triples above which two reviews are near-duplicates
+const TRUST_DUPLICATE_MIN_WORDS = 6; // Shorter reviews are too short to compare (see the generic flag)
+const TRUST_BURST_MIN_REVIEWS = 3;
+const TRUST_BURST_SHARE = 0.2; // Share of the dated reviews a single date must exceed to count as a burst
+const TRUST_UNVERIFIED_MIN_REVIEWS = 3;
+const TRUST_UNVERIFIED_SHARE = 0.3; // Share of the 5-star reviews that must be unverified to count as a cluster
+const TRUST_GENERIC_MAX_WORDS = 15;
+const TRUST_GENERIC_SHARE = 0.8; // Share of words from TRUST_GENERIC_WORDS that makes a short review generic
+// Disclosures of free or discounted products, e.g. "I received this product for free in exchange for my honest review".
+const TRUST_INCENTIVE_PATTERNS = [
+    /\breceived (?:this|the|it)?\s*(?:product|item)?\s*(?:for free|free of charge|at no (?:cost|charge)|at a (?:discount|discounted price|reduced price))/i,
+    /\bin exchange for (?:my|an|a) (?:honest |unbiased |fair )*(?:review|opinion|feedback)/i,
+    /\b(?:free|discounted) (?:sample|product|item) (?:in exchange|for (?:my |an? )?(?:honest |unbiased )*review)/i,
+    /\b(?:provided|sent|given) (?:to me )?(?:by the (?:seller|manufacturer|company|brand) )?(?:for free|free of charge|for (?:testing|review|evaluation))/i,
+    /\bVine (?:Customer Review of Free Product|Voice)\b/i
+];
+// Praise and filler words that say nothing about the product itself.
+const TRUST_GENERIC_WORDS = new Set([
+    'a', 'all', 'amazing', 'an', 'and', 'as', 'awesome', 'best', 'buy', 'described', 'ever', 'excellent',
+    'expected', 'exactly', 'fantastic', 'fast', 'for', 'good', 'great', 'happy', 'highly', 'i', 'is', 'it',
+    'item', 'love', 'loved', 'money', 'my', 'nice', 'perfect', 'product', 'quality', 'really', 'recommend',
+    'seller', 'shipping', 'so', 'star', 'stars', 'super', 'thank', 'thanks', 'the', 'this', 'to', 'value',
+    'very', 'was', 'with', 'wonderful', 'works', 'would', 'you', 'five', '5'
+]);
+
+/**
+ * Splits a review text into lowercase words, ignoring punctuation.
+ *
+ * @param {string} text - The review text.
+ * @returns {string[]} The words.
+ */
+function tokenizeReviewText(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Collects the word triples of a review, for comparing reviews that differ only in a few words.
+ *
+ * @param {string[]} words - The words of the review.
+ * @returns {Set<string>} The word triples.
+ */
+function getWordTriples(words) {
+    const triples = new Set();
+    for (let i = 0; i + 2 < words.length; i++) {
+        triples.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    }
+    return triples;
+}
+
+/**
+ * Measures how similar two sets are: the size of their intersection divided by the size of their union.
+ *
+ * @param {Set<string>} a - The first set.
+ * @param {Set<string>} b - The second set.
+ * @returns {number} The similarity from 0 to 1.
+ */
+function getSetSimilarity(a, b) {
+    let shared = 0;
+    a.forEach(item => {
+        if (b.has(item)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Checks whether a review discloses that the product was received free or discounted.
+ *
+ * @param {Object} review - The structured review.
+ * @returns {boolean} True if the review contains an incentive disclosure.
+ */
+function isIncentivizedReview(review) {
+    const text = `${review.title || ''}\n${review.text || ''}`;
+    return TRUST_INCENTIVE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Checks whether a review is short and made up of praise and filler words only, e.g. "Great product, love it!".
+ *
+ * @param {string[]} words - The words of the review.
+ * @returns {boolean} True if the wording is generic.
+ */
+function isGenericReview(words) {
+    if (words.length === 0 || words.length > TRUST_GENERIC_MAX_WORDS) {
+        return false;
+    }
+    return words.filter(word => TRUST_GENERIC_WORDS.has(word)).length / words.length >= TRUST_GENERIC_SHARE;
+}
+
+/**
+ * Analyzes the reviews for signs of manipulation (see TRUST_FLAGS):
+ * - duplicate: the text is nearly the same as another review's.
+ * - burst: the review was posted on a date that holds an unusual share of the reviews.
+ * - unverifiedCluster: the review is one of many unverified 5-star reviews; only checked on sites that mark verified purchases.
+ * - incentivized: the review says the product was received free or discounted.
+ * - generic: the review is short and says nothing specific about the product.
+ * The trust score is the share of reviews without any flag.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {{score: number|null, flags: string[][], counts: Object<string, number>, flaggedCount: number}} The trust
+ *   score from 0 to 100 (null without reviews), the flags of each review in review order, the number of reviews with
+ *   each flag and the number of flagged reviews.
+ */
+function analyzeReviewTrust(reviews) {
+    const flags = reviews.map(() => []);
+    const flag = (index, name) => {
+        if (!flags[index].includes(name)) flags[index].push(name);
+    };
+    const words = reviews.map(review => tokenizeReviewText(review.text));
+
+    const triples = words.map(reviewWords => reviewWords.length >= TRUST_DUPLICATE_MIN_WORDS ? getWordTriples(reviewWords) : null);
+    for (let i = 0; i < reviews.length; i++) {
+        for (let j = i + 1; triples[i] && j < reviews.length; j++) {
+            if (triples[j] && getSetSimilarity(triples[i], triples[j]) >= TRUST_DUPLICATE_SIMILARITY) {
+                flag(i, 'duplicate');
+                flag(j, 'duplicate');
+            }
+        }
+    }
+
+    const datedIndexes = reviews.map((review, index) => index).filter(index => reviews[index].date);
+    const indexesByDate = new Map();
+    datedIndexes.forEach(index => {
+        const date = reviews[index].date.trim();
+        indexesByDate.set(date, [...(indexesByDate.get(date) || []), index]);
+    });
+    // A single date holding every review says more about the page than about the reviews, e.g. "most recent" sorting.
+    if (indexesByDate.size > 1) {
+        indexesByDate.forEach(indexes => {
+            if (indexes.length >= TRUST_BURST_MIN_REVIEWS && indexes.length / datedIndexes.length > TRUST_BURST_SHARE) {
+                indexes.forEach(index => flag(index, 'burst'));
+            }
+        });
+    }
+
+    if (reviews.some(review => review.verified)) {
+        const fiveStarIndexes = reviews.map((review, index) => index).filter(index => reviews[index].rating === 5);
+        const unverifiedIndexes = fiveStarIndexes.filter(index => !reviews[index].verified);
+        if (unverifiedIndexes.length >= TRUST_UNVERIFIED_MIN_REVIEWS && unverifiedIndexes.length / fiveStarIndexes.length >= TRUST_UNVERIFIED_SHARE) {
+            unverifiedIndexes.forEach(index => flag(index, 'unverifiedCluster'));
+        }
+    }
+
+    reviews.forEach((review, index) => {
+        if (isIncentivizedReview(review)) flag(index, 'incentivized');
+        if (isGenericReview(words[index])) flag(index, 'generic');
+    });
+
+    const counts = Object.fromEntries(Object.keys(TRUST_FLAGS).map(name => [name, flags.filter(reviewFlags => reviewFlags.includes(name)).length]));
+    const flaggedCount = flags.filter(reviewFlags => reviewFlags.length > 0).length;
+    return {
+        score: reviews.length > 0 ? Math.round(100 * (reviews.length - flaggedCount) / reviews.length) : null,
+        flags,
+        counts,
+        flaggedCount
+    };
+}
+
+/**
+ * Leaves out the reviews that analyzeReviewTrust flags. If every review is flagged, all are kept, as a summary
+ * of no reviews would say nothing.
+ *
+ * @param {Object[]} reviews - Array of structured reviews.
+ * @returns {{reviews: Object[], excludedCount: number}} The unflagged reviews and the number of reviews left out.
+ */
+function excludeFlaggedReviews(reviews) {
+    const { flags } = analyzeReviewTrust(reviews);
+    const kept = reviews.filter((review, index) => flags[index].length === 0);
+    if (kept.length === 0) {
+        return { reviews, excludedCount: 0 };
+    }
+    return { reviews: kept, excludedCount: reviews.length - kept.length };
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRUST_FLAGS,
+        isIncentivizedReview,
+        analyzeReviewTrust,
+        excludeFlaggedReviews
+    };
+}
@@ -0,0 +1,65 @@
+const { test, expect } = require('@playwright/test');
+
+const { TRUST_FLAGS, isIncentivizedReview, analyzeReviewTrust, excludeFlaggedReviews } = require('./trust.js');
+
+/**
+ * Creates a verified review with the given text, rating and date.
+ *
+ * @param {string} text - The review text.
+ * @param {Object} [fields={}] - Fields to override.
+ * @returns {Object} The review.
+ */
+function reviewOf(text, fields = {}) {
+    return { rating: 4, text, date: 'January 5, 2024', verified: true, helpfulVotes: 0, ...fields };
+}
+
+test('Flags near-duplicate texts, disclosures of free products and generic wording', () => {
+    const reviews = [
+        reviewOf('The kettle boils a full liter in under three minutes and the handle stays cool.', { date: 'March 1, 2024' }),
+        reviewOf('This kettle boils a full liter in under three minutes and the handle stays cool!', { date: 'March 2, 2024' }),
+        reviewOf('I received this product for free in exchange for my honest review. It is loud.', { date: 'March 3, 2024' }),
+        reviewOf('Great product, love it! Highly recommend.', { date: 'March 4, 2024' }),
+        reviewOf('The lid broke after two weeks of daily use, and support never answered.', { date: 'March 5, 2024' })
+    ];
+
+    const { score, flags, counts, flaggedCount } = analyzeReviewTrust(reviews);
+
+    expect(flags).toEqual([['duplicate'], ['duplicate'], ['incentivized'], ['generic'], []]);
+    expect(counts).toEqual({ duplicate: 2, burst: 0, unverifiedCluster: 0, incentivized: 1, generic: 1 });
+    expect(flaggedCount).toBe(4);
+    expect(score).toBe(20);
+    expect(Object.keys(TRUST_FLAGS)).toEqual(Object.keys(counts));
+    expect(isIncentivizedReview({ title: 'Vine Customer Review of Free Product', text: 'Works.' })).toBe(true);
+    expect(isIncentivizedReview({ text: 'I paid full price, nothing was free about it.' })).toBe(false);
+});
+
+test('Flags bursts of reviews on one date and clusters of unverified 5-star reviews', () => {
+    const spread = ['May 1, 2024', 'May 9, 2024', 'June 2, 2024', 'June 20, 2024', 'July 4, 2024', 'July 30, 2024'];
+    const reviews = [
+        ...spread.map((date, index) => reviewOf(`Review number ${index} about the pump pressure.`, { date })),
+        ...[1, 2, 3].map(index => reviewOf(`Burst review ${index} on the hose length.`, { date: 'August 8, 2024', rating: 1 })),
+        ...[1, 2, 3].map(index => reviewOf(`Unverified review ${index} on the nozzle.`, { date: spread[index], rating: 5, verified: false })),
+        reviewOf('Verified five stars for the sturdy frame.', { date: 'May 20, 2024', rating: 5 })
+    ];
+
+    const { flags, counts } = analyzeReviewTrust(reviews);
+
+    expect(counts.burst).toBe(3);
+    expect(flags.slice(6, 9)).toEqual([['burst'], ['burst'], ['burst']]);
+    expect(counts.unverifiedCluster).toBe(3);
+    expect(flags.slice(9, 12)).toEqual([['unverifiedCluster'], ['unverifiedCluster'], ['unverifiedCluster']]);
+    expect(flags[12]).toEqual([]);
+
+    // Sites that never mark verified purchases, and pages with a single date, have no such clusters or bursts.
+    const unmarked = reviews.map(review => ({ ...review, verified: false, date: 'August 8, 2024' }));
+    expect(analyzeReviewTrust(unmarked).counts).toMatchObject({ burst: 0, unverifiedCluster: 0 });
+    expect(analyzeReviewTrust([]).score).toBeNull();
+});
+
+test('Leaves flagged reviews out unless every review is flagged', () => {
+    const honest = reviewOf('The battery lasts about two days with the screen at full brightness.');
+    const generic = reviewOf('Love it, great quality!');
+
+    expect(excludeFlaggedReviews([honest, generic])).toEqual({ reviews: [honest], excludedCount: 1 });
+    expect(excludeFlaggedReviews([generic])).toEqual({ reviews: [generic], excludedCount: 0 });
+});
@@ -0,0 +1,247 @@
+// usage.js
+
+/**
+ * Token usage and spending: the price of each model, a log of the tokens and dollars spent per day and
+ * per month, and the check of a request's estimated cost against the spending caps (see getBudgetSettings).
+ * The log is written by the background service worker only; the popup and the options page send their
+ * usage to it ("recordUsage" and "clearUsage" messages), so that writes from different pages cannot overwrite each other.
+ */
+
+// Constants
+// List prices in US dollars per million input and output tokens. Models that are not listed have no known price.
+const LLM_MODEL_PRICES = {
+    openai: {
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4.1': { input: 2, output: 8 },
+        'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+    },
+    anthropic: {
+        'claude-sonnet-4-5': { input: 3, output: 15 },
+        'claude-haiku-4-5': { input: 1, output: 5 },
+        'claude-opus-4-1': { input: 15, output: 75 }
+    }
+};
+const USAGE_LOG_MAX_DAYS = 92; // Daily totals older than this are dropped
+const USAGE_LOG_MAX_MONTHS = 24; // Monthly totals older than this are dropped
+
+// Writes to the usage log run one after another, so that concurrent requests do not overwrite each other's totals.
+let usageLogWrites = Promise.resolve();
+
+/**
+ * A summary was not requested because its estimated cost would exceed a spending cap.
+ */
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+    }
+}
+
+/**
+ * Returns the price of a model. Dated model versions (e.g. "gpt-4o-2024-08-06") cost the same as their
+ * model, and a self-hosted OpenAI-compatible server costs nothing.
+ *
+ * @param {string} providerId - The provider ID.
+ * @param {string} model - The model name.
+ * @returns {{input: number, output: number}|null} The dollars per million input and output tokens, or null if unknown.
+ */
+function getModelPrice(providerId, model) {
+    if (providerId === 'compatible') {
+        return { input: 0, output: 0 };
+    }
+    const prices = LLM_MODEL_PRICES[providerId] || {};
+    // The longest matching name wins, so that "gpt-4o-mini-..." is not priced as "gpt-4o".
+    const name = Object.keys(prices)
+        .filter(candidate => model === candidate || model.startsWith(`${candidate}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return name ? prices[name] : null;
+}
+
+/**
+ * Computes the cost of a number of tokens with the selected provider and model.
+ *
+ * @param {Object} llmSettings - The LLM settings (see getLlmSettings).
+ * @param {{inputTokens: number, outputTokens: number}} usage - The tokens.
+ * @returns {number|null} The cost in US dollars, or null if the model's price is unknown.
+ */
+function getUsageCost(llmSettings, { inputTokens, outputTokens }) {
+    const price = getModelPrice(llmSettings.provider, llmSettings.providers[llmSettings.provider].model);
+    if (!price) {
+        return null;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Returns the keys of the day and the month of a time in the usage log, in local time.
+ *
+ * @param {number} now - The time in milliseconds.
+ * @returns {{day: string, month: string}} The day ("2024-06-03") and the month ("2024-06").
+ */
+function getUsagePeriods(now) {
+    const date = new Date(now);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    return { day: `${month}-${String(date.getDate()).padStart(2, '0')}`, month };
+}
+
+/**
+ * Retrieves the usage log from chrome storage.
+ *
+ * @returns {Promise<{days: Object<string, Object>, months: Object<string, Object>}>} A promise that resolves to the
+ *   totals (see recordUsage) of each day and month.
+ */
+async function getUsageLog() {
+    try {
+        const { usageLog } = await chrome.storage.local.get('usageLog');
+        return { days: usageLog?.days || {}, months: usageLog?.months || {} };
+    } catch (error) {
+        console.error("Error retrieving usage log from storage:", error);
+        return { days: {}, months: {} };
+    }
+}
+
+/**
+ * Runs a write to the usage log after the writes queued before it.
+ *
+ * @param {function(): Promise<*>} write - Reads and writes the log.
+ * @returns {Promise<*>} A promise that resolves to the result of the write.
+ */
+function queueUsageLogWrite(write) {
+    const result = usageLogWrites.then(write);
+    usageLogWrites = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Adds the tokens and the cost of a request to today's and this month's totals in the usage log.
+ * The cost of a model without a known price is not added; such requests are counted as unpriced.
+ *
+ * @param {Object} llmSettings - The LLM settings the request was made with (see getLlmSettings).
+ * @param {{inputTokens: number, outputTokens: number}} usage - The tokens of the request (see streamChatCompletion).
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Promise<number|null>} A promise that resolves to the cost of the request, or null if unknown.
+ */
+async function recordUsage(llmSettings, usage, now = Date.now()) {
+    const cost = getUsageCost(llmSettings, usage);
+    await queueUsageLogWrite(async () => {
+        try {
+            const log = await getUsageLog();
+            const { day, month } = getUsagePeriods(now);
+            const add = (totals) => ({
+                requests: (totals?.requests || 0) + 1,
+                inputTokens: (totals?.inputTokens || 0) + usage.inputTokens,
+                outputTokens: (totals?.outputTokens || 0) + usage.outputTokens,
+                // Rounded to a millionth of a dollar, so that the totals do not collect floating-point noise.
+                cost: Math.round(((totals?.cost || 0) + (cost || 0)) * 1e6) / 1e6,
+                unpricedRequests: (totals?.unpricedRequests || 0) + (cost === null ? 1 : 0)
+            });
+            log.days[day] = add(log.days[day]);
+            log.months[month] = add(log.months[month]);
+            const keep = (totals, maxEntries) => Object.fromEntries(Object.entries(totals).sort(([a], [b]) => b.localeCompare(a)).slice(0, maxEntries));
+            await chrome.storage.local.set({ usageLog: { days: keep(log.days, USAGE_LOG_MAX_DAYS), months: keep(log.months, USAGE_LOG_MAX_MONTHS) } });
+        } catch (error) {
+            console.error("Error saving usage to storage:", error);
+        }
+    });
+    return cost;
+}
+
+/**
+ * Reads today's and this month's totals from the usage log.
+ *
+ * @param {{days: Object, months: Object}} log - The usage log (see getUsageLog).
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {{today: Object, month: Object}} The totals (see recordUsage), zero if nothing was used.
+ */
+function getUsageTotals(log, now = Date.now()) {
+    const { day, month } = getUsagePeriods(now);
+    const empty = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+    return { today: { ...empty, ...log.days[day] }, month: { ...empty, ...log.months[month] } };
+}
+
+/**
+ * Clears the usage log.
+ *
+ * @returns {Promise<void>} A promise that resolves once the log is cleared.
+ */
+async function clearUsageLog() {
+    await queueUsageLogWrite(() => chrome.storage.local.set({ usageLog: { days: {}, months: {} } }));
+}
+
+/**
+ * Formats an amount of US dollars, with cents below a dollar shown to a tenth of a cent.
+ *
+ * @param {number} dollars - The amount.
+ * @returns {string} The formatted amount, e.g. "$0.042" or "$1.50".
+ */
+function formatCost(dollars) {
+    return `$${dollars.toFixed(dollars > 0 && dollars < 1 ? 3 : 2)}`;
+}
+
+/**
+ * Describes the tokens and the cost of a request for the user.
+ *
+ * @param {{inputTokens: number, outputTokens: number, cost: number|null, estimated?: boolean}} usage - The usage.
+ * @returns {string} The description, e.g. "12,345 input and 512 output tokens, about $0.036".
+ */
+function describeUsage({ inputTokens, outputTokens, cost, estimated = false }) {
+    const tokens = `${inputTokens.toLocaleString('en-US')} input and ${outputTokens.toLocaleString('en-US')} output tokens`;
+    return `${tokens}${estimated ? ' (counted from the text)' : ''}, ${cost === null ? 'cost unknown' : `about ${formatCost(cost)}`}`;
+}
+
+/**
+ * Checks whether a request would exceed the daily or the monthly spending cap. A request of unknown cost
+ * only exceeds a cap that is already used up.
+ *
+ * @param {number|null} cost - The estimated cost of the request in US dollars, or null if unknown.
+ * @param {{dailyCap: number, monthlyCap: number, overCapAction: string}} budgetSettings - The spending caps (see getBudgetSettings).
+ * @param {{today: Object, month: Object}} totals - The spending so far (see getUsageTotals).
+ * @returns {{blocked: boolean, message: string}|null} Whether the request is blocked and why, or null if it fits the caps.
+ */
+function checkBudget(cost, budgetSettings, totals) {
+    const caps = [
+        { cap: budgetSettings.dailyCap, spent: totals.today.cost, period: 'daily', when: 'today' },
+        { cap: budgetSettings.monthlyCap, spent: totals.month.cost, period: 'monthly', when: 'this month' }
+    ];
+    const exceeded = caps.find(({ cap, spent }) => cap > 0 && (cost === null ? spent >= cap : spent + cost > cap));
+    if (!exceeded) {
+        return null;
+    }
+    const { cap, spent, period, when } = exceeded;
+    const request = cost === null ? 'This request' : `This request (about ${formatCost(cost)})`;
+    return {
+        blocked: budgetSettings.overCapAction === 'block',
+        message: `${request} would exceed your ${period} spending cap of ${formatCost(cap)}; ${formatCost(spent)} was spent ${when}.`
+    };
+}
+
+/**
+ * Checks the estimated tokens of a request against the spending caps, with the spending so far read from the usage log.
+ *
+ * @param {Object} llmSettings - The LLM settings the request is made with (see getLlmSettings).
+ * @param {{inputTokens: number, outputTokens: number}} usage - The estimated tokens of the request.
+ * @returns {Promise<{blocked: boolean, message: string}|null>} A promise that resolves to the result of checkBudget.
+ */
+async function checkRequestBudget(llmSettings, usage) {
+    return checkBudget(getUsageCost(llmSettings, usage), await getBudgetSettings(), getUsageTotals(await getUsageLog()));
+}
+
+// Export functions for testing purposes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LLM_MODEL_PRICES,
+        BudgetExceededError,
+        getModelPrice,
+        getUsageCost,
+        getUsagePeriods,
+        getUsageLog,
+        recordUsage,
+        getUsageTotals,
+        clearUsageLog,
+        formatCost,
+        describeUsage,
+        checkBudget,
+        checkRequestBudget
+    };
+}
@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+
+const { getModelPrice, getUsageCost, getUsageLog, recordUsage, getUsageTotals, describeUsage, checkBudget } = require('./usage.js');
+
+const LLM_SETTINGS = { provider: 'openai', providers: { openai: { model: 'gpt-4o' } } };
+
+let store;
+
+/**
+ * Before each test, stub chrome.storage.local with an in-memory store.
+ */
+test.beforeEach(() => {
+    store = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: (key) => Promise.resolve({ [key]: store[key] }),
+                set: (items) => Promise.resolve(Object.assign(store, items))
+            }
+        }
+    };
+});
+
+/**
+ * After each test, remove the stub.
+ */
+test.afterEach(() => {
+    global.chrome = undefined;
+});
+
+test('Prices models by their name, including dated versions', () => {
+    expect(getModelPrice('openai', 'gpt-4o')).toEqual({ input: 2.5, output: 10 });
+    expect(getModelPrice('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(getModelPrice('anthropic', 'claude-haiku-4-5')).toEqual({ input: 1, output: 5 });
+    expect(getModelPrice('openai', 'o3')).toBeNull();
+    expect(getModelPrice('compatible', 'llama3.1')).toEqual({ input: 0, output: 0 });
+    expect(getUsageCost(LLM_SETTINGS, { inputTokens: 10000, outputTokens: 1000 })).toBeCloseTo(0.035);
+});
+
+test('Adds the usage of each request to the daily and monthly totals', async () => {
+    const june3 = new Date(2024, 5, 3, 12).getTime();
+    const june4 = new Date(2024, 5, 4, 9).getTime();
+
+    expect(await recordUsage(LLM_SETTINGS, { inputTokens: 10000, outputTokens: 1000 }, june3)).toBeCloseTo(0.035);
+    await recordUsage(LLM_SETTINGS, { inputTokens: 2000, outputTokens: 500 }, june4);
+    expect(await recordUsage({ provider: 'openai', providers: { openai: { model: 'o3' } } }, { inputTokens: 100, outputTokens: 10 }, june4)).toBeNull();
+
+    const log = await getUsageLog();
+    expect(Object.keys(log.days)).toEqual(['2024-06-04', '2024-06-03']);
+    const { today, month } = getUsageTotals(log, june4);
+    expect(today).toEqual({ requests: 2, inputTokens: 2100, outputTokens: 510, cost: 0.01, unpricedRequests: 1 });
+    expect(month).toEqual({ requests: 3, inputTokens: 12100, outputTokens: 1510, cost: 0.045, unpricedRequests: 1 });
+    expect(getUsageTotals(log, new Date(2024, 6, 1).getTime()).month.requests).toBe(0);
+    expect(describeUsage({ ...month, estimated: true })).toBe('12,100 input and 1,510 output tokens (counted from the text), about $0.045');
+});
+
+test('Counts every request when several are recorded at the same time', async () => {
+    const june3 = new Date(2024, 5, 3, 12).getTime();
+
+    await Promise.all([1, 2, 3].map(() => recordUsage(LLM_SETTINGS, { inputTokens: 1000, outputTokens: 100 }, june3)));
+
+    expect(getUsageTotals(await getUsageLog(), june3).today).toMatchObject({ requests: 3, inputTokens: 3000, outputTokens: 300 });
+});
+
+test('Warns or blocks requests that would exceed a spending cap', () => {
+    const totals = { today: { cost: 0.95 }, month: { cost: 4 } };
+
+    expect(checkBudget(0.03, { dailyCap: 1, monthlyCap: 0, overCapAction: 'warn' }, totals)).toBeNull();
+    expect(checkBudget(0.08, { dailyCap: 1, monthlyCap: 0, overCapAction: 'warn' }, totals)).toEqual({
+        blocked: false,
+        message: 'This request (about $0.080) would exceed your daily spending cap of $1.00; $0.950 was spent today.'
+    });
+    expect(checkBudget(0.03, { dailyCap: 0, monthlyCap: 4, overCapAction: 'block' }, totals)).toMatchObject({
+        blocked: true,
+        message: 'This request (about $0.030) would exceed your monthly spending cap of $4.00; $4.00 was spent this month.'
+    });
+    // A request of unknown cost is only stopped by a cap that is used up.
+    expect(checkBudget(null, { dailyCap: 1, monthlyCap: 0, overCapAction: 'block' }, totals)).toBeNull();
+    expect(checkBudget(null, { dailyCap: 0.9, monthlyCap: 0, overCapAction: 'block' }, totals).message).toMatch(/^This request would exceed/);
+});